@@ -0,0 +1,180 @@
+/**
+ * AI Tab Companion - Ask your tabs page
+ *
+ * ask.html?group=<index> ξεκινά νέα συνομιλία για το group (START_ASK_CONVERSATION) και γίνεται ask.html?c=<id>,
+ * ώστε το reload να κρατά το ιστορικό. Οι απαντήσεις έρχονται από το ASK_GROUP_QUESTION με citations προς tabs.
+ */
+
+const askElements = {
+    title: document.getElementById('ask-title'),
+    meta: document.getElementById('ask-meta'),
+    thread: document.getElementById('ask-thread'),
+    empty: document.getElementById('ask-empty'),
+    form: document.getElementById('ask-form'),
+    question: document.getElementById('ask-question'),
+    submitBtn: document.getElementById('ask-submit-btn'),
+    missing: document.getElementById('ask-missing'),
+    status: document.getElementById('ask-status')
+};
+
+let askConversation = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    askElements.form.addEventListener('submit', event => {
+        event.preventDefault();
+        submitQuestion();
+    });
+    askElements.question.addEventListener('keydown', event => {
+        if (event.key === 'Enter' && !event.shiftKey) {
+            event.preventDefault();
+            submitQuestion();
+        }
+    });
+    loadConversation();
+});
+
+async function loadConversation() {
+    const params = new URLSearchParams(location.search);
+    let response = null;
+    try {
+        if (params.has('c')) {
+            response = await chrome.runtime.sendMessage({ type: 'GET_ASK_CONVERSATION', conversationId: params.get('c') });
+        } else if (params.has('group')) {
+            response = await chrome.runtime.sendMessage({ type: 'START_ASK_CONVERSATION', groupIndex: Number(params.get('group')) });
+            if (response?.success) {
+                history.replaceState(null, '', `ask.html?c=${encodeURIComponent(response.conversation.id)}`);
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to load ask-your-tabs conversation:', error?.message || error);
+    }
+    if (!response?.success) {
+        askElements.missing.classList.remove('hidden');
+        return;
+    }
+    askConversation = response.conversation;
+    document.title = `Ask your tabs: ${askConversation.groupName}`;
+    askElements.title.textContent = `💬 Ask your tabs: ${askConversation.groupName}`;
+    const tabCount = askConversation.tabUrls.length;
+    askElements.meta.textContent = `${tabCount} tab${tabCount === 1 ? '' : 's'} · started ${new Date(askConversation.createdAt).toLocaleString()}`;
+    askElements.form.classList.remove('hidden');
+    renderThread();
+    askElements.question.focus();
+}
+
+function renderThread(pendingQuestion = '') {
+    askElements.thread.textContent = '';
+    askConversation.turns.forEach(turn => askElements.thread.appendChild(createTurnElement(turn)));
+    if (pendingQuestion) {
+        askElements.thread.appendChild(createTurnElement({ question: pendingQuestion, answer: 'Reading your tabs…', citations: [] }, true));
+    }
+    askElements.empty.classList.toggle('hidden', askConversation.turns.length > 0 || Boolean(pendingQuestion));
+}
+
+function createTurnElement(turn, pending = false) {
+    const item = document.createElement('li');
+    item.className = 'ask-turn';
+    const question = document.createElement('div');
+    question.className = 'ask-question';
+    question.textContent = turn.question;
+    const answer = document.createElement('p');
+    answer.className = `ask-answer${pending ? ' pending' : ''}`;
+    appendAnswerText(answer, turn.answer, turn.citations);
+    item.append(question, answer);
+    if (turn.citations.length) {
+        item.appendChild(createSourcesElement(turn.citations));
+    }
+    return item;
+}
+
+/**
+ * Τα [n] της απάντησης γίνονται citation buttons όταν αντιστοιχούν σε tab
+ */
+function appendAnswerText(container, text, citations) {
+    const byRef = new Map(citations.map(citation => [citation.ref, citation]));
+    String(text).split(/(\[\d+\])/).forEach(part => {
+        const ref = Number((part.match(/^\[(\d+)\]$/) || [])[1]);
+        if (byRef.has(ref)) {
+            container.appendChild(createCitationButton(byRef.get(ref)));
+        } else if (part) {
+            container.append(part);
+        }
+    });
+}
+
+function createCitationButton(citation) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'citation';
+    button.textContent = `[${citation.ref}]`;
+    button.title = citation.title;
+    button.addEventListener('click', () => openAskSource(citation));
+    return button;
+}
+
+function createSourcesElement(citations) {
+    const sources = document.createElement('div');
+    sources.className = 'ask-sources';
+    sources.append('From: ');
+    const seen = new Set();
+    citations.filter(citation => !seen.has(citation.url) && seen.add(citation.url)).forEach((citation, position) => {
+        if (position > 0) sources.append(' · ');
+        const link = document.createElement('a');
+        link.href = citation.url;
+        link.textContent = citation.title;
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            openAskSource(citation);
+        });
+        const domain = document.createElement('span');
+        domain.className = 'domain';
+        domain.textContent = citation.domain;
+        sources.append(link, domain);
+    });
+    return sources;
+}
+
+async function submitQuestion() {
+    const question = askElements.question.value.trim();
+    if (!question || !askConversation || askElements.submitBtn.disabled) {
+        return;
+    }
+    askElements.submitBtn.disabled = true;
+    askElements.question.value = '';
+    showAskStatus('');
+    renderThread(question);
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'ASK_GROUP_QUESTION', conversationId: askConversation.id, question });
+        if (!response?.success) {
+            throw new Error(response?.error || 'No answer');
+        }
+        askConversation = response.conversation;
+        renderThread();
+    } catch (error) {
+        console.warn('Ask-your-tabs question failed:', error?.message || error);
+        renderThread();
+        askElements.question.value = question;
+        showAskStatus(error?.message || String(error), true);
+    } finally {
+        askElements.submitBtn.disabled = false;
+        askElements.question.focus();
+    }
+}
+
+async function openAskSource(citation) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'FOCUS_TAB_SOURCE', tabId: citation.tabId, url: citation.url });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not open the source');
+        }
+        showAskStatus(response.reopened ? `Reopened "${citation.title}"` : '');
+    } catch (error) {
+        console.warn('Failed to open ask-your-tabs source:', error?.message || error);
+        showAskStatus(error?.message || String(error), true);
+    }
+}
+
+function showAskStatus(message, isError = false) {
+    askElements.status.textContent = message;
+    askElements.status.classList.toggle('error', isError);
+}
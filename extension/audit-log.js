@@ -0,0 +1,240 @@
+/**
+ * AI Tab Companion - Audit Log
+ *
+ * Μόνιμο ιστορικό (IndexedDB) κάθε κλήσης σε LanguageModel / Summarizer:
+ * run id, stage, tab URLs, μέγεθος prompt, redacted prompt και απάντηση.
+ *
+ * - Κάθε *InPage function περνά τα prompt()/summarize() των sessions που φτιάχνει η ίδια από
+ *   ένα τοπικό auditCall και επιστρέφει τις κλήσεις μαζί με το αποτέλεσμα· τα globals της
+ *   σελίδας (LanguageModel, Summarizer) δεν αγγίζονται και οι κλήσεις του site δεν καταγράφονται.
+ * - Το executeAIScript τις ξεχωρίζει (unwrapAuditedResult), κάνει redaction και τις αποθηκεύει
+ *   εδώ με όρια retention (ημέρες + μέγιστος αριθμός entries).
+ *
+ * Φορτώνεται από το service worker (importScripts) και από το audit.html (προβολή / purge).
+ * Χωρίς indexedDB (π.χ. Node) όλες οι κλήσεις γίνονται no-op.
+ */
+
+const AI_AUDIT_DB_NAME = 'aiTabCompanionAudit';
+const AI_AUDIT_DB_VERSION = 1;
+const AI_AUDIT_STORE = 'calls';
+const AI_AUDIT_MAX_TEXT_CHARS = 20000;
+
+let aiAuditDbPromise = null;
+
+function auditRequestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function auditTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function openAuditLog() {
+    if (typeof indexedDB === 'undefined') {
+        return null;
+    }
+    if (!aiAuditDbPromise) {
+        aiAuditDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(AI_AUDIT_DB_NAME, AI_AUDIT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(AI_AUDIT_STORE)) {
+                    const store = db.createObjectStore(AI_AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    aiAuditDbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Audit log upgrade blocked'));
+        }).catch(error => {
+            aiAuditDbPromise = null;
+            throw error;
+        });
+    }
+    return aiAuditDbPromise;
+}
+
+/**
+ * Γράφει έτοιμα (ήδη redacted) entries και εφαρμόζει τα όρια retention
+ */
+async function appendAuditEntries(entries, retention = {}) {
+    const valid = (entries || []).filter(entry => entry && typeof entry === 'object');
+    if (!valid.length) {
+        return 0;
+    }
+    try {
+        const db = await openAuditLog();
+        if (!db) {
+            return 0;
+        }
+        const transaction = db.transaction(AI_AUDIT_STORE, 'readwrite');
+        const store = transaction.objectStore(AI_AUDIT_STORE);
+        valid.forEach(entry => {
+            const { id, ...record } = entry;
+            store.add({ ...record, timestamp: Number(record.timestamp) || Date.now() });
+        });
+        await auditTransactionDone(transaction);
+        await enforceAuditRetention(retention);
+        return valid.length;
+    } catch (error) {
+        console.warn('Audit log write failed:', error?.message || error);
+        return 0;
+    }
+}
+
+/**
+ * Σβήνει entries παλαιότερα από retentionDays και, από τα παλαιότερα προς τα νεότερα, όσα ξεπερνούν το maxEntries
+ */
+async function enforceAuditRetention({ retentionDays = 14, maxEntries = 2000 } = {}) {
+    const db = await openAuditLog();
+    if (!db) {
+        return 0;
+    }
+    const transaction = db.transaction(AI_AUDIT_STORE, 'readwrite');
+    const store = transaction.objectStore(AI_AUDIT_STORE);
+    const index = store.index('timestamp');
+    const cutoff = Date.now() - Math.max(0, retentionDays) * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    await new Promise((resolve, reject) => {
+        const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            cursor.delete();
+            removed += 1;
+            cursor.continue();
+        };
+    });
+    const total = await auditRequestToPromise(store.count());
+    let excess = total - Math.max(0, maxEntries);
+    if (excess > 0) {
+        await new Promise((resolve, reject) => {
+            const request = index.openCursor();
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess -= 1;
+                removed += 1;
+                cursor.continue();
+            };
+        });
+    }
+    await auditTransactionDone(transaction);
+    return removed;
+}
+
+/**
+ * Νεότερα πρώτα· το query ψάχνει σε run id, stage, URLs, prompt και απάντηση
+ */
+async function readAuditEntries({ limit = 500, query = '' } = {}) {
+    const entries = [];
+    try {
+        const db = await openAuditLog();
+        if (!db) {
+            return entries;
+        }
+        const needle = String(query || '').trim().toLowerCase();
+        const transaction = db.transaction(AI_AUDIT_STORE, 'readonly');
+        const index = transaction.objectStore(AI_AUDIT_STORE).index('timestamp');
+        await new Promise((resolve, reject) => {
+            const request = index.openCursor(null, 'prev');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || entries.length >= limit) {
+                    resolve();
+                    return;
+                }
+                const entry = cursor.value;
+                if (!needle || auditEntryMatches(entry, needle)) {
+                    entries.push(entry);
+                }
+                cursor.continue();
+            };
+        });
+    } catch (error) {
+        console.warn('Audit log read failed:', error?.message || error);
+    }
+    return entries;
+}
+
+function auditEntryMatches(entry, needle) {
+    return [entry.runId, entry.stage, entry.kind, entry.prompt, entry.response, entry.error, ...(entry.tabUrls || [])]
+        .some(value => String(value || '').toLowerCase().includes(needle));
+}
+
+async function countAuditEntries() {
+    try {
+        const db = await openAuditLog();
+        if (!db) {
+            return 0;
+        }
+        const transaction = db.transaction(AI_AUDIT_STORE, 'readonly');
+        return await auditRequestToPromise(transaction.objectStore(AI_AUDIT_STORE).count());
+    } catch (error) {
+        console.warn('Audit log count failed:', error?.message || error);
+        return 0;
+    }
+}
+
+async function purgeAuditLog() {
+    const db = await openAuditLog();
+    if (!db) {
+        return;
+    }
+    const transaction = db.transaction(AI_AUDIT_STORE, 'readwrite');
+    transaction.objectStore(AI_AUDIT_STORE).clear();
+    await auditTransactionDone(transaction);
+}
+
+/**
+ * Τα *InPage functions καταγράφουν τις κλήσεις στα δικά τους sessions και επιστρέφουν
+ * { value, aiAuditCalls }· εδώ χωρίζονται το αποτέλεσμα και οι κλήσεις της συγκεκριμένης εκτέλεσης
+ */
+function unwrapAuditedResult(result) {
+    if (result && typeof result === 'object' && Array.isArray(result.aiAuditCalls)) {
+        return { value: result.value, calls: result.aiAuditCalls };
+    }
+    return { value: result, calls: [] };
+}
+
+function clipAuditText(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+    return text.length > AI_AUDIT_MAX_TEXT_CHARS ? `${text.slice(0, AI_AUDIT_MAX_TEXT_CHARS)}…` : text;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AI_AUDIT_MAX_TEXT_CHARS,
+        appendAuditEntries,
+        enforceAuditRetention,
+        readAuditEntries,
+        countAuditEntries,
+        purgeAuditLog,
+        unwrapAuditedResult,
+        clipAuditText
+    };
+}
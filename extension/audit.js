@@ -0,0 +1,130 @@
+/**
+ * AI Tab Companion - Audit log page
+ *
+ * Διαβάζει απευθείας το IndexedDB του audit-log.js (ίδιο origin με το service worker):
+ * φίλτρο, export JSON για security review και purge με ένα κλικ.
+ */
+
+const auditElements = {
+    search: document.getElementById('audit-search'),
+    refreshBtn: document.getElementById('audit-refresh-btn'),
+    exportBtn: document.getElementById('audit-export-btn'),
+    purgeBtn: document.getElementById('audit-purge-btn'),
+    summary: document.getElementById('audit-summary'),
+    list: document.getElementById('audit-list'),
+    empty: document.getElementById('audit-empty'),
+    status: document.getElementById('audit-status')
+};
+
+const AUDIT_PAGE_LIMIT = 500;
+
+let auditSearchTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    auditElements.search.addEventListener('input', () => {
+        clearTimeout(auditSearchTimer);
+        auditSearchTimer = setTimeout(renderAuditLog, 250);
+    });
+    auditElements.refreshBtn.addEventListener('click', renderAuditLog);
+    auditElements.exportBtn.addEventListener('click', exportAuditLog);
+    auditElements.purgeBtn.addEventListener('click', purgeAuditLogFromPage);
+    renderAuditLog();
+});
+
+async function renderAuditLog() {
+    const [entries, total] = await Promise.all([
+        readAuditEntries({ limit: AUDIT_PAGE_LIMIT, query: auditElements.search.value }),
+        countAuditEntries()
+    ]);
+    auditElements.list.textContent = '';
+    entries.forEach(entry => auditElements.list.appendChild(createAuditEntryElement(entry)));
+    auditElements.empty.classList.toggle('hidden', entries.length > 0);
+    const shown = entries.length < total ? `Showing ${entries.length} of ${total} entries` : `${total} entries`;
+    auditElements.summary.textContent = total ? shown : '';
+}
+
+function createAuditEntryElement(entry) {
+    const item = document.createElement('li');
+    item.className = `audit-entry${entry.error ? ' audit-error' : ''}`;
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+
+    const time = document.createElement('span');
+    time.className = 'audit-meta';
+    time.textContent = new Date(entry.timestamp).toLocaleString();
+    const stage = document.createElement('span');
+    stage.className = 'audit-stage';
+    stage.textContent = `${entry.stage} · ${entry.kind}`;
+    const meta = document.createElement('span');
+    meta.className = 'audit-meta';
+    const urlCount = (entry.tabUrls || []).length;
+    meta.textContent = `${entry.promptChars} chars · ${urlCount} tab${urlCount === 1 ? '' : 's'} · ${entry.durationMs} ms · run ${entry.runId}`;
+    summary.append(time, stage, meta);
+    details.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.className = 'audit-body';
+    if (urlCount) {
+        const urls = document.createElement('ul');
+        urls.className = 'audit-urls';
+        entry.tabUrls.forEach(url => {
+            const row = document.createElement('li');
+            row.textContent = url;
+            urls.appendChild(row);
+        });
+        body.append(createAuditHeading('Tabs'), urls);
+    }
+    body.append(createAuditHeading('Prompt'), createAuditPre(entry.prompt));
+    if (entry.error) {
+        body.append(createAuditHeading('Error'), createAuditPre(entry.error));
+    } else {
+        body.append(createAuditHeading('Response'), createAuditPre(entry.response));
+    }
+    details.appendChild(body);
+    item.appendChild(details);
+    return item;
+}
+
+function createAuditHeading(text) {
+    const heading = document.createElement('h3');
+    heading.textContent = text;
+    return heading;
+}
+
+function createAuditPre(text) {
+    const pre = document.createElement('pre');
+    pre.textContent = text || '—';
+    return pre;
+}
+
+async function exportAuditLog() {
+    const entries = await readAuditEntries({ limit: Number.MAX_SAFE_INTEGER, query: auditElements.search.value });
+    const payload = { format: 'ai-tab-companion-audit', version: 1, exportedAt: new Date().toISOString(), entries };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ai-tab-companion-audit-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showAuditStatus(`Exported ${entries.length} entries`);
+}
+
+async function purgeAuditLogFromPage() {
+    if (!confirm('Delete every recorded model call? This cannot be undone.')) {
+        return;
+    }
+    try {
+        await purgeAuditLog();
+        await renderAuditLog();
+        showAuditStatus('Audit log purged');
+    } catch (error) {
+        console.warn('Failed to purge audit log:', error?.message || error);
+        showAuditStatus(`Could not purge: ${error?.message || error}`, true);
+    }
+}
+
+function showAuditStatus(message, isError = false) {
+    auditElements.status.textContent = message;
+    auditElements.status.classList.toggle('error', isError);
+}
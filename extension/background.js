@@ -34,6 +34,11 @@ try {
     // no-op
 }
 
+// ---- Shared grouping core (features, clustering, golden metrics) + fake AI provider + IndexedDB cache ----
+if (typeof importScripts === 'function') {
+    importScripts('grouping-core.js', 'fake-ai-provider.js', 'persistent-cache.js', 'settings.js', 'grouping-rules.js', 'privacy.js', 'audit-log.js', 'export-formats.js', 'reports.js');
+}
+
 // ---- Structured Logging System for Chrome AI Challenge ----
 const RUN = {
     id: () => RUN._id || (RUN._id = `${Date.now()}-${Math.random().toString(36).slice(2,8)}`),
@@ -142,6 +147,7 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
                 if (chrome.contextMenus && typeof chrome.contextMenus.create === 'function') {
                 const items = [
                     { id: 'synthesizeGroup', title: '✨ Summarize & Compare Group (AI)', contexts: ['page'], documentUrlPatterns: ['http://*/*','https://*/*'] },
+                    { id: 'saveGroupAsSession', title: '💾 Save Group as Session', contexts: ['page'], documentUrlPatterns: ['http://*/*','https://*/*'] },
                     { id: 'synthesizeActiveGroup', title: '✨ Summarize Active Tab Group (AI)', contexts: ['action'] }
                 ];
                     for (const def of items) {
@@ -156,6 +162,9 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
             } catch (menuErr) {
                 console.warn('Failed to ensure context menu on startup:', menuErr?.message || menuErr);
             }
+            await ensureExtensionSettings();
+            // Τα groups της επέκτασης αναγνωρίζονται ξανά από title + color + URLs (τα ids άλλαξαν)
+            loadOwnedTabGroupIds().catch(error => console.warn('Owned tab group reconcile failed:', error?.message || error));
             if (!AUTO_RELOAD_STALE_TABS || !STARTUP_SMART_RELOAD) return;
             try {
                 const tabs = await chrome.tabs.query({});
@@ -186,39 +195,31 @@ let lastGoldenEvaluation = null;
 // Tunable constants για επιδόσεις και ακρίβεια
 const CONTENT_EXTRACTION_CONCURRENCY = 8;
 const TAB_EXTRACTION_TIMEOUT = 14000; // ms (increase for Docs/Sheets stability)
-const SIMILARITY_JOIN_THRESHOLD = 0.42;  // Reduced for better medical/AI grouping
-const SIMILARITY_SPLIT_THRESHOLD = 0.35;  // Reduced for better medical/AI grouping  
-const CROSS_GROUP_MERGE_THRESHOLD = 0.40; // Reduced for better medical/AI grouping
-const CROSS_GROUP_KEYWORD_OVERLAP = 0.25;  // Reduced for better grouping
-const CROSS_GROUP_TOPIC_OVERLAP = 0.30;    // Reduced for better grouping
-const CROSS_GROUP_TAXONOMY_OVERLAP = 0.35; // Reduced for better grouping
-const SMALL_GROUP_MAX_SIZE = 3;
-const GROUP_NAME_SIMILARITY_THRESHOLD = 0.62;
-const GROUP_NAME_VECTOR_THRESHOLD = 0.5;
 const ENABLE_MERGE_DEBUG_LOGS = true;
 const ENFORCE_AI_FEATURES = true;
 const LLM_VERIFICATION_CONFIDENCE = 0.58;
 const LLM_MERGE_SIMILARITY_FLOOR = 0.34;
 const LLM_VERIFICATION_TIMEOUT = 11000;
-const GENERIC_MERGE_STOPWORDS = new Set([
-    'research',
-    'news',
-    'blog',
-    'updates',
-    'topics',
-    'portal',
-    'general',
-    'overview'
-]);
 const EMBEDDING_MIN_CONTENT_CHARS = 160;
-const EMBEDDING_CACHE_TTL = 15 * 60 * 1000;
 const EMBEDDING_MAX_TOKENS = 400; // Reduced from 600 for faster processing
 const EMBEDDING_FALLBACK_DIM = 64;
-const TFIDF_TOKEN_LIMIT = 24;
-const LABEL_CACHE_TTL = 60 * 60 * 1000; // 1 hour
-const MAX_AI_FEATURE_TABS = 16;  // Allow AI (incl. summarizer) on up to 16 tabs
-const MAX_AI_EMBED_TABS = 16;   // Allow embeddings generation on up to 16 tabs
-const MAX_AI_LABEL_GROUPS = 6; // Allow full labels for up to 6 groups initially
+// Persistent cache schemas: αλλαγή στο prompt/in-page function ακυρώνει τα αντίστοιχα entries
+// (features/labels/summaries: v3/v2/v2 από το redaction του περιεχομένου, τα παλιά entries βγήκαν από μη μασκαρισμένο κείμενο)
+const CACHE_SCHEMAS = {
+    semanticFeatures: fingerprintCacheSchema('features-v3', generateTabFeaturesInPage),
+    embeddings: fingerprintCacheSchema('embeddings-v1', generateTabEmbeddingInPage, EMBEDDING_MAX_TOKENS),
+    groupLabels: fingerprintCacheSchema('labels-v2', generateGroupLabelInPage),
+    groupSummaries: fingerprintCacheSchema('summaries-v2', performAISummarizationInContent)
+};
+// AI enrichment queue: όσα tabs δεν προλαβαίνουν το foreground budget εμπλουτίζονται στο background
+const AI_ENRICHMENT_QUEUE_KEY = 'aiEnrichmentQueue';
+const AI_ENRICHMENT_FOREGROUND_BUDGET_MS = 12000; // AI embeddings πριν το πρώτο αποτέλεσμα (κατά priority)
+const AI_ENRICHMENT_IDLE_DELAY_MS = 2500;         // Περιμένουμε labels/summaries πριν ξεκινήσει το queue
+const AI_ENRICHMENT_RETRY_DELAY_MS = 60 * 1000;   // Pause όταν το AI δεν απαντά
+const AI_ENRICHMENT_MAX_ATTEMPTS = 3;
+const AI_ENRICHMENT_RECLUSTER_MIN = 8;            // Re-cluster μετά από τόσα νέα enriched tabs...
+const AI_ENRICHMENT_RECLUSTER_RATIO = 0.2;        // ...ή 20% των tabs, ό,τι είναι μεγαλύτερο
+const REGROUP_PROPOSAL_KEY = 'pendingRegroupProposal'; // Re-cluster που περιμένει preview στο popup
 const PAIRWISE_LLM_CACHE = new Map();
 const RESTRICTED_HOSTS = [
     'mail.google.com',
@@ -229,36 +230,20 @@ const RESTRICTED_HOSTS = [
 ];
 
 const DEFAULT_WORKING_LANGUAGE = 'en';
-const SIMHASH_BITS = 32;
-const GROUP_AUTOSUSPEND_IDLE_MS = 5 * 60 * 1000;
+// Τα knobs με let ρυθμίζονται από το options page (βλ. applyExtensionSettings)
+let GROUP_AUTOSUSPEND_ENABLED = true;
+let GROUP_AUTOSUSPEND_IDLE_MS = 5 * 60 * 1000;
 const GROUP_AUTOSUSPEND_CHECK_MS = 90 * 1000;
 
 // Smart reload for stale tabs (non-breaking default)
-const AUTO_RELOAD_STALE_TABS = true;               // Enable smart reload before scans
+let AUTO_RELOAD_STALE_TABS = true;                 // Enable smart reload before scans
 const RELOAD_BYPASS_CACHE = false;                 // Keep cache to reduce bandwidth
 const RELOAD_TIMEOUT_MS = 15000;                   // Max wait per tab for reload
-const RELOAD_MAX_TABS = 16;                        // Safety cap to avoid mass reloads
-const STARTUP_SMART_RELOAD = true;                 // Also attempt smart reload on Chrome startup
+let RELOAD_MAX_TABS = 16;                          // Safety cap to avoid mass reloads
+let STARTUP_SMART_RELOAD = true;                   // Also attempt smart reload on Chrome startup
 // Summarizer availability memory to avoid repeated failing attempts
 const SUMMARIZER_UNAVAILABLE_TTL_MS = 6 * 60 * 60 * 1000; // 6h
 
-const TAXONOMY_RULES = [
-    { match: /youtube\.com|youtu\.be/i, tags: ['media', 'video', 'youtube'] },
-    { match: /news|cnn|bbc|reuters|guardian/i, tags: ['news', 'media'] },
-    { match: /wikipedia\.org/i, tags: ['reference', 'encyclopedia'] },
-    { match: /github\.com/i, tags: ['software', 'development', 'github'] },
-    { match: /stackoverflow\.com/i, tags: ['software', 'programming', 'questions'] },
-    // Generalize gaming taxonomy; avoid brand-specific tags
-    { match: /futbin\.com|fut\.gg|ea\.com\/fc|fifa/i, tags: ['gaming'] },
-    { match: /nature\.com/i, tags: ['medical research', 'science', 'journal'] },
-    { match: /nejm\.org/i, tags: ['medical research', 'clinical medicine', 'journal'] },
-    { match: /pubmed\.ncbi\.nlm\.nih\.gov|nih\.gov|medscape/i, tags: ['medical research', 'healthcare'] },
-    { match: /chrome\.developers|developer\.chrome\.com|chromium\.org/i, tags: ['software', 'chrome', 'web platform'] },
-    { match: /gmail\.com|mail\.google\.com|outlook\.com/i, tags: ['email', 'communications'] },
-    { match: /amazon\.|ebay\.|shop|store/i, tags: ['commerce', 'shopping'] },
-    { match: /docs\.google\.com|notion\.so|drive\.google\.com/i, tags: ['productivity', 'documents'] }
-];
-
 const HAS_PERFORMANCE_API = typeof performance !== 'undefined' && typeof performance.now === 'function';
 const AI_FEATURE_TIMEOUT = 18000;
 // Increase label timeout to reduce spurious timeouts on first load
@@ -269,60 +254,109 @@ const AI_LABEL_COOLDOWN_SUCCESS_MS = 600;
 const AI_LABEL_COOLDOWN_FAILURE_MS = 1400;
 
 // ---- RAM management knobs ----
-const RAM_CLEANUP_ENABLED = true;                 // Enable post-run RAM cleanup
+let RAM_CLEANUP_ENABLED = true;                   // Enable post-run RAM cleanup
 const RAM_CLEANUP_DELAY_MS = 2000;                // Delay before cleanup to avoid UI jank
 const RAM_PRUNE_CONTENT = true;                   // Strip heavy content strings from unused tabs in memory
-const RAM_DISCARD_UNUSED_TABS = true;             // Ask Chrome to discard unused tabs (not active/pinned/audible)
-const RAM_MAX_DISCARDS_PER_RUN = 5;               // Safety cap
+let RAM_DISCARD_UNUSED_TABS = true;               // Ask Chrome to discard unused tabs (not active/pinned/audible)
+let RAM_MAX_DISCARDS_PER_RUN = 5;                 // Safety cap
 const RAM_MIN_TAB_AGE_MS = 30 * 1000;             // Only discard tabs older than 30s (avoid flicker on fresh tabs)
 function nowMs() {
     return HAS_PERFORMANCE_API ? performance.now() : Date.now();
 }
 
 // ---- Generalization toggles ----
-// When true, prefer embedding-first similarity for grouping and use TF-IDF only as fallback
-const GENERAL_GROUPING_MODE = true;
 // In LLM refinement, consider top-K candidate groups (by embedding similarity) for singleton attachment
 const EMBED_TOPK_CANDIDATES = 3;
 // Disable shopping category split to avoid over-segmentation and singletons
-const ENABLE_SHOPPING_SPLIT = false;
+let ENABLE_SHOPPING_SPLIT = false;
 
-// ---- Generic detectors (content-based, domain-agnostic) ----
-function detectShoppingStrong(text = '', url = '') {
-    try {
-        const s = `${String(text || '')} ${String(url || '')}`.toLowerCase();
-        const u = String(url || '').toLowerCase();
-        let host = '';
-        let path = '';
-        try { const uo = new URL(url); host = (uo.hostname || '').toLowerCase(); path = (uo.pathname || '').toLowerCase(); } catch {}
-
-        // Domain heuristics: common e-commerce hosts
-        const ECOMM_HOSTS = /(amazon\.|ebay\.|bestbuy\.|target\.|temu\.|aliexpress\.|shein\.|walmart\.|etsy\.|flipkart\.|skroutz\.|public\.gr|plaisio\.)/;
-        const onEcommHost = ECOMM_HOSTS.test(host);
-        const ecommPath = /(\/s\?|\/search(?![a-z])|\/search_result|\/sch\/|\/pdsearch\/|\/dp\/|\/gp\/|\/product|\/cart|\/checkout|\/c\/|\/category|\/browse|abcat\d|cid\d?)/.test(path)
-            || /[?&](_?nkw|k|q|query|search|search_term|searchterm|searchtype|search_type|search_source|keyword|keywords|searchTerm|searchTermRaw)=/i.test(u)
-            || (onEcommHost && /[?&][^=]*search[^=]*=/i.test(u));
-
-        const hasCart = /(add to cart|add-to-cart|\bcart\b|checkout|buy now|buy)/.test(s);
-        const hasFulfillment = /(free shipping|delivery|\bin stock\b|returns?)/.test(s);
-        const hasCurrency = /[\$€£]\s?\d/.test(s) || /(usd|eur|gbp)\s?\d/.test(s);
-        const hasPriceWord = /\bprice\b|\bprices\b/.test(s);
-        const hasDealWord = /(\bsale\b|\bdeals?\b|\bdiscount\b|\boffers?\b)/.test(s);
-        const hasListingControls = /\bfilters?\b|\bsort\b|\brefine\b|\bapply filter\b/.test(s);
-        const hasGreekCommerce = /(καλάθι|ταμείο|αγορά|προσφορά|έκπτωση|εκπτωση|τιμή)/.test(s);
-
-        // Strong signals
-        if (hasCart || hasFulfillment || hasCurrency || hasGreekCommerce) return true;
-        // Domain+path heuristic counts as shopping even if content string is sparse
-        if (onEcommHost && (ecommPath || hasDealWord || hasPriceWord || hasListingControls)) return true;
-        // If on e-comm host and title hints at product/category, consider shopping
-        if (onEcommHost && /(category|search|results|shop|store|sale|deals?)/.test(s)) return true;
-        // Otherwise require combination of price and listing controls
-        if (hasPriceWord && hasListingControls) return true;
-        return false;
-    } catch (_) {
-        return false;
+// ---- Live grouping ----
+// Νέα/navigated tabs μπαίνουν στο πλησιέστερο υπάρχον group χωρίς full rescan
+let LIVE_GROUPING_ENABLED = true;
+const LIVE_GROUPING_DEBOUNCE_MS = 1200;
+
+// ---- Audit log (audit-log.js) ----
+// Κάθε prompt()/summarize() προς το on-device model γράφεται redacted στο IndexedDB
+let AI_AUDIT_ENABLED = true;
+let AI_AUDIT_RETENTION_DAYS = 14;
+let AI_AUDIT_MAX_ENTRIES = 2000;
+
+// ---- Archive suggestions ----
+// Tabs που δεν ανοίχτηκαν για τόσες ημέρες προτείνονται για archive (βλ. scoreTabStaleness)
+let ARCHIVE_STALE_DAYS = 7;
+
+// ---- Options page settings (chrome.storage.sync → extensionSettings) ----
+let extensionSettings = getDefaultExtensionSettings();
+let extensionSettingsPromise = null;
+
+/**
+ * Περνάει τα validated settings στα knobs του service worker και του grouping core
+ */
+function applyExtensionSettings(raw) {
+    const { settings, errors } = validateExtensionSettings(raw);
+    if (errors.length) {
+        console.warn('⚙️ [Settings] Invalid values replaced with defaults:', errors.map(error => error.message).join('; '));
+    }
+    const wasAutoSuspendEnabled = GROUP_AUTOSUSPEND_ENABLED;
+    extensionSettings = settings;
+
+    configureGroupingThresholds({
+        joinThreshold: settings.similarityJoinThreshold,
+        splitThreshold: settings.similaritySplitThreshold,
+        mergeThreshold: settings.crossGroupMergeThreshold
+    });
+    ENABLE_SHOPPING_SPLIT = settings.enableShoppingSplit;
+    LIVE_GROUPING_ENABLED = settings.liveGroupingEnabled;
+    GROUP_AUTOSUSPEND_ENABLED = settings.groupAutoSuspendEnabled;
+    GROUP_AUTOSUSPEND_IDLE_MS = settings.groupAutoSuspendIdleMinutes * 60 * 1000;
+    AUTO_RELOAD_STALE_TABS = settings.autoReloadStaleTabs;
+    STARTUP_SMART_RELOAD = settings.startupSmartReload;
+    RELOAD_MAX_TABS = settings.reloadMaxTabs;
+    RAM_CLEANUP_ENABLED = settings.ramCleanupEnabled;
+    RAM_DISCARD_UNUSED_TABS = settings.ramDiscardUnusedTabs;
+    RAM_MAX_DISCARDS_PER_RUN = settings.ramMaxDiscardsPerRun;
+    AI_AUDIT_ENABLED = settings.auditLogEnabled;
+    AI_AUDIT_RETENTION_DAYS = settings.auditLogRetentionDays;
+    AI_AUDIT_MAX_ENTRIES = settings.auditLogMaxEntries;
+    ARCHIVE_STALE_DAYS = settings.archiveStaleDays;
+
+    if (!LIVE_GROUPING_ENABLED) {
+        liveGroupingTimers.forEach(timer => clearTimeout(timer));
+        liveGroupingTimers.clear();
+    }
+    if (!GROUP_AUTOSUSPEND_ENABLED) {
+        stopAutoSuspendScheduler();
+    } else if (!wasAutoSuspendEnabled && Array.isArray(aiGroups) && aiGroups.length) {
+        startAutoSuspendScheduler();
+    }
+    return settings;
+}
+
+/**
+ * Φορτώνει τα settings μία φορά ανά ζωή του service worker· οι αλλαγές έρχονται μέσω storage.onChanged
+ */
+function ensureExtensionSettings() {
+    if (!extensionSettingsPromise) {
+        extensionSettingsPromise = (async () => {
+            try {
+                const stored = await chrome.storage.sync.get([EXTENSION_SETTINGS_KEY]);
+                applyExtensionSettings(stored[EXTENSION_SETTINGS_KEY]);
+            } catch (error) {
+                console.warn('⚙️ [Settings] Failed to load, using defaults:', error?.message || error);
+            }
+            return extensionSettings;
+        })();
     }
+    return extensionSettingsPromise;
+}
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync' || !changes[EXTENSION_SETTINGS_KEY]) return;
+        extensionSettingsPromise = Promise.resolve(applyExtensionSettings(changes[EXTENSION_SETTINGS_KEY].newValue));
+        console.log('⚙️ [Settings] Reloaded from options page');
+    });
+    ensureExtensionSettings();
 }
 
 // Infer a shopping subcategory when AI does not provide one
@@ -525,6 +559,10 @@ async function autoSuspendInactiveGroups() {
     if (typeof chrome === 'undefined' || !chrome.tabGroups || !chrome.tabs) {
         return;
     }
+    await ensureExtensionSettings();
+    if (!GROUP_AUTOSUSPEND_ENABLED) {
+        return;
+    }
     try {
         const now = Date.now();
         const groups = await chrome.tabGroups.query({});
@@ -590,7 +628,7 @@ async function autoSuspendInactiveGroups() {
 }
 
 function startAutoSuspendScheduler() {
-    if (autoSuspendTimer || typeof chrome === 'undefined') {
+    if (autoSuspendTimer || typeof chrome === 'undefined' || !GROUP_AUTOSUSPEND_ENABLED) {
         return;
     }
     autoSuspendTimer = setInterval(() => {
@@ -604,6 +642,14 @@ function startAutoSuspendScheduler() {
     }, GROUP_AUTOSUSPEND_CHECK_MS / 2);
 }
 
+function stopAutoSuspendScheduler() {
+    if (!autoSuspendTimer) {
+        return;
+    }
+    clearInterval(autoSuspendTimer);
+    autoSuspendTimer = null;
+}
+
 async function withTimeout(promise, timeoutMs, timeoutMessage) {
     let timeoutId;
     const timeoutPromise = new Promise((_, reject) => {
@@ -644,6 +690,7 @@ chrome.runtime.onInstalled.addListener(() => {
                 const items = [
                     // Use 'page' context (valid across Chrome channels) instead of unsupported 'tab'
                     { id: 'synthesizeGroup', title: '✨ Summarize & Compare Group (AI)', contexts: ['page'], documentUrlPatterns: ['http://*/*','https://*/*'] },
+                    { id: 'saveGroupAsSession', title: '💾 Save Group as Session', contexts: ['page'], documentUrlPatterns: ['http://*/*','https://*/*'] },
                     { id: 'synthesizeActiveGroup', title: '✨ Summarize Active Tab Group (AI)', contexts: ['action'] }
                 ];
                 for (const def of items) {
@@ -675,6 +722,8 @@ if (chrome.contextMenus && chrome.contextMenus.onClicked) {
                 } else {
                     console.warn('No AI group found for current tab');
                 }
+            } else if (info.menuItemId === 'saveGroupAsSession') {
+                await saveSessionFromTab(tab);
             } else if (info.menuItemId === 'synthesizeActiveGroup') {
                 await synthesizeActiveGroupFromAction();
             }
@@ -705,6 +754,7 @@ if (chrome.tabGroups?.onRemoved) {
         const groupId = typeof group === 'number' ? group : (group?.groupId ?? null);
         if (typeof groupId === 'number') {
             groupActivityState.delete(groupId);
+            forgetOwnedTabGroup(groupId).catch(() => {});
             if (Array.isArray(aiGroups)) {
                 const idx = aiGroups.findIndex(item => item && item.chromeGroupId === groupId);
                 if (idx !== -1 && aiGroups[idx]) {
@@ -716,6 +766,474 @@ if (chrome.tabGroups?.onRemoved) {
     });
 }
 
+if (chrome.tabGroups?.onCreated && chrome.tabGroups?.onUpdated) {
+    // Session restore ξαναφτιάχνει τα groups σιγά σιγά· οι rename/recolor κρατούν τα records ενημερωμένα
+    chrome.tabGroups.onCreated.addListener(() => scheduleOwnedTabGroupRefresh());
+    chrome.tabGroups.onUpdated.addListener(() => scheduleOwnedTabGroupRefresh());
+}
+
+// ---- Κανόνες χρήστη (URL/title → group, never, tags) πριν το clustering ----
+let groupingRules = null;
+
+async function loadGroupingRules() {
+    if (groupingRules) {
+        return groupingRules;
+    }
+    try {
+        const { [GROUPING_RULES_KEY]: stored } = await chrome.storage.local.get([GROUPING_RULES_KEY]);
+        const { rules, errors } = validateGroupingRules(Array.isArray(stored) ? stored : []);
+        if (errors.length) {
+            console.warn(`📐 [Rules] Ignoring ${errors.length} invalid rule entries`);
+        }
+        groupingRules = rules;
+    } catch (error) {
+        console.warn('Failed to load grouping rules:', error?.message || error);
+        groupingRules = [];
+    }
+    return groupingRules;
+}
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[GROUPING_RULES_KEY]) return;
+        groupingRules = null;
+        console.log('📐 [Rules] Rule set changed');
+    });
+}
+
+// ---- Must-link / cannot-link constraints από χειροκίνητες μετακινήσεις tabs ----
+const GROUPING_CONSTRAINTS_KEY = 'groupingConstraints';
+const GROUPING_CONSTRAINT_MAX_PAIRS = 2000;
+const GROUPING_CONSTRAINT_MAX_EVIDENCE = 500;
+const GROUPING_CONSTRAINT_MAX_PARTNERS = 12;      // ταίρια ανά μετακίνηση (δείγμα σε μεγάλα groups)
+const GROUPING_CONSTRAINT_DOMAIN_PROMOTION = 3;   // διαφορετικά URL pairs πριν γίνει domain constraint
+const GROUPING_CONSTRAINT_LEARN_DELAY_MS = 1500;  // ώστε ένα ungroup ολόκληρου group να μη μετράει ως διόρθωση
+const PROGRAMMATIC_GROUP_CHANGE_WINDOW_MS = 3000;
+
+let groupingConstraints = null;
+const programmaticGroupChanges = new Map(); // tabId → timestamp δικής μας αλλαγής groupId
+const constraintLearningTimers = new Map();
+
+function markProgrammaticGroupChange(tabIds) {
+    const now = Date.now();
+    (tabIds || []).forEach(tabId => programmaticGroupChanges.set(tabId, now));
+}
+
+function isProgrammaticGroupChange(tabId) {
+    const changedAt = programmaticGroupChanges.get(tabId);
+    if (changedAt === undefined) {
+        return false;
+    }
+    if (Date.now() - changedAt > PROGRAMMATIC_GROUP_CHANGE_WINDOW_MS) {
+        programmaticGroupChanges.delete(tabId);
+        return false;
+    }
+    return true;
+}
+
+async function loadGroupingConstraints() {
+    if (groupingConstraints) {
+        return groupingConstraints;
+    }
+    try {
+        const { [GROUPING_CONSTRAINTS_KEY]: stored } = await chrome.storage.local.get([GROUPING_CONSTRAINTS_KEY]);
+        groupingConstraints = {
+            pairs: Array.isArray(stored?.pairs) ? stored.pairs : [],
+            domains: Array.isArray(stored?.domains) ? stored.domains : [],
+            evidence: stored?.evidence && typeof stored.evidence === 'object' ? stored.evidence : {}
+        };
+    } catch (error) {
+        console.warn('Failed to load grouping constraints:', error?.message || error);
+        groupingConstraints = { pairs: [], domains: [], evidence: {} };
+    }
+    return groupingConstraints;
+}
+
+/**
+ * Ένα constraint ανά (a, b)· η πιο πρόσφατη απόφαση του χρήστη αντικαθιστά την προηγούμενη
+ */
+function upsertGroupingConstraint(list, kind, a, b) {
+    const [first, second] = a < b ? [a, b] : [b, a];
+    const existing = list.findIndex(constraint => constraint.a === first && constraint.b === second);
+    if (existing !== -1) {
+        list.splice(existing, 1);
+    }
+    list.push({ kind, a: first, b: second, updatedAt: Date.now() });
+}
+
+/**
+ * Καταγράφει must/cannot-link ανάμεσα σε ένα tab και τα ταίρια του. Η ίδια απόφαση για
+ * GROUPING_CONSTRAINT_DOMAIN_PROMOTION διαφορετικά URL pairs δύο domains γίνεται domain constraint.
+ */
+async function recordGroupingConstraints(kind, tab, partners) {
+    const constraints = await loadGroupingConstraints();
+    const key = constraintKeyForUrl(tab?.url);
+    if (!key) {
+        return 0;
+    }
+    const domain = constraintDomainForEntry(tab);
+    const opposite = kind === 'must' ? 'cannot' : 'must';
+    let recorded = 0;
+    (partners || []).slice(0, GROUPING_CONSTRAINT_MAX_PARTNERS).forEach(partner => {
+        const partnerKey = constraintKeyForUrl(partner?.url);
+        if (!partnerKey || partnerKey === key) return;
+        upsertGroupingConstraint(constraints.pairs, kind, key, partnerKey);
+        recorded += 1;
+        
+        const partnerDomain = constraintDomainForEntry(partner);
+        if (!domain || !partnerDomain || domain === partnerDomain) return;
+        const domainPair = [domain, partnerDomain].sort().join('|');
+        const evidence = constraints.evidence[`${kind}|${domainPair}`] || { pairs: [] };
+        evidence.pairs = Array.from(new Set([...evidence.pairs, [key, partnerKey].sort().join('|')]))
+            .slice(-GROUPING_CONSTRAINT_DOMAIN_PROMOTION);
+        evidence.updatedAt = Date.now();
+        constraints.evidence[`${kind}|${domainPair}`] = evidence;
+        delete constraints.evidence[`${opposite}|${domainPair}`];
+        if (evidence.pairs.length >= GROUPING_CONSTRAINT_DOMAIN_PROMOTION) {
+            upsertGroupingConstraint(constraints.domains, kind, domain, partnerDomain);
+        }
+    });
+    if (!recorded) {
+        return 0;
+    }
+    
+    const byAge = (a, b) => (a.updatedAt || 0) - (b.updatedAt || 0);
+    if (constraints.pairs.length > GROUPING_CONSTRAINT_MAX_PAIRS) {
+        constraints.pairs.sort(byAge).splice(0, constraints.pairs.length - GROUPING_CONSTRAINT_MAX_PAIRS);
+    }
+    const evidenceKeys = Object.keys(constraints.evidence);
+    if (evidenceKeys.length > GROUPING_CONSTRAINT_MAX_EVIDENCE) {
+        evidenceKeys
+            .sort((a, b) => byAge(constraints.evidence[a], constraints.evidence[b]))
+            .slice(0, evidenceKeys.length - GROUPING_CONSTRAINT_MAX_EVIDENCE)
+            .forEach(evidenceKey => delete constraints.evidence[evidenceKey]);
+    }
+    try {
+        await chrome.storage.local.set({ [GROUPING_CONSTRAINTS_KEY]: constraints });
+    } catch (error) {
+        console.warn('Failed to persist grouping constraints:', error?.message || error);
+    }
+    return recorded;
+}
+
+function scheduleConstraintLearning(tabId, groupId) {
+    if (isScanning || isProgrammaticGroupChange(tabId)) {
+        return;
+    }
+    if (constraintLearningTimers.has(tabId)) {
+        clearTimeout(constraintLearningTimers.get(tabId));
+    }
+    constraintLearningTimers.set(tabId, setTimeout(() => {
+        constraintLearningTimers.delete(tabId);
+        learnFromTabGroupChange(tabId, groupId)
+            .catch(e => console.warn('Constraint learning failed:', e?.message || e));
+    }, GROUPING_CONSTRAINT_LEARN_DELAY_MS));
+}
+
+/**
+ * Ο χρήστης μετακίνησε tab από/προς group της επέκτασης:
+ * cannot-link με τα μέλη του παλιού group, must-link με τα μέλη του νέου
+ */
+async function learnFromTabGroupChange(tabId, groupId) {
+    if (isScanning) {
+        return;
+    }
+    if (!Array.isArray(aiGroups) || !aiGroups.length) {
+        const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+        if (!Array.isArray(stored.cachedGroups) || !Array.isArray(stored.tabData)) {
+            return;
+        }
+        aiGroups = stored.cachedGroups;
+        if (!currentTabData.length) {
+            currentTabData = stored.tabData;
+        }
+    }
+    const index = currentTabData.findIndex(entry => entry && entry.id === tabId);
+    if (index === -1) {
+        return;
+    }
+    const tab = currentTabData[index];
+    const ownedGroupIds = await loadOwnedTabGroupIds();
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    // Ένα group που διαλύθηκε ολόκληρο έχει ήδη χάσει το chromeGroupId του (tabGroups.onRemoved)
+    const previous = aiGroups.find(group =>
+        typeof group?.chromeGroupId === 'number' && Array.isArray(group.tabIndices) && group.tabIndices.includes(index));
+    if (previous && previous.chromeGroupId === groupId) {
+        return;
+    }
+    const leftOwnedGroup = Boolean(previous && previous.ownership !== 'manual' && ownedGroupIds.has(previous.chromeGroupId));
+    const next = groupId !== NO_GROUP && ownedGroupIds.has(groupId)
+        ? aiGroups.find(group => group?.chromeGroupId === groupId) || null
+        : null;
+    if (!leftOwnedGroup && !next) {
+        return;
+    }
+    
+    let cannotLinks = 0;
+    let mustLinks = 0;
+    if (leftOwnedGroup) {
+        const formerMembers = previous.tabIndices
+            .filter(idx => idx !== index)
+            .map(idx => currentTabData[idx])
+            .filter(Boolean);
+        cannotLinks = await recordGroupingConstraints('cannot', tab, formerMembers);
+        previous.tabIndices = previous.tabIndices.filter(idx => idx !== index);
+    }
+    if (next) {
+        const members = (await chrome.tabs.query({ groupId })).filter(member => member.id !== tabId);
+        mustLinks = await recordGroupingConstraints('must', tab, members);
+        if (!next.tabIndices.includes(index)) {
+            next.tabIndices = [...next.tabIndices, index];
+        }
+    }
+    
+    devlog({
+        type: 'GROUPING_CONSTRAINT',
+        tabId,
+        url: tab.url,
+        from: leftOwnedGroup ? previous.name : null,
+        to: next?.name || null,
+        cannotLinks,
+        mustLinks,
+        silent: true
+    });
+    console.log(`🧷 [Constraints] "${tab.title}" moved${leftOwnedGroup ? ` out of "${previous.name}"` : ''}${next ? ` into "${next.name}"` : ''} (${cannotLinks} cannot-link, ${mustLinks} must-link)`);
+    await synchronizeCachedGroups();
+}
+
+// ---- Live grouping: incremental attach χωρίς SCAN_TABS ----
+const liveGroupingTimers = new Map();
+let liveGroupingContext = null;
+let liveGroupingQueue = Promise.resolve();
+
+function scheduleLiveTabChange(tabId) {
+    if (!LIVE_GROUPING_ENABLED || typeof tabId !== 'number') {
+        return;
+    }
+    if (liveGroupingTimers.has(tabId)) {
+        clearTimeout(liveGroupingTimers.get(tabId));
+    }
+    liveGroupingTimers.set(tabId, setTimeout(() => {
+        liveGroupingTimers.delete(tabId);
+        liveGroupingQueue = liveGroupingQueue
+            .then(() => handleLiveTabChange(tabId))
+            .catch(e => console.warn('Live grouping failed:', e?.message || e));
+    }, LIVE_GROUPING_DEBOUNCE_MS));
+}
+
+/**
+ * Feature context + centroids από το τελευταίο scan· ξαναχτίζεται μόνο όταν αλλάξει το aiGroups
+ */
+async function ensureLiveGroupingContext() {
+    if (!Array.isArray(aiGroups) || !aiGroups.length) {
+        // Service worker restart: επαναφορά από το τελευταίο αποθηκευμένο run
+        try {
+            const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+            if (Array.isArray(stored.cachedGroups) && Array.isArray(stored.tabData) && !isScanning) {
+                aiGroups = stored.cachedGroups;
+                if (!currentTabData.length) {
+                    currentTabData = stored.tabData;
+                }
+            }
+        } catch (e) {
+            console.warn('Live grouping restore failed:', e?.message || e);
+        }
+    }
+    if (!Array.isArray(aiGroups) || !aiGroups.some(group => typeof group?.chromeGroupId === 'number')) {
+        liveGroupingContext = null;
+        return null;
+    }
+    if (liveGroupingContext && liveGroupingContext.groups === aiGroups) {
+        return liveGroupingContext;
+    }
+    const featureContext = prepareTabFeatureContext(hydrateTabDataForAI(currentTabData));
+    liveGroupingContext = { groups: aiGroups, featureContext };
+    return liveGroupingContext;
+}
+
+/**
+ * Features μόνο για το tab που άλλαξε → best centroid → attach ή ungrouped.
+ * Δεν αγγίζει άλλα tabs ούτε groups που δεν δημιούργησε η επέκταση.
+ */
+async function handleLiveTabChange(tabId) {
+    await ensureExtensionSettings();
+    if (!LIVE_GROUPING_ENABLED || isScanning) {
+        return;
+    }
+    const liveStart = nowMs();
+    let tab;
+    try {
+        tab = await chrome.tabs.get(tabId);
+    } catch (_) {
+        return;
+    }
+    if (!tab || !tab.url || !tab.url.startsWith('http') || tab.incognito || tab.pinned) {
+        return;
+    }
+    
+    const context = await ensureLiveGroupingContext();
+    if (!context) {
+        return;
+    }
+    const existingIndex = currentTabData.findIndex(entry => entry && entry.id === tabId);
+    if (existingIndex !== -1 && currentTabData[existingIndex].url === tab.url) {
+        return;
+    }
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const inChromeGroup = typeof tab.groupId === 'number' && tab.groupId !== NO_GROUP;
+    const currentOwner = inChromeGroup
+        ? context.groups.find(group => group.chromeGroupId === tab.groupId)
+        : null;
+    if (inChromeGroup && (!currentOwner || currentOwner.ownership === 'manual')) {
+        console.log(`⏭️ [Live] Tab ${tabId} is in a group not created by the extension, skipping`);
+        return;
+    }
+    
+    const extracted = await extractTabContent(tab);
+    if (isScanning || context !== liveGroupingContext) {
+        return;
+    }
+    let domain = '';
+    try {
+        domain = new URL(tab.url).hostname;
+    } catch (_) {
+        domain = '';
+    }
+    const entry = {
+        id: tab.id,
+        title: tab.title,
+        url: tab.url,
+        favicon: tab.favIconUrl,
+        active: tab.active,
+        lastAccessed: tab.lastAccessed,
+        domain,
+        content: extracted?.content || '',
+        metaDescription: extracted?.metaDescription || '',
+        headings: extracted?.headings || [],
+        metaKeywords: extracted?.metaKeywords || [],
+        canonicalUrl: extracted?.canonicalUrl || '',
+        language: extracted?.language || '',
+        contentHash: extracted?.contentHash || '',
+        youtubeAnalysis: extracted?.youtubeAnalysis || null,
+        privacyExcluded: Boolean(extracted?.privacyExcluded),
+        summaryBullets: [],
+        classification: null,
+        semanticFeatures: null
+    };
+    entry.topicHints = generateTopicHints(entry);
+    
+    const index = existingIndex !== -1 ? existingIndex : currentTabData.length;
+    currentTabData[index] = entry;
+    const aiEntry = buildTabDataForAI(entry, index);
+    const ruleMatch = matchGroupingRules(aiEntry, compileGroupingRules(await loadGroupingRules()));
+    if (ruleMatch.tags.length) {
+        aiEntry.ruleTags = ruleMatch.tags;
+    }
+    const vector = vectorizeTabInContext(aiEntry, context.featureContext);
+    context.featureContext.tabData[index] = aiEntry;
+    context.featureContext.vectors[index] = vector;
+    context.groups.forEach(group => {
+        if (Array.isArray(group.tabIndices)) {
+            group.tabIndices = group.tabIndices.filter(idx => idx !== index);
+        }
+    });
+    
+    // Υποψήφια μόνο τα groups της επέκτασης στο ίδιο window με το tab
+    let windowGroupIds = new Set();
+    try {
+        const windowGroups = await chrome.tabGroups.query({ windowId: tab.windowId });
+        windowGroupIds = new Set(windowGroups.map(group => group.id));
+    } catch (e) {
+        console.warn('Live grouping window lookup failed:', e?.message || e);
+    }
+    // Στα χειροκίνητα groups προσθέτουμε tabs μόνο στο merge mode
+    const joinManualGroups = (await getGroupOwnershipMode()) === 'merge';
+    const constraintIndex = buildGroupingConstraintIndex(await loadGroupingConstraints(), context.featureContext.tabData);
+    const centroids = buildGroupCentroids(context.groups, context.featureContext)
+        .filter(centroid => {
+            const group = context.groups[centroid.groupIndex];
+            return windowGroupIds.has(group?.chromeGroupId) && (joinManualGroups || group.ownership !== 'manual') &&
+                !group.ruleGroup && !hasCannotLinkConflict([index], group.tabIndices, constraintIndex?.cannot);
+        });
+    // Must-link ταίρια υπερισχύουν του centroid score
+    const mustPartners = constraintIndex?.must.get(index);
+    const mustCentroid = mustPartners
+        ? centroids.find(centroid => context.groups[centroid.groupIndex].tabIndices.some(idx => mustPartners.has(idx)))
+        : null;
+    // Κανόνας χρήστη: never → ungrouped, group → μόνο το group του κανόνα (αν υπάρχει στο window)
+    let best;
+    if (ruleMatch.placement) {
+        const ruleKey = groupingRuleGroupKey(ruleMatch.placement.groupName);
+        const ruleGroupIndex = ruleMatch.placement.action === 'group'
+            ? context.groups.findIndex(group => group?.ruleGroup && windowGroupIds.has(group.chromeGroupId) &&
+                groupingRuleGroupKey(group.name) === ruleKey)
+            : -1;
+        best = ruleGroupIndex !== -1 ? { groupIndex: ruleGroupIndex, score: 1, source: 'rule' } : null;
+    } else {
+        best = mustCentroid
+            ? { groupIndex: mustCentroid.groupIndex, score: 1, source: 'must-link' }
+            : rankGroupCentroids(vector, centroids)[0] || null;
+    }
+    const target = best && best.score >= SIMILARITY_JOIN_THRESHOLD ? context.groups[best.groupIndex] : null;
+    
+    try {
+        if (target) {
+            if (tab.groupId !== target.chromeGroupId) {
+                await chrome.tabGroups.get(target.chromeGroupId);
+                markProgrammaticGroupChange([tabId]);
+                await chrome.tabs.group({ groupId: target.chromeGroupId, tabIds: [tabId] });
+            }
+            target.tabIndices = [...(target.tabIndices || []), index];
+        } else if (currentOwner) {
+            markProgrammaticGroupChange([tabId]);
+            await chrome.tabs.ungroup([tabId]);
+        }
+    } catch (e) {
+        console.warn(`Live grouping could not update tab ${tabId}:`, e?.message || e);
+        return;
+    }
+    
+    devlog({
+        type: 'LIVE_GROUPING',
+        tabId,
+        url: tab.url,
+        group: target?.name || null,
+        score: round(best?.score || 0),
+        source: best?.source || null,
+        silent: true
+    });
+    console.log(`⚡ [Live] Tab ${tabId} "${tab.title}" → ${target ? `"${target.name}" (${round(best.score)})` : 'ungrouped'}`);
+    logTiming('Live grouping (1 tab)', liveStart);
+    
+    try {
+        await chrome.storage.local.set({ cachedGroups: aiGroups, tabData: currentTabData });
+    } catch (e) {
+        console.warn('Live grouping persist failed:', e?.message || e);
+    }
+}
+
+if (chrome.tabs?.onCreated) {
+    chrome.tabs.onCreated.addListener((tab) => {
+        if (tab?.url && tab.url.startsWith('http')) {
+            scheduleLiveTabChange(tab.id);
+        }
+    });
+}
+
+if (chrome.tabs?.onUpdated) {
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+        if (changeInfo?.status === 'complete') {
+            scheduleLiveTabChange(tabId);
+        }
+        if (typeof changeInfo?.groupId === 'number') {
+            scheduleConstraintLearning(tabId, changeInfo.groupId);
+        }
+        if ((changeInfo?.url && ownedTabGroupIds?.has(tab?.groupId)) || (typeof changeInfo?.groupId === 'number' && ownedTabGroupRecords.length)) {
+            scheduleOwnedTabGroupRefresh();
+        }
+    });
+}
+
 // Optional: if popup is disabled in the future, allow left-click on action to synthesize
 if (chrome.action && typeof chrome.action.onClicked?.addListener === 'function') {
     try {
@@ -735,9 +1253,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     
     switch (message.type) {
         case 'SCAN_TABS':
-            handleScanTabs(sendResponse);
+            handleScanTabs(sendResponse, { preview: message.preview === true });
             return true; // Keep message channel open for async response
             
+        case 'CANCEL_SCAN':
+            handleCancelScan(sendResponse);
+            return true;
+            
         case 'TAB_DATA_EXTRACTED':
             handleTabDataExtracted(message.data, sendResponse);
             return true;
@@ -746,8 +1268,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleCloseSelectedTabs(message.tabIds, sendResponse);
             return true;
             
+        case 'PREVIEW_TAB_GROUPS':
+            handlePreviewTabGroups(Boolean(message.proposal), sendResponse);
+            return true;
+            
+        case 'APPLY_TAB_GROUPS':
+            handleApplyTabGroups(message.selection || null, Boolean(message.proposal), sendResponse);
+            return true;
+            
+        case 'FOCUS_TAB_SOURCE':
+            handleFocusTabSource({ tabId: message.tabId, url: message.url }, sendResponse);
+            return true;
+
         case 'EXPORT_SUMMARY':
-            handleExportSummary(sendResponse);
+            handleExportSummary({ format: message.format, groupIndices: message.groupIndices }, sendResponse);
             return true;
             
         case 'CLEAR_CACHE':
@@ -789,6 +1323,70 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             })();
             return true;
         
+        case 'START_ASK_CONVERSATION':
+            handleStartAskConversation(message.groupIndex, sendResponse);
+            return true;
+
+        case 'GET_ASK_CONVERSATION':
+            handleGetAskConversation(message.conversationId, sendResponse);
+            return true;
+
+        case 'ASK_GROUP_QUESTION':
+            handleAskGroupQuestion(message, sendResponse);
+            return true;
+
+        case 'GET_SHOPPING_GROUPS':
+            handleGetShoppingGroups(sendResponse);
+            return true;
+
+        case 'GET_PRODUCT_COMPARISON':
+            handleGetProductComparison(message.groupIndex, sendResponse);
+            return true;
+
+        case 'FIND_DUPLICATE_TABS':
+            handleFindDuplicateTabs(sendResponse);
+            return true;
+
+        case 'DEDUPE_TABS':
+            handleDedupeTabs(message.clusters, sendResponse);
+            return true;
+
+        case 'GET_ARCHIVE_SUGGESTIONS':
+            handleGetArchiveSuggestions(sendResponse);
+            return true;
+
+        case 'ARCHIVE_TABS':
+            handleArchiveTabs(message.tabIds, message.destination, sendResponse);
+            return true;
+
+        case 'GET_UNDO_HISTORY':
+            handleGetUndoHistory(sendResponse);
+            return true;
+
+        case 'UNDO_LAST_OPERATION':
+            handleUndoLastOperation(sendResponse);
+            return true;
+
+        case 'SAVE_GROUP_SESSION':
+            handleSaveGroupSession(message.groupIndex, message.name, sendResponse);
+            return true;
+
+        case 'LIST_SAVED_SESSIONS':
+            handleListSavedSessions(sendResponse);
+            return true;
+
+        case 'RESTORE_SAVED_SESSION':
+            handleRestoreSavedSession(message.sessionId, message.target, sendResponse);
+            return true;
+
+        case 'DELETE_SAVED_SESSION':
+            handleDeleteSavedSession(message.sessionId, sendResponse);
+            return true;
+
+        case 'IMPORT_TAB_GROUPS':
+            handleImportTabGroups(message.groups, message.target, sendResponse);
+            return true;
+
         case 'RUN_GOLDEN_EVAL':
             runGoldenEvaluation(message.scenario, { groups: message.groups, tabData: message.tabData })
                 .then(result => sendResponse({ success: true, result }))
@@ -798,6 +1396,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 });
             return true;
             
+        case 'SET_FAKE_AI_PROVIDER':
+            chrome.storage.local.set({ [FAKE_AI_STORAGE_KEY]: message.config || { enabled: false } })
+                .then(() => sendResponse({ success: true, config: normalizeFakeAIConfig(message.config) }))
+                .catch(error => sendResponse({ success: false, error: error?.message || String(error) }));
+            return true;
+
+        case 'GET_FAKE_AI_RECORDINGS':
+            collectFakeAIRecordings()
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(error => sendResponse({ success: false, error: error?.message || String(error) }));
+            return true;
+            
         case 'AI_GROUPING_RESPONSE':
             // Silence noisy relay from content script; background already awaits tabs.sendMessage
             console.log('🤖 [AI] Background received AI_GROUPING_RESPONSE (relay)');
@@ -831,18 +1441,97 @@ function isRestrictedUrl(urlString) {
     }
 }
 
-/**
- * Περιμένει μέχρι το tab να δηλώσει status === 'complete' ή timeouts
- */
-function waitForTabComplete(tabId, timeoutMs = RELOAD_TIMEOUT_MS) {
-    return new Promise((resolve) => {
-        let done = false;
-        const timer = setTimeout(() => {
-            if (done) return;
-            done = true;
-            try { chrome.tabs.onUpdated.removeListener(listener); } catch (_) {}
-            resolve(false);
-        }, timeoutMs);
+// ---- Privacy exclusion list: σε αυτά τα domains διαβάζουμε μόνο title και URL ----
+let privacyExcludedDomains = null;
+
+async function loadPrivacyExcludedDomains() {
+    if (privacyExcludedDomains) {
+        return privacyExcludedDomains;
+    }
+    try {
+        const { [PRIVACY_EXCLUDED_DOMAINS_KEY]: stored } = await chrome.storage.sync.get([PRIVACY_EXCLUDED_DOMAINS_KEY]);
+        privacyExcludedDomains = validatePrivacyDomains(Array.isArray(stored) ? stored : []).domains;
+    } catch (error) {
+        console.warn('Failed to load privacy exclusions:', error?.message || error);
+        privacyExcludedDomains = [];
+    }
+    return privacyExcludedDomains;
+}
+
+function isPrivacyExcludedUrl(urlString) {
+    try {
+        return isHostPrivacyExcluded(new URL(urlString).hostname, privacyExcludedDomains || []);
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Πετάει ό,τι περιεχόμενο έχει ήδη διαβαστεί από tabs που μόλις μπήκαν στη λίστα
+ */
+function scrubPrivacyExcludedTabs() {
+    let scrubbed = 0;
+    (currentTabData || []).forEach(entry => {
+        if (!entry || !isPrivacyExcludedUrl(entry.url) || entry.privacyExcluded) return;
+        Object.assign(entry, stripTabContent(entry));
+        scrubbed += 1;
+    });
+    if (scrubbed) {
+        console.log(`🔒 [Privacy] Dropped extracted content of ${scrubbed} excluded tabs`);
+        chrome.storage.local.set({ tabData: currentTabData }).catch(() => {});
+    }
+}
+
+function stripTabContent(entry) {
+    return {
+        content: '',
+        metaDescription: '',
+        headings: [],
+        metaKeywords: [],
+        contentHash: '',
+        youtubeAnalysis: null,
+        summaryBullets: [],
+        semanticFeatures: null,
+        embedding: null,
+        privacyExcluded: true,
+        topicHints: generateTopicHints({ title: entry.title, url: entry.url, domain: entry.domain })
+    };
+}
+
+/**
+ * Redaction στο κείμενο που μόλις εξήχθη, πριν αποθηκευτεί ή φτάσει σε prompt
+ */
+function redactExtractedContent(data) {
+    return {
+        ...data,
+        content: redactSensitiveText(data.content || ''),
+        metaDescription: redactSensitiveText(data.metaDescription || ''),
+        headings: (data.headings || []).map(redactSensitiveText),
+        metaKeywords: (data.metaKeywords || []).map(redactSensitiveText)
+    };
+}
+
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync' || !changes[PRIVACY_EXCLUDED_DOMAINS_KEY]) return;
+        privacyExcludedDomains = validatePrivacyDomains(changes[PRIVACY_EXCLUDED_DOMAINS_KEY].newValue || []).domains;
+        console.log(`🔒 [Privacy] ${privacyExcludedDomains.length} excluded domains`);
+        scrubPrivacyExcludedTabs();
+    });
+}
+
+/**
+ * Περιμένει μέχρι το tab να δηλώσει status === 'complete' ή timeouts
+ */
+function waitForTabComplete(tabId, timeoutMs = RELOAD_TIMEOUT_MS) {
+    return new Promise((resolve) => {
+        let done = false;
+        const timer = setTimeout(() => {
+            if (done) return;
+            done = true;
+            try { chrome.tabs.onUpdated.removeListener(listener); } catch (_) {}
+            resolve(false);
+        }, timeoutMs);
 
         const listener = (updatedTabId, changeInfo) => {
             if (updatedTabId !== tabId) return;
@@ -865,6 +1554,7 @@ function waitForTabComplete(tabId, timeoutMs = RELOAD_TIMEOUT_MS) {
  * - Περιμένει μέχρι να φορτώσουν (ή timeout) πριν συνεχίσει
  */
 async function smartReloadTabs(tabs) {
+    await ensureExtensionSettings();
     if (!AUTO_RELOAD_STALE_TABS) return { reloaded: 0 };
     const candidates = [];
     for (const tab of tabs) {
@@ -1012,10 +1702,406 @@ async function mapWithConcurrency(items, mapper, concurrency = CONTENT_EXTRACTIO
     });
 }
 
+// ---- Scan progress streaming (Port → popup) ----
+const SCAN_PROGRESS_PORT_NAME = 'scan-progress';
+const SCAN_PROGRESS_THROTTLE_MS = 150;
+// Ίδια στάδια με όσα μετράει το logTiming, με τη σειρά που τρέχουν
+const SCAN_PROGRESS_STAGES = [
+    { id: 'permissions', label: 'Checking site access' },
+    { id: 'reload', label: 'Reloading stale tabs' },
+    { id: 'extraction', label: 'Reading tab content' },
+    { id: 'triage', label: 'Smart triage' },
+    { id: 'summarization', label: 'Summarizing unclear tabs' },
+    { id: 'clustering', label: 'Clustering' },
+    { id: 'embeddings', label: 'Semantic embeddings' },
+    { id: 'refinement', label: 'LLM refinement' },
+    { id: 'labeling', label: 'Labeling & merging' },
+    { id: 'grouping', label: 'Creating tab groups' }
+];
+
+const scanProgressPorts = new Set();
+let scanProgress = null;
+let scanProgressFlushTimer = null;
+let scanProgressLastFlush = 0;
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== SCAN_PROGRESS_PORT_NAME) {
+        return;
+    }
+    scanProgressPorts.add(port);
+    port.onDisconnect.addListener(() => scanProgressPorts.delete(port));
+    // Popup που ανοίγει στη μέση ενός scan παίρνει αμέσως την τρέχουσα εικόνα
+    if (scanProgress) {
+        port.postMessage({ type: 'SCAN_PROGRESS', progress: scanProgress });
+    }
+});
+
+function flushScanProgress() {
+    if (scanProgressFlushTimer) {
+        clearTimeout(scanProgressFlushTimer);
+        scanProgressFlushTimer = null;
+    }
+    scanProgressLastFlush = Date.now();
+    if (!scanProgress) {
+        return;
+    }
+    const message = { type: 'SCAN_PROGRESS', progress: scanProgress };
+    scanProgressPorts.forEach(port => {
+        try {
+            port.postMessage(message);
+        } catch (_) {
+            scanProgressPorts.delete(port);
+        }
+    });
+}
+
+/**
+ * Οι αλλαγές status στέλνονται αμέσως, τα counters ανά SCAN_PROGRESS_THROTTLE_MS
+ */
+function broadcastScanProgress(immediate = false) {
+    const wait = SCAN_PROGRESS_THROTTLE_MS - (Date.now() - scanProgressLastFlush);
+    if (immediate || wait <= 0) {
+        flushScanProgress();
+    } else if (!scanProgressFlushTimer) {
+        scanProgressFlushTimer = setTimeout(flushScanProgress, wait);
+    }
+}
+
+function beginScanProgress() {
+    scanProgress = {
+        status: 'running',
+        startedAt: Date.now(),
+        finishedAt: null,
+        error: null,
+        tabCount: 0,
+        stages: SCAN_PROGRESS_STAGES.map(stage => ({
+            ...stage,
+            status: 'pending',
+            done: 0,
+            total: null,
+            startedAt: null,
+            endedAt: null,
+            etaMs: null
+        })),
+        partialGroups: []
+    };
+    broadcastScanProgress(true);
+}
+
+function findScanStage(stageId) {
+    if (!scanProgress || scanProgress.status !== 'running') {
+        return null;
+    }
+    return scanProgress.stages.find(stage => stage.id === stageId) || null;
+}
+
+function startScanStage(stageId, total = null) {
+    const stage = findScanStage(stageId);
+    if (!stage) return;
+    stage.status = 'running';
+    stage.startedAt = Date.now();
+    stage.done = 0;
+    stage.total = typeof total === 'number' ? total : null;
+    stage.etaMs = null;
+    broadcastScanProgress(true);
+}
+
+/**
+ * Counter + ETA (γραμμική εκτίμηση από τον ρυθμό του σταδίου μέχρι τώρα)
+ */
+function advanceScanStage(stageId, increment = 1) {
+    const stage = findScanStage(stageId);
+    if (!stage || stage.status !== 'running') return;
+    stage.done += increment;
+    if (stage.total && stage.done > 0) {
+        const elapsed = Date.now() - stage.startedAt;
+        stage.etaMs = Math.max(0, Math.round((elapsed / stage.done) * (stage.total - stage.done)));
+    }
+    broadcastScanProgress();
+}
+
+function completeScanStage(stageId, { skipped = false } = {}) {
+    const stage = findScanStage(stageId);
+    if (!stage) return;
+    stage.status = skipped ? 'skipped' : 'done';
+    stage.endedAt = Date.now();
+    stage.etaMs = null;
+    if (!skipped && stage.total !== null) {
+        stage.done = stage.total;
+    }
+    broadcastScanProgress(true);
+}
+
+/**
+ * Προσωρινά groups από το deterministic clustering, πριν το LLM refinement και τα labels
+ */
+function publishPartialGroups(groups, tabData) {
+    if (!scanProgress || scanProgress.status !== 'running') return;
+    scanProgress.partialGroups = (groups || []).map(group => ({
+        name: group.name || '',
+        keywords: (group.keywords || []).slice(0, 4),
+        tabCount: group.tabIndices.length,
+        tabs: group.tabIndices.slice(0, 5).map(index => ({
+            title: tabData[index]?.title || tabData[index]?.url || '',
+            favicon: tabData[index]?.favicon || ''
+        }))
+    }));
+    broadcastScanProgress(true);
+}
+
+function finishScanProgress({ error = null, cancelled = false } = {}) {
+    if (!scanProgress || scanProgress.status !== 'running') return;
+    const now = Date.now();
+    scanProgress.stages.forEach(stage => {
+        if (stage.status === 'pending' || stage.status === 'running') {
+            stage.status = error && stage.status === 'running' ? 'failed' : 'skipped';
+            stage.endedAt = now;
+            stage.etaMs = null;
+        }
+    });
+    scanProgress.status = cancelled ? 'cancelled' : (error ? 'error' : 'done');
+    scanProgress.error = error ? String(error?.message || error) : null;
+    scanProgress.finishedAt = now;
+    broadcastScanProgress(true);
+}
+
+// ---- Scan cancellation & checkpoints ----
+const SCAN_CHECKPOINT_KEY = 'scanCheckpoint';
+const SCAN_CHECKPOINT_MAX_AGE_MS = 30 * 60 * 1000; // Παλαιότερα checkpoints δεν αξίζει να συνεχιστούν
+const SCAN_RESUME_DELAY_MS = 1500;
+
+let scanAbortController = null;
+let activeScanCheckpoint = null;
+const aiScriptTargets = new Map(); // tabId → Set(worlds) με AI sessions από το τρέχον scan
+
+function createScanCancelledError() {
+    const error = new Error('Scan cancelled');
+    error.name = 'AbortError';
+    error.code = 'SCAN_CANCELLED';
+    return error;
+}
+
+function isScanCancelledError(error) {
+    return error?.code === 'SCAN_CANCELLED';
+}
+
+function isScanCancelled() {
+    return Boolean(scanAbortController?.signal.aborted);
+}
+
+function throwIfScanCancelled() {
+    if (isScanCancelled()) {
+        throw createScanCancelledError();
+    }
+}
+
+/**
+ * Απορρίπτει αμέσως όταν ακυρωθεί το scan (το executeScript συνεχίζει στη σελίδα, αλλά δεν το περιμένουμε)
+ */
+function raceScanAbort(promise) {
+    const signal = scanAbortController?.signal;
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(createScanCancelledError());
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createScanCancelledError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+async function handleCancelScan(sendResponse) {
+    if (!isScanning || !scanAbortController) {
+        sendResponse({ success: false, error: 'No scan in progress' });
+        return;
+    }
+    console.log('🛑 [Scan] Cancel requested');
+    scanAbortController.abort();
+    await abortInFlightAISessions();
+    sendResponse({ success: true });
+}
+
+/**
+ * Destroy των LM/Summarizer/Embedding sessions σε όσα tabs χρησιμοποίησε το scan
+ */
+async function abortInFlightAISessions() {
+    const targets = Array.from(aiScriptTargets.entries());
+    aiScriptTargets.clear();
+    for (const [tabId, worlds] of targets) {
+        for (const world of worlds) {
+            try {
+                await chrome.scripting.executeScript({ target: { tabId }, world, func: abortAISessionsInPage });
+            } catch (error) {
+                console.warn(`Failed to abort AI sessions in tab ${tabId}:`, error?.message || error);
+            }
+        }
+    }
+}
+
+function beginScanCheckpoint({ preview = false } = {}) {
+    activeScanCheckpoint = { runStartedAt: Date.now(), stage: null, stages: {}, tabData: [], savedAt: null, preview };
+}
+
+/**
+ * Checkpoint μετά από κάθε μεγάλο στάδιο: το output του σταδίου + το τρέχον currentTabData
+ */
+async function saveScanCheckpoint(stageId, data = null) {
+    if (!activeScanCheckpoint) {
+        return;
+    }
+    activeScanCheckpoint.stage = stageId;
+    activeScanCheckpoint.stages[stageId] = data;
+    activeScanCheckpoint.tabData = currentTabData;
+    activeScanCheckpoint.savedAt = Date.now();
+    try {
+        await chrome.storage.local.set({ [SCAN_CHECKPOINT_KEY]: activeScanCheckpoint });
+    } catch (error) {
+        console.warn('Failed to save scan checkpoint:', error?.message || error);
+    }
+}
+
+async function clearScanCheckpoint() {
+    activeScanCheckpoint = null;
+    try {
+        await chrome.storage.local.remove([SCAN_CHECKPOINT_KEY]);
+    } catch (error) {
+        console.warn('Failed to clear scan checkpoint:', error?.message || error);
+    }
+}
+
+/**
+ * Τρέχει ένα στάδιο του performAIAnalysis ή επαναφέρει το output του από checkpoint.
+ * Το output περνάει από JSON ώστε το restored και το φρέσκο να έχουν το ίδιο σχήμα.
+ */
+async function runCheckpointedStage(stageId, resume, compute, { serialize = value => value, deserialize = value => value } = {}) {
+    if (resume?.stages && Object.prototype.hasOwnProperty.call(resume.stages, stageId)) {
+        console.log(`♻️ [Checkpoint] Restored stage "${stageId}" from interrupted scan`);
+        completeScanStage(stageId);
+        await saveScanCheckpoint(stageId, resume.stages[stageId]);
+        return deserialize(resume.stages[stageId]);
+    }
+    throwIfScanCancelled();
+    const value = await compute();
+    throwIfScanCancelled();
+    if (activeScanCheckpoint) {
+        const stored = serialize(value);
+        await saveScanCheckpoint(stageId, typeof stored === 'undefined' ? null : JSON.parse(JSON.stringify(stored)));
+    }
+    return value;
+}
+
+// Τα Maps του triage δεν επιβιώνουν στο JSON του checkpoint
+function serializeTriageResult(triageResult) {
+    return {
+        ...triageResult,
+        taxonomyMap: Array.from(triageResult.taxonomyMap.entries()),
+        tokenMap: Array.from(triageResult.tokenMap.entries())
+    };
+}
+
+function deserializeTriageResult(stored) {
+    return {
+        ...stored,
+        taxonomyMap: new Map(stored.taxonomyMap || []),
+        tokenMap: new Map(stored.tokenMap || [])
+    };
+}
+
+/**
+ * Groups στα Chrome windows μετά από ένα ολοκληρωμένο (ή resumed) scan
+ */
+async function applyScannedGroups({ preview = false } = {}) {
+    if (!aiGroups || aiGroups.length === 0) {
+        return;
+    }
+    if (preview) {
+        // Το popup δείχνει πρώτα το diff (PREVIEW_TAB_GROUPS) και εφαρμόζει μόνο ό,τι επιλέξει ο χρήστης
+        console.log('👀 AI grouping left for the popup preview');
+        completeScanStage('grouping', { skipped: true });
+        return;
+    }
+    console.log('Applying AI grouping to tabs...');
+    startScanStage('grouping', aiGroups.length);
+    try {
+        await createTabGroups(aiGroups, currentTabData);
+        console.log('AI grouping applied successfully');
+        // Τα chromeGroupId χρειάζονται στο live grouping μετά από restart του service worker
+        await chrome.storage.local.set({ cachedGroups: aiGroups });
+    } catch (groupError) {
+        console.error('Failed to apply AI grouping:', groupError);
+    }
+    completeScanStage('grouping');
+}
+
+/**
+ * Συνεχίζει scan που διακόπηκε (π.χ. kill του service worker) από το τελευταίο checkpoint
+ */
+async function resumeInterruptedScan() {
+    if (isScanning) {
+        return;
+    }
+    const { [SCAN_CHECKPOINT_KEY]: checkpoint } = await chrome.storage.local.get([SCAN_CHECKPOINT_KEY]);
+    if (!checkpoint || !checkpoint.stages || !Array.isArray(checkpoint.tabData) || !checkpoint.tabData.length) {
+        return;
+    }
+    if (Date.now() - (checkpoint.savedAt || 0) > SCAN_CHECKPOINT_MAX_AGE_MS) {
+        console.log('♻️ [Checkpoint] Discarding stale scan checkpoint');
+        await clearScanCheckpoint();
+        return;
+    }
+    
+    console.log(`♻️ [Checkpoint] Resuming interrupted scan after stage "${checkpoint.stage}"`);
+    const resumeStart = nowMs();
+    isScanning = true;
+    scanAbortController = new AbortController();
+    activeScanCheckpoint = { ...checkpoint, stages: {} };
+    currentTabData = checkpoint.tabData;
+    beginScanProgress();
+    scanProgress.tabCount = currentTabData.length;
+    ['permissions', 'reload', 'extraction'].forEach(stageId => completeScanStage(stageId, { skipped: stageId !== 'extraction' }));
+    try {
+        await performAIAnalysis({ resume: checkpoint });
+        throwIfScanCancelled();
+        await applyScannedGroups({ preview: checkpoint.preview === true });
+        finishScanProgress();
+        logTiming('Resumed scan pipeline', resumeStart);
+    } catch (error) {
+        if (isScanCancelledError(error)) {
+            console.log('🛑 [Scan] Resumed scan cancelled');
+            finishScanProgress({ cancelled: true });
+        } else {
+            console.warn('Resumed scan failed:', error?.message || error);
+            finishScanProgress({ error });
+        }
+    } finally {
+        await clearScanCheckpoint();
+        aiScriptTargets.clear();
+        scanAbortController = null;
+        isScanning = false;
+    }
+}
+
+// Scan που διακόπηκε από kill του service worker συνεχίζει από το τελευταίο checkpoint
+setTimeout(() => {
+    resumeInterruptedScan().catch(error => console.warn('Failed to resume interrupted scan:', error?.message || error));
+}, SCAN_RESUME_DELAY_MS);
+
 /**
  * Αρχίζει τη διαδικασία σκαναρίσματος των tabs
  */
-async function handleScanTabs(sendResponse) {
+async function handleScanTabs(sendResponse, { preview = false } = {}) {
     if (isScanning) {
         console.log('Scan already in progress, ignoring duplicate request');
         sendResponse({ success: false, error: 'Scan already in progress' });
@@ -1032,6 +2118,12 @@ async function handleScanTabs(sendResponse) {
     try {
         isScanning = true;
         currentTabData = [];
+        scanAbortController = new AbortController();
+        aiScriptTargets.clear();
+        beginScanCheckpoint({ preview });
+        beginScanProgress();
+        // Νέο scan: η πρόταση από το enrichment δεν ισχύει πια
+        chrome.storage.local.remove(REGROUP_PROPOSAL_KEY).catch(() => {});
         
         // Λήψη όλων των ανοιχτών tabs
         const tabQueryStart = nowMs();
@@ -1059,17 +2151,24 @@ async function handleScanTabs(sendResponse) {
                 error: 'No valid tabs found for analysis' 
             });
             isScanning = false;
+            scanAbortController = null;
+            finishScanProgress({ error: 'No valid tabs found for analysis' });
             return;
         }
+        scanProgress.tabCount = validTabs.length;
         
         // Έλεγχος και αίτηση δικαιωμάτων πρόσβασης για τα tabs
         console.log('Checking host permissions for tabs...');
         const permissionsStart = nowMs();
+        startScanStage('permissions');
         const permissionResult = await ensureHostPermissionsForTabs(validTabs);
         logTiming('Host permission verification', permissionsStart);
+        completeScanStage('permissions');
         if (!permissionResult.granted) {
             console.warn('User denied host permissions for origins:', permissionResult.requested);
             isScanning = false;
+            scanAbortController = null;
+            finishScanProgress({ error: 'Host permissions denied' });
             sendResponse({
                 success: false,
                 error: 'Host permissions for all sites are required. Please grant access to tabs and try again.'
@@ -1079,14 +2178,18 @@ async function handleScanTabs(sendResponse) {
         console.log('Host permissions verified successfully');
 
         // Smart reload για tabs που είναι discarded/μη ολοκληρωμένα
+        throwIfScanCancelled();
+        startScanStage('reload');
         try {
             const reloadStart = nowMs();
             const { reloaded } = await smartReloadTabs(validTabs);
             if (reloaded > 0) {
                 logTiming(`Smart reload (${reloaded} tabs)`, reloadStart);
             }
+            completeScanStage('reload', { skipped: reloaded === 0 });
         } catch (e) {
             console.warn('Smart reload step failed:', e?.message || e);
+            completeScanStage('reload', { skipped: true });
         }
         
         // Αποθήκευση βασικών πληροφοριών tabs
@@ -1156,7 +2259,8 @@ async function handleScanTabs(sendResponse) {
                 canonicalUrl: extracted.canonicalUrl || '',
                 language: extracted.language || '',
                 contentHash: extracted.contentHash || '',
-                youtubeAnalysis: extracted.youtubeAnalysis || existing.youtubeAnalysis || null
+                youtubeAnalysis: extracted.privacyExcluded ? null : (extracted.youtubeAnalysis || existing.youtubeAnalysis || null),
+                privacyExcluded: Boolean(extracted.privacyExcluded)
             };
             updated.topicHints = generateTopicHints(updated);
             currentTabData[index] = updated;
@@ -1166,15 +2270,21 @@ async function handleScanTabs(sendResponse) {
         console.log(`⏱️ Starting content extraction for ${validTabs.length} tabs (concurrency=${CONTENT_EXTRACTION_CONCURRENCY})...`);
         
         const extractionStart = nowMs();
+        startScanStage('extraction', validTabs.length);
         const extractionResults = await mapWithConcurrency(
             validTabs,
-            tab => extractTabContent(tab).then(result => {
-                applyExtractionToTab(result);
-                return result;
-            }),
+            tab => {
+                throwIfScanCancelled();
+                return extractTabContent(tab).then(result => {
+                    applyExtractionToTab(result);
+                    return result;
+                }).finally(() => advanceScanStage('extraction'));
+            },
             CONTENT_EXTRACTION_CONCURRENCY
         );
         logTiming('Content extraction pipeline', extractionStart);
+        throwIfScanCancelled();
+        completeScanStage('extraction');
         
         // Συλλογή επιτυχημένων αποτελεσμάτων
         const successfulExtractions = extractionResults
@@ -1203,6 +2313,8 @@ async function handleScanTabs(sendResponse) {
             }
             return tab;
         });
+        // Checkpoint: το extraction είναι το πιο ακριβό στάδιο να ξανατρέξει μετά από kill του service worker
+        await saveScanCheckpoint('extraction');
         
         let reusedAIResults = false;
         try {
@@ -1252,8 +2364,12 @@ async function handleScanTabs(sendResponse) {
                 });
                 console.log('AI analysis results cached');
             } catch (aiError) {
+                if (isScanCancelledError(aiError)) {
+                    throw aiError;
+                }
                 console.error('AI analysis failed:', aiError);
                 isScanning = false;
+                finishScanProgress({ error: aiError });
                 // Αποθήκευση error στο storage για να το δει το popup
                 await chrome.storage.local.set({
                     aiError: true,
@@ -1265,20 +2381,22 @@ async function handleScanTabs(sendResponse) {
         }
         
         // Εφαρμογή του AI grouping
-        if (aiGroups && aiGroups.length > 0) {
-            console.log('Applying AI grouping to tabs...');
-            try {
-                await createTabGroups(aiGroups, currentTabData);
-                console.log('AI grouping applied successfully');
-            } catch (groupError) {
-                console.error('Failed to apply AI grouping:', groupError);
-            }
-        }
+        throwIfScanCancelled();
+        await applyScannedGroups({ preview });
         
         isScanning = false;
+        finishScanProgress();
         logTiming('Full scan pipeline', scanStart);
         
     } catch (error) {
+        if (isScanCancelledError(error)) {
+            console.log('🛑 [Scan] Scan cancelled by user');
+            isScanning = false;
+            finishScanProgress({ cancelled: true });
+            sendResponse({ success: false, cancelled: true, error: 'Scan cancelled' });
+            logTiming('Full scan pipeline (cancelled)', scanStart);
+            return;
+        }
         console.error('❌ Error during tab scanning:', error);
         console.error('❌ Error details:', {
             name: error.name,
@@ -1294,7 +2412,8 @@ async function handleScanTabs(sendResponse) {
             try {
                 // Εκτελούμε AI ανάλυση με τα υπάρχοντα δεδομένα
                 await performAIAnalysis();
-                await createTabGroups(aiGroups, currentTabData);
+                // Ίδιο path με το κανονικό scan: με preview τα groups περιμένουν το diff στο popup
+                await applyScannedGroups({ preview });
                 
                 sendResponse({ 
                     success: true, 
@@ -1303,17 +2422,24 @@ async function handleScanTabs(sendResponse) {
                     tabs: currentTabData.length
                 });
                 logTiming('Full scan pipeline (fallback success)', scanStart);
+                finishScanProgress();
                 return;
             } catch (fallbackError) {
                 console.error('❌ Fallback also failed:', fallbackError);
             }
         }
         
+        finishScanProgress({ error });
         sendResponse({ 
             success: false, 
             error: `Scanning error: ${error.message}` 
         });
         logTiming('Full scan pipeline (errored)', scanStart);
+    } finally {
+        // Το checkpoint μένει μόνο όταν το service worker πεθάνει στη μέση του scan
+        await clearScanCheckpoint();
+        aiScriptTargets.clear();
+        scanAbortController = null;
     }
 }
 
@@ -1341,11 +2467,14 @@ async function extractTabContent(tab) {
     })();
     
     const isRestrictedHost = RESTRICTED_HOSTS.some(host => urlHost.endsWith(host));
+    const isPrivacyExcluded = isHostPrivacyExcluded(urlHost, await loadPrivacyExcludedDomains());
     
     try {
         console.log(`🔍 Extracting content from tab ${tabId}: "${tab.title}"`);
         
-        if (isRestrictedHost) {
+        if (isPrivacyExcluded) {
+            console.log(`🔒 Privacy exclusion for ${urlHost}: using title and URL only`);
+        } else if (isRestrictedHost) {
             console.log(`⚠️ Skipping direct content extraction for restricted host: ${urlHost}`);
         } else {
         // Εκτέλεση content script για εξαγωγή περιεχομένου με timeout
@@ -1358,10 +2487,10 @@ async function extractTabContent(tab) {
             setTimeout(() => reject(new Error('Tab extraction timeout')), TAB_EXTRACTION_TIMEOUT)
         );
         
-        const results = await Promise.race([extractionPromise, timeoutPromise]);
+        const results = await raceScanAbort(Promise.race([extractionPromise, timeoutPromise]));
         
         if (results && results[0] && results[0].result) {
-            baseContent = {
+            baseContent = redactExtractedContent({
                 content: results[0].result.content,
                 metaDescription: results[0].result.metaDescription,
                 headings: results[0].result.headings || [],
@@ -1369,7 +2498,7 @@ async function extractTabContent(tab) {
                 canonicalUrl: results[0].result.canonicalUrl || '',
                 language: results[0].result.language || '',
                 contentHash: results[0].result.contentHash || ''
-            };
+            });
             console.log(`✅ Successfully extracted content from tab ${tabId} (${baseContent.content.length} chars, headings=${baseContent.headings.length})`);
         } else {
             console.log(`⚠️ No content extracted from tab ${tabId}`);
@@ -1384,18 +2513,22 @@ async function extractTabContent(tab) {
     }
     
     try {
-        if (tab.url && tab.url.includes('youtube.com/watch')) {
-            const results = await chrome.scripting.executeScript({
+        if (!isPrivacyExcluded && tab.url && tab.url.includes('youtube.com/watch')) {
+            const results = await executeAIScript({
                 target: { tabId },
                 world: 'MAIN',
-                func: analyzeYouTubeTabInPage
-            });
+                func: analyzeYouTubeTabInPage,
+                args: [serializeRedactionRules()]
+            }, { stage: 'youtube-analysis', tabUrls: [tab.url] });
             
             if (results && results[0] && results[0].result && results[0].result.ok) {
                 youtubeAnalysis = results[0].result;
                 // Αντι για μεγάλο transcript, κρατάμε trimmed εκδοχή για prompts
                 if (youtubeAnalysis.transcript) {
-                    youtubeAnalysis.transcript = youtubeAnalysis.transcript.slice(0, 6000);
+                    youtubeAnalysis.transcript = redactSensitiveText(youtubeAnalysis.transcript.slice(0, 6000));
+                }
+                if (youtubeAnalysis.description) {
+                    youtubeAnalysis.description = redactSensitiveText(youtubeAnalysis.description);
                 }
             } else if (results && results[0] && results[0].result && !results[0].result.ok) {
                 console.warn('YouTube analysis reported failure:', results[0].result.error);
@@ -1416,7 +2549,8 @@ async function extractTabContent(tab) {
         canonicalUrl: baseContent.canonicalUrl,
         language: baseContent.language,
         contentHash: baseContent.contentHash,
-        youtubeAnalysis
+        youtubeAnalysis,
+        privacyExcluded: isPrivacyExcluded
     };
 }
 
@@ -1490,13 +2624,19 @@ function extractPageContent() {
 /**
  * Χειρίζεται τα δεδομένα που εξήχθησαν από ένα tab
  */
-function handleTabDataExtracted(data, sendResponse) {
+async function handleTabDataExtracted(data, sendResponse) {
     console.log('Tab data extracted:', data.tabId);
     
+    await loadPrivacyExcludedDomains();
     // Ενημέρωση των δεδομένων
     const tabIndex = currentTabData.findIndex(tab => tab.id === data.tabId);
     if (tabIndex !== -1) {
         const existing = currentTabData[tabIndex];
+        if (isPrivacyExcludedUrl(existing.url)) {
+            sendResponse({ success: true, privacyExcluded: true });
+            return;
+        }
+        data = redactExtractedContent(data);
         const updated = {
             ...existing,
             content: data.content,
@@ -1528,7 +2668,7 @@ function handleTabDataExtracted(data, sendResponse) {
  * Αναλύει tabs με taxonomy + tokens + meta για να δημιουργήσει provisional groups
  * και να καθορίσει ποια tabs χρειάζονται summarizer
  */
-async function performSmartTriage(tabDataForAI) {
+async function performSmartTriage(tabDataForAI, { ruleIndex = null } = {}) {
     console.log('🎯 [Stage 0] Starting smart triage...');
     
     const triageResults = {
@@ -1562,7 +2702,9 @@ async function performSmartTriage(tabDataForAI) {
     }
     
     // 2. Provisional grouping με βάση taxonomy + tokens
-    triageResults.provisionalGroups = createProvisionalGroups(tabDataForAI, triageResults.taxonomyMap, triageResults.tokenMap);
+    triageResults.provisionalGroups = createProvisionalGroups(tabDataForAI, triageResults.taxonomyMap, triageResults.tokenMap, {
+        skipIndices: ruleIndex?.placements
+    });
     
     // 3. Confidence calculation
     const confidences = Array.from(triageResults.taxonomyMap.values()).map(t => t.confidence);
@@ -1597,6 +2739,9 @@ async function performSelectiveSummarization(needsSummarizer) {
     const activePromises = [];
     
     for (const tab of needsSummarizer) {
+        if (isScanCancelled()) {
+            break;
+        }
         // Check budget
         if (Date.now() - startTime > BUDGET_MS) {
             console.log('📄 [Stage 1] Budget exceeded, stopping summarization');
@@ -1609,6 +2754,7 @@ async function performSelectiveSummarization(needsSummarizer) {
         if (cached[cacheKey] && (Date.now() - cached[cacheKey].timestamp) < CACHE_TTL) {
             console.log(`📄 [Stage 1] Using cached summary for: ${tab.title?.slice(0, 40)}`);
             results.push({ ...tab, summary: cached[cacheKey].summary, cached: true });
+            advanceScanStage('summarization');
             continue;
         }
         
@@ -1630,7 +2776,7 @@ async function performSelectiveSummarization(needsSummarizer) {
         }).catch(error => {
             console.warn(`📄 [Stage 1] Summarization failed for ${tab.title?.slice(0, 40)}:`, error.message);
             return { ...tab, summary: null, error: error.message };
-        });
+        }).finally(() => advanceScanStage('summarization'));
         
         activePromises.push(promise);
         results.push(promise);
@@ -1655,6 +2801,8 @@ async function performSelectiveSummarization(needsSummarizer) {
     return finalResults;
 }
 
+const TRIAGE_CATEGORIES = ['medical', 'shopping', 'gaming', 'technology', 'news'];
+
 /**
  * Fast taxonomy extraction για triage
  */
@@ -1672,7 +2820,10 @@ function extractFastTaxonomy(tab) {
     const isNews = /(\bnews\b|\bblog\b|\barticle\b|\bupdate\b|\bpress\b|\blatest\b|\bbreaking\b)/.test(text);
 
     let contentCategory = 'general';
-    if (isMedical) contentCategory = 'medical';
+    // Ένα rule tag που είναι γνωστή κατηγορία υπερισχύει των heuristics
+    const ruleCategory = (tab.ruleTags || []).find(tag => TRIAGE_CATEGORIES.includes(tag));
+    if (ruleCategory) contentCategory = ruleCategory;
+    else if (isMedical) contentCategory = 'medical';
     else if (isShopping) contentCategory = 'shopping'; // Prefer shopping over gaming if both present (strong only)
     else if (isGaming) contentCategory = 'gaming';
     else if (isTech) contentCategory = 'technology';
@@ -1770,12 +2921,89 @@ function calculateSummarizerPriority(tab, taxonomy, tokens) {
     return priority;
 }
 
+const PROVISIONAL_TOKEN_OVERLAP = 0.35; // Στο default join threshold (increased from 0.2 to prevent over-merge)
+const PROVISIONAL_GAMING_TOKENS = new Set(['gaming', 'game', 'players', 'squad', 'ultimate', 'fut', 'fifa', 'ea', 'fc']);
+const PROVISIONAL_SHOPPING_TOKENS = new Set(['buy','shop','price','sale','deal','cart','checkout']);
+
+/**
+ * Token overlap για provisional merge: κλιμακώνεται με το join threshold του options page
+ * (default → PROVISIONAL_TOKEN_OVERLAP), ώστε presets και slider να επηρεάζουν και το triage
+ */
+function getProvisionalOverlapThreshold() {
+    return PROVISIONAL_TOKEN_OVERLAP * (SIMILARITY_JOIN_THRESHOLD / DEFAULT_GROUPING_THRESHOLDS.joinThreshold);
+}
+
+/**
+ * Candidate blocking για το provisional grouping. Χωρίς απώλειες: ένα pair μένει εκτός μόνο αν
+ * το shouldMergeProvisional θα το απέρριπτε σίγουρα, άρα τα groups είναι ίδια με το all-pairs.
+ * - ίδια (μη general) κατηγορία
+ * - prefix filter για token overlap > threshold (tokens ταξινομημένα από τα σπανιότερα)
+ * - gaming/shopping ↔ general με τα αντίστοιχα tokens
+ * Επιστρέφει null όταν το blocking είναι ανενεργό (ίδιο 'auto' όριο με το buildCandidateIndex).
+ */
+function buildProvisionalCandidateIndex(tabDataForAI, taxonomyMap, tokenMap, { blocking = 'auto', overlapThreshold = getProvisionalOverlapThreshold() } = {}) {
+    const size = tabDataForAI.length;
+    if (!size || blocking === false || (blocking === 'auto' && size < CANDIDATE_BLOCKING_MIN_TABS)) {
+        return null;
+    }
+    const tokenSets = tabDataForAI.map((_, idx) => new Set(tokenMap.get(idx)?.tokens || []));
+    const documentFrequency = new Map();
+    tokenSets.forEach(tokens => tokens.forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)));
+    const byRarity = (a, b) => documentFrequency.get(a) - documentFrequency.get(b) || (a < b ? -1 : a > b ? 1 : 0);
+    
+    const buckets = new Map();
+    const memberships = Array.from({ length: size }, () => []);
+    const join = (key, idx) => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        const members = buckets.get(key);
+        members.push(idx);
+        memberships[idx].push(members);
+    };
+    const hasAny = (tokens, vocabulary) => Array.from(vocabulary).some(token => tokens.has(token));
+    
+    tokenSets.forEach((tokens, idx) => {
+        const category = taxonomyMap.get(idx)?.final || 'general';
+        if (category !== 'general') {
+            join(`category:${category}`, idx);
+        }
+        // Jaccard > t ⇒ τα prefixes μήκους |x| - ⌈t·|x|⌉ + 1 των δύο tabs έχουν κοινό token
+        const prefixLength = tokens.size - Math.ceil(overlapThreshold * tokens.size - 1e-9) + 1;
+        Array.from(tokens).sort(byRarity).slice(0, prefixLength).forEach(token => join(`token:${token}`, idx));
+        
+        const isGaming = hasAny(tokens, PROVISIONAL_GAMING_TOKENS);
+        const isShopping = hasAny(tokens, PROVISIONAL_SHOPPING_TOKENS);
+        if ((category === 'gaming' || category === 'general') && isGaming && !isShopping) {
+            join('gaming-general', idx);
+        }
+        if (category === 'shopping' || (category === 'general' && isShopping)) {
+            join('shopping-general', idx);
+        }
+    });
+    
+    return {
+        buckets: buckets.size,
+        // Candidates j > idx σε αύξουσα σειρά, όπως τα διατρέχει το all-pairs
+        partnersOf(idx) {
+            const partners = new Set();
+            memberships[idx].forEach(members => members.forEach(other => {
+                if (other > idx) partners.add(other);
+            }));
+            return Array.from(partners).sort((a, b) => a - b);
+        }
+    };
+}
+
 /**
  * Δημιουργεί provisional groups με βάση taxonomy + tokens
+ * blocking: όπως στο buildProvisionalCandidateIndex ('auto', true ή false)
  */
-function createProvisionalGroups(tabDataForAI, taxonomyMap, tokenMap) {
+function createProvisionalGroups(tabDataForAI, taxonomyMap, tokenMap, { skipIndices = null, blocking = 'auto' } = {}) {
     const groups = [];
-    const processed = new Set();
+    // Tabs που τοποθετεί κανόνας χρήστη δεν μπαίνουν σε provisional group
+    const processed = new Set(skipIndices ? skipIndices.keys() : []);
+    const overlapThreshold = getProvisionalOverlapThreshold();
+    const candidateIndex = buildProvisionalCandidateIndex(tabDataForAI, taxonomyMap, tokenMap, { blocking, overlapThreshold });
+    let comparedPairs = 0;
     
     console.log('🔍 [Provisional Groups] Starting group creation for', tabDataForAI.length, 'tabs');
     
@@ -1797,15 +3025,19 @@ function createProvisionalGroups(tabDataForAI, taxonomyMap, tokenMap) {
         
         console.log(`🔍 [Provisional Groups] Created group for tab ${i}: "${tab.title}" (${taxonomy.final})`);
         
-        // Find similar tabs to merge
-        for (let j = i + 1; j < tabDataForAI.length; j++) {
+        // Find similar tabs to merge (με blocking μόνο οι candidate γείτονες)
+        const partners = candidateIndex ? candidateIndex.partnersOf(i) : null;
+        const partnerCount = partners ? partners.length : tabDataForAI.length - i - 1;
+        for (let p = 0; p < partnerCount; p++) {
+            const j = partners ? partners[p] : i + 1 + p;
             if (processed.has(j)) continue;
+            comparedPairs += 1;
             
             const otherTab = tabDataForAI[j];
             const otherTaxonomy = taxonomyMap.get(j);
             const otherTokens = tokenMap.get(j);
             
-            if (shouldMergeProvisional(taxonomy, tokens, otherTaxonomy, otherTokens)) {
+            if (shouldMergeProvisional(taxonomy, tokens, otherTaxonomy, otherTokens, overlapThreshold)) {
                 group.tabIndices.push(j);
                 processed.add(j);
                 
@@ -1824,6 +3056,10 @@ function createProvisionalGroups(tabDataForAI, taxonomyMap, tokenMap) {
         processed.add(i);
     }
     
+    if (candidateIndex) {
+        const totalPairs = (tabDataForAI.length * (tabDataForAI.length - 1)) / 2;
+        console.log(`🧱 [Blocking] Provisional grouping compared ${comparedPairs}/${totalPairs} pairs (${candidateIndex.buckets} buckets)`);
+    }
     console.log(`🔍 [Provisional Groups] Created ${groups.length} groups:`, groups.map(g => ({
         tabCount: g.tabIndices.length,
         topic: g.primaryTopic,
@@ -1836,7 +3072,7 @@ function createProvisionalGroups(tabDataForAI, taxonomyMap, tokenMap) {
 /**
  * Καθορίζει αν δύο tabs πρέπει να ενωθούν σε provisional group
  */
-function shouldMergeProvisional(taxonomy1, tokens1, taxonomy2, tokens2) {
+function shouldMergeProvisional(taxonomy1, tokens1, taxonomy2, tokens2, overlapThreshold = getProvisionalOverlapThreshold()) {
     // Same taxonomy category - πιο αυστηρή λογική
     if (taxonomy1.final === taxonomy2.final && taxonomy1.final !== 'general') {
         console.log(`🔗 [Merge] Same category merge: ${taxonomy1.final} (confidence: ${taxonomy1.confidence}, ${taxonomy2.confidence})`);
@@ -1845,7 +3081,7 @@ function shouldMergeProvisional(taxonomy1, tokens1, taxonomy2, tokens2) {
     
     // High token overlap - πιο αυστηρό threshold για αποφυγή over-merge
     const overlap = calculateTokenOverlap(tokens1.tokens, tokens2.tokens);
-    if (overlap > 0.35) { // Increased from 0.2 to 0.35 to prevent over-merge
+    if (overlap > overlapThreshold) {
         console.log(`🔗 [Merge] High token overlap: ${(overlap * 100).toFixed(1)}%`);
         return true;
     }
@@ -1855,14 +3091,12 @@ function shouldMergeProvisional(taxonomy1, tokens1, taxonomy2, tokens2) {
     // - BOTH sides must carry gaming tokens to avoid pulling unrelated general tabs
     // - If either side has shopping tokens, do NOT merge under gaming
     if ((taxonomy1.final === 'gaming' && taxonomy2.final === 'general') || (taxonomy2.final === 'gaming' && taxonomy1.final === 'general')) {
-        const gamingTokens = new Set(['gaming', 'game', 'players', 'squad', 'ultimate', 'fut', 'fifa', 'ea', 'fc']);
-        const shoppingTokens = new Set(['buy','shop','price','sale','deal','cart','checkout']);
         const t1 = new Set(tokens1.tokens);
         const t2 = new Set(tokens2.tokens);
-        const t1HasGaming = Array.from(gamingTokens).some(k => t1.has(k));
-        const t2HasGaming = Array.from(gamingTokens).some(k => t2.has(k));
-        const t1IsShopping = Array.from(shoppingTokens).some(k => t1.has(k));
-        const t2IsShopping = Array.from(shoppingTokens).some(k => t2.has(k));
+        const t1HasGaming = Array.from(PROVISIONAL_GAMING_TOKENS).some(k => t1.has(k));
+        const t2HasGaming = Array.from(PROVISIONAL_GAMING_TOKENS).some(k => t2.has(k));
+        const t1IsShopping = Array.from(PROVISIONAL_SHOPPING_TOKENS).some(k => t1.has(k));
+        const t2IsShopping = Array.from(PROVISIONAL_SHOPPING_TOKENS).some(k => t2.has(k));
         if (t1HasGaming && t2HasGaming && !(t1IsShopping || t2IsShopping)) {
             console.log(`🔗 [Merge] Gaming-specific merge detected (both sides)`);
             return true;
@@ -1873,9 +3107,8 @@ function shouldMergeProvisional(taxonomy1, tokens1, taxonomy2, tokens2) {
     // - One tab is shopping and the other is general
     // - The general tab must contain shopping tokens
     if ((taxonomy1.final === 'shopping' && taxonomy2.final === 'general') || (taxonomy2.final === 'shopping' && taxonomy1.final === 'general')) {
-        const shoppingTokens = new Set(['buy','shop','price','sale','deal','cart','checkout']);
         const generalTokens = taxonomy1.final === 'general' ? new Set(tokens1.tokens) : new Set(tokens2.tokens);
-        const hasShop = Array.from(shoppingTokens).some(k => generalTokens.has(k));
+        const hasShop = Array.from(PROVISIONAL_SHOPPING_TOKENS).some(k => generalTokens.has(k));
         if (hasShop) {
             console.log(`🔗 [Merge] Shopping-specific merge detected`);
             return true;
@@ -2534,7 +3767,7 @@ async function processShardWithAI(shard, tabDataForAI, timeout, retries = 0) {
         try {
             console.log(`🤖 [Stage 5] Executing AI grouping with timeout: ${timeout}ms (attempt ${attempt + 1}/${retries + 1})`);
             // Execute AI grouping with timeout
-            const result = await executeAIGroupingWithTimeout(prompt, timeout);
+            const result = await executeAIGroupingWithTimeout(prompt, timeout, shardTabs.map(tab => tab.url));
             console.log(`🤖 [Stage 5] AI grouping completed, result:`, result);
             
             // Cache result (DISABLED for debugging)
@@ -2568,8 +3801,8 @@ async function processShardWithAI(shard, tabDataForAI, timeout, retries = 0) {
  */
 function createShardPrompt(shardTabs) {
     const tabsInfo = shardTabs.map((tab, index) => {
-        const cleanTitle = tab.title || 'Untitled';
-        const cleanUrl = tab.url || '';
+        const cleanTitle = redactSensitiveText(tab.title || 'Untitled');
+        const cleanUrl = redactUrlForPrompt(tab.url || '');
         return `${index}: "${cleanTitle}" - ${cleanUrl}`;
     }).join('\n');
     
@@ -2598,7 +3831,7 @@ Requirements:
 /**
  * Εκτελεί AI grouping με timeout
  */
-async function executeAIGroupingWithTimeout(prompt, timeout) {
+async function executeAIGroupingWithTimeout(prompt, timeout, tabUrls = []) {
     console.log('🤖🤖🤖 [AI CLUSTERING START] 🤖🤖🤖');
     console.log('🤖 [AI] Executing AI grouping with timeout:', timeout, 'ms');
     console.log('🤖 [AI] Prompt length:', prompt.length, 'characters');
@@ -2615,6 +3848,8 @@ async function executeAIGroupingWithTimeout(prompt, timeout) {
         return { keywords: [], confidence: 0.1 };
     }
     console.log('🤖 [AI] Messaging content script on tab:', usableTab.id, usableTab.url);
+    await ensureFakeAIProvider(usableTab.id, 'ISOLATED');
+    const audit = { stage: 'shard-keywords', tabUrls };
 
     const send = (type, data) => new Promise((resolve, reject) => {
         try {
@@ -2644,7 +3879,7 @@ async function executeAIGroupingWithTimeout(prompt, timeout) {
         // Attempt to inject content script and retry once (with timeout guard)
         try {
             await withTimeout(
-                chrome.scripting.executeScript({ target: { tabId: usableTab.id }, files: ['content.js'] }),
+                executeAIScript({ target: { tabId: usableTab.id }, files: ['content.js'] }),
                 4000,
                 'Content script injection timeout'
             );
@@ -2656,12 +3891,12 @@ async function executeAIGroupingWithTimeout(prompt, timeout) {
                 // Fallback path: run LM directly in page context without messaging dependency
                 try {
                     const results = await withTimeout(
-                        chrome.scripting.executeScript({
+                        executeAIScript({
                             target: { tabId: usableTab.id },
                             world: 'MAIN',
                             func: performAIGroupingInPage,
                             args: [prompt]
-                        }),
+                        }, audit),
                         Math.min(timeout, 15000),
                         'In‑page grouping timeout'
                     );
@@ -2682,12 +3917,12 @@ async function executeAIGroupingWithTimeout(prompt, timeout) {
             // Try in‑page fallback even if injection failed
             try {
                 const results = await withTimeout(
-                    chrome.scripting.executeScript({
+                    executeAIScript({
                         target: { tabId: usableTab.id },
                         world: 'MAIN',
                         func: performAIGroupingInPage,
                         args: [prompt]
-                    }),
+                    }, audit),
                     Math.min(timeout, 15000),
                     'In‑page grouping timeout'
                 );
@@ -2708,6 +3943,10 @@ async function executeAIGroupingWithTimeout(prompt, timeout) {
     try {
         const resp = await withTimeout(send('AI_GROUPING_REQUEST', prompt), timeout, 'AI grouping timeout');
         console.log('🤖 [AI] Message response:', resp);
+        // Το content script τρέχει στο ISOLATED world, έξω από το executeAIScript
+        if (Array.isArray(resp?.auditCalls) && resp.auditCalls.length) {
+            collectAIAuditEntries(resp.auditCalls, audit);
+        }
         if (resp && resp.success && resp.result) {
             const result = resp.result;
             if (Array.isArray(result.keywords)) {
@@ -3342,6 +4581,7 @@ async function clearAllCache() {
     try {
         await chrome.storage.session.clear();
         await chrome.storage.local.clear();
+        await clearPersistentCache();
         console.log('🧹 [Cache] All cache cleared for debugging');
     } catch (error) {
         console.error('Error clearing cache:', error);
@@ -3355,6 +4595,7 @@ async function clearCacheManually() {
     try {
         await chrome.storage.session.clear();
         await chrome.storage.local.clear();
+        await clearPersistentCache();
         console.log('🧹 [Manual Cache Clear] All cache cleared manually');
         return { success: true, message: 'Cache cleared successfully' };
     } catch (error) {
@@ -3481,7 +4722,7 @@ function performCentroidFusion(groups, threshold) {
  * AI Merge Pass: uses Prompt API (Gemini Nano) to merge semantically identical groups
  * after TF-IDF/deterministic passes have completed.
  */
-async function performAIMergePass(groups, tabDataForAI) {
+async function performAIMergePass(groups, tabDataForAI, { constraints = null } = {}) {
     try {
         if (!Array.isArray(groups) || groups.length < 2) return groups;
         const accessibleTab = await findUsableAIAccessTab();
@@ -3502,6 +4743,7 @@ async function performAIMergePass(groups, tabDataForAI) {
         for (let i = 0; i < groups.length; i++) {
             for (let j = i + 1; j < groups.length; j++) {
                 const A = groups[i], B = groups[j];
+                if (hasCannotLinkConflict(A.tabIndices, B.tabIndices, constraints?.cannot)) continue;
                 // Skip obviously different high-level topics when both known
                 if (A.primaryTopic && B.primaryTopic && A.primaryTopic !== B.primaryTopic) {
                     // Allow shopping↔shopping only
@@ -3554,12 +4796,12 @@ async function performAIMergePass(groups, tabDataForAI) {
         if (!pairs.length) return current.filter(Boolean);
         try {
             const results = await withTimeout(
-                chrome.scripting.executeScript({
+                executeAIScript({
                     target: { tabId: accessibleTab.id },
                     world: 'MAIN',
                     func: areMultipleGroupsSameTaskInPage,
                     args: [pairs.map(p => p.desc)]
-                }),
+                }, { stage: 'group-merge', tabUrls: collectGroupTabUrls(pairs.flatMap(p => [current[p.i], current[p.j]]), tabDataForAI) }),
                 10000,
                 'AI batch merge timeout'
             );
@@ -3577,6 +4819,10 @@ async function performAIMergePass(groups, tabDataForAI) {
                     console.log(`⏸️ [AI Merge] Skipping over-merge: ${A.tabIndices.length}+${B.tabIndices.length}`);
                     continue;
                 }
+                // Προηγούμενο merge στο ίδιο batch μπορεί να έφερε tab με cannot-link
+                if (hasCannotLinkConflict(A.tabIndices, B.tabIndices, constraints?.cannot)) {
+                    continue;
+                }
                 console.log('🧠 [AI Merge] Merging groups by LLM decision:', {
                     a: A.name, b: B.name, reason: decision.reason || 'same task'
                 });
@@ -3601,6 +4847,7 @@ function areGroupsSameTaskInPage(descriptor) {
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -3655,9 +4902,23 @@ Group B:\n${pack(b)}
 
 // Batch version: evaluates multiple pairs within one session to reduce overhead
 function areMultipleGroupsSameTaskInPage(descriptors) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -3694,7 +4955,7 @@ function areMultipleGroupsSameTaskInPage(descriptors) {
                         `Group A:\n${safe(a)}\n\nGroup B:\n${safe(b)}\n`;
                     let parsed = { same: false, reason: '' };
                     try {
-                        const raw = await session.prompt(prompt);
+                        const raw = await auditCall('prompt', prompt, input => session.prompt(input));
                         const match = typeof raw === 'string' ? raw.match(/\{[\s\S]*\}/) : null;
                         const obj = match ? JSON.parse(match[0]) : JSON.parse(String(raw));
                         parsed.same = Boolean(obj.same === true || String(obj.same).toLowerCase() === 'yes');
@@ -3712,7 +4973,7 @@ function areMultipleGroupsSameTaskInPage(descriptors) {
             }
         }
         return { ok: false, error: 'unavailable' };
-    })();
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
 }
 
 // ---- Post-run RAM cleanup ----
@@ -3808,13 +5069,20 @@ function isBridge(tab) {
 /**
  * Εκτελεί AI ανάλυση των tabs χρησιμοποιώντας Chrome Built-in AI APIs
  */
-async function performAIAnalysis() {
+/**
+ * Κύριο AI pipeline. Με resume (checkpoint από διακοπτόμενο scan) τα ολοκληρωμένα στάδια δεν ξανατρέχουν.
+ */
+/**
+ * proposal: true → επιστρέφει τα groups χωρίς να αγγίξει aiGroups/cachedGroups (re-cluster του enrichment)
+ */
+async function performAIAnalysis({ resume = null, proposal = false } = {}) {
     // New run boundary: reset and assign a fresh run id
     RUN.reset();
     const run = RUN.id();
     let aiStart = nowMs();
     try {
         console.log('Starting AI analysis with Chrome Built-in AI...');
+        await ensureExtensionSettings();
         
         // Έλεγχος διαθεσιμότητας Chrome Built-in AI APIs
         // Χρησιμοποιούμε content script για πρόσβαση στα Chrome AI APIs (languageModel/summarizer)
@@ -3823,46 +5091,32 @@ async function performAIAnalysis() {
         console.log('Chrome AI APIs detected, proceeding with analysis...');
         
         // Προετοιμασία δεδομένων για AI με περισσότερες πληροφορίες
-        const tabDataForAI = currentTabData.map((tab, index) => {
-            let domain = tab.domain;
-            if (!domain) {
-                try {
-                    domain = new URL(tab.url).hostname;
-                } catch (error) {
-                    domain = '';
-                }
-            }
-            const contentPreview = tab.content.substring(0, 800); // Περισσότερο περιεχόμενο για AI
-            
-            return {
-                index: index,
-                title: tab.title,
-                url: tab.url,
-                domain: domain,
-                content: contentPreview,
-                metaDescription: tab.metaDescription,
-                contentLength: tab.content.length,
-                hasContent: tab.content.length > 100,
-                topicHints: tab.topicHints || generateTopicHints(tab),
-                youtubeTopic: tab.youtubeAnalysis?.topic || null,
-                youtubeTags: tab.youtubeAnalysis?.tags || [],
-                youtubeConfidence: typeof tab.youtubeAnalysis?.confidence === 'number' ? tab.youtubeAnalysis.confidence : null,
-                youtubeChannel: tab.youtubeAnalysis?.channel || '',
-                language: tab.language || '',
-                headings: Array.isArray(tab.headings) ? tab.headings.slice(0, 8) : [],
-                metaKeywords: Array.isArray(tab.metaKeywords) ? tab.metaKeywords.slice(0, 12) : [],
-                canonicalUrl: tab.canonicalUrl || '',
-                contentHash: tab.contentHash || '',
-                fullContent: tab.content
-            };
-        });
+        // Τα tabs κρατάνε ό,τι AI features/embeddings έχει ήδη φέρει το enrichment queue
+        const tabDataForAI = hydrateTabDataForAI(currentTabData);
+        // Must-link / cannot-link από διορθώσεις του χρήστη σε προηγούμενα scans
+        const constraintIndex = buildGroupingConstraintIndex(await loadGroupingConstraints(), tabDataForAI);
+        if (constraintIndex) {
+            console.log(`🧷 [Constraints] ${constraintIndex.size} user constraints apply to this scan`);
+        }
+        // Κανόνες χρήστη: τα tabs με θέση από κανόνα μένουν έξω από όλα τα clustering/merge stages
+        const ruleIndex = buildGroupingRuleIndex(await loadGroupingRules(), tabDataForAI);
+        if (ruleIndex) {
+            applyGroupingRuleTags(tabDataForAI, ruleIndex);
+            console.log(`📐 [Rules] ${ruleIndex.placements.size} tabs placed and ${ruleIndex.tags.size} tagged by user rules`);
+        }
         
         console.log(`Prepared ${tabDataForAI.length} tabs for AI analysis`);
         
         // Stage 0: Smart Triage & Provisional Groups
-        const triageStart = nowMs();
-        const triageResult = await performSmartTriage(tabDataForAI);
-        logTiming('Smart triage & provisional grouping', triageStart);
+        const triageResult = await runCheckpointedStage('triage', resume, async () => {
+            const triageStart = nowMs();
+            startScanStage('triage', tabDataForAI.length);
+            const result = await performSmartTriage(tabDataForAI, { ruleIndex });
+            logTiming('Smart triage & provisional grouping', triageStart);
+            completeScanStage('triage');
+            return result;
+        }, { serialize: serializeTriageResult, deserialize: deserializeTriageResult });
+        const enrichmentOrder = rankTabsForEnrichment(tabDataForAI, triageResult);
         console.log('🎯 [Stage 0] Triage complete:', {
             totalTabs: triageResult.totalTabs,
             needsSummarizer: triageResult.needsSummarizer.length,
@@ -3871,46 +5125,70 @@ async function performAIAnalysis() {
         });
         
         // Stage 1: Selective Summarizer (μόνο όπου χρειάζεται)
-        const summarizerStart = nowMs();
-        const summarizerResults = await performSelectiveSummarization(triageResult.needsSummarizer);
-        logTiming('Selective summarization', summarizerStart);
-        console.log('📄 [Stage 1] Selective summarization complete');
-        
-        // Stage 2: Structured Labels με Budget
-        const labelingStart = nowMs();
-        const labeledGroups = await performStructuredLabeling(triageResult.provisionalGroups, summarizerResults);
-        logTiming('Structured labeling', labelingStart);
-        console.log('🏷️ [Stage 2] Structured labeling complete');
-        
-        // Stage 3: Targeted Score Updates (μόνο αμφίβολα ζεύγη)
-        const scoreUpdateStart = nowMs();
-        const updatedGroups = await performTargetedScoreUpdates(labeledGroups, summarizerResults);
-        logTiming('Targeted score updates', scoreUpdateStart);
-        console.log('🎯 [Stage 3] Targeted score updates complete');
-        
-        // Stage 4: Centroid Stabilization
-        const centroidStart = nowMs();
-        const stabilizedGroups = await performCentroidStabilization(updatedGroups);
-        logTiming('Centroid stabilization', centroidStart);
-        console.log('🔄 [Stage 4] Centroid stabilization complete');
-        
-        // Stage 5: AI Ensemble Fusion (sharded approach)
-        const fusionStart = nowMs();
-        const finalGroups = await performAIEnsembleFusion(stabilizedGroups, tabDataForAI);
-        logTiming('AI ensemble fusion', fusionStart);
-        console.log('🤖 [Stage 5] AI ensemble fusion complete');
+        const summarizerResults = await runCheckpointedStage('summarization', resume, async () => {
+            const summarizerStart = nowMs();
+            startScanStage('summarization', triageResult.needsSummarizer.length);
+            const results = await performSelectiveSummarization(triageResult.needsSummarizer);
+            logTiming('Selective summarization', summarizerStart);
+            completeScanStage('summarization', { skipped: !triageResult.needsSummarizer.length });
+            console.log('📄 [Stage 1] Selective summarization complete');
+            return results;
+        });
+        
+        const finalGroups = await runCheckpointedStage('clustering', resume, async () => {
+            // Stage 2: Structured Labels με Budget
+            const labelingStart = nowMs();
+            startScanStage('clustering');
+            const labeledGroups = await performStructuredLabeling(triageResult.provisionalGroups, summarizerResults);
+            logTiming('Structured labeling', labelingStart);
+            console.log('🏷️ [Stage 2] Structured labeling complete');
+            throwIfScanCancelled();
+            
+            // Stage 3: Targeted Score Updates (μόνο αμφίβολα ζεύγη)
+            const scoreUpdateStart = nowMs();
+            const updatedGroups = await performTargetedScoreUpdates(labeledGroups, summarizerResults);
+            logTiming('Targeted score updates', scoreUpdateStart);
+            console.log('🎯 [Stage 3] Targeted score updates complete');
+            throwIfScanCancelled();
+            
+            // Stage 4: Centroid Stabilization
+            const centroidStart = nowMs();
+            const stabilizedGroups = await performCentroidStabilization(updatedGroups);
+            logTiming('Centroid stabilization', centroidStart);
+            console.log('🔄 [Stage 4] Centroid stabilization complete');
+            throwIfScanCancelled();
+            
+            // Stage 5: AI Ensemble Fusion (sharded approach)
+            const fusionStart = nowMs();
+            const fusedGroups = await performAIEnsembleFusion(stabilizedGroups, tabDataForAI);
+            logTiming('AI ensemble fusion', fusionStart);
+            completeScanStage('clustering');
+            console.log('🤖 [Stage 5] AI ensemble fusion complete');
+            return fusedGroups;
+        });
         
         // 1b. Embedding extraction for richer semantic similarity
-        const embeddingStart = nowMs();
-        await ensureTabEmbeddings(tabDataForAI);
-        logTiming('Embedding generation', embeddingStart);
-        console.log('Semantic embeddings generated for all tabs');
+        // (τα embeddings γράφονται στο currentTabData, οπότε το checkpoint τα κρατάει μέσω του tabData)
+        await runCheckpointedStage('embeddings', resume, async () => {
+            const embeddingStart = nowMs();
+            startScanStage('embeddings', tabDataForAI.length);
+            await ensureTabEmbeddings(tabDataForAI, {
+                order: enrichmentOrder.map(item => item.index),
+                budgetMs: AI_ENRICHMENT_FOREGROUND_BUDGET_MS,
+                onProgress: () => advanceScanStage('embeddings')
+            });
+            logTiming('Embedding generation', embeddingStart);
+            completeScanStage('embeddings');
+            console.log('Semantic embeddings generated for prioritized tabs');
+            return null;
+        });
         
         // Use final groups from new pipeline (clamp keyword lists to 10 to reduce noise)
         let groups = (finalGroups || []).map(g => ({
             ...g,
             keywords: Array.isArray(g.keywords) ? g.keywords.slice(0, 10) : []
         }));
+        groups = stripRuleAssignedTabs(groups, ruleIndex);
         console.log('🎯 [Smart Pipeline] Using final groups from new architecture');
 
         // Enforce/split by category to reduce cross-topic mixing
@@ -3941,6 +5219,13 @@ async function performAIAnalysis() {
         
         // Create featureContext for compatibility with existing code
         const featureContext = prepareTabFeatureContext(tabDataForAI);
+        // Candidate blocking για refinement/name merges σε μεγάλα tab sets (null κάτω από το όριο)
+        featureContext.candidateIndex = buildCandidateIndex(featureContext.vectors);
+        featureContext.constraints = constraintIndex;
+        groups = enforceGroupingConstraints(groups, constraintIndex, { vectors: featureContext.vectors });
+        if (featureContext.candidateIndex) {
+            console.log(`🧱 [Blocking] ${featureContext.candidateIndex.pairCount}/${featureContext.candidateIndex.totalPairs} candidate pairs`, featureContext.candidateIndex.sources);
+        }
         console.log('🔍 [Clustering Debug] Deterministic groups created:', groups.map(g => ({
             tabCount: g.tabIndices.length,
             keywords: g.keywords?.slice(0, 6) || [],
@@ -3974,45 +5259,67 @@ async function performAIAnalysis() {
             });
         });
         
-        const llmRefinementStart = nowMs();
-        if (groups && groups.length > 0 && featureContext && tabDataForAI && tabDataForAI.length > 0) {
-            groups = await applyLLMRefinement(groups, featureContext, tabDataForAI);
-        } else {
-            console.log('⚠️ [Smart Pipeline] Skipping applyLLMRefinement - missing data');
-        }
-        logTiming('LLM refinement', llmRefinementStart);
-        
-        // 3. Αντιστοίχιση labels (με AI μόνο για naming) - SKIPPED (using new pipeline)
-        const oldLabelingStart = nowMs();
-        if (groups && groups.length > 0 && tabDataForAI && tabDataForAI.length > 0) {
-            await assignGroupLabels(groups, tabDataForAI);
-        } else {
-            console.log('⚠️ [Smart Pipeline] Skipping assignGroupLabels - missing data');
-        }
+        publishPartialGroups(groups, tabDataForAI);
         
-        const mergedByName = mergeSimilarNamedGroups(groups, featureContext, { debugLog: console.log });
-        const nameMerged = mergedByName.length !== groups.length;
-        if (nameMerged) {
-            console.log(`Merged ${groups.length - mergedByName.length} groups based on similar labels.`);
-            groups = mergedByName;
-            await assignGroupLabels(groups, tabDataForAI);
-        } else {
-            groups = mergedByName;
-        }
+        groups = await runCheckpointedStage('refinement', resume, async () => {
+            const llmRefinementStart = nowMs();
+            startScanStage('refinement');
+            let refinedGroups = groups;
+            if (groups && groups.length > 0 && featureContext && tabDataForAI && tabDataForAI.length > 0) {
+                refinedGroups = await applyLLMRefinement(groups, featureContext, tabDataForAI);
+            } else {
+                console.log('⚠️ [Smart Pipeline] Skipping applyLLMRefinement - missing data');
+            }
+            logTiming('LLM refinement', llmRefinementStart);
+            completeScanStage('refinement');
+            return refinedGroups;
+        });
+        groups = stripRuleAssignedTabs(groups, ruleIndex);
         
-        // Optional: AI Merge Pass to fix TF-IDF over-segmentation using Prompt API
-        try {
-            const aiMergeStart = nowMs();
-            groups = await performAIMergePass(groups, tabDataForAI);
-            logTiming('AI merge pass', aiMergeStart);
-        } catch (aimErr) {
-            console.warn('AI merge pass skipped:', aimErr?.message || aimErr);
-        }
-        logTiming('Group labeling & merge refinement', oldLabelingStart);
+        // 3. Αντιστοίχιση labels (με AI μόνο για naming) - SKIPPED (using new pipeline)
+        groups = await runCheckpointedStage('labeling', resume, async () => {
+            const oldLabelingStart = nowMs();
+            startScanStage('labeling');
+            let labeledGroups = groups;
+            if (labeledGroups && labeledGroups.length > 0 && tabDataForAI && tabDataForAI.length > 0) {
+                await assignGroupLabels(labeledGroups, tabDataForAI);
+            } else {
+                console.log('⚠️ [Smart Pipeline] Skipping assignGroupLabels - missing data');
+            }
+            throwIfScanCancelled();
+            
+            const mergedByName = mergeSimilarNamedGroups(labeledGroups, featureContext, { debugLog: console.log });
+            const nameMerged = mergedByName.length !== labeledGroups.length;
+            if (nameMerged) {
+                console.log(`Merged ${labeledGroups.length - mergedByName.length} groups based on similar labels.`);
+                labeledGroups = mergedByName;
+                await assignGroupLabels(labeledGroups, tabDataForAI);
+            } else {
+                labeledGroups = mergedByName;
+            }
+            throwIfScanCancelled();
+            
+            // Optional: AI Merge Pass to fix TF-IDF over-segmentation using Prompt API
+            try {
+                const aiMergeStart = nowMs();
+                labeledGroups = await performAIMergePass(labeledGroups, tabDataForAI, { constraints: constraintIndex });
+                logTiming('AI merge pass', aiMergeStart);
+            } catch (aimErr) {
+                if (isScanCancelledError(aimErr)) throw aimErr;
+                console.warn('AI merge pass skipped:', aimErr?.message || aimErr);
+            }
+            labeledGroups = enforceGroupingConstraints(labeledGroups, constraintIndex, { vectors: featureContext.vectors });
+            // Τα forced groups των κανόνων μπαίνουν μετά από όλα τα merges, με το όνομα του κανόνα
+            labeledGroups = appendRuleGroups(labeledGroups, ruleIndex);
+            logTiming('Group labeling & merge refinement', oldLabelingStart);
+            completeScanStage('labeling');
+            return labeledGroups;
+        });
         
         const beforeFilterCount = groups.length;
         console.log(`🔍 [Clustering Debug] Before filtering: ${beforeFilterCount} groups`);
-        groups = groups.filter(group => group.tabIndices.length >= 2);
+        // Τα groups ενός κανόνα "group" μένουν και με ένα tab: ο χρήστης ζήτησε ρητά αυτή τη θέση
+        groups = groups.filter(group => group.tabIndices.length >= 2 || (group.ruleGroup && group.tabIndices.length > 0));
         const afterFilterCount = groups.length;
         if (groups.length !== beforeFilterCount) {
             console.log(`🔍 [Clustering Debug] After filtering: ${afterFilterCount} groups (removed ${beforeFilterCount - afterFilterCount} singleton groups)`);
@@ -4153,23 +5460,46 @@ async function performAIAnalysis() {
             console.warn('Deterministic labeling fallback failed:', labelErr?.message || labelErr);
         }
         
-        aiGroups = groups;
-        // Prefer labels first to avoid LM contention with summarizer
-        scheduleDeferredLabels(400);
-        scheduleDeferredSummaries(1200);
+        if (!proposal) {
+            aiGroups = groups;
+            // Prefer labels first to avoid LM contention with summarizer
+            scheduleDeferredLabels(400);
+            scheduleDeferredSummaries(1200);
+            
+            // Αποθήκευση αποτελεσμάτων
+            await chrome.storage.local.set({
+                lastScan: Date.now(),
+                cachedGroups: aiGroups,
+                tabData: currentTabData,
+                aiApisUsed: ['languageModel', 'summarizer']
+            });
+        }
         
-        // Αποθήκευση αποτελεσμάτων
-        await chrome.storage.local.set({
-            lastScan: Date.now(),
-            cachedGroups: aiGroups,
-            tabData: currentTabData,
-            aiApisUsed: ['languageModel', 'summarizer']
+        // Ό,τι δεν εμπλουτίστηκε ακόμα συνεχίζει στο background (μετά τα labels/summaries).
+        // Τα attempts επιβιώνουν το requeue, ώστε όσα tabs εγκαταλείφθηκαν να μην ξαναμπαίνουν σε κάθε scan
+        const attempts = pruneEnrichmentAttempts((await loadEnrichmentQueue()).attempts);
+        await saveEnrichmentQueue({
+            items: buildEnrichmentQueueItems(enrichmentOrder, attempts),
+            enrichedSinceRecluster: 0,
+            attempts
         });
+        scheduleAIEnrichment(AI_ENRICHMENT_IDLE_DELAY_MS);
         
         console.log('Chrome Built-in AI analysis completed successfully');
         logTiming('AI analysis end-to-end', aiStart);
+        return groups;
         
     } catch (error) {
+        if (proposal) {
+            // Η πρόταση απέτυχε: τα εφαρμοσμένα groups μένουν ως έχουν
+            logTiming('AI analysis end-to-end (proposal failed)', aiStart);
+            throw error;
+        }
+        if (isScanCancelledError(error)) {
+            // Cancel: κρατάμε τα προηγούμενα αποτελέσματα στο storage
+            logTiming('AI analysis end-to-end (cancelled)', aiStart);
+            throw error;
+        }
         console.error('Chrome Built-in AI analysis failed:', error);
         logTiming('AI analysis end-to-end (failed)', aiStart);
         
@@ -4189,129 +5519,918 @@ async function performAIAnalysis() {
     }
 }
 
+// ---- Tab group ownership ----
+// respect: τα χειροκίνητα groups μένουν ανέγγιχτα · merge: seed clusters που το AI μόνο συμπληρώνει · rebuild: όλα από την αρχή
+const GROUP_OWNERSHIP_MODES = ['respect', 'merge', 'rebuild'];
+const DEFAULT_GROUP_OWNERSHIP_MODE = 'respect';
+const GROUP_OWNERSHIP_MODE_KEY = 'groupOwnershipMode';
+// Τα group ids δεν επιβιώνουν restart· η ταυτότητα ενός group της επέκτασης είναι title + color + URLs (+ window στο ίδιο session)
+// inferred: το group αναγνωρίστηκε μόνο από αυτά· δεν διαλύεται χωρίς επιβεβαίωση από το preview
+const OWNED_TAB_GROUPS_KEY = 'ownedTabGroups'; // local storage: [{ id, windowId, title, color, urls, seenAt, inferred }]
+const OWNED_TAB_GROUPS_SESSION_KEY = 'ownedTabGroupsSession'; // session storage: υπάρχει → τα ids των records ισχύουν ακόμη
+const OWNED_TAB_GROUP_RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const OWNED_TAB_GROUP_MAX_RECORDS = 60;
+const OWNED_TAB_GROUP_MAX_URLS = 50;
+const OWNED_TAB_GROUP_MIN_URL_MATCH = 0.8; // κοινά URLs / max(URLs group, URLs record)
+const OWNED_TAB_GROUP_REFRESH_DELAY_MS = 3000;
+
+let ownedTabGroupIds = null;
+let ownedTabGroupRecords = []; // id: null = δεν έχει βρεθεί ακόμη (π.χ. πριν ολοκληρωθεί το session restore)
+let ownedTabGroupsReady = null;
+let ownedTabGroupRefreshTimer = null;
+
+async function getGroupOwnershipMode() {
+    try {
+        const stored = await chrome.storage.sync.get([GROUP_OWNERSHIP_MODE_KEY]);
+        const mode = stored[GROUP_OWNERSHIP_MODE_KEY];
+        return GROUP_OWNERSHIP_MODES.includes(mode) ? mode : DEFAULT_GROUP_OWNERSHIP_MODE;
+    } catch (error) {
+        console.warn('Failed to read group ownership mode:', error?.message || error);
+        return DEFAULT_GROUP_OWNERSHIP_MODE;
+    }
+}
+
 /**
- * Δημιουργεί tab groups βάσει των AI αποτελεσμάτων
+ * Ids των tab groups που δημιούργησε η επέκταση. Lazy load από chrome.storage.local· σε νέο browser
+ * session τα αποθηκευμένα ids αγνοούνται και τα groups αναγνωρίζονται από reconcileOwnedTabGroups
  */
-async function createTabGroups(aiGroups, tabData) {
-    try {
-        console.log('Creating tab groups from AI results...');
-        const groupingStart = nowMs();
-        const windowInfoCache = new Map();
-        const getWindowInfo = async (windowId, { refresh = false } = {}) => {
-            if (!windowId) return null;
-            if (!refresh && windowInfoCache.has(windowId)) {
-                return windowInfoCache.get(windowId);
+function loadOwnedTabGroupIds() {
+    if (!ownedTabGroupsReady) {
+        ownedTabGroupsReady = (async () => {
+            ownedTabGroupIds = new Set();
+            try {
+                const [stored, session] = await Promise.all([
+                    chrome.storage.local.get([OWNED_TAB_GROUPS_KEY]),
+                    chrome.storage.session.get([OWNED_TAB_GROUPS_SESSION_KEY])
+                ]);
+                const cutoff = Date.now() - OWNED_TAB_GROUP_RECORD_TTL_MS;
+                ownedTabGroupRecords = (Array.isArray(stored[OWNED_TAB_GROUPS_KEY]) ? stored[OWNED_TAB_GROUPS_KEY] : [])
+                    .filter(record => record && (record.seenAt || 0) >= cutoff);
+                if (!session[OWNED_TAB_GROUPS_SESSION_KEY]) {
+                    // Και τα window ids αλλάζουν μετά από restart
+                    ownedTabGroupRecords.forEach(record => {
+                        record.id = null;
+                        record.windowId = null;
+                    });
+                    await chrome.storage.session.set({ [OWNED_TAB_GROUPS_SESSION_KEY]: true });
+                }
+                await reconcileOwnedTabGroups();
+            } catch (error) {
+                console.warn('Failed to load owned tab groups:', error?.message || error);
             }
-            const info = await chrome.windows.get(windowId);
-            windowInfoCache.set(windowId, info);
-            return info;
+            return ownedTabGroupIds;
+        })();
+    }
+    return ownedTabGroupsReady;
+}
+
+async function queryTabGroupUrls() {
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const [groups, tabs] = await Promise.all([chrome.tabGroups.query({}), chrome.tabs.query({})]);
+    const urlsByGroupId = new Map();
+    tabs.forEach(tab => {
+        const url = tab.url || tab.pendingUrl || '';
+        if (typeof tab.groupId !== 'number' || tab.groupId === NO_GROUP || !url) return;
+        if (!urlsByGroupId.has(tab.groupId)) urlsByGroupId.set(tab.groupId, []);
+        urlsByGroupId.get(tab.groupId).push(url);
+    });
+    return { groups, urlsByGroupId };
+}
+
+/**
+ * Records → groups με ίδιο title + color, ίδιο window (όταν το record έχει window από αυτό το session)
+ * και τουλάχιστον OWNED_TAB_GROUP_MIN_URL_MATCH κοινά URLs· κάθε group το πολύ σε ένα record
+ */
+function matchOwnedTabGroupRecords(records, groups, urlsByGroupId, claimedIds) {
+    const candidates = [];
+    records.forEach(record => {
+        const recordUrls = new Set(record.urls || []);
+        groups.forEach(group => {
+            const urls = urlsByGroupId.get(group.id) || [];
+            if (claimedIds.has(group.id) || !urls.length || (group.title || '') !== record.title || group.color !== record.color) {
+                return;
+            }
+            if (typeof record.windowId === 'number' && group.windowId !== record.windowId) {
+                return;
+            }
+            const share = urls.filter(url => recordUrls.has(url)).length / Math.max(urls.length, recordUrls.size);
+            if (share >= OWNED_TAB_GROUP_MIN_URL_MATCH) {
+                candidates.push({ record, groupId: group.id, share });
+            }
+        });
+    });
+    const matches = new Map();
+    candidates.sort((a, b) => b.share - a.share).forEach(({ record, groupId }) => {
+        if (matches.has(record) || claimedIds.has(groupId)) return;
+        matches.set(record, groupId);
+        claimedIds.add(groupId);
+    });
+    return matches;
+}
+
+/**
+ * Records με ζωντανό id μένουν· τα υπόλοιπα ψάχνουν αντίστοιχο group (restart, session restore).
+ * Ανανεώνει title/color/URLs όλων των owned records και το ownedTabGroupIds (in place).
+ */
+async function reconcileOwnedTabGroups() {
+    const { groups, urlsByGroupId } = await queryTabGroupUrls();
+    const groupsById = new Map(groups.map(group => [group.id, group]));
+    const claimedIds = new Set();
+    ownedTabGroupRecords.forEach(record => {
+        if (typeof record.id === 'number' && groupsById.has(record.id) && !claimedIds.has(record.id)) {
+            claimedIds.add(record.id);
+        } else {
+            record.id = null;
+        }
+    });
+    const pending = ownedTabGroupRecords.filter(record => record.id === null);
+    matchOwnedTabGroupRecords(pending, groups, urlsByGroupId, claimedIds).forEach((groupId, record) => {
+        record.id = groupId;
+        record.inferred = true;
+        console.log(`📁 [Ownership] Recognised extension group after restart: ${record.title || 'Untitled'}`);
+    });
+    
+    const now = Date.now();
+    ownedTabGroupIds.clear();
+    ownedTabGroupRecords.forEach(record => {
+        if (record.id === null) return;
+        const group = groupsById.get(record.id);
+        Object.assign(record, {
+            windowId: group.windowId,
+            title: group.title || '',
+            color: group.color,
+            urls: (urlsByGroupId.get(record.id) || []).slice(0, OWNED_TAB_GROUP_MAX_URLS),
+            seenAt: now
+        });
+        ownedTabGroupIds.add(record.id);
+    });
+    await persistOwnedTabGroupIds();
+}
+
+function scheduleOwnedTabGroupRefresh() {
+    clearTimeout(ownedTabGroupRefreshTimer);
+    ownedTabGroupRefreshTimer = setTimeout(() => {
+        ownedTabGroupRefreshTimer = null;
+        loadOwnedTabGroupIds()
+            .then(() => (ownedTabGroupRecords.length ? reconcileOwnedTabGroups() : null))
+            .catch(error => console.warn('Owned tab group refresh failed:', error?.message || error));
+    }, OWNED_TAB_GROUP_REFRESH_DELAY_MS);
+}
+
+/**
+ * Records για τα ids του ownedTabGroupIds (όσα αφαιρέθηκαν από το set φεύγουν) + όσα περιμένουν ακόμη match
+ */
+async function persistOwnedTabGroupIds() {
+    const owned = ownedTabGroupIds || new Set();
+    ownedTabGroupRecords = ownedTabGroupRecords
+        .filter(record => record.id === null || owned.has(record.id))
+        .sort((a, b) => (b.seenAt || 0) - (a.seenAt || 0))
+        .slice(0, OWNED_TAB_GROUP_MAX_RECORDS);
+    try {
+        await chrome.storage.local.set({ [OWNED_TAB_GROUPS_KEY]: ownedTabGroupRecords });
+    } catch (error) {
+        console.warn('Failed to persist owned tab groups:', error?.message || error);
+    }
+}
+
+/**
+ * true για groups που θεωρούνται της επέκτασης μόνο λόγω title/color/URLs (όχι επειδή τα έφτιαξε αυτό το session)
+ */
+function isInferredOwnedTabGroup(groupId) {
+    return ownedTabGroupRecords.some(record => record.id === groupId && record.inferred);
+}
+
+async function markTabGroupOwned(groupId) {
+    const owned = await loadOwnedTabGroupIds();
+    let snapshot = { windowId: null, title: '', color: null, urls: [] };
+    try {
+        const [group, tabs] = await Promise.all([chrome.tabGroups.get(groupId), chrome.tabs.query({ groupId })]);
+        snapshot = {
+            windowId: group.windowId,
+            title: group.title || '',
+            color: group.color,
+            urls: tabs.map(tab => tab.url || tab.pendingUrl || '').filter(Boolean).slice(0, OWNED_TAB_GROUP_MAX_URLS)
         };
-        // Early cleanup of existing groups to avoid first-run double pass
-        const earlyCleanupStart = nowMs();
+    } catch (error) {
+        console.warn('Failed to snapshot owned tab group:', error?.message || error);
+    }
+    owned.add(groupId);
+    ownedTabGroupRecords = [
+        { id: groupId, ...snapshot, seenAt: Date.now() },
+        ...ownedTabGroupRecords.filter(record => record.id !== groupId)
+    ];
+    await persistOwnedTabGroupIds();
+}
+
+async function forgetOwnedTabGroup(groupId) {
+    const owned = await loadOwnedTabGroupIds();
+    if (owned.delete(groupId)) {
+        await persistOwnedTabGroupIds();
+    }
+}
+
+// ---- Operation journal (undo) ----
+// Before-state κάθε destructive ενέργειας (grouping, κλείσιμο tabs) σε chrome.storage.session· πολλά επίπεδα undo
+const OPERATION_JOURNAL_KEY = 'operationJournal';
+const OPERATION_JOURNAL_MAX = 10;
+
+async function loadOperationJournal() {
+    try {
+        const stored = await chrome.storage.session.get([OPERATION_JOURNAL_KEY]);
+        return Array.isArray(stored[OPERATION_JOURNAL_KEY]) ? stored[OPERATION_JOURNAL_KEY] : [];
+    } catch (error) {
+        console.warn('Failed to load operation journal:', error?.message || error);
+        return [];
+    }
+}
+
+async function saveOperationJournal(entries) {
+    await chrome.storage.session.set({ [OPERATION_JOURNAL_KEY]: entries.slice(0, OPERATION_JOURNAL_MAX) });
+}
+
+/**
+ * Snapshot των tabs (id, URL, window, index, group) και των groups τους· χωρίς tabIds όλα τα normal windows
+ */
+async function captureTabLayout(tabIds = null) {
+    const wanted = tabIds ? new Set(tabIds) : null;
+    const owned = await loadOwnedTabGroupIds();
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const tabs = (await chrome.tabs.query({ windowType: 'normal' }))
+        .filter(tab => !tab.incognito && (!wanted || wanted.has(tab.id)));
+    const groups = [];
+    for (const groupId of new Set(tabs.map(tab => tab.groupId).filter(id => typeof id === 'number' && id !== NO_GROUP))) {
         try {
-            const existingGroups = await chrome.tabGroups.query({});
-            for (const group of existingGroups) {
-                try {
-                    const tabsInGroup = await chrome.tabs.query({ groupId: group.id });
-                    const ids = tabsInGroup.map(t => t.id).filter(Boolean);
-                    if (ids.length) {
-                        await chrome.tabs.ungroup(ids);
-                        console.log(`Ungrouped ${ids.length} tabs from: ${group.title || 'Untitled'}`);
-                    }
-                } catch (groupCleanupErr) {
-                    console.log(`Group cleanup failed for ${group.id}:`, groupCleanupErr?.message || groupCleanupErr);
-                }
+            const group = await chrome.tabGroups.get(groupId);
+            groups.push({ id: group.id, title: group.title || '', color: group.color, collapsed: Boolean(group.collapsed), windowId: group.windowId, owned: owned.has(group.id) });
+        } catch (_) {}
+    }
+    return {
+        tabs: tabs.map(tab => ({
+            id: tab.id,
+            url: tab.url || tab.pendingUrl || '',
+            title: tab.title || '',
+            windowId: tab.windowId,
+            index: tab.index,
+            groupId: typeof tab.groupId === 'number' ? tab.groupId : NO_GROUP,
+            pinned: Boolean(tab.pinned)
+        })),
+        groups
+    };
+}
+
+async function recordOperation(type, label, layout) {
+    if (!layout || !layout.tabs.length) return;
+    try {
+        const entries = await loadOperationJournal();
+        entries.unshift({ id: `op-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`, type, label, createdAt: Date.now(), layout });
+        await saveOperationJournal(entries);
+        console.log(`↩️ [Undo] Recorded "${label}" (${Math.min(entries.length, OPERATION_JOURNAL_MAX)} levels)`);
+    } catch (error) {
+        console.warn('Failed to record operation:', error?.message || error);
+    }
+}
+
+/**
+ * Το window του snapshot αν υπάρχει ακόμα, αλλιώς ένα κοινό fallback window
+ */
+async function resolveUndoWindowId(windowId, cache) {
+    if (cache.has(windowId)) return cache.get(windowId);
+    let resolved = null;
+    try {
+        const info = await chrome.windows.get(windowId);
+        if (info.type === 'normal') resolved = info.id;
+    } catch (_) {}
+    if (resolved === null) {
+        if (!cache.has('fallback')) {
+            let fallback = null;
+            try {
+                fallback = (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+            } catch (_) {
+                fallback = (await chrome.windows.create({ focused: false })).id;
             }
-        } catch (e) {
-            console.log('Early group cleanup skipped due to error:', e?.message || e);
+            cache.set('fallback', fallback);
         }
-        logTiming('Existing group cleanup', earlyCleanupStart);
-        groupActivityState.clear();
+        resolved = cache.get('fallback');
+    }
+    cache.set(windowId, resolved);
+    return resolved;
+}
 
-        // Πρώτα ελέγχουμε όλα τα tabs που θα χρησιμοποιήσουμε
-        console.log('Pre-checking all tabs for group creation...');
-        const precheckStart = nowMs();
-        const allTabIds = new Set();
-        for (const group of aiGroups) {
-            if (group.tabIndices && group.tabIndices.length > 0) {
-                for (const index of group.tabIndices) {
-                    const tab = tabData[index];
-                    if (tab && tab.id) {
-                        allTabIds.add(tab.id);
-                    }
-                }
-            }
+/**
+ * Επαναφέρει window/index/group membership των tabs του snapshot.
+ * idMap: παλιό tab id → νέο (για tabs που ξανάνοιξαν μετά από κλείσιμο)
+ */
+async function restoreTabLayout(layout, idMap = new Map(), windowCache = new Map()) {
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const live = new Map((await chrome.tabs.query({})).map(tab => [tab.id, tab]));
+    const entries = layout.tabs
+        .map(snap => ({ snap, tabId: idMap.has(snap.id) ? idMap.get(snap.id) : snap.id }))
+        .filter(entry => live.has(entry.tabId))
+        .sort((a, b) => (a.snap.windowId - b.snap.windowId) || (a.snap.index - b.snap.index));
+    if (!entries.length) {
+        return { restoredTabs: 0, restoredGroups: 0 };
+    }
+    markProgrammaticGroupChange(entries.map(entry => entry.tabId));
+
+    // 1) Έξω από groups όσα tabs βρίσκονται σε άλλο group από πριν, ώστε τα moves να μην τα τραβήξουν αλλού
+    const misplaced = entries
+        .filter(entry => live.get(entry.tabId).groupId !== NO_GROUP && live.get(entry.tabId).groupId !== entry.snap.groupId)
+        .map(entry => entry.tabId);
+    if (misplaced.length) {
+        await chrome.tabs.ungroup(misplaced).catch(error => console.warn('Undo ungroup failed:', error?.message || error));
+    }
+
+    // 2) Window και θέση, από αριστερά προς τα δεξιά
+    for (const entry of entries) {
+        const windowId = await resolveUndoWindowId(entry.snap.windowId, windowCache);
+        entry.windowId = windowId;
+        try {
+            await chrome.tabs.move(entry.tabId, { windowId, index: entry.snap.index });
+        } catch (error) {
+            console.warn(`Undo move failed for tab ${entry.tabId}:`, error?.message || error);
         }
-        
-        // Ελέγχουμε όλα τα tabs μαζί
-        const validTabs = new Set();
-        const invalidTabs = new Set();
-        
-        for (const tabId of allTabIds) {
+    }
+
+    // 3) Groups: το ίδιο group αν υπάρχει ακόμα, αλλιώς νέο με τον παλιό τίτλο/χρώμα
+    let restoredGroups = 0;
+    const fullscreenWindows = new Set();
+    for (const group of layout.groups) {
+        const members = entries.filter(entry => entry.snap.groupId === group.id && !entry.snap.pinned);
+        if (!members.length) continue;
+        const windowId = members[0].windowId;
+        const tabIds = members.map(entry => entry.tabId);
+        try {
+            const windowInfo = await chrome.windows.get(windowId);
+            if (!isGroupableWindow(windowInfo)) continue;
+            if (windowInfo.state === 'fullscreen') fullscreenWindows.add(windowId);
+            const readiness = await ensureWindowReadyForGrouping(windowId);
+            if (!readiness.ok) continue;
+            let existingId = null;
             try {
-                const tabInfo = await chrome.tabs.get(tabId);
-                console.log(`🔍 Checking tab ${tabId}: incognito=${tabInfo.incognito}, windowId=${tabInfo.windowId}, groupId=${tabInfo.groupId}`);
+                const existing = await chrome.tabGroups.get(group.id);
+                if (existing.windowId === windowId) existingId = existing.id;
+            } catch (_) {}
+            markProgrammaticGroupChange(tabIds);
+            const groupId = existingId !== null
+                ? await chrome.tabs.group({ groupId: existingId, tabIds })
+                : await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+            await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+            if (group.owned) {
+                await markTabGroupOwned(groupId);
+            }
+            restoredGroups += 1;
+        } catch (error) {
+            console.warn(`Undo regroup failed for "${group.title}":`, error?.message || error);
+        }
+    }
 
-                if (tabInfo && !tabInfo.incognito && tabInfo.windowId) {
-                    let windowInfo = await getWindowInfo(tabInfo.windowId);
-                    console.log(`🔍 Window ${tabInfo.windowId}: type=${windowInfo.type}, state=${windowInfo.state}`);
+    // 4) Όσα ήταν εκτός group μένουν εκτός
+    const current = new Map((await chrome.tabs.query({})).map(tab => [tab.id, tab]));
+    const toUngroup = entries
+        .filter(entry => entry.snap.groupId === NO_GROUP && current.get(entry.tabId)?.groupId !== NO_GROUP)
+        .map(entry => entry.tabId);
+    if (toUngroup.length) {
+        markProgrammaticGroupChange(toUngroup);
+        await chrome.tabs.ungroup(toUngroup).catch(error => console.warn('Undo ungroup failed:', error?.message || error));
+    }
+    for (const windowId of fullscreenWindows) {
+        await chrome.windows.update(windowId, { state: 'fullscreen' }).catch(() => {});
+    }
+    return { restoredTabs: entries.length, restoredGroups };
+}
 
-                    if (windowInfo.type === 'normal') {
-                        // Allow grouping in normal, maximized, fullscreen (no window state changes)
-                        if (['normal', 'maximized', 'fullscreen'].includes(windowInfo.state)) {
-                            validTabs.add(tabId);
-                            if (!tabInfo.groupId || tabInfo.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
-                                console.log(`✅ Tab ${tabId} is valid for grouping`);
-                            } else {
-                                console.log(`✅ Tab ${tabId} already in group ${tabInfo.groupId} (will be regrouped)`);
-                            }
-                        } else {
-                            invalidTabs.add(tabId);
-                            console.log(`❌ Tab ${tabId} window state invalid for grouping: ${windowInfo.state}`);
-                        }
-                    } else {
-                        invalidTabs.add(tabId);
-                        console.log(`❌ Tab ${tabId} not in normal window (type: ${windowInfo?.type})`);
-                    }
-                } else {
-                    invalidTabs.add(tabId);
-                    console.log(`❌ Tab ${tabId} is incognito or has no windowId`);
-                }
+/**
+ * Ξανανοίγει κλεισμένα tabs: πρώτα μέσω chrome.sessions (με history), αλλιώς από το URL
+ */
+async function undoCloseTabs(layout) {
+    let recentTabs = [];
+    if (chrome.sessions?.getRecentlyClosed) {
+        try {
+            const recent = await chrome.sessions.getRecentlyClosed({ maxResults: chrome.sessions.MAX_SESSION_RESULTS || 25 });
+            recentTabs = recent.filter(item => item.tab).map(item => item.tab);
+        } catch (error) {
+            console.warn('Recently closed lookup failed:', error?.message || error);
+        }
+    }
+    const usedSessions = new Set();
+    const idMap = new Map();
+    const windowCache = new Map();
+    let fromSessions = 0;
+    const ordered = [...layout.tabs].sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+    for (const snap of ordered) {
+        let tab = null;
+        const match = recentTabs.find(item => item.url === snap.url && !usedSessions.has(item.sessionId));
+        if (match) {
+            usedSessions.add(match.sessionId);
+            try {
+                tab = (await chrome.sessions.restore(match.sessionId))?.tab || null;
+                if (tab) fromSessions += 1;
             } catch (error) {
-                invalidTabs.add(tabId);
-                console.log(`❌ Tab ${tabId} not accessible:`, error.message);
+                console.warn(`Session restore failed for ${snap.url}:`, error?.message || error);
             }
         }
-                    
-        console.log(`Pre-check complete: ${validTabs.size} valid tabs, ${invalidTabs.size} invalid tabs`);
-        logTiming('Group creation pre-check', precheckStart);
-        
-        // Existing group cleanup already executed earlier in this function
-        
-        // Δημιουργία νέων groups
-        console.log('🏗️ Creating groups from AI results...');
-        console.log('📊 AI Groups received:', aiGroups.length);
-        
-        for (const group of aiGroups) {
-            console.log(`\n🔍 Processing group: "${group.name}"`);
-            console.log(`📋 Group tab indices: [${group.tabIndices?.join(', ') || 'none'}]`);
-            
-            if (group.tabIndices && group.tabIndices.length > 0) {
-                // Χρησιμοποιούμε τα valid tabs από τον pre-check
-                const validTabIds = [];
-                
-                for (const index of group.tabIndices) {
-                    const tab = tabData[index];
-                    if (tab && tab.id && validTabs.has(tab.id)) {
-                        validTabIds.push(tab.id);
-                        console.log(`✅ Tab ${index} (${tab.title}) → Valid for group "${group.name}"`);
-                    } else {
-                        console.log(`❌ Tab ${index} (${tab?.title || 'unknown'}) → Invalid for group "${group.name}"`);
-                    }
-                }
-                
+        if (!tab && /^https?:|^file:/i.test(snap.url)) {
+            try {
+                const windowId = await resolveUndoWindowId(snap.windowId, windowCache);
+                tab = await chrome.tabs.create({ windowId, url: snap.url, index: snap.index, active: false, pinned: snap.pinned });
+            } catch (error) {
+                console.warn(`Could not reopen ${snap.url}:`, error?.message || error);
+            }
+        }
+        if (tab) idMap.set(snap.id, tab.id);
+    }
+    const layoutResult = await restoreTabLayout(layout, idMap, windowCache);
+    return { reopenedTabs: idMap.size, fromSessions, restoredGroups: layoutResult.restoredGroups };
+}
+
+async function undoLastOperation() {
+    const entries = await loadOperationJournal();
+    const entry = entries.shift();
+    if (!entry) {
+        throw new Error('Nothing to undo');
+    }
+    // Βγαίνει από το journal πριν την επαναφορά ώστε ένα αποτυχημένο undo να μην ξαναπαίζει για πάντα
+    await saveOperationJournal(entries);
+    const result = entry.type === 'close'
+        ? await undoCloseTabs(entry.layout)
+        : await restoreTabLayout(entry.layout);
+    console.log(`↩️ [Undo] Reverted "${entry.label}"`, result);
+    return { label: entry.label, type: entry.type, remaining: entries.length, ...result };
+}
+
+function describeOperationJournal(entries) {
+    return entries.map(({ id, type, label, createdAt }) => ({ id, type, label, createdAt }));
+}
+
+async function handleGetUndoHistory(sendResponse) {
+    sendResponse({ success: true, history: describeOperationJournal(await loadOperationJournal()) });
+}
+
+async function handleUndoLastOperation(sendResponse) {
+    try {
+        const result = await undoLastOperation();
+        sendResponse({ success: true, ...result, history: describeOperationJournal(await loadOperationJournal()) });
+    } catch (error) {
+        console.error('Error undoing operation:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+async function ensureProposedGroupsLoaded() {
+    if (isScanning) {
+        throw new Error('A scan is in progress');
+    }
+    if (!Array.isArray(aiGroups) || !aiGroups.length || !currentTabData.length) {
+        const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+        aiGroups = Array.isArray(stored.cachedGroups) ? stored.cachedGroups : [];
+        currentTabData = Array.isArray(stored.tabData) ? stored.tabData : [];
+    }
+    if (!aiGroups.length) {
+        throw new Error('No groups to apply');
+    }
+}
+
+/**
+ * Τα groups της πρότασης του re-cluster (REGROUP_PROPOSAL_KEY)· τα indices αφορούν το ίδιο tabData
+ */
+async function loadRegroupProposalGroups() {
+    const stored = await chrome.storage.local.get([REGROUP_PROPOSAL_KEY]);
+    const groups = stored[REGROUP_PROPOSAL_KEY]?.groups;
+    if (!Array.isArray(groups) || !groups.length) {
+        throw new Error('The refined groups are no longer available');
+    }
+    return groups;
+}
+
+/**
+ * Dry run για το popup: τι θα αλλάξει αν εφαρμοστούν τα τρέχοντα AI groups (ή η πρόταση του re-cluster)
+ */
+async function handlePreviewTabGroups(proposal, sendResponse) {
+    try {
+        await ensureProposedGroupsLoaded();
+        const groups = proposal ? await loadRegroupProposalGroups() : aiGroups;
+        const diff = await createTabGroups(groups, currentTabData, { dryRun: true });
+        sendResponse({ success: true, diff });
+    } catch (error) {
+        console.error('Error previewing tab groups:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+/**
+ * Εφαρμόζει τα τρέχοντα (ή cached) AI groups από το popup, με το ownership mode του χρήστη.
+ * selection (από το preview): { groupIndices, excludedTabIds, keepGroupIds }
+ */
+async function handleApplyTabGroups(selection, proposal, sendResponse) {
+    try {
+        await ensureProposedGroupsLoaded();
+        const groups = proposal ? await loadRegroupProposalGroups() : aiGroups;
+        const summary = await createTabGroups(groups, currentTabData, { selection });
+        if (proposal) {
+            // Μόνο μετά το apply η πρόταση αντικαθιστά τα τρέχοντα groups
+            aiGroups = groups;
+            scheduleDeferredLabels(400);
+            scheduleDeferredSummaries(1200);
+        }
+        await chrome.storage.local.remove(REGROUP_PROPOSAL_KEY);
+        await synchronizeCachedGroups();
+        sendResponse({ success: true, ...summary });
+    } catch (error) {
+        console.error('Error applying tab groups:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+/**
+ * Diff των προτεινόμενων groups με τα τρέχοντα tab groups, χωρίς καμία αλλαγή στα windows.
+ * Ανά πρόταση: action create | rename | update | keep | merge | skip, το υπάρχον group που
+ * αντικαθιστά και ποια tabs μετακινούνται. dissolved: groups της επέκτασης που θα διαλυθούν.
+ */
+async function computeTabGroupDiff(aiGroups, tabData, { ownershipMode = null } = {}) {
+    const mode = GROUP_OWNERSHIP_MODES.includes(ownershipMode) ? ownershipMode : await getGroupOwnershipMode();
+    const ownedGroupIds = await loadOwnedTabGroupIds();
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const [openTabs, existingGroups, windows] = await Promise.all([
+        chrome.tabs.query({}),
+        chrome.tabGroups.query({}),
+        chrome.windows.getAll({})
+    ]);
+    const tabsById = new Map(openTabs.map(tab => [tab.id, tab]));
+    const groupsById = new Map(existingGroups.map(group => [group.id, group]));
+    const groupableWindowIds = new Set(windows.filter(isGroupableWindow).map(win => win.id));
+    const isManualGroup = groupId => mode !== 'rebuild' && !ownedGroupIds.has(groupId);
+    const claimedGroupIds = new Set();
+    
+    const groups = (aiGroups || []).map((group, index) => {
+        const tabs = (group.tabIndices || []).map(tabIndex => {
+            const entry = tabData[tabIndex];
+            const tab = entry && tabsById.get(entry.id);
+            if (!tab || tab.incognito) {
+                return null;
+            }
+            const fromGroupId = typeof tab.groupId === 'number' && tab.groupId !== NO_GROUP ? tab.groupId : null;
+            return {
+                tabId: tab.id,
+                index: tabIndex,
+                title: tab.title || entry.title || '',
+                url: tab.url || entry.url || '',
+                favicon: tab.favIconUrl || entry.favicon || '',
+                windowId: tab.windowId,
+                fromGroupId,
+                fromGroupTitle: fromGroupId !== null ? (groupsById.get(fromGroupId)?.title || 'Untitled') : null,
+                locked: fromGroupId !== null && isManualGroup(fromGroupId),
+                moved: false,
+                skipReason: null
+            };
+        }).filter(Boolean);
+        
+        // Όπως στο createTabGroups: ένα group ανά window, μόνο με τουλάχιστον 2 tabs που μπορούν να μετακινηθούν (1 για rule groups)
+        const minTabsPerWindow = group.ruleGroup ? 1 : 2;
+        const movableByWindow = new Map();
+        tabs.forEach(tab => {
+            if (tab.locked) return;
+            if (!groupableWindowIds.has(tab.windowId)) {
+                tab.skipReason = 'window';
+                return;
+            }
+            movableByWindow.set(tab.windowId, (movableByWindow.get(tab.windowId) || 0) + 1);
+        });
+        tabs.forEach(tab => {
+            if (!tab.locked && !tab.skipReason && movableByWindow.get(tab.windowId) < minTabsPerWindow) {
+                tab.skipReason = 'alone';
+            }
+        });
+        const groupable = tabs.filter(tab => !tab.locked && !tab.skipReason);
+        
+        const overlap = new Map();
+        tabs.forEach(tab => {
+            if (tab.fromGroupId !== null) {
+                overlap.set(tab.fromGroupId, (overlap.get(tab.fromGroupId) || 0) + 1);
+            }
+        });
+        const ranked = Array.from(overlap.entries()).sort((a, b) => b[1] - a[1]);
+        const manualSeed = mode === 'merge' ? ranked.find(([groupId]) => isManualGroup(groupId)) : null;
+        // Το apply ξαναχρησιμοποιεί αυτό το group (id, χρώμα, collapsed) στο window του
+        const ownedMatch = ranked.find(([groupId, count]) =>
+            !isManualGroup(groupId) && !claimedGroupIds.has(groupId) && count * 2 >= tabs.length &&
+            groupable.some(tab => tab.windowId === groupsById.get(groupId)?.windowId));
+        
+        let action = 'create';
+        let targetGroupId = null;
+        if (manualSeed) {
+            action = 'merge';
+            targetGroupId = manualSeed[0];
+            const seedWindowId = groupsById.get(targetGroupId)?.windowId;
+            tabs.forEach(tab => {
+                tab.moved = !tab.locked && tab.windowId === seedWindowId;
+            });
+        } else {
+            if (ownedMatch) {
+                targetGroupId = ownedMatch[0];
+                claimedGroupIds.add(targetGroupId);
+                action = (groupsById.get(targetGroupId)?.title || '') === group.name ? 'keep' : 'rename';
+            }
+            groupable.forEach(tab => {
+                tab.moved = tab.fromGroupId !== targetGroupId;
+            });
+            if (!groupable.length) {
+                action = 'skip';
+            } else if (action === 'keep' && tabs.some(tab => tab.moved)) {
+                action = 'update';
+            }
+        }
+        
+        return {
+            index,
+            name: group.name,
+            action,
+            existingGroupId: targetGroupId,
+            existingTitle: targetGroupId !== null ? (groupsById.get(targetGroupId)?.title || 'Untitled') : null,
+            tabs
+        };
+    });
+    
+    const dissolved = existingGroups
+        .filter(group => !isManualGroup(group.id) && !claimedGroupIds.has(group.id))
+        .map(group => ({
+            groupId: group.id,
+            title: group.title || 'Untitled',
+            tabCount: openTabs.filter(tab => tab.groupId === group.id).length,
+            inferred: mode !== 'rebuild' && isInferredOwnedTabGroup(group.id)
+        }));
+    const countActions = action => groups.filter(group => group.action === action).length;
+    
+    return {
+        mode,
+        groups,
+        dissolved,
+        stats: {
+            created: countActions('create'),
+            renamed: countActions('rename'),
+            merged: countActions('merge'),
+            dissolved: dissolved.length,
+            moved: groups.reduce((sum, group) => sum + group.tabs.filter(tab => tab.moved).length, 0)
+        }
+    };
+}
+
+/**
+ * Δημιουργεί tab groups βάσει των AI αποτελεσμάτων
+ */
+// Tab groups μπαίνουν μόνο σε normal windows· το fullscreen βγαίνει προσωρινά σε normal (ensureWindowReadyForGrouping)
+const GROUPABLE_WINDOW_STATES = ['normal', 'maximized', 'fullscreen'];
+
+function isGroupableWindow(windowInfo) {
+    return Boolean(windowInfo) && windowInfo.type === 'normal' && GROUPABLE_WINDOW_STATES.includes(windowInfo.state);
+}
+
+/**
+ * Φέρνει το window σε state που δέχεται chrome.tabs.group (βγαίνει από fullscreen αν χρειάζεται)
+ */
+async function ensureWindowReadyForGrouping(winId) {
+    try {
+        let info = await chrome.windows.get(winId);
+        const originalState = info.state;
+        // Grouping works reliably in 'normal' or 'maximized'. Exit fullscreen if needed.
+        if (!['normal', 'maximized'].includes(info.state)) {
+            await chrome.windows.update(winId, { state: 'normal', focused: true }).catch(() => {});
+            // Poll a few times for the state to settle
+            const start = Date.now();
+            while (Date.now() - start < 1200) {
+                await new Promise(r => setTimeout(r, 150));
+                info = await chrome.windows.get(winId);
+                if (['normal', 'maximized'].includes(info.state)) break;
+            }
+        } else {
+            // Nudge focus to improve reliability
+            await chrome.windows.update(winId, { focused: true }).catch(() => {});
+        }
+        return { ok: ['normal', 'maximized'].includes((await chrome.windows.get(winId)).state), originalState };
+    } catch (e) {
+        console.warn('Window readiness check failed:', e?.message || e);
+        return { ok: false, originalState: 'normal' };
+    }
+}
+
+async function createTabGroups(aiGroups, tabData, { ownershipMode = null, dryRun = false, selection = null } = {}) {
+    if (dryRun) {
+        return computeTabGroupDiff(aiGroups, tabData, { ownershipMode });
+    }
+    try {
+        console.log('Creating tab groups from AI results...');
+        const groupingStart = nowMs();
+        const layoutBefore = await captureTabLayout().catch(error => {
+            console.warn('Layout snapshot for undo failed:', error?.message || error);
+            return null;
+        });
+        const mode = GROUP_OWNERSHIP_MODES.includes(ownershipMode) ? ownershipMode : await getGroupOwnershipMode();
+        // Επιλογές από το preview: μόνο τα επιλεγμένα groups, τα unchecked tabs/groups μένουν ως έχουν
+        const selectedGroupIndices = Array.isArray(selection?.groupIndices) ? new Set(selection.groupIndices) : null;
+        const keepGroupIds = new Set(selection?.keepGroupIds || []);
+        const heldTabIds = new Set(selection?.excludedTabIds || []);
+        const ownedGroupIds = await loadOwnedTabGroupIds();
+        const manualGroups = new Map(); // groupId → chrome TabGroup (χειροκίνητα, δεν τα πειράζουμε)
+        const manualGroupByTabId = new Map();
+        const summary = { mode, created: [], reused: [], mergedIntoManual: [], skippedManualTabs: 0 };
+        console.log(`📁 [Ownership] Mode: ${mode}`);
+        // Ίδιο plan με το preview: τα owned groups που αντιστοιχούν σε AI group κρατούν id, χρώμα και collapsed
+        const plan = await computeTabGroupDiff(aiGroups, tabData, { ownershipMode: mode });
+        const reusedGroupIdByIndex = new Map();
+        const reusedMemberIds = new Map(); // groupId → tab ids του AI group (μένουν στο group κατά το cleanup)
+        plan.groups.forEach(entry => {
+            if (!['keep', 'rename', 'update'].includes(entry.action) || entry.existingGroupId === null) return;
+            if (selectedGroupIndices && !selectedGroupIndices.has(entry.index)) return;
+            reusedGroupIdByIndex.set(entry.index, entry.existingGroupId);
+            reusedMemberIds.set(entry.existingGroupId, new Set(entry.tabs.filter(tab => !tab.locked).map(tab => tab.tabId)));
+        });
+        // Χωρίς preview, groups που αναγνωρίστηκαν μόνο heuristically δεν διαλύονται
+        if (!selection) {
+            plan.dissolved.filter(entry => entry.inferred).forEach(entry => keepGroupIds.add(entry.groupId));
+        }
+        const windowInfoCache = new Map();
+        const getWindowInfo = async (windowId, { refresh = false } = {}) => {
+            if (!windowId) return null;
+            if (!refresh && windowInfoCache.has(windowId)) {
+                return windowInfoCache.get(windowId);
+            }
+            const info = await chrome.windows.get(windowId);
+            windowInfoCache.set(windowId, info);
+            return info;
+        };
+        // Early cleanup of existing groups to avoid first-run double pass
+        // (μόνο τα groups της επέκτασης, εκτός από το rebuild mode)
+        const earlyCleanupStart = nowMs();
+        try {
+            const existingGroups = await chrome.tabGroups.query({});
+            for (const group of existingGroups) {
+                try {
+                    const tabsInGroup = await chrome.tabs.query({ groupId: group.id });
+                    const ids = tabsInGroup.map(t => t.id).filter(Boolean);
+                    if (mode !== 'rebuild' && !ownedGroupIds.has(group.id)) {
+                        manualGroups.set(group.id, group);
+                        ids.forEach(id => manualGroupByTabId.set(id, group.id));
+                        console.log(`📌 Keeping manual group: ${group.title || 'Untitled'} (${ids.length} tabs)`);
+                        continue;
+                    }
+                    if (keepGroupIds.has(group.id)) {
+                        ids.forEach(id => heldTabIds.add(id));
+                        console.log(`⏭️ Keeping group deselected in preview: ${group.title || 'Untitled'}`);
+                        continue;
+                    }
+                    const members = reusedMemberIds.get(group.id);
+                    const ungroupIds = ids.filter(id => !heldTabIds.has(id) && !members?.has(id));
+                    if (ungroupIds.length) {
+                        markProgrammaticGroupChange(ungroupIds);
+                        await chrome.tabs.ungroup(ungroupIds);
+                        console.log(`Ungrouped ${ungroupIds.length} tabs from: ${group.title || 'Untitled'}`);
+                    }
+                    if (ungroupIds.length === ids.length && !members) {
+                        ownedGroupIds.delete(group.id);
+                    }
+                } catch (groupCleanupErr) {
+                    console.log(`Group cleanup failed for ${group.id}:`, groupCleanupErr?.message || groupCleanupErr);
+                }
+            }
+        } catch (e) {
+            console.log('Early group cleanup skipped due to error:', e?.message || e);
+        }
+        await persistOwnedTabGroupIds();
+        logTiming('Existing group cleanup', earlyCleanupStart);
+        groupActivityState.forEach((_, groupId) => {
+            if (!manualGroups.has(groupId) && !keepGroupIds.has(groupId) && !reusedMemberIds.has(groupId)) groupActivityState.delete(groupId);
+        });
+
+        // Πρώτα ελέγχουμε όλα τα tabs που θα χρησιμοποιήσουμε
+        console.log('Pre-checking all tabs for group creation...');
+        const precheckStart = nowMs();
+        const allTabIds = new Set();
+        for (const group of aiGroups) {
+            if (group.tabIndices && group.tabIndices.length > 0) {
+                for (const index of group.tabIndices) {
+                    const tab = tabData[index];
+                    if (tab && tab.id) {
+                        allTabIds.add(tab.id);
+                    }
+                }
+            }
+        }
+        
+        // Ελέγχουμε όλα τα tabs μαζί
+        const validTabs = new Set();
+        const invalidTabs = new Set();
+        
+        for (const tabId of allTabIds) {
+            try {
+                const tabInfo = await chrome.tabs.get(tabId);
+                console.log(`🔍 Checking tab ${tabId}: incognito=${tabInfo.incognito}, windowId=${tabInfo.windowId}, groupId=${tabInfo.groupId}`);
+
+                if (heldTabIds.has(tabId)) {
+                    invalidTabs.add(tabId);
+                    console.log(`⏭️ Tab ${tabId} deselected in preview, leaving it in place`);
+                } else if (manualGroupByTabId.has(tabId)) {
+                    // Tabs σε χειροκίνητα groups δεν μετακινούνται (στο merge mode λειτουργούν ως seed)
+                    invalidTabs.add(tabId);
+                    summary.skippedManualTabs += 1;
+                    console.log(`📌 Tab ${tabId} stays in manual group ${manualGroupByTabId.get(tabId)}`);
+                } else if (tabInfo && !tabInfo.incognito && tabInfo.windowId) {
+                    let windowInfo = await getWindowInfo(tabInfo.windowId);
+                    console.log(`🔍 Window ${tabInfo.windowId}: type=${windowInfo.type}, state=${windowInfo.state}`);
+
+                    if (windowInfo.type === 'normal') {
+                        // Allow grouping in normal, maximized, fullscreen (no window state changes)
+                        if (isGroupableWindow(windowInfo)) {
+                            validTabs.add(tabId);
+                            if (!tabInfo.groupId || tabInfo.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+                                console.log(`✅ Tab ${tabId} is valid for grouping`);
+                            } else {
+                                console.log(`✅ Tab ${tabId} already in group ${tabInfo.groupId} (will be regrouped)`);
+                            }
+                        } else {
+                            invalidTabs.add(tabId);
+                            console.log(`❌ Tab ${tabId} window state invalid for grouping: ${windowInfo.state}`);
+                        }
+                    } else {
+                        invalidTabs.add(tabId);
+                        console.log(`❌ Tab ${tabId} not in normal window (type: ${windowInfo?.type})`);
+                    }
+                } else {
+                    invalidTabs.add(tabId);
+                    console.log(`❌ Tab ${tabId} is incognito or has no windowId`);
+                }
+            } catch (error) {
+                invalidTabs.add(tabId);
+                console.log(`❌ Tab ${tabId} not accessible:`, error.message);
+            }
+        }
+                    
+        console.log(`Pre-check complete: ${validTabs.size} valid tabs, ${invalidTabs.size} invalid tabs`);
+        logTiming('Group creation pre-check', precheckStart);
+        
+        // Existing group cleanup already executed earlier in this function
+        
+        // Δημιουργία νέων groups
+        console.log('🏗️ Creating groups from AI results...');
+        console.log('📊 AI Groups received:', aiGroups.length);
+        
+        for (const [groupIndex, group] of aiGroups.entries()) {
+            if (selectedGroupIndices && !selectedGroupIndices.has(groupIndex)) {
+                console.log(`\n⏭️ Skipping group "${group.name}" (deselected in preview)`);
+                continue;
+            }
+            console.log(`\n🔍 Processing group: "${group.name}"`);
+            console.log(`📋 Group tab indices: [${group.tabIndices?.join(', ') || 'none'}]`);
+            
+            if (group.tabIndices && group.tabIndices.length > 0) {
+                // Χρησιμοποιούμε τα valid tabs από τον pre-check
+                const validTabIds = [];
+                
+                for (const index of group.tabIndices) {
+                    const tab = tabData[index];
+                    if (tab && tab.id && validTabs.has(tab.id)) {
+                        validTabIds.push(tab.id);
+                        console.log(`✅ Tab ${index} (${tab.title}) → Valid for group "${group.name}"`);
+                    } else {
+                        console.log(`❌ Tab ${index} (${tab?.title || 'unknown'}) → Invalid for group "${group.name}"`);
+                    }
+                }
+                
+                // Merge mode: το AI group συμπληρώνει το χειροκίνητο group με τη μεγαλύτερη επικάλυψη
+                if (mode === 'merge' && manualGroups.size) {
+                    const overlap = new Map();
+                    group.tabIndices.forEach(index => {
+                        const manualId = manualGroupByTabId.get(tabData[index]?.id);
+                        if (typeof manualId === 'number') {
+                            overlap.set(manualId, (overlap.get(manualId) || 0) + 1);
+                        }
+                    });
+                    const [seedGroupId] = Array.from(overlap.entries()).sort((a, b) => b[1] - a[1])[0] || [];
+                    if (typeof seedGroupId === 'number') {
+                        const seedGroup = manualGroups.get(seedGroupId);
+                        const additions = [];
+                        for (const tabId of validTabIds) {
+                            try {
+                                const tabInfo = await chrome.tabs.get(tabId);
+                                if (tabInfo.windowId === seedGroup.windowId) additions.push(tabId);
+                            } catch (_) {}
+                        }
+                        try {
+                            if (additions.length) {
+                                markProgrammaticGroupChange(additions);
+                                await chrome.tabs.group({ groupId: seedGroupId, tabIds: additions });
+                            }
+                            group.chromeGroupId = seedGroupId;
+                            group.ownership = 'manual';
+                            summary.mergedIntoManual.push({ name: seedGroup.title || group.name, added: additions.length });
+                            console.log(`📌 Added ${additions.length} tabs to manual group "${seedGroup.title || 'Untitled'}" (AI group "${group.name}")`);
+                        } catch (mergeErr) {
+                            console.warn(`Failed to add tabs to manual group ${seedGroupId}:`, mergeErr?.message || mergeErr);
+                        }
+                        continue;
+                    }
+                }
+                
                 if (validTabIds.length > 0) {
-                    if (validTabIds.length === 1) {
+                    if (validTabIds.length === 1 && !group.ruleGroup) {
                         console.log(`Skipping group "${group.name}" - only one valid tab remains after validation.`);
                         continue;
                     }
@@ -4331,7 +6450,7 @@ async function createTabGroups(aiGroups, tabData) {
                     const tabInfo = await chrome.tabs.get(tabId);
                     const windowInfo = await getWindowInfo(tabInfo.windowId);
                     console.log(`🔍 Final check tab ${tabId}: windowType=${windowInfo.type}, incognito=${tabInfo.incognito}, state=${windowInfo.state}`);
-                    if (windowInfo.type === 'normal' && !tabInfo.incognito && ['normal','maximized','fullscreen'].includes(windowInfo.state)) {
+                    if (isGroupableWindow(windowInfo) && !tabInfo.incognito) {
                         finalCheckTabs.push(tabId);
                     } else {
                         console.log(`❌ Tab ${tabId} failed final check: windowType=${windowInfo.type}, incognito=${tabInfo.incognito}, state=${windowInfo.state}`);
@@ -4354,31 +6473,16 @@ async function createTabGroups(aiGroups, tabData) {
                                 }
 
                                 let anyGroupId = null;
-                                // Helper: ensure window is in a state that allows grouping
-                                const ensureWindowReady = async (winId) => {
+                                let createdNewGroup = false;
+                                let reusedGroupId = reusedGroupIdByIndex.get(groupIndex) ?? null;
+                                let reusedWindowId = null;
+                                if (reusedGroupId !== null) {
                                     try {
-                                        let info = await chrome.windows.get(winId);
-                                        const originalState = info.state;
-                                        // Grouping works reliably in 'normal' or 'maximized'. Exit fullscreen if needed.
-                                        if (!['normal', 'maximized'].includes(info.state)) {
-                                            await chrome.windows.update(winId, { state: 'normal', focused: true }).catch(() => {});
-                                            // Poll a few times for the state to settle
-                                            const start = Date.now();
-                                            while (Date.now() - start < 1200) {
-                                                await new Promise(r => setTimeout(r, 150));
-                                                info = await chrome.windows.get(winId);
-                                                if (['normal', 'maximized'].includes(info.state)) break;
-                                            }
-                                        } else {
-                                            // Nudge focus to improve reliability
-                                            await chrome.windows.update(winId, { focused: true }).catch(() => {});
-                                        }
-                                        return { ok: ['normal', 'maximized'].includes((await chrome.windows.get(winId)).state), originalState };
-                                    } catch (e) {
-                                        console.warn('Window readiness check failed:', e?.message || e);
-                                        return { ok: false, originalState: 'normal' };
+                                        reusedWindowId = (await chrome.tabGroups.get(reusedGroupId)).windowId;
+                                    } catch (_) {
+                                        reusedGroupId = null;
                                     }
-                                };
+                                }
 
                                 for (const [winId, tabIds] of tabsByWindow.entries()) {
                                     try {
@@ -4387,17 +6491,33 @@ async function createTabGroups(aiGroups, tabData) {
                                             console.log(`⏭️ Skipping subgroup in non-normal window ${winId} (type=${wInfo.type})`);
                                             continue;
                                         }
-                                        if (tabIds.length < 2) {
+                                        if (tabIds.length < (group.ruleGroup ? 1 : 2)) {
                                             console.log(`⏭️ Skipping subgroup in window ${winId} - fewer than 2 tabs`);
+                                            if (winId === reusedWindowId) {
+                                                // Το group που κρατήσαμε δεν μένει με ένα tab
+                                                markProgrammaticGroupChange(tabIds);
+                                                await chrome.tabs.ungroup(tabIds);
+                                            }
+                                            continue;
+                                        }
+                                        if (winId === reusedWindowId) {
+                                            markProgrammaticGroupChange(tabIds);
+                                            await chrome.tabs.group({ groupId: reusedGroupId, tabIds });
+                                            await chrome.tabGroups.update(reusedGroupId, { title: group.name });
+                                            anyGroupId = anyGroupId || reusedGroupId;
+                                            await markTabGroupOwned(reusedGroupId);
+                                            summary.reused.push(group.name);
+                                            console.log(`♻️ Kept existing group ${reusedGroupId} in window ${winId} as "${group.name}" (${tabIds.length} tabs)`);
                                             continue;
                                         }
-                                        const readiness = await ensureWindowReady(winId);
+                                        const readiness = await ensureWindowReadyForGrouping(winId);
                                         if (!readiness.ok) {
                                             console.log(`⏭️ Skipping subgroup in window ${winId} - window not ready (state remains ${wInfo.state})`);
                                             continue;
                                         }
                                         const shouldRestore = wInfo.state === 'fullscreen';
 
+                                        markProgrammaticGroupChange(tabIds);
                                         let subGroupId = await chrome.tabs.group({ tabIds });
                                         // Verify the group exists before updating; handle occasional race where id is invalid
                                         const tryUpdateGroup = async (groupId) => {
@@ -4415,10 +6535,13 @@ async function createTabGroups(aiGroups, tabData) {
                                             // Retry once by regrouping in case the prior id became invalid
                                             console.warn(`tabGroups.update failed (will retry): ${e?.message || e}`);
                                             await new Promise(r => setTimeout(r, 100));
+                                            markProgrammaticGroupChange(tabIds);
                                             const retryId = await chrome.tabs.group({ tabIds });
                                             subGroupId = await tryUpdateGroup(retryId);
                                         }
                                         anyGroupId = anyGroupId || subGroupId;
+                                        createdNewGroup = true;
+                                        await markTabGroupOwned(subGroupId);
                                         tabIds.forEach(tabId => {
                                             const tab = tabData.find(t => t.id === tabId);
                                             console.log(`  📄 Tab ${tabId}: "${tab?.title || 'Unknown'}" (${tab?.domain || 'Unknown domain'})`);
@@ -4440,10 +6563,15 @@ async function createTabGroups(aiGroups, tabData) {
 
                                 if (anyGroupId) {
                                     group.chromeGroupId = anyGroupId;
+                                    group.ownership = 'extension';
+                                    if (createdNewGroup && anyGroupId !== reusedGroupId) {
+                                        summary.created.push(group.name);
+                                    }
                                     group.autoSuspended = false;
                                     group.lastActive = 0;
-                                    const initialState = { lastActive: 0, suspended: false };
-                                    groupActivityState.set(anyGroupId, initialState);
+                                    if (!groupActivityState.has(anyGroupId)) {
+                                        groupActivityState.set(anyGroupId, { lastActive: 0, suspended: false });
+                                    }
                                 } else {
                                     console.log(`⏭️ Skipping group "${group.name}" - could not create any tab group`);
                                 }
@@ -4465,7 +6593,11 @@ async function createTabGroups(aiGroups, tabData) {
         
         startAutoSuspendScheduler();
         logTiming('Tab grouping pipeline', groupingStart);
-        console.log('Tab groups created successfully');
+        console.log('Tab groups created successfully', summary);
+        if (summary.created.length || summary.reused.length || summary.mergedIntoManual.length) {
+            const count = summary.created.length + summary.reused.length + summary.mergedIntoManual.length;
+            await recordOperation('group', `Grouping (${count} group${count === 1 ? '' : 's'})`, layoutBefore);
+        }
         try {
             if (RAM_CLEANUP_ENABLED) {
                 schedulePostRunRamCleanup(aiGroups, tabData);
@@ -4473,6 +6605,7 @@ async function createTabGroups(aiGroups, tabData) {
         } catch (ramErr) {
             console.warn('RAM cleanup scheduling failed:', ramErr?.message || ramErr);
         }
+        return summary;
         
     } catch (error) {
         console.error('Error creating tab groups:', error);
@@ -4617,10 +6750,23 @@ async function performAISummarization(groupContent) {
         console.log('Background: Using usable tab for AI summarization:', targetTabId, usableTab.url);
         
         // Εκτελούμε AI summarization στο content script
-        const scriptPromise = chrome.scripting.executeScript({
+        const scriptPromise = executeAIScript({
             target: { tabId: targetTabId },
             world: 'MAIN',
             func: (groupContent) => {
+                // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+                const auditCalls = [];
+                const auditCall = async (kind, input, call) => {
+                    const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+                    try {
+                        const output = await call(input);
+                        auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+                        return output;
+                    } catch (error) {
+                        auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+                        throw error;
+                    }
+                };
                 // Direct AI summarization στο content script context
                 return (async () => {
                     let rawSummary = null;
@@ -4629,6 +6775,7 @@ async function performAISummarization(groupContent) {
                         
                         function resolveSummarizerApi() {
                             return (
+                                globalScope?.__aitabFakeAI?.summarizer ||
                                 globalScope?.Summarizer ||
                                 globalScope?.ai?.summarizer ||
                                 globalScope?.ai?.Summarizer ||
@@ -4693,7 +6840,7 @@ async function performAISummarization(groupContent) {
                         
                         console.log('Content script: Summarizer instance created successfully');
                         
-                        const summary = await summarizer.summarize(groupContent);
+                        const summary = await auditCall('summarize', groupContent, input => summarizer.summarize(input));
                         rawSummary = summary;
                         
                         console.log('Content script: AI summarization completed:', summary);
@@ -4724,10 +6871,10 @@ async function performAISummarization(groupContent) {
                             }
                         };
                     }
-                })();
+                })().then(value => ({ value, aiAuditCalls: auditCalls }));
             },
             args: [groupContent]
-        });
+        }, { stage: 'group-summary' });
         const result = await withTimeout(scriptPromise, AI_SUMMARY_TIMEOUT, 'AI summary timeout');
         
         console.log('AI summarization result:', result);
@@ -4787,120 +6934,10 @@ async function performAISummarization(groupContent) {
 
 // All mock functions removed - using only real AI
 
-function generateTopicHints(tab) {
-    try {
-        const hints = new Set();
-        const title = (tab.title || '').toLowerCase();
-        const meta = (tab.metaDescription || '').toLowerCase();
-        const content = (tab.content || '').toLowerCase();
-        const combinedText = `${title} ${meta} ${content}`;
-        let domain = tab.domain;
-        if (!domain) {
-            try {
-                domain = tab.url ? new URL(tab.url).hostname : '';
-            } catch (error) {
-                domain = '';
-            }
-        }
-        const domainLower = (domain || '').toLowerCase();
-        const features = tab.semanticFeatures || {};
-        
-        if (features.primaryTopic) {
-            const topicLabel = titleCaseFromTokens(tokenizeText(features.primaryTopic)) || features.primaryTopic;
-            hints.add(`Primary topic: ${topicLabel}`);
-        }
-        if (Array.isArray(features.subtopics) && features.subtopics.length) {
-            const topSubtopics = features.subtopics
-                .map(sub => titleCaseFromTokens(tokenizeText(sub)) || sub)
-                .filter(Boolean)
-                .slice(0, 3)
-                .join(', ');
-            if (topSubtopics) {
-                hints.add(`Subtopics: ${topSubtopics}`);
-            }
-        }
-        if (Array.isArray(features.entities) && features.entities.length) {
-            const entitiesList = features.entities.slice(0, 3).join(', ');
-            hints.add(`Entities: ${entitiesList}`);
-        }
-        if (features.docType) {
-            const docLabel = titleCaseFromTokens(tokenizeText(features.docType)) || features.docType;
-            hints.add(`Doc type: ${docLabel}`);
-        }
-        if (Array.isArray(features.mergeHints) && features.mergeHints.length) {
-            const mergePreview = features.mergeHints.slice(0, 4).join(', ');
-            hints.add(`Merge hints: ${mergePreview}`);
-        }
-        if (Array.isArray(tab.summaryBullets) && tab.summaryBullets.length) {
-            hints.add(`AI summary: ${tab.summaryBullets.slice(0, 2).join(' | ')}`);
-        }
-        
-        if (domainLower.includes('youtube.com') || domainLower.includes('youtu.be')) {
-            hints.add('Media: YouTube video');
-        }
-        
-        if (domainLower.includes('mail.google.com') || domainLower.includes('outlook.') || domainLower.includes('mail.yahoo') || domainLower.includes('protonmail')) {
-            hints.add('Category: Email & communications');
-        }
-        
-        // Extract meaningful keywords to use as dynamic topic hints
-        const youtubeAnalysis = tab.youtubeAnalysis;
-        if (youtubeAnalysis && youtubeAnalysis.topic) {
-            const confidence = typeof youtubeAnalysis.confidence === 'number'
-                ? ` (confidence ${(youtubeAnalysis.confidence).toFixed(2)})`
-                : '';
-            hints.add(`YouTube topic: ${youtubeAnalysis.topic}${confidence}`);
-            if (youtubeAnalysis.tags && youtubeAnalysis.tags.length) {
-                hints.add(`YouTube tags: ${youtubeAnalysis.tags.slice(0, 6).join(', ')}`);
-            }
-            if (youtubeAnalysis.channel) {
-                hints.add(`YouTube channel: ${youtubeAnalysis.channel}`);
-            }
-            if (youtubeAnalysis.summaryBullets && youtubeAnalysis.summaryBullets.length) {
-                hints.add(`YouTube summary: ${youtubeAnalysis.summaryBullets.slice(0, 2).join(' | ')}`);
-            }
-        }
-        
-        // Enhanced content analysis for better similarity detection
-        const fullContent = youtubeAnalysis && youtubeAnalysis.description
-            ? `${combinedText} ${youtubeAnalysis.description} ${(youtubeAnalysis.transcript || '').slice(0, 2000)}`
-            : combinedText;
-        
-        const meaningfulWords = extractMeaningfulKeywords(fullContent);
-        meaningfulWords.forEach(word => hints.add(`Keyword: ${word}`));
-        
-        // Add domain-specific hints for better grouping
-        if (domainLower.includes('github.com')) {
-            hints.add('Platform: GitHub - Code repository');
-        } else if (domainLower.includes('stackoverflow.com')) {
-            hints.add('Platform: Stack Overflow - Programming help');
-        } else if (domainLower.includes('reddit.com')) {
-            hints.add('Platform: Reddit - Community discussion');
-        } else if (domainLower.includes('wikipedia.org')) {
-            hints.add('Platform: Wikipedia - Encyclopedia');
-        } else if (domainLower.includes('amazon.') || domainLower.includes('ebay.') || domainLower.includes('shop')) {
-            hints.add('Platform: E-commerce - Shopping');
-        }
-        
-        if ((domainLower.includes('youtube.com') || domainLower.includes('youtu.be')) && !Array.from(hints).some(hint => hint.startsWith('Keyword:'))) {
-            hints.add('Topic: YouTube video');
-        }
-        
-        if (!hints.size) {
-            hints.add('Topic: General browsing');
-        }
-        
-        return Array.from(hints).join(' • ');
-    } catch (error) {
-        console.warn('Failed to generate topic hints:', error);
-        return 'Topic: General browsing';
-    }
-}
-
-/**
- * Υπολογίζει similarity score μεταξύ δύο tabs για πιο ακριβή grouping
- */
-function calculateTabSimilarity(tab1, tab2) {
+/**
+ * Υπολογίζει similarity score μεταξύ δύο tabs για πιο ακριβή grouping
+ */
+function calculateTabSimilarity(tab1, tab2) {
     try {
     let score = 0;
     let factors = 0;
@@ -4972,137 +7009,14 @@ function calculateTabSimilarity(tab1, tab2) {
     }
 }
 
-const STOPWORDS = new Set([
-    // English common stopwords and function words
-    'the','and','with','from','that','this','have','has','will','would','could','should',
-    'about','into','onto','after','before','while','where','which','their','there','other',
-    'these','those','than','then','when','what','your','yours','ours','ourselves','hers',
-    'his','her','its','they','them','were','was','been','being','because','over','under',
-    'again','further','once','here','every','most','some','such','only','own','same','very',
-    'just','also','like','more','less','many','much','any','each','an','a','is','are','it','as',
-    'per','via','for','to','of','in','on','at','by','up','down','out','across','between','among','through',
-    // URL/tech noise
-    'http','https','www','com','net','org','html','amp','php','utm','ref','aspx','index',
-    // Generic site words
-    'home','main','default','article','video','watch','channel','official',
-    // Greek common stopwords
-    'και','για','στο','στη','στην','στον','των','του','της','τα','τις','ο','η','το','ένα','μια','ένας',
-    'σε','με','από','προς','κατά','χωρίς','ως','όπως','είναι'
-]);
-
-function extractMeaningfulKeywords(text) {
-    if (!text) {
-        return [];
-    }
-    try {
-        // Normalize text: lowercase, remove special chars, keep Greek and English
-        const normalizedText = text
-            .toLowerCase()
-            .replace(/[^a-z0-9\sα-ωάέίήύόώϊϋΐΰ]+/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        
-        const words = normalizedText.split(/\s+/)
-            .filter(word => word.length >= 3 && !STOPWORDS.has(word));
-        
-        // Enhanced keyword extraction with stemming-like approach
-        const enhancedWords = words.map(word => {
-            // Simple stemming for common patterns
-            if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
-            if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
-            if (word.endsWith('s') && word.length > 4) return word.slice(0, -1);
-            return word;
-        });
-        
-        const frequency = new Map();
-        for (const word of enhancedWords) {
-            frequency.set(word, (frequency.get(word) || 0) + 1);
-        }
-        
-        // Prioritize words that appear multiple times or are in short documents
-        const sortedWords = Array.from(frequency.entries())
-            .filter(([, count]) => count > 1 || words.length <= 30)
-            .sort((a, b) => {
-                // Sort by frequency first, then by length (longer words are more specific)
-                if (b[1] !== a[1]) return b[1] - a[1];
-                return b[0].length - a[0].length;
-            })
-            .slice(0, 8) // More keywords for better similarity detection
-            .map(([word]) => word);
-        
-        return sortedWords;
-    } catch (error) {
-        console.warn('Failed to extract keywords:', error);
-        return [];
-    }
-}
-
-function inferTaxonomyTags(entry) {
-    try {
-        const tags = new Set();
-        const domain = (entry.domain || entry.url || '').toLowerCase();
-        if (domain) {
-            TAXONOMY_RULES.forEach(rule => {
-                if (rule.match.test(domain)) {
-                    rule.tags.forEach(tag => tags.add(tag));
-                }
-            });
-        }
-        
-        const topicHints = String(entry.topicHints || '').toLowerCase();
-        const title = String(entry.title || '').toLowerCase();
-        const combinedSignals = [
-            topicHints,
-            title,
-            Array.isArray(entry.metaKeywords) ? entry.metaKeywords.join(' ') : '',
-            Array.isArray(entry.semanticFeatures?.keywords) ? entry.semanticFeatures.keywords.join(' ') : '',
-            entry.semanticFeatures?.topic || ''
-        ].join(' ').toLowerCase();
-        
-        if (combinedSignals.includes('medical') || combinedSignals.includes('clinical')) {
-            tags.add('medical research');
-        }
-        if (combinedSignals.includes('research')) {
-            tags.add('research');
-        }
-        if (combinedSignals.includes('iphone') || combinedSignals.includes('apple')) {
-            tags.add('apple');
-            tags.add('technology');
-        }
-        if (combinedSignals.includes('chrome') || combinedSignals.includes('extension')) {
-            tags.add('chrome');
-            tags.add('browser');
-        }
-        if (combinedSignals.includes('fifa') || combinedSignals.includes('ultimate team') || combinedSignals.includes('fc 26')) {
-            // Avoid brand-specific taxonomy; keep it general
-            tags.add('gaming');
-        }
-        if (combinedSignals.includes('news')) {
-            tags.add('news');
-        }
-        if (combinedSignals.includes('finance') || combinedSignals.includes('market')) {
-            tags.add('finance');
-        }
-        if (entry.youtubeTopic) {
-            tags.add(`youtube:${String(entry.youtubeTopic).toLowerCase()}`);
-        }
-        if (entry.youtubeChannel) {
-            tags.add(`channel:${String(entry.youtubeChannel).toLowerCase()}`);
-        }
-        
-        return Array.from(tags);
-    } catch (error) {
-        console.warn('Failed to infer taxonomy tags:', error);
-        return [];
-    }
-}
-
 /**
  * Βρίσκει ένα tab στο οποίο μπορούμε να τρέξουμε τις Chrome AI APIs
  */
 async function findUsableAIAccessTab() {
     const tabs = await chrome.tabs.query({});
-    const httpTabs = tabs.filter(tab => tab.url && tab.url.startsWith('http'));
+    await loadPrivacyExcludedDomains();
+    // Δεν τρέχουμε ποτέ το model μέσα σε σελίδα της exclusion list
+    const httpTabs = tabs.filter(tab => tab.url && tab.url.startsWith('http') && !isPrivacyExcludedUrl(tab.url));
     if (!httpTabs.length) return null;
     // Prefer light, static tabs (avoid very heavy pages) using simple heuristics
     const preferHosts = new Set(['openai.com','blog.google','developer.chrome.com']);
@@ -5128,14 +7042,158 @@ async function findUsableAIAccessTab() {
     return httpTabs[0] || null;
 }
 
+// ---- Fake AI provider wiring (deterministic replay χωρίς Gemini Nano) ----
+let fakeAIProviderConfig; // undefined = δεν έχει φορτωθεί ακόμα, null = ανενεργό
+
+async function getFakeAIProviderConfig() {
+    if (fakeAIProviderConfig === undefined) {
+        try {
+            const stored = await chrome.storage.local.get([FAKE_AI_STORAGE_KEY]);
+            fakeAIProviderConfig = normalizeFakeAIConfig(stored[FAKE_AI_STORAGE_KEY]);
+        } catch (_) {
+            fakeAIProviderConfig = null;
+        }
+    }
+    return fakeAIProviderConfig;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[FAKE_AI_STORAGE_KEY]) return;
+    const wasEnabled = Boolean(fakeAIProviderConfig);
+    fakeAIProviderConfig = normalizeFakeAIConfig(changes[FAKE_AI_STORAGE_KEY].newValue);
+    console.log(`🧪 [Fake AI] Provider ${fakeAIProviderConfig ? `enabled (${fakeAIProviderConfig.mode})` : 'disabled'}`);
+    if (wasEnabled && !fakeAIProviderConfig) {
+        uninstallFakeAIProviderFromTabs().catch(err => {
+            console.warn('🧪 [Fake AI] Uninstall failed:', err?.message || err);
+        });
+    }
+});
+
+/**
+ * Εγκαθιστά τον fake provider στο world όπου θα τρέξει ο AI κώδικας (όταν είναι ενεργός)
+ */
+async function ensureFakeAIProvider(tabId, world = 'MAIN') {
+    const config = await getFakeAIProviderConfig();
+    if (!config || typeof tabId !== 'number') return false;
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            world,
+            func: installFakeAIProviderInPage,
+            args: [config]
+        });
+        return true;
+    } catch (error) {
+        console.warn('🧪 [Fake AI] Install failed:', error?.message || error);
+        return false;
+    }
+}
+
+/**
+ * Γράφει τις κλήσεις μιας εκτέλεσης (redacted) στο audit log
+ */
+async function collectAIAuditEntries(calls, { stage = 'unknown', tabUrls = [] } = {}) {
+    await ensureExtensionSettings();
+    if (!AI_AUDIT_ENABLED || !Array.isArray(calls) || !calls.length) return 0;
+    const runId = RUN.id();
+    const urls = Array.from(new Set((tabUrls || []).filter(Boolean))).slice(0, 50).map(redactUrlForPrompt);
+    const entries = calls.map(call => ({
+        timestamp: call.startedAt || Date.now(),
+        runId,
+        stage,
+        kind: call.kind || 'prompt',
+        tabUrls: urls,
+        promptChars: String(call.prompt || '').length,
+        prompt: redactSensitiveText(clipAuditText(call.prompt || '')),
+        response: redactSensitiveText(clipAuditText(call.response ?? '')),
+        error: call.error || '',
+        durationMs: Number(call.durationMs) || 0
+    }));
+    return appendAuditEntries(entries, { retentionDays: AI_AUDIT_RETENTION_DAYS, maxEntries: AI_AUDIT_MAX_ENTRIES });
+}
+
+/**
+ * URLs των tabs ενός ή περισσότερων groups (για το audit log)
+ */
+function collectGroupTabUrls(groups, tabData = currentTabData) {
+    const source = Array.isArray(tabData) ? tabData : [];
+    const indexMap = new Map(source.map(entry => [entry?.index, entry]));
+    return (groups || []).flatMap(group => (group?.tabIndices || [])
+        .map(index => (indexMap.get(index) || source[index] || {}).url)
+        .filter(Boolean));
+}
+
+/**
+ * chrome.scripting.executeScript για κώδικα που καλεί LanguageModel/Summarizer/EmbeddingModel.
+ * audit: { stage, tabUrls } για το audit log (default stage = όνομα του func χωρίς "InPage")
+ */
+async function executeAIScript(details, audit = {}) {
+    const tabId = details?.target?.tabId;
+    const world = details?.world || 'ISOLATED';
+    await ensureFakeAIProvider(tabId, world);
+    if (scanAbortController && typeof tabId === 'number') {
+        // Για το Cancel: σε ποια tabs/worlds ζουν sessions του τρέχοντος scan
+        if (!aiScriptTargets.has(tabId)) aiScriptTargets.set(tabId, new Set());
+        aiScriptTargets.get(tabId).add(world);
+    }
+    const results = await raceScanAbort(chrome.scripting.executeScript(details));
+    if (!details?.func || !Array.isArray(results)) {
+        return results;
+    }
+    // Οι κλήσεις έρχονται μέσα στο αποτέλεσμα της εκτέλεσης, άρα δεν μπλέκονται με παράλληλα scripts στο ίδιο tab
+    return results.map(entry => {
+        const { value, calls } = unwrapAuditedResult(entry?.result);
+        if (calls.length) {
+            collectAIAuditEntries(calls, {
+                stage: audit.stage || String(details.func.name || 'script').replace(/InPage$/, ''),
+                tabUrls: audit.tabUrls
+            });
+        }
+        return { ...entry, result: value };
+    });
+}
+
+async function uninstallFakeAIProviderFromTabs() {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        if (!tab.url || !tab.url.startsWith('http')) continue;
+        for (const world of ['MAIN', 'ISOLATED']) {
+            try {
+                await chrome.scripting.executeScript({ target: { tabId: tab.id }, world, func: installFakeAIProviderInPage, args: [null] });
+            } catch (_) {}
+        }
+    }
+}
+
+/**
+ * Μαζεύει recorded απαντήσεις και prompts χωρίς script από όλα τα tabs
+ */
+async function collectFakeAIRecordings() {
+    const merged = { responses: {}, misses: {} };
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        if (!tab.url || !tab.url.startsWith('http')) continue;
+        for (const world of ['MAIN', 'ISOLATED']) {
+            try {
+                const results = await chrome.scripting.executeScript({ target: { tabId: tab.id }, world, func: collectFakeAIRecordingsInPage });
+                const payload = results && results[0] && results[0].result;
+                if (!payload) continue;
+                Object.assign(merged.responses, payload.responses || {});
+                Object.assign(merged.misses, payload.misses || {});
+            } catch (_) {}
+        }
+    }
+    return merged;
+}
+
 /**
  * Δημιουργεί περιγραφικό αντικείμενο για feature extraction
  */
 function buildTabFeatureDescriptor(originalTab, tabEntry) {
     const youtube = originalTab.youtubeAnalysis || {};
     return {
-        title: originalTab.title || '',
-        url: originalTab.url || '',
+        title: redactSensitiveText(originalTab.title || ''),
+        url: redactUrlForPrompt(originalTab.url || ''),
         domain: tabEntry.domain || '',
         metaDescription: (originalTab.metaDescription || '').slice(0, 100), // Smart truncation - keep most relevant
         content: (originalTab.content || '').slice(0, 200), // Smart truncation - keep most relevant
@@ -5290,7 +7348,8 @@ function fallbackTabFeatures(originalTab, tabEntry) {
 /**
  * Εξασφαλίζει ότι κάθε tab έχει semantic features (topic/keywords)
  */
-async function ensureTabSemanticFeatures(tabDataForAI) {
+async function ensureTabSemanticFeatures(tabDataForAI, { budgetMs = Infinity } = {}) {
+    const deadline = nowMs() + budgetMs;
     const accessibleTab = await findUsableAIAccessTab();
     const failureReasons = new Set();
     let fallbackCount = 0;
@@ -5298,7 +7357,7 @@ async function ensureTabSemanticFeatures(tabDataForAI) {
     
     if (accessibleTab) {
         try {
-            const results = await chrome.scripting.executeScript({
+            const results = await executeAIScript({
                 target: { tabId: accessibleTab.id },
                 world: 'MAIN',
                 func: checkLanguageModelAvailabilityInPage
@@ -5317,19 +7376,15 @@ async function ensureTabSemanticFeatures(tabDataForAI) {
         failureReasons.add('No accessible tab with Chrome AI APIs');
     }
     
-    const cacheData = await chrome.storage.session.get(['semanticFeatureCache']);
-    const semanticFeatureCache = cacheData.semanticFeatureCache || {};
-    const cacheUpdates = {};
+    const cacheUpdates = [];
     let aiRequestCount = 0;
     
-    const makeCacheKey = (entry) => {
-        if (!entry || !entry.url) {
-            const tab = currentTabData[entry?.index ?? -1];
-            if (!tab?.url) return null;
-            return tab.url;
-        }
-        return entry.url;
-    };
+    const makeCacheKey = (entry) => buildTabContentCacheKey(entry?.url ? entry : currentTabData[entry?.index ?? -1]);
+    const semanticFeatureCache = await persistentCacheGetMany(
+        'semanticFeatures',
+        tabDataForAI.map(makeCacheKey),
+        CACHE_SCHEMAS.semanticFeatures
+    );
     
     const sanitizeStringList = (list, { limit = 6, toLower = true, minLength = 2, banned = [] } = {}) => {
         if (!Array.isArray(list)) return [];
@@ -5405,52 +7460,33 @@ async function ensureTabSemanticFeatures(tabDataForAI) {
         entry.sourceLanguage = resolvedLanguage;
         originalTab.sourceLanguage = resolvedLanguage;
         
-        if (originalTab.semanticFeatures?.version >= 2) {
+        // Fallback features δεν μετράνε ως τελικά· το enrichment queue τα αντικαθιστά με AI
+        if (originalTab.semanticFeatures?.version >= 2 && originalTab.semanticFeatures.origin === 'ai') {
             applyFeaturesToTab(entry, originalTab, originalTab.semanticFeatures);
             return;
         }
         
+        // Content-addressed hit: ίδιο canonical URL + contentHash → καμία νέα κλήση στο μοντέλο
         const cacheKey = makeCacheKey(entry);
-        if (cacheKey && semanticFeatureCache[cacheKey]) {
-            const cached = semanticFeatureCache[cacheKey];
-            const hashesMatch = cached?.contentHash && entry.contentHash
-                ? cached.contentHash === entry.contentHash
-                : Boolean(cached?.contentHash) === Boolean(entry.contentHash);
-            const versionOk = cached?.features?.version >= 2;
-            if (cached && cached.features && hashesMatch && versionOk && (Date.now() - cached.timestamp) < 10 * 60 * 1000) {
-                applyFeaturesToTab(entry, originalTab, cached.features);
-                return;
-            }
+        const cached = cacheKey ? semanticFeatureCache.get(cacheKey) : null;
+        if (cached?.features?.version >= 2 && cached.features.origin === 'ai') {
+            applyFeaturesToTab(entry, originalTab, cached.features);
+            return;
         }
         
         let features = null;
         const descriptor = buildTabFeatureDescriptor(originalTab, entry);
         
-        // Smart AI selection: prioritize high-value tabs
-        const isHighValueTab = entry.content && entry.content.length > 200 && (
-            entry.url.includes('pubmed') || 
-            entry.url.includes('nejm') || 
-            entry.url.includes('techcrunch') || 
-            entry.url.includes('openai') ||
-            entry.url.includes('google') ||
-            entry.url.includes('who.int') ||
-            entry.title.toLowerCase().includes('ai') ||
-            entry.title.toLowerCase().includes('medical') ||
-            entry.title.toLowerCase().includes('research') ||
-            entry.title.toLowerCase().includes('gaming') ||
-            entry.title.toLowerCase().includes('shop') ||
-            entry.title.toLowerCase().includes('store') ||
-            entry.title.toLowerCase().includes('product')
-        );
-        
-        const shouldUseAI = aiTabId && aiRequestCount < MAX_AI_FEATURE_TABS && isHighValueTab;
+        // Η σειρά/προτεραιότητα έρχεται από το enrichment queue· εδώ μόνο το content gate
+        const hasEnoughContent = Boolean(entry.content && entry.content.length > 200);
+        const shouldUseAI = aiTabId && nowMs() < deadline && hasEnoughContent;
         
         // Log why AI is skipped for debugging
         if (!shouldUseAI) {
             const reasons = [];
             if (!aiTabId) reasons.push('no AI tab');
-            if (aiRequestCount >= MAX_AI_FEATURE_TABS) reasons.push(`AI limit reached (${aiRequestCount}/${MAX_AI_FEATURE_TABS})`);
-            if (!entry.content || entry.content.length <= 200) reasons.push(`insufficient content (${entry.content?.length || 0} chars)`);
+            if (nowMs() >= deadline) reasons.push('AI budget exhausted (queued for background enrichment)');
+            if (!hasEnoughContent) reasons.push(`insufficient content (${entry.content?.length || 0} chars)`);
             
             console.log(`⚠️ [Chrome AI Challenge] Skipping AI for "${entry.title?.slice(0, 40)}": ${reasons.join(', ')}`);
         }
@@ -5462,19 +7498,18 @@ async function ensureTabSemanticFeatures(tabDataForAI) {
                 // Moderate cooling delay for laptop thermal management
                 if (aiRequestCount > 0) {
                     const coolingDelay = Math.min(500 + (aiRequestCount * 200), 1500); // 0.5-1.5 seconds (smart reduced)
-                    console.log(`❄️ [Laptop Cooling] Cooling delay: ${coolingDelay}ms (request ${aiRequestCount + 1}/${MAX_AI_FEATURE_TABS})`);
-                    console.log(`🌡️ [Thermal Management] Processing ${MAX_AI_FEATURE_TABS} tabs with AI`);
+                    console.log(`❄️ [Laptop Cooling] Cooling delay: ${coolingDelay}ms (request ${aiRequestCount + 1})`);
                     await new Promise(resolve => setTimeout(resolve, coolingDelay));
                 }
                 
                 const scriptStart = nowMs();
                 
-                const scriptPromise = chrome.scripting.executeScript({
+                const scriptPromise = executeAIScript({
                     target: { tabId: aiTabId },
                     world: 'MAIN',
                     func: generateTabFeaturesInPage,
                     args: [descriptor]
-                });
+                }, { stage: 'tab-features', tabUrls: [originalTab.url] });
                 
                 const timeoutBudget = attempt === 0
                     ? AI_FEATURE_TIMEOUT
@@ -5702,12 +7737,8 @@ async function ensureTabSemanticFeatures(tabDataForAI) {
         }
         
         applyFeaturesToTab(entry, originalTab, features);
-        if (cacheKey && features) {
-            cacheUpdates[cacheKey] = {
-                timestamp: Date.now(),
-                features,
-                contentHash: entry.contentHash || originalTab.contentHash || ''
-            };
+        if (cacheKey && features?.origin === 'ai') {
+            cacheUpdates.push({ key: cacheKey, value: { features } });
         }
             };
     
@@ -5751,16 +7782,14 @@ async function ensureTabSemanticFeatures(tabDataForAI) {
         console.info(`⚠️ Tab semantic features used fallback for ${fallbackCount} tabs.${reasonsSummary}`);
     }
     
-    if (Object.keys(cacheUpdates).length) {
-        Object.assign(semanticFeatureCache, cacheUpdates);
-        await chrome.storage.session.set({ semanticFeatureCache });
-    }
+    await persistentCacheSetMany('semanticFeatures', cacheUpdates, CACHE_SCHEMAS.semanticFeatures);
 }
 
-async function ensureTabEmbeddings(tabDataForAI) {
+async function ensureTabEmbeddings(tabDataForAI, { order = null, budgetMs = Infinity, onProgress = null } = {}) {
     if (!Array.isArray(tabDataForAI) || !tabDataForAI.length) {
         return;
     }
+    const deadline = nowMs() + budgetMs;
     
     const accessibleTab = await findUsableAIAccessTab();
     let aiTabId = accessibleTab?.id || null;
@@ -5768,18 +7797,14 @@ async function ensureTabEmbeddings(tabDataForAI) {
     let generatedCount = 0;
     let fallbackCount = 0;
     
-    const cacheData = await chrome.storage.session.get(['tabEmbeddingCache']);
-    const embeddingCache = cacheData.tabEmbeddingCache || {};
-    const cacheUpdates = {};
+    const cacheUpdates = [];
     
-    const makeCacheKey = (entry) => {
-        if (entry?.url) return entry.url;
-        const tab = currentTabData[entry?.index ?? -1];
-        if (tab?.url) return tab.url;
-        if (entry?.canonicalUrl) return entry.canonicalUrl;
-        if (entry?.title) return `title:${entry.title}`;
-        return null;
-    };
+    const makeCacheKey = (entry) => buildTabContentCacheKey(entry?.url ? entry : currentTabData[entry?.index ?? -1]);
+    const embeddingCache = await persistentCacheGetMany(
+        'embeddings',
+        tabDataForAI.map(makeCacheKey),
+        CACHE_SCHEMAS.embeddings
+    );
     
     const buildEmbeddingDocument = (entry) => {
         const parts = [
@@ -5798,7 +7823,7 @@ async function ensureTabEmbeddings(tabDataForAI) {
             .filter(Boolean)
             .join('\n')
             .slice(0, EMBEDDING_MAX_TOKENS * 6); // rough char limit
-        return combined;
+        return redactSensitiveText(combined);
     };
     
     // Note: We intentionally removed hashed BoW fallback. If embeddings fail,
@@ -5828,20 +7853,16 @@ async function ensureTabEmbeddings(tabDataForAI) {
         }
         
         const cacheKey = makeCacheKey(entry);
-        if (cacheKey && embeddingCache[cacheKey]) {
-            const cached = embeddingCache[cacheKey];
-            const stillValid = (Date.now() - cached.timestamp) < EMBEDDING_CACHE_TTL &&
-                (!entry.contentHash || !cached.contentHash || cached.contentHash === entry.contentHash);
-            if (stillValid && Array.isArray(cached.vector)) {
-                entry.semanticEmbedding = cached.vector.slice();
-                originalTab.semanticEmbedding = cached.vector.slice();
-                return;
-            }
+        const cached = cacheKey ? embeddingCache.get(cacheKey) : null;
+        if (Array.isArray(cached?.vector) && cached.vector.length) {
+            entry.semanticEmbedding = cached.vector.slice();
+            originalTab.semanticEmbedding = cached.vector.slice();
+            return;
         }
         
         const canUseAI =
             aiTabId &&
-            generatedCount < MAX_AI_EMBED_TABS &&
+            nowMs() < deadline &&
             (entry.contentLength >= EMBEDDING_MIN_CONTENT_CHARS || (entry.semanticFeatures?.topic && entry.semanticFeatures.topic.length >= 8));
         
         let embeddingVector = null;
@@ -5855,7 +7876,7 @@ async function ensureTabEmbeddings(tabDataForAI) {
                     language: entry.language || ''
                 };
                 const runOnce = async (tabId) => {
-                    const scriptPromise = chrome.scripting.executeScript({
+                    const scriptPromise = executeAIScript({
                         target: { tabId },
                         world: 'MAIN',
                         func: generateTabEmbeddingInPage,
@@ -5921,22 +7942,32 @@ async function ensureTabEmbeddings(tabDataForAI) {
             entry.semanticEmbedding = embeddingVector.slice();
             originalTab.semanticEmbedding = embeddingVector.slice();
             if (cacheKey) {
-                cacheUpdates[cacheKey] = {
-                    timestamp: Date.now(),
-                    vector: embeddingVector.slice(),
-                    contentHash: entry.contentHash || originalTab.contentHash || ''
-                };
+                cacheUpdates.push({ key: cacheKey, value: { vector: embeddingVector.slice() } });
             }
         }
     };
     
+    // Priority order από το enrichment ranking (όσα δεν χωράνε στο budget πάνε στο queue)
+    const entryByIndex = new Map(tabDataForAI.map(entry => [entry.index, entry]));
+    const orderedEntries = Array.isArray(order)
+        ? [
+            ...order.map(index => entryByIndex.get(index)).filter(Boolean),
+            ...tabDataForAI.filter(entry => !order.includes(entry.index))
+        ]
+        : tabDataForAI;
+    
+    const processWithProgress = async (entry) => {
+        await processEntry(entry);
+        if (onProgress) onProgress(entry);
+    };
     if (aiTabId) {
         // Run sequentially to limit AI load
-        for (const entry of tabDataForAI) {
-            await processEntry(entry);
+        for (const entry of orderedEntries) {
+            if (isScanCancelled()) break;
+            await processWithProgress(entry);
         }
     } else {
-        await Promise.all(tabDataForAI.map(processEntry));
+        await Promise.all(orderedEntries.map(processWithProgress));
     }
     
     if (fallbackCount > 0 && !ENFORCE_AI_FEATURES) {
@@ -5946,80 +7977,7 @@ async function ensureTabEmbeddings(tabDataForAI) {
         console.info(`Tab embeddings used fallback for ${fallbackCount} tabs.${reasonsSummary}`);
     }
     
-    if (Object.keys(cacheUpdates).length) {
-        Object.assign(embeddingCache, cacheUpdates);
-        await chrome.storage.session.set({ tabEmbeddingCache: embeddingCache });
-    }
-}
-
-function tokenizeText(value) {
-    if (!value) return [];
-    return value
-        .toLowerCase()
-        .replace(/[^a-z0-9\sα-ωάέίήύόώϊϋΐΰ]+/g, ' ')
-        .split(/\s+/)
-        .map(token => token.trim())
-        .filter(token => token.length >= 3 && !STOPWORDS.has(token));
-}
-
-function computeSimHash(tokens) {
-    if (!tokens) {
-        return null;
-    }
-    const iterable = tokens instanceof Set ? tokens : new Set(tokens);
-    if (!iterable.size) {
-        return null;
-    }
-    const weights = new Array(SIMHASH_BITS).fill(0);
-    let total = 0;
-    iterable.forEach(token => {
-        if (!token) return;
-        const hash = positiveHash(token);
-        total += 1;
-        for (let bit = 0; bit < SIMHASH_BITS; bit += 1) {
-            const mask = 1 << (bit % 32);
-            const contribution = (hash & mask) ? 1 : -1;
-            weights[bit] += contribution;
-        }
-    });
-    if (!total) {
-        return null;
-    }
-    let result = 0n;
-    for (let bit = 0; bit < SIMHASH_BITS; bit += 1) {
-        if (weights[bit] >= 0) {
-            result |= (1n << BigInt(bit));
-        }
-    }
-    return result;
-}
-
-function simHashSimilarity(hashA, hashB) {
-    if (typeof hashA !== 'bigint' || typeof hashB !== 'bigint') {
-        return 0;
-    }
-    let diff = hashA ^ hashB;
-    let distance = 0;
-    while (diff) {
-        distance += Number(diff & 1n);
-        diff >>= 1n;
-    }
-    const normalized = 1 - (distance / SIMHASH_BITS);
-    return normalized < 0 ? 0 : normalized;
-}
-
-function extractUrlPathTokens(url) {
-    if (!url) return [];
-    try {
-        const { pathname } = new URL(url);
-        return pathname
-            .split(/[\/#?]+/)
-            .flatMap(segment => segment.split(/[\-_\s]+/))
-            .map(token => token.toLowerCase().replace(/[^a-z0-9α-ωάέίήύόώϊϋΐΰ]+/g, ''))
-            .filter(token => token.length >= 3 && !/^\d+$/.test(token) && !STOPWORDS.has(token));
-    } catch (error) {
-        return [];
-    }
+    await persistentCacheSetMany('embeddings', cacheUpdates, CACHE_SCHEMAS.embeddings);
 }
 
 function buildTabLLMProfile(tabEntry) {
@@ -6043,13 +8001,13 @@ function buildTabLLMProfile(tabEntry) {
         .toString()
         .split('-')[0] || 'en';
     return {
-        title: tabEntry.title || '',
-        url: tabEntry.url || '',
+        title: redactSensitiveText(tabEntry.title || ''),
+        url: redactUrlForPrompt(tabEntry.url || ''),
         domain: tabEntry.domain || '',
-        meta: (tabEntry.metaDescription || '').slice(0, 240),
-        content: (tabEntry.content || tabEntry.fullContent || '')
+        meta: redactSensitiveText((tabEntry.metaDescription || '').slice(0, 240)),
+        content: redactSensitiveText((tabEntry.content || tabEntry.fullContent || '')
             .replace(/\s+/g, ' ')
-            .slice(0, 600),
+            .slice(0, 600)),
         language,
         docType: semantic.docType || '',
         mergeHints: Array.isArray(semantic.mergeHints) ? semantic.mergeHints.slice(0, 8) : [],
@@ -6087,12 +8045,12 @@ async function verifyTabPairWithLM(tabA, tabB) {
     }];
     
     const results = await withTimeout(
-        chrome.scripting.executeScript({
+        executeAIScript({
             target: { tabId: accessibleTab.id },
             world: 'MAIN',
             func: judgeTabSimilarityInPage,
             args
-        }),
+        }, { stage: 'pair-verification', tabUrls: [tabA.url, tabB.url] }),
         LLM_VERIFICATION_TIMEOUT,
         'LLM verification timeout'
     );
@@ -6117,6 +8075,7 @@ async function applyLLMRefinement(groups, featureContext, tabDataForAI) {
     try {
         const vectors = featureContext.vectors;
         const similarityCache = featureContext.similarityCache || new Map();
+        const scorePair = createPairScorer(vectors, similarityCache, featureContext.candidateIndex || null);
         const vectorSets = groups.map(group => new Set(group.vectorIndices || []));
         const tabSets = groups.map(group => new Set(group.tabIndices || []));
         const removedGroups = new Set();
@@ -6140,18 +8099,14 @@ async function applyLLMRefinement(groups, featureContext, tabDataForAI) {
             const scoredTargets = [];
             for (let targetIndex = 0; targetIndex < groups.length; targetIndex += 1) {
                 if (targetIndex === index || removedGroups.has(targetIndex)) continue;
+                if (hasCannotLinkConflict([tabIdx], tabSets[targetIndex], featureContext.constraints?.cannot)) continue;
                 const targetGroup = groups[targetIndex];
                 const vIdxs = Array.isArray(targetGroup?.vectorIndices) ? targetGroup.vectorIndices : [];
                 if (!vIdxs.length) continue;
 
                 let bestEmbed = 0;
                 for (const tV of vIdxs) {
-                    const key = vectorIdx < tV ? `${vectorIdx}|${tV}` : `${tV}|${vectorIdx}`;
-                    let score = similarityCache.get(key);
-                    if (typeof score !== 'number') {
-                        score = computeWeightedSimilarity(vectors[vectorIdx], vectors[tV]);
-                        similarityCache.set(key, score);
-                    }
+                    const score = scorePair(vectorIdx, tV);
                     if (score > bestEmbed) bestEmbed = score;
                 }
                 if (bestEmbed > 0) {
@@ -6222,1328 +8177,56 @@ async function applyLLMRefinement(groups, featureContext, tabDataForAI) {
     }
 }
 
-function jaccardSimilarity(setA, setB) {
-    if (!setA || !setB || !setA.size || !setB.size) return 0;
-    let intersectionCount = 0;
-    for (const item of setA) {
-        if (setB.has(item)) {
-            intersectionCount += 1;
-        }
-    }
-    const unionCount = setA.size + setB.size - intersectionCount;
-    return unionCount === 0 ? 0 : intersectionCount / unionCount;
-}
-
-function cosineSimilarity(mapA, mapB) {
-    if (!mapA || !mapB || !mapA.size || !mapB.size) return 0;
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    mapA.forEach(value => {
-        normA += value * value;
-    });
-    mapB.forEach(value => {
-        normB += value * value;
-    });
-    
-    const [shorter, longer] = mapA.size <= mapB.size ? [mapA, mapB] : [mapB, mapA];
-    shorter.forEach((value, key) => {
-        const other = longer.get(key);
-        if (typeof other === 'number') {
-            dotProduct += value * other;
-        }
-    });
-    
-    if (dotProduct === 0) return 0;
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-function normalizedOverlap(setA, setB) {
-    if (!setA || !setB || !setA.size || !setB.size) return 0;
-    let intersection = 0;
-    const [smaller, larger] = setA.size <= setB.size ? [setA, setB] : [setB, setA];
-    for (const token of smaller) {
-        if (larger.has(token)) {
-            intersection += 1;
-        }
-    }
-    return smaller.size === 0 ? 0 : intersection / smaller.size;
-}
-
-function cosineSimilarityArray(vectorA, vectorB) {
-    if (!Array.isArray(vectorA) || !Array.isArray(vectorB) || !vectorA.length || !vectorB.length) {
-        return 0;
-    }
-    const length = Math.min(vectorA.length, vectorB.length);
-    let dot = 0;
-    let normA = 0;
-    let normB = 0;
-    for (let i = 0; i < length; i += 1) {
-        const a = vectorA[i];
-        const b = vectorB[i];
-        if (typeof a !== 'number' || typeof b !== 'number') continue;
-        dot += a * b;
-        normA += a * a;
-        normB += b * b;
-    }
-    if (!dot || !normA || !normB) return 0;
-    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-function normalizeVector(vector) {
-    if (!Array.isArray(vector) || !vector.length) return null;
-    let norm = 0;
-    const result = vector.map(value => {
-        const num = typeof value === 'number' ? value : Number(value) || 0;
-        norm += num * num;
-        return num;
-    });
-    if (!norm) return result;
-    const scale = 1 / Math.sqrt(norm);
-    return result.map(value => value * scale);
-}
-
-function positiveHash(input) {
-    const str = String(input || '');
-    let hash = 0;
-    for (let i = 0; i < str.length; i += 1) {
-        hash = ((hash << 5) - hash) + str.charCodeAt(i);
-        hash |= 0;
-    }
-    return hash >>> 0;
-}
-
-function prepareTabFeatureContext(tabDataForAI) {
-    if (!tabDataForAI || !tabDataForAI.length) {
-        return { vectors: [], tabData: tabDataForAI || [] };
+async function assignGroupLabels(groups, tabDataForAI) {
+    const LABELING_BUDGET_MS = 15000; // overall budget for labeling to avoid long stalls
+    const labelingStartTs = Date.now();
+    if (labelingActive) {
+        // Another labeling session is running; defer
+        scheduleDeferredLabels(800);
+        return;
     }
+    labelingActive = true;
+    const accessibleTab = await findUsableAIAccessTab();
+    const indexMap = new Map(tabDataForAI.map(entry => [entry.index, entry]));
+    const labelCacheKeys = new Map(groups.map(group => [
+        group,
+        buildGroupContentCacheKey(
+            group.centroidSignature || '',
+            (group.tabIndices || []).map(index => indexMap.get(index)).filter(Boolean)
+        )
+    ]));
+    const groupLabelCache = await persistentCacheGetMany(
+        'groupLabels',
+        Array.from(labelCacheKeys.values()),
+        CACHE_SCHEMAS.groupLabels
+    );
+    const cacheUpdates = [];
+    let aiLabelReady = false;
+    let aiLabelReason = 'Language Model API not available';
+    let aiLabelChecksFailed = false;
+    let aiLabelAttempts = 0;
+    const labelFailureReasons = new Set();
     
-    const vectors = tabDataForAI.map(entry => {
-        const features = entry.semanticFeatures || {};
-        const keywordTokens = new Set();
-        const semanticTopicTokens = new Set();
-        const topicSources = [
-            features.topic,
-            features.primaryTopic,
-            ...(Array.isArray(features.subtopics) ? features.subtopics : [])
+    const buildFallbackBlurb = (descriptor, group, labelValue) => {
+        const keywordPool = [
+            ...(descriptor.centroidKeywords || []),
+            ...(descriptor.mergeHints || []),
+            ...(descriptor.taxonomyTags || []),
+            ...(group.mergeHints || []),
+            ...(group.keywords || [])
         ];
-        topicSources.forEach(source => {
-            tokenizeText(source).forEach(token => {
-                if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-                semanticTopicTokens.add(token);
-            });
-        });
-        if (features.docType) {
-            const docToken = String(features.docType).toLowerCase();
-            if (docToken.length >= 3 && !STOPWORDS.has(docToken) && !GENERIC_MERGE_STOPWORDS.has(docToken)) {
-                semanticTopicTokens.add(docToken);
-            }
-        }
-        semanticTopicTokens.forEach(token => keywordTokens.add(token));
-        
-        const mergeHintTokens = Array.isArray(features.mergeHints)
-            ? features.mergeHints.slice()
-            : (Array.isArray(features.keywords) ? features.keywords.slice() : []);
-        if (Array.isArray(features.summaryKeywords) && features.summaryKeywords.length) {
-            features.summaryKeywords.forEach(keyword => {
-                mergeHintTokens.push(keyword);
-            });
-        }
-        mergeHintTokens.forEach(keyword => {
-            const token = String(keyword || '').toLowerCase().trim();
-            if (token.length >= 3 && !STOPWORDS.has(token) && !GENERIC_MERGE_STOPWORDS.has(token)) {
-                keywordTokens.add(token);
-            }
-        });
-        (features.subtopics || []).forEach(subtopic => {
-            tokenizeText(subtopic).forEach(token => {
-                if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-                keywordTokens.add(token);
-            });
-        });
-        const entityTokens = new Set();
-        const entitySources = [
-            ...(Array.isArray(features.entities) ? features.entities : []),
-            ...(Array.isArray(entry.classification?.entities) ? entry.classification.entities : [])
-        ];
-        entitySources.forEach(entity => {
-            tokenizeText(entity).forEach(token => {
-                if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-                entityTokens.add(token);
-                keywordTokens.add(token);
-            });
-        });
-        (entry.summaryBullets || []).forEach(bullet => {
-            tokenizeText(bullet).forEach(token => {
-                if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-                keywordTokens.add(token);
-            });
-        });
-        
-        entry.docType = features.docType || entry.docType || '';
-        entry.isGenericLanding = typeof features.isGenericLanding === 'boolean'
-            ? features.isGenericLanding
-            : (entry.isGenericLanding || false);
-        entry.primaryTopic = features.primaryTopic || entry.primaryTopic || '';
-        entry.mergeHints = Array.isArray(features.mergeHints)
-            ? features.mergeHints.filter(token => !GENERIC_MERGE_STOPWORDS.has(String(token || '').toLowerCase().trim()))
-            : (Array.isArray(features.keywords) ? features.keywords.filter(token => !GENERIC_MERGE_STOPWORDS.has(String(token || '').toLowerCase().trim())) : []);
-        entry.entityTokens = Array.from(entityTokens);
-        
-        (entry.metaKeywords || []).forEach(keyword => {
-            tokenizeText(keyword).forEach(token => {
-                if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-                keywordTokens.add(token);
-            });
-        });
-        (entry.headings || []).forEach(heading => {
-            tokenizeText(heading).forEach(token => {
-                if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-                keywordTokens.add(token);
-            });
-        });
-        tokenizeText(entry.topicHints).forEach(token => {
-            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-            keywordTokens.add(token);
-        });
-        tokenizeText(entry.youtubeTopic).forEach(token => {
-            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
-            keywordTokens.add(token);
-        });
-        (entry.youtubeTags || [])
-            .map(tag => String(tag || '').toLowerCase().trim())
-            .filter(tag => tag && !GENERIC_MERGE_STOPWORDS.has(tag) && !STOPWORDS.has(tag))
-            .forEach(tag => keywordTokens.add(tag));
-        
-        const taxonomyArray = inferTaxonomyTags(entry);
-    const taxonomyTags = new Set();
-    taxonomyArray.forEach(tag => {
-        const token = String(tag || '').toLowerCase().trim();
-        if (!token || STOPWORDS.has(token) || GENERIC_MERGE_STOPWORDS.has(token)) return;
-        taxonomyTags.add(token);
-        keywordTokens.add(token);
-    });
-        entry.taxonomyTags = taxonomyArray;
-        
-        const titleTokens = new Set(tokenizeText(entry.title));
-        titleTokens.forEach(token => keywordTokens.add(token));
-        
-        const pathTokens = new Set(extractUrlPathTokens(entry.url));
-        pathTokens.forEach(token => keywordTokens.add(token));
-        
-        const domainTokens = new Set();
-        if (entry.domain) {
-            entry.domain
-                .toLowerCase()
-                .split('.')
-                .filter(part => part && part !== 'www' && part.length >= 3)
-                .forEach(part => domainTokens.add(part));
-        }
-        
-        const tfCounts = new Map();
-        const tfTokens = [
-            ...tokenizeText(entry.fullContent ? entry.fullContent.slice(0, 2000) : ''),
-            ...tokenizeText(entry.topicHints),
-            ...tokenizeText(features.primaryTopic),
-            ...(Array.isArray(features.subtopics) ? features.subtopics.flatMap(sub => tokenizeText(sub)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)) : []),
-            ...(Array.isArray(mergeHintTokens) ? mergeHintTokens.flatMap(token => tokenizeText(token)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)) : []),
-            ...entitySources.flatMap(entity => tokenizeText(entity)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
-            ...tokenizeText(features.docType).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
-            ...(Array.isArray(entry.summaryBullets) ? entry.summaryBullets.flatMap(bullet => tokenizeText(bullet)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)) : []),
-            ...Array.from(titleTokens).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
-            ...Array.from(pathTokens).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
-            ...(entry.youtubeTags || []).map(tag => String(tag || '').toLowerCase().trim()).filter(tag => tag && !GENERIC_MERGE_STOPWORDS.has(tag) && !STOPWORDS.has(tag)),
-            ...(entry.metaKeywords || []).flatMap(keyword => tokenizeText(keyword)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
-            ...(entry.headings || []).flatMap(heading => tokenizeText(heading)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
-            ...taxonomyArray.map(tag => String(tag || '').toLowerCase()).flatMap(tokenizeText).filter(token => !GENERIC_MERGE_STOPWORDS.has(token))
-        ].slice(0, 1200);
-        
-        tfTokens.forEach(token => {
-            if (!token || STOPWORDS.has(token)) return;
-            tfCounts.set(token, (tfCounts.get(token) || 0) + 1);
-        });
-        
-        const totalTokenCount = tfTokens.length || 1;
-        const embeddingVector = Array.isArray(entry.semanticEmbedding) && entry.semanticEmbedding.length
-            ? normalizeVector(entry.semanticEmbedding)
-            : null;
-        if (embeddingVector) {
-            entry.semanticEmbedding = embeddingVector.slice();
-        }
-        
-        const simHash = computeSimHash(keywordTokens);
-        
-        return {
-            index: entry.index,
-            keywordTokens,
-            titleTokens,
-            pathTokens,
-            domain: entry.domain || '',
-            domainTokens,
-            semanticTopicTokens,
-            taxonomyTags,
-            language: entry.language || '',
-            youtubeTopic: entry.youtubeTopic || '',
-            primaryTopic: entry.primaryTopic || '',
-            docType: entry.docType || '',
-            isGenericLanding: Boolean(entry.isGenericLanding),
-            mergeHints: Array.isArray(entry.mergeHints) ? entry.mergeHints.slice() : [],
-            entities: entityTokens,
-            tfCounts,
-            totalTokenCount,
-            embeddingVector,
-            simHash,
-            tabData: entry
-        };
-    });
-    
-    const documentFrequency = new Map();
-    vectors.forEach(vector => {
-        vector.tfCounts.forEach((_, token) => {
-            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
-        });
-    });
-    
-    const docCount = vectors.length || 1;
-    vectors.forEach(vector => {
-        const tfidf = new Map();
-        vector.tfCounts.forEach((count, token) => {
-            const idf = Math.log((docCount + 1) / ((documentFrequency.get(token) || 0) + 1)) + 1;
-            tfidf.set(token, (count / vector.totalTokenCount) * idf);
-        });
-        vector.tfidfVector = tfidf;
-    });
-    
-    return { vectors, tabData: tabDataForAI };
-}
-
-function computeWeightedSimilarity(vectorA, vectorB, debugOut = null) {
-    // Embedding-first general similarity
-    const S_embed = cosineSimilarityArray(vectorA?.embeddingVector, vectorB?.embeddingVector);
-    if (GENERAL_GROUPING_MODE && typeof S_embed === 'number' && S_embed > 0) {
-        if (debugOut && typeof debugOut === 'object') debugOut.score = S_embed;
-        return Math.max(0, Math.min(S_embed, 1));
-    }
-    // Fallback to TF-IDF cosine
-    const S_tfidf = cosineSimilarity(vectorA?.tfidfVector, vectorB?.tfidfVector);
-    if (typeof S_tfidf === 'number' && S_tfidf > 0) {
-        if (debugOut && typeof debugOut === 'object') debugOut.score = S_tfidf;
-        return Math.max(0, Math.min(S_tfidf, 1));
-    }
-    if (debugOut && typeof debugOut === 'object') debugOut.score = 0;
-    return 0;
-}
-
-function createUnionFind(size) {
-    const parent = Array.from({ length: size }, (_, i) => i);
-    const rank = new Array(size).fill(0);
-    
-    function find(x) {
-        if (parent[x] !== x) {
-            parent[x] = find(parent[x]);
-        }
-        return parent[x];
-    }
-    
-    function union(a, b) {
-        const rootA = find(a);
-        const rootB = find(b);
-        if (rootA === rootB) return;
-        if (rank[rootA] < rank[rootB]) {
-            parent[rootA] = rootB;
-        } else if (rank[rootA] > rank[rootB]) {
-            parent[rootB] = rootA;
-        } else {
-            parent[rootB] = rootA;
-            rank[rootA] += 1;
-        }
-    }
-    
-    return { find, union };
-}
-
-function clusterTabsDeterministic(featureContext, { debugLog = null } = {}) {
-    const { vectors, tabData } = featureContext;
-    if (!vectors || !vectors.length) {
-        return [];
-    }
-    
-    const uf = createUnionFind(vectors.length);
-    const similarityCache = new Map();
-    
-    const borderlinePairs = [];
-    
-    for (let i = 0; i < vectors.length; i++) {
-        for (let j = i + 1; j < vectors.length; j++) {
-            const metrics = {};
-            const score = computeWeightedSimilarity(vectors[i], vectors[j], metrics);
-            const key = `${i}|${j}`;
-            similarityCache.set(key, score);
-            if (debugLog) {
-                debugLog.stats = debugLog.stats || {};
-                debugLog.stats.pairComparisons = (debugLog.stats.pairComparisons || 0) + 1;
-            }
-            if (score >= SIMILARITY_JOIN_THRESHOLD) {
-                uf.union(i, j);
-                if (debugLog) {
-                    debugLog.stats.pairUnions = (debugLog.stats.pairUnions || 0) + 1;
-                    const entryA = vectors[i]?.tabData || {};
-                    const entryB = vectors[j]?.tabData || {};
-                    const classificationA = entryA.classification || {};
-                    const classificationB = entryB.classification || {};
-                    const formatNumber = (value, digits = 3) =>
-                        typeof value === 'number' ? Number(value.toFixed(digits)) : null;
-                    const mergeHintsA = classificationA.mergeHints || vectors[i]?.mergeHints || [];
-                    const mergeHintsB = classificationB.mergeHints || vectors[j]?.mergeHints || [];
-                    const isBridge = Boolean((vectors[i]?.isGenericLanding || classificationA.isGenericLanding) !==
-                        (vectors[j]?.isGenericLanding || classificationB.isGenericLanding));
-                    debugLog.pairwise = debugLog.pairwise || [];
-                    debugLog.pairwise.push({
-                        phase: 'A',
-                        type: 'pair-join',
-                        reason: 'initial-similarity',
-                        vectorIndices: [i, j],
-                        tabIndices: [vectors[i]?.index, vectors[j]?.index],
-                        urls: [entryA.url, entryB.url],
-                        primaryTopics: [classificationA.primaryTopic || vectors[i]?.primaryTopic || '', classificationB.primaryTopic || vectors[j]?.primaryTopic || ''],
-                        primaryTopicMatch: Boolean(
-                            (classificationA.primaryTopic || vectors[i]?.primaryTopic) &&
-                            (classificationA.primaryTopic || vectors[i]?.primaryTopic) === (classificationB.primaryTopic || vectors[j]?.primaryTopic)
-                        ),
-                        docTypes: [classificationA.docType || vectors[i]?.docType || '', classificationB.docType || vectors[j]?.docType || ''],
-                        mergeHints: [mergeHintsA.slice(0, 4), mergeHintsB.slice(0, 4)],
-                        cosineEmb: formatNumber(metrics.S_embed),
-                        simHash: formatNumber(metrics.S_sim),
-                        jaccardHints: formatNumber(metrics.S_merge),
-                        taxBoost: formatNumber(metrics.S_tax),
-                        keywordBoost: formatNumber(metrics.S_kw),
-                        docTypeBoost: formatNumber(metrics.docMatch),
-                        genericPenalty: formatNumber(metrics.genericPenalty),
-                        langPenalty: formatNumber(metrics.langPenalty),
-                        finalScore: formatNumber(metrics.score, 4),
-                        threshold: SIMILARITY_JOIN_THRESHOLD,
-                        bridge: isBridge,
-                        bridgeReason: isBridge ? 'generic-landing mismatch' : null,
-                        timestamp: Date.now()
-                    });
-                }
-            } else if (score >= SIMILARITY_SPLIT_THRESHOLD) {
-                const domainMatch = Boolean(vectors[i]?.domain && vectors[i].domain === vectors[j]?.domain);
-                borderlinePairs.push({
-                    i,
-                    j,
-                    score,
-                    domainMatch,
-                    merge: typeof metrics.S_merge === 'number' ? metrics.S_merge : 0,
-                    primary: typeof metrics.S_primary === 'number' ? metrics.S_primary : 0,
-                    taxonomy: typeof metrics.S_tax === 'number' ? metrics.S_tax : 0,
-                    sim: typeof metrics.S_sim === 'number' ? metrics.S_sim : 0,
-                    embed: typeof metrics.S_embed === 'number' ? metrics.S_embed : 0
-                });
-            }
-        }
-    }
-    
-    if (borderlinePairs.length) {
-        borderlinePairs.sort((a, b) => b.score - a.score);
-        for (const pair of borderlinePairs) {
-            const rootA = uf.find(pair.i);
-            const rootB = uf.find(pair.j);
-            if (rootA === rootB) continue;
-            const meetsSecondary =
-                (pair.domainMatch && pair.merge >= 0.35) ||
-                (pair.primary >= 0.55 && pair.taxonomy >= 0.35) ||
-                (pair.sim >= 0.62) ||
-                (pair.embed >= 0.68);
-            if (pair.score >= SIMILARITY_JOIN_THRESHOLD || (meetsSecondary && pair.score >= SIMILARITY_SPLIT_THRESHOLD)) {
-                uf.union(pair.i, pair.j);
-                if (debugLog) {
-                    debugLog.stats = debugLog.stats || {};
-                    debugLog.stats.hysteresisUnions = (debugLog.stats.hysteresisUnions || 0) + 1;
-                    debugLog.stats.pairUnions = (debugLog.stats.pairUnions || 0) + 1;
-                    const entryA = vectors[pair.i]?.tabData || {};
-                    const entryB = vectors[pair.j]?.tabData || {};
-                    const classificationA = entryA.classification || {};
-                    const classificationB = entryB.classification || {};
-                    const mergeHintsA = classificationA.mergeHints || vectors[pair.i]?.mergeHints || [];
-                    const mergeHintsB = classificationB.mergeHints || vectors[pair.j]?.mergeHints || [];
-                    const formatNumber = (value, digits = 3) =>
-                        typeof value === 'number' ? Number(value.toFixed(digits)) : null;
-                    debugLog.pairwise = debugLog.pairwise || [];
-                    debugLog.pairwise.push({
-                        phase: 'A',
-                        type: 'pair-hysteresis',
-                        reason: 'borderline-merge',
-                        vectorIndices: [pair.i, pair.j],
-                        tabIndices: [vectors[pair.i]?.index, vectors[pair.j]?.index],
-                        urls: [entryA.url, entryB.url],
-                        primaryTopics: [classificationA.primaryTopic || vectors[pair.i]?.primaryTopic || '', classificationB.primaryTopic || vectors[pair.j]?.primaryTopic || ''],
-                        docTypes: [classificationA.docType || vectors[pair.i]?.docType || '', classificationB.docType || vectors[pair.j]?.docType || ''],
-                        mergeHints: [mergeHintsA.slice(0, 4), mergeHintsB.slice(0, 4)],
-                        cosineEmb: formatNumber(pair.embed),
-                        simHash: formatNumber(pair.sim),
-                        jaccardHints: formatNumber(pair.merge),
-                        taxBoost: formatNumber(pair.taxonomy),
-                        keywordBoost: formatNumber(pair.primary),
-                        docTypeBoost: classificationA.docType && classificationB.docType
-                            ? formatNumber(classificationA.docType === classificationB.docType ? 1 : 0)
-                            : null,
-                        genericPenalty: null,
-                        langPenalty: null,
-                        finalScore: formatNumber(pair.score, 4),
-                        threshold: SIMILARITY_SPLIT_THRESHOLD,
-                        bridge: Boolean((vectors[pair.i]?.isGenericLanding) !== (vectors[pair.j]?.isGenericLanding)),
-                        bridgeReason: null,
-                        timestamp: Date.now()
-                    });
-                }
-            }
-        }
-    }
-    
-    const groupsMap = new Map();
-    for (let idx = 0; idx < vectors.length; idx++) {
-        const root = uf.find(idx);
-        if (!groupsMap.has(root)) {
-            groupsMap.set(root, { vectorIndices: [], tabIndices: [] });
-        }
-        const group = groupsMap.get(root);
-        group.vectorIndices.push(idx);
-        group.tabIndices.push(vectors[idx].index);
-    }
-    
-    let groups = Array.from(groupsMap.values());
-    
-    if (groups.length > 1) {
-        groups = mergeSmallSimilarGroups(groups, vectors, similarityCache, { debugLog });
-    }
-    
-    if (groups.length > 1) {
-        const toRemove = new Set();
-        for (const group of groups) {
-            if (group.vectorIndices.length !== 1) continue;
-            const vectorIdx = group.vectorIndices[0];
-            let bestGroup = null;
-            let bestScore = 0;
-            
-            for (const candidate of groups) {
-                if (candidate === group || toRemove.has(candidate)) continue;
-                let candidateScore = 0;
-                let comparisons = 0;
-                for (const otherIdx of candidate.vectorIndices) {
-                    const key = vectorIdx < otherIdx ? `${vectorIdx}|${otherIdx}` : `${otherIdx}|${vectorIdx}`;
-                    let score = similarityCache.get(key);
-                    if (typeof score !== 'number') {
-                        score = computeWeightedSimilarity(vectors[vectorIdx], vectors[otherIdx]);
-                        similarityCache.set(key, score);
-                    }
-                    candidateScore = Math.max(candidateScore, score);
-                    comparisons += 1;
-                }
-                
-                if (candidateScore > bestScore) {
-                    bestScore = candidateScore;
-                    bestGroup = candidate;
-                }
-            }
-            
-            if (bestGroup && bestScore >= SIMILARITY_SPLIT_THRESHOLD) {
-                bestGroup.vectorIndices.push(vectorIdx);
-                bestGroup.tabIndices.push(vectors[vectorIdx].index);
-                toRemove.add(group);
-            }
-        }
-        
-        if (toRemove.size) {
-            groups = groups.filter(group => !toRemove.has(group));
-        }
-    }
-    
-    if (groups.length > 1) {
-        groups = mergeYouTubeChannelSingletons(groups, vectors, tabData, { debugLog });
-    }
-    
-    const enrichedGroups = groups.map(group => enrichGroupFromVectors(group.vectorIndices, vectors, similarityCache));
-    
-    enrichedGroups.sort((a, b) => b.tabIndices.length - a.tabIndices.length || a.tabIndices[0] - b.tabIndices[0]);
-    enrichedGroups.forEach((group, idx) => {
-        group.name = `Group ${idx + 1}`;
-    });
-    
-    featureContext.similarityCache = similarityCache;
-    featureContext.vectors = vectors;
-    return enrichedGroups;
-}
-
-function mergeSmallSimilarGroups(groups, vectors, similarityCache, { debugLog = null } = {}) {
-    if (!Array.isArray(groups) || groups.length <= 1) {
-        return groups;
-    }
-
-    const keywordSets = groups.map(group => {
-        const set = new Set();
-        group.vectorIndices.forEach(vectorIdx => {
-            const vector = vectors[vectorIdx];
-            if (!vector) return;
-            vector.keywordTokens?.forEach(token => set.add(token));
-        });
-        return set;
-    });
-
-    const taxonomySets = groups.map(group => {
-        const set = new Set();
-        group.vectorIndices.forEach(vectorIdx => {
-            const vector = vectors[vectorIdx];
-            if (!vector) return;
-            vector.taxonomyTags?.forEach(token => set.add(token));
-        });
-        return set;
-    });
-
-    const topicSets = groups.map(group => {
-        const set = new Set();
-        group.vectorIndices.forEach(vectorIdx => {
-            const vector = vectors[vectorIdx];
-            if (!vector) return;
-            vector.semanticTopicTokens?.forEach(token => set.add(token));
-        });
-        return set;
-    });
-
-    const groupUF = createUnionFind(groups.length);
-    let merged = false;
-
-    const getVectorSimilarity = (a, b) => {
-        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
-        let score = similarityCache.get(key);
-        if (typeof score !== 'number') {
-            score = computeWeightedSimilarity(vectors[a], vectors[b]);
-            similarityCache.set(key, score);
-        }
-        return score;
-    };
-
-    for (let i = 0; i < groups.length; i++) {
-        for (let j = i + 1; j < groups.length; j++) {
-            const groupA = groups[i];
-            const groupB = groups[j];
-            if (!groupA || !groupB) continue;
-
-            const sizeA = groupA.vectorIndices.length;
-            const sizeB = groupB.vectorIndices.length;
-            if (sizeA > SMALL_GROUP_MAX_SIZE && sizeB > SMALL_GROUP_MAX_SIZE) continue;
-
-            debugLog?.stats && (debugLog.stats.smallGroupComparisons = (debugLog.stats.smallGroupComparisons || 0) + 1);
-            let bestScore = 0;
-            let bestPair = null;
-            for (const idxA of groupA.vectorIndices) {
-                for (const idxB of groupB.vectorIndices) {
-                    const score = getVectorSimilarity(idxA, idxB);
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestPair = [idxA, idxB];
-                        if (bestScore >= 0.99) break;
-                    }
-                }
-                if (bestScore >= 0.99) break;
-            }
-
-            const keywordOverlap = normalizedOverlap(keywordSets[i], keywordSets[j]);
-            const topicOverlap = normalizedOverlap(topicSets[i], topicSets[j]);
-            const taxonomyOverlap = normalizedOverlap(taxonomySets[i], taxonomySets[j]);
-
-            const meetsThreshold = bestScore >= CROSS_GROUP_MERGE_THRESHOLD;
-            const meetsKeywordOrTopic = keywordOverlap >= CROSS_GROUP_KEYWORD_OVERLAP || topicOverlap >= CROSS_GROUP_TOPIC_OVERLAP;
-            const meetsTaxonomyBoost = taxonomyOverlap >= CROSS_GROUP_TAXONOMY_OVERLAP &&
-                (bestScore >= CROSS_GROUP_MERGE_THRESHOLD * 0.6 || meetsKeywordOrTopic);
-
-            const shouldMerge = (meetsThreshold && (meetsKeywordOrTopic || taxonomyOverlap >= CROSS_GROUP_TAXONOMY_OVERLAP))
-                || meetsTaxonomyBoost;
-
-            if (shouldMerge) {
-                groupUF.union(i, j);
-                merged = true;
-                if (debugLog) {
-                    debugLog.stats.smallGroupUnions = (debugLog.stats.smallGroupUnions || 0) + 1;
-                    const formatNumber = (value, digits = 3) => typeof value === 'number' ? Number(value.toFixed(digits)) : null;
-                    let debugInfo = null;
-                    let vectorA = null;
-                    let vectorB = null;
-                    if (Array.isArray(bestPair)) {
-                        vectorA = vectors[bestPair[0]];
-                        vectorB = vectors[bestPair[1]];
-                        debugInfo = {};
-                        computeWeightedSimilarity(vectorA, vectorB, debugInfo);
-                    }
-                    const entryA = vectorA?.tabData || {};
-                    const entryB = vectorB?.tabData || {};
-                    const classificationA = entryA.classification || {};
-                    const classificationB = entryB.classification || {};
-                    const mergeHintsA = classificationA.mergeHints || vectorA?.mergeHints || [];
-                    const mergeHintsB = classificationB.mergeHints || vectorB?.mergeHints || [];
-                    const bridge = Boolean(
-                        (vectorA?.isGenericLanding || classificationA.isGenericLanding) !==
-                        (vectorB?.isGenericLanding || classificationB.isGenericLanding)
-                    );
-                    debugLog.smallGroup = debugLog.smallGroup || [];
-                    const mergeType = meetsThreshold && (meetsKeywordOrTopic || taxonomyOverlap >= CROSS_GROUP_TAXONOMY_OVERLAP) ? 'semantic' : 'taxonomy';
-                    debugLog.smallGroup.push({
-                        phase: 'B',
-                        type: mergeType,
-                        groups: [i, j],
-                        sizes: [sizeA, sizeB],
-                        reason: mergeType,
-                        bestScore: formatNumber(debugInfo?.score, 4) ?? formatNumber(bestScore, 4),
-                        keywordOverlap: formatNumber(keywordOverlap),
-                        topicOverlap: formatNumber(topicOverlap),
-                        taxonomyOverlap: formatNumber(taxonomyOverlap),
-                        threshold: CROSS_GROUP_MERGE_THRESHOLD,
-                        primaryTopics: [
-                            classificationA.primaryTopic || vectorA?.primaryTopic || '',
-                            classificationB.primaryTopic || vectorB?.primaryTopic || ''
-                        ],
-                        docTypes: [
-                            classificationA.docType || vectorA?.docType || '',
-                            classificationB.docType || vectorB?.docType || ''
-                        ],
-                        mergeHints: [mergeHintsA.slice(0, 4), mergeHintsB.slice(0, 4)],
-                        cosineEmb: formatNumber(debugInfo?.S_embed),
-                        jaccardHints: formatNumber(debugInfo?.S_merge),
-                        taxBoost: formatNumber(debugInfo?.S_tax),
-                        keywordBoost: formatNumber(debugInfo?.S_kw),
-                        docTypeBoost: formatNumber(debugInfo?.docMatch),
-                        genericPenalty: formatNumber(debugInfo?.genericPenalty),
-                        bridge,
-                        bridgeReason: bridge ? 'generic-landing mismatch' : null,
-                        timestamp: Date.now()
-                    });
-                }
-            }
-        }
-    }
-
-    if (!merged) {
-        return groups;
-    }
-
-    const mergedMap = new Map();
-    for (let idx = 0; idx < groups.length; idx++) {
-        const root = groupUF.find(idx);
-        if (!mergedMap.has(root)) {
-            mergedMap.set(root, {
-                vectorIndices: new Set(),
-                tabIndices: new Set()
-            });
-        }
-        const accumulator = mergedMap.get(root);
-        groups[idx].vectorIndices.forEach(vIdx => accumulator.vectorIndices.add(vIdx));
-        groups[idx].tabIndices.forEach(tIdx => accumulator.tabIndices.add(tIdx));
-    }
-
-    return Array.from(mergedMap.values()).map(entry => ({
-        vectorIndices: Array.from(entry.vectorIndices).sort((a, b) => a - b),
-        tabIndices: Array.from(entry.tabIndices).sort((a, b) => a - b)
-        }));
-    }
-
-function mergeYouTubeChannelSingletons(groups, vectors, tabData, { debugLog = null } = {}) {
-    if (!Array.isArray(groups) || groups.length <= 1) {
-        return groups;
-    }
-    
-    const channelGroups = new Map();
-    groups.forEach((group, index) => {
-        if (!group.vectorIndices || group.vectorIndices.length !== 1) {
-            return;
-        }
-        const vectorIdx = group.vectorIndices[0];
-        const vector = vectors[vectorIdx];
-        if (!vector) return;
-        const entryIndex = typeof vector.index === 'number' ? vector.index : null;
-        const entry = entryIndex !== null ? (tabData?.[entryIndex] || vector.tabData || {}) : (vector.tabData || {});
-        const url = entry.url || '';
-        const domain = (entry.domain || '').toLowerCase();
-        const isYouTube = domain.includes('youtube.com') || url.includes('youtu.be');
-        if (!isYouTube) {
-            return;
-        }
-        const channel = (entry.youtubeChannel || '').toLowerCase().trim();
-        if (!channel) {
-            return;
-        }
-        if (!channelGroups.has(channel)) {
-            channelGroups.set(channel, []);
-        }
-        channelGroups.get(channel).push(index);
-    });
-    
-    let merged = false;
-    const groupUF = createUnionFind(groups.length);
-    for (const [channelKey, indices] of channelGroups.entries()) {
-        if (!indices || indices.length <= 1) continue;
-        const [first, ...rest] = indices;
-        rest.forEach(otherIndex => {
-            groupUF.union(first, otherIndex);
-            merged = true;
-            if (debugLog) {
-                debugLog.stats.channelUnions = (debugLog.stats.channelUnions || 0) + 1;
-                const vectorA = groups[first]?.vectorIndices?.[0] !== undefined ? vectors[groups[first].vectorIndices[0]] : null;
-                const vectorB = groups[otherIndex]?.vectorIndices?.[0] !== undefined ? vectors[groups[otherIndex].vectorIndices[0]] : null;
-                const entryA = vectorA?.tabData || {};
-                const entryB = vectorB?.tabData || {};
-                const classificationA = entryA.classification || {};
-                const classificationB = entryB.classification || {};
-                const channelName = entryA.youtubeAnalysis?.channel || entryB.youtubeAnalysis?.channel || channelKey;
-                debugLog.channelMerges = debugLog.channelMerges || [];
-                debugLog.channelMerges.push({
-                    phase: 'B',
-                    type: 'channel',
-                    reason: 'channel-singletons',
-                    groups: [first, otherIndex],
-                    urls: [entryA.url, entryB.url],
-                    channel: channelName,
-                    primaryTopics: [
-                        classificationA.primaryTopic || vectorA?.primaryTopic || '',
-                        classificationB.primaryTopic || vectorB?.primaryTopic || ''
-                    ],
-                    docTypes: [
-                        classificationA.docType || vectorA?.docType || '',
-                        classificationB.docType || vectorB?.docType || ''
-                    ],
-                    mergeHints: [
-                        (classificationA.mergeHints || vectorA?.mergeHints || []).slice(0, 4),
-                        (classificationB.mergeHints || vectorB?.mergeHints || []).slice(0, 4)
-                    ],
-                    timestamp: Date.now()
-                });
-            }
-        });
-    }
-    
-    if (!merged) {
-        return groups;
-    }
-    
-    const mergedMap = new Map();
-    for (let idx = 0; idx < groups.length; idx++) {
-        const root = groupUF.find(idx);
-        if (!mergedMap.has(root)) {
-            mergedMap.set(root, {
-                vectorIndices: new Set(),
-                tabIndices: new Set()
-            });
-        }
-        const accumulator = mergedMap.get(root);
-        const group = groups[idx];
-        group.vectorIndices.forEach(vectorIdx => accumulator.vectorIndices.add(vectorIdx));
-        group.tabIndices.forEach(tabIdx => accumulator.tabIndices.add(tabIdx));
-    }
-    
-    return Array.from(mergedMap.values()).map(entry => ({
-        vectorIndices: Array.from(entry.vectorIndices).sort((a, b) => a - b),
-        tabIndices: Array.from(entry.tabIndices).sort((a, b) => a - b)
-    }));
-}
-
-function enrichGroupFromVectors(vectorIndices, vectors, similarityCache) {
-    const uniqueVectorIndices = Array.from(new Set(vectorIndices || [])).sort((a, b) => a - b);
-    const tabIndexSet = new Set();
-    const centroid = new Map();
-    const keywordFrequency = new Map();
-    const domainFrequency = new Map();
-    const languageFrequency = new Map();
-    const taxonomyFrequency = new Map();
-    const primaryTopicFrequency = new Map();
-    const docTypeFrequency = new Map();
-    const entityFrequency = new Map();
-    const entityLabelMap = new Map();
-    const mergeHintFrequency = new Map();
-    let genericLandingCount = 0;
-    
-    uniqueVectorIndices.forEach(vectorIdx => {
-        const vector = vectors?.[vectorIdx];
-        if (!vector) return;
-        if (typeof vector.index === 'number') {
-            tabIndexSet.add(vector.index);
-        }
-        if (vector.keywordTokens) {
-            vector.keywordTokens.forEach(token => {
-                keywordFrequency.set(token, (keywordFrequency.get(token) || 0) + 1);
-            });
-        }
-        if (vector.taxonomyTags) {
-            vector.taxonomyTags.forEach(token => {
-                taxonomyFrequency.set(token, (taxonomyFrequency.get(token) || 0) + 1);
-            });
-        }
-        if (vector.tfidfVector) {
-            vector.tfidfVector.forEach((value, token) => {
-                centroid.set(token, (centroid.get(token) || 0) + value);
-            });
-        }
-        if (vector.domain) {
-            domainFrequency.set(vector.domain, (domainFrequency.get(vector.domain) || 0) + 1);
-        }
-        if (vector.language) {
-            languageFrequency.set(vector.language, (languageFrequency.get(vector.language) || 0) + 1);
-        }
-        const primaryTopic = (vector.primaryTopic || vector.tabData?.classification?.primaryTopic || '').toLowerCase().trim();
-        if (primaryTopic) {
-            primaryTopicFrequency.set(primaryTopic, (primaryTopicFrequency.get(primaryTopic) || 0) + 1);
-        }
-        const docType = (vector.docType || vector.tabData?.classification?.docType || '').toLowerCase().trim();
-        if (docType) {
-            docTypeFrequency.set(docType, (docTypeFrequency.get(docType) || 0) + 1);
-        }
-        const mergeHints = Array.isArray(vector.mergeHints)
-            ? vector.mergeHints
-            : (vector.tabData?.classification?.mergeHints || []);
-        mergeHints.forEach(hint => {
-            const token = String(hint || '').toLowerCase().trim();
-            if (!token || STOPWORDS.has(token)) return;
-            mergeHintFrequency.set(token, (mergeHintFrequency.get(token) || 0) + 1);
-        });
-        const entityList = vector.tabData?.classification?.entities || [];
-        entityList.forEach(entity => {
-            const label = String(entity || '').trim();
-            if (!label) return;
-            const key = label.toLowerCase();
-            entityFrequency.set(key, (entityFrequency.get(key) || 0) + 1);
-            if (!entityLabelMap.has(key)) {
-                entityLabelMap.set(key, label);
-            }
-        });
-        if (vector.isGenericLanding || vector.tabData?.classification?.isGenericLanding) {
-            genericLandingCount += 1;
-        }
-    });
-    
-    const centroidTokens = Array.from(centroid.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, TFIDF_TOKEN_LIMIT)
-        .map(([token]) => token);
-    
-    const keywords = Array.from(keywordFrequency.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, TFIDF_TOKEN_LIMIT)
-        .map(([token]) => token);
-    
-    const centroidSignature = `${centroidTokens.slice(0, 8).join('|')}|${keywords.slice(0, 6).join('|')}`;
-    const domainMode = Array.from(domainFrequency.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
-    const languageMode = Array.from(languageFrequency.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
-    const taxonomyTags = Array.from(taxonomyFrequency.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([token]) => token);
-    
-    const representativeVectorIndices = pickGroupRepresentatives(uniqueVectorIndices, vectors, similarityCache);
-    const representativeTabIndices = representativeVectorIndices
-        .map(idx => vectors?.[idx]?.index)
-        .filter(index => typeof index === 'number');
-    
-    const tabIndices = Array.from(tabIndexSet).sort((a, b) => a - b);
-    
-    const pickTopKeys = (frequencyMap, count = 1) => {
-        return Array.from(frequencyMap.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, count)
-            .map(([key]) => key);
-    };
-    const primaryTopicToken = pickTopKeys(primaryTopicFrequency, 1)[0] || '';
-    const primaryTopicLabel = primaryTopicToken
-        ? (titleCaseFromTokens(tokenizeText(primaryTopicToken)) || primaryTopicToken)
-        : '';
-    const primaryTopicCount = primaryTopicToken ? (primaryTopicFrequency.get(primaryTopicToken) || 0) : 0;
-    const primaryTopicPurity = uniqueVectorIndices.length
-        ? primaryTopicCount / uniqueVectorIndices.length
-        : 0;
-    const docTypeToken = pickTopKeys(docTypeFrequency, 1)[0] || '';
-    const mergeHintsTop = pickTopKeys(mergeHintFrequency, 6);
-    const topEntityKeys = pickTopKeys(entityFrequency, 4);
-    const topEntities = topEntityKeys.map(key => {
-        const label = entityLabelMap.get(key) || key;
-        return titleCaseFromTokens(tokenizeText(label)) || label;
-    });
-    const genericLandingRatio = uniqueVectorIndices.length
-        ? genericLandingCount / uniqueVectorIndices.length
-        : 0;
-    
-    return {
-        tabIndices,
-        vectorIndices: uniqueVectorIndices,
-        keywords,
-        centroidTokens,
-        centroidSignature,
-        domainMode,
-        languageMode,
-        representativeTabIndices,
-        taxonomyTags,
-        mergeHints: mergeHintsTop,
-        primaryTopic: primaryTopicLabel,
-        docType: docTypeToken,
-        entities: topEntities,
-        genericLandingRatio,
-        primaryTopicPurity,
-        name: '',
-        summary: []
-    };
-}
-
-function mergeSimilarNamedGroups(groups, featureContext, { debugLog = null } = {}) {
-    if (!Array.isArray(groups) || groups.length <= 1) {
-        return groups;
-    }
-    
-    const vectors = featureContext?.vectors;
-    if (!vectors || !vectors.length) {
-        return groups;
-    }
-    
-    const similarityCache = featureContext?.similarityCache || new Map();
-    const nameTokenSets = groups.map(group => tokenizeGroupName(group.name));
-    const uf = createUnionFind(groups.length);
-    let merged = false;
-    const mergeSummaries = [];
-    
-    const bestGroupSimilarity = (groupA, groupB) => {
-        if (!groupA?.vectorIndices?.length || !groupB?.vectorIndices?.length) {
-            return { score: 0, pair: null };
-        }
-        let best = 0;
-        let bestPair = null;
-        for (const idxA of groupA.vectorIndices) {
-            for (const idxB of groupB.vectorIndices) {
-                const key = idxA < idxB ? `${idxA}|${idxB}` : `${idxB}|${idxA}`;
-                let score = similarityCache.get(key);
-                if (typeof score !== 'number') {
-                    score = computeWeightedSimilarity(vectors[idxA], vectors[idxB]);
-                    similarityCache.set(key, score);
-                }
-                if (score > best) {
-                    best = score;
-                    bestPair = [idxA, idxB];
-                    if (best >= 0.99) {
-                        return { score: best, pair: bestPair };
-                    }
-                }
-            }
-        }
-        return { score: best, pair: bestPair };
-    };
-    
-    const isGamingGroup = (g) => {
-        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
-        return /(players|ultimate|team|fut|squad|ratings|futbin|fut\.gg|ea sports fc)/.test(s) || (g?.primaryTopic === 'gaming');
-    };
-    const isShoppingGroup = (g) => {
-        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
-        return (g?.primaryTopic === 'shopping') || detectShoppingStrong(s, '');
-    };
-    const isMedicalGroup = (g) => {
-        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
-        return /(pubmed|nejm|medical|health|who)/.test(s) || (g?.primaryTopic === 'medical');
-    };
-    const isTechNewsGroup = (g) => {
-        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
-        return /(tech|news|ai|openai|techcrunch|the verge|google)/.test(s) || (g?.primaryTopic === 'technology');
-    };
-
-    // Normalizer for exact label equality checks (remove punctuation/emojis, collapse spaces)
-    const normName = (v) => {
-        try {
-            return String(v || '')
-                .toLowerCase()
-                .normalize('NFKD')
-                .replace(/[\u0300-\u036f]/g, '')
-                .replace(/[^a-z0-9\s\u0370-\u03ff\u1f00-\u1fff]/g, ' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-        } catch (_) {
-            return String(v || '').toLowerCase().trim();
-        }
-    };
-
-    for (let i = 0; i < groups.length; i++) {
-        for (let j = i + 1; j < groups.length; j++) {
-            // Guard: do not merge across major categories (gaming/shopping/medical/tech)
-            const ga = isGamingGroup(groups[i]);
-            const gb = isGamingGroup(groups[j]);
-            if (ga !== gb) continue;
-            const sa = isShoppingGroup(groups[i]);
-            const sb = isShoppingGroup(groups[j]);
-            if (sa !== sb) continue;
-            const ma = isMedicalGroup(groups[i]);
-            const mb = isMedicalGroup(groups[j]);
-            if (ma !== mb) continue;
-            const ta = isTechNewsGroup(groups[i]);
-            const tb = isTechNewsGroup(groups[j]);
-            if (ta !== tb) continue;
-
-            // Special fast path: shopping groups with identical normalized labels
-            if (sa && sb) {
-                const nameA = normName(groups[i].name);
-                const nameB = normName(groups[j].name);
-                if (nameA && nameB && nameA === nameB && !isPlaceholderGroupName(groups[i].name) && !isPlaceholderGroupName(groups[j].name)) {
-                    uf.union(i, j);
-                    merged = true;
-                    mergeSummaries.push({ a: groups[i].name, b: groups[j].name, labelEquality: true });
-                    if (debugLog) {
-                        debugLog.stats = debugLog.stats || {};
-                        debugLog.stats.nameUnions = (debugLog.stats.nameUnions || 0) + 1;
-                        debugLog.nameMerges = debugLog.nameMerges || [];
-                        debugLog.nameMerges.push({
-                            phase: 'B',
-                            type: 'label-merge',
-                            reason: 'label-equal',
-                            groups: [i, j],
-                            names: [groups[i].name, groups[j].name],
-                            primaryTopics: [groups[i].primaryTopic || '', groups[j].primaryTopic || ''],
-                            timestamp: Date.now()
-                        });
-                    }
-                    continue; // proceed to next pair
-                }
-            }
-
-            const tokensA = nameTokenSets[i];
-            const tokensB = nameTokenSets[j];
-            if (!tokensA.size || !tokensB.size) {
-                continue;
-            }
-            if (isPlaceholderGroupName(groups[i].name) && isPlaceholderGroupName(groups[j].name)) {
-                continue;
-            }
-            if (debugLog) {
-                debugLog.stats = debugLog.stats || {};
-                debugLog.stats.nameComparisons = (debugLog.stats.nameComparisons || 0) + 1;
-            }
-            const overlap = normalizedOverlap(tokensA, tokensB);
-            if (overlap < GROUP_NAME_SIMILARITY_THRESHOLD) {
-                continue;
-            }
-            const similarityResult = bestGroupSimilarity(groups[i], groups[j]);
-            if (similarityResult.score >= GROUP_NAME_VECTOR_THRESHOLD) {
-                uf.union(i, j);
-                merged = true;
-                mergeSummaries.push({
-                    a: groups[i].name,
-                    b: groups[j].name,
-                    labelSimilarity: overlap.toFixed(2),
-                    vectorSimilarity: similarityResult.score.toFixed(2)
-                });
-                if (debugLog) {
-                    debugLog.stats.nameUnions = (debugLog.stats.nameUnions || 0) + 1;
-                    const formatNumber = (value, digits = 3) => typeof value === 'number' ? Number(value.toFixed(digits)) : null;
-                    let debugInfo = null;
-                    if (Array.isArray(similarityResult.pair)) {
-                        const [idxA, idxB] = similarityResult.pair;
-                        const vectorA = vectors[idxA];
-                        const vectorB = vectors[idxB];
-                        if (vectorA && vectorB) {
-                            debugInfo = {};
-                            computeWeightedSimilarity(vectorA, vectorB, debugInfo);
-                        }
-                    }
-                    debugLog.nameMerges = debugLog.nameMerges || [];
-                    debugLog.nameMerges.push({
-                        phase: 'B',
-                        type: 'label-merge',
-                        reason: 'label-similarity',
-                        groups: [i, j],
-                        names: [groups[i].name, groups[j].name],
-                        labelOverlap: formatNumber(overlap),
-                        vectorSimilarity: formatNumber(similarityResult.score),
-                        primaryTopics: [groups[i].primaryTopic || '', groups[j].primaryTopic || ''],
-                        docTypes: [groups[i].docType || '', groups[j].docType || ''],
-                        mergeHints: [
-                            Array.isArray(groups[i].mergeHints) ? groups[i].mergeHints.slice(0, 4) : [],
-                            Array.isArray(groups[j].mergeHints) ? groups[j].mergeHints.slice(0, 4) : []
-                        ],
-                        thresholds: {
-                            label: GROUP_NAME_SIMILARITY_THRESHOLD,
-                            vector: GROUP_NAME_VECTOR_THRESHOLD
-                        },
-                        cosineEmb: formatNumber(debugInfo?.S_embed),
-                        jaccardHints: formatNumber(debugInfo?.S_merge),
-                        taxBoost: formatNumber(debugInfo?.S_tax),
-                        keywordBoost: formatNumber(debugInfo?.S_kw),
-                        docTypeBoost: formatNumber(debugInfo?.docMatch),
-                        timestamp: Date.now()
-                    });
-                }
-            }
-        }
-    }
-    
-    if (!merged) {
-        return groups;
-    }
-    
-    const mergedMap = new Map();
-    for (let idx = 0; idx < groups.length; idx++) {
-        const root = uf.find(idx);
-        if (!mergedMap.has(root)) {
-            mergedMap.set(root, {
-                vectorIndices: new Set(),
-                tabIndices: new Set(),
-                names: []
-            });
-        }
-        const bucket = mergedMap.get(root);
-        const group = groups[idx];
-        group.vectorIndices?.forEach(vIdx => bucket.vectorIndices.add(vIdx));
-        group.tabIndices?.forEach(tIdx => bucket.tabIndices.add(tIdx));
-        if (group.name) {
-            bucket.names.push(group.name);
-        }
-    }
-    
-    const mergedGroups = Array.from(mergedMap.values()).map(bucket => {
-        const vectorList = Array.from(bucket.vectorIndices);
-        const nameCandidate = bucket.names
-            .filter(name => name && !isPlaceholderGroupName(name))
-            .sort((a, b) => b.length - a.length)[0] || bucket.names[0] || 'Group';
-        if (vectorList.length > 0) {
-            const enriched = enrichGroupFromVectors(vectorList, vectors, similarityCache);
-            enriched.name = nameCandidate || enriched.name || 'Group';
-            enriched.summary = [];
-            return enriched;
-        }
-        // Fallback: groups didn't carry vectorIndices (e.g., came from earlier pipeline)
-        const tabIdxArr = Array.from(bucket.tabIndices).sort((a, b) => a - b);
-        return {
-            tabIndices: tabIdxArr,
-            vectorIndices: [],
-            keywords: [],
-            centroidTokens: [],
-            centroidSignature: `manual|${tabIdxArr.join('|')}`,
-            domainMode: '',
-            languageMode: '',
-            representativeTabIndices: tabIdxArr.slice(0, Math.min(2, tabIdxArr.length)),
-            taxonomyTags: [],
-            mergeHints: [],
-            primaryTopic: '',
-            docType: '',
-            entities: [],
-            genericLandingRatio: 0,
-            primaryTopicPurity: 0,
-            name: nameCandidate,
-            summary: []
-        };
-    });
-    
-    mergedGroups.sort((a, b) => b.tabIndices.length - a.tabIndices.length || a.tabIndices[0] - b.tabIndices[0]);
-    mergedGroups.forEach((group, index) => {
-        if (!group.name || isPlaceholderGroupName(group.name)) {
-            group.name = `Group ${index + 1}`;
-        }
-    });
-    
-    if (mergeSummaries.length) {
-        console.log('Merged groups with similar names:', mergeSummaries.slice(0, 5));
-    }
-    
-    return mergedGroups;
-}
-
-function tokenizeGroupName(name) {
-    if (!name) {
-        return new Set();
-    }
-    return new Set(tokenizeText(name));
-}
-
-function isPlaceholderGroupName(name) {
-    if (!name) return true;
-    return /^group\s+\d+$/i.test(name.trim());
-}
-function pickGroupRepresentatives(vectorIndices, vectors, similarityCache) {
-    if (!vectorIndices.length) return [];
-    if (vectorIndices.length <= 2) return vectorIndices.slice();
-    
-    const scored = vectorIndices.map(idx => {
-        let total = 0;
-        let comparisons = 0;
-        for (const otherIdx of vectorIndices) {
-            if (otherIdx === idx) continue;
-            const key = idx < otherIdx ? `${idx}|${otherIdx}` : `${otherIdx}|${idx}`;
-            let score = similarityCache.get(key);
-            if (typeof score !== 'number') {
-                score = computeWeightedSimilarity(vectors[idx], vectors[otherIdx]);
-                similarityCache.set(key, score);
-            }
-            total += score;
-            comparisons += 1;
-        }
-        return {
-            idx,
-            averageScore: comparisons ? total / comparisons : 0
-        };
-    });
-    
-    scored.sort((a, b) => b.averageScore - a.averageScore);
-    return scored.slice(0, 2).map(item => item.idx);
-}
-
-function pickTopTokens(tokens, count = 3) {
-    const frequency = new Map();
-    tokens.forEach(token => {
-        frequency.set(token, (frequency.get(token) || 0) + 1);
-    });
-    return Array.from(frequency.entries())
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, count)
-        .map(([token]) => token);
-}
-
-function titleCaseFromTokens(tokens) {
-    if (!tokens.length) return '';
-    return tokens
-        .map(token => token.charAt(0).toUpperCase() + token.slice(1))
-        .join(' ');
-}
-
-async function assignGroupLabels(groups, tabDataForAI) {
-    const LABELING_BUDGET_MS = 15000; // overall budget for labeling to avoid long stalls
-    const labelingStartTs = Date.now();
-    if (labelingActive) {
-        // Another labeling session is running; defer
-        scheduleDeferredLabels(800);
-        return;
-    }
-    labelingActive = true;
-    const accessibleTab = await findUsableAIAccessTab();
-    const { groupLabelCache = {} } = await chrome.storage.session.get(['groupLabelCache']);
-    const updatedCache = { ...groupLabelCache };
-    let cacheDirty = false;
-    const indexMap = new Map(tabDataForAI.map(entry => [entry.index, entry]));
-    let aiLabelReady = false;
-    let aiLabelReason = 'Language Model API not available';
-    let aiLabelChecksFailed = false;
-    let aiLabelAttempts = 0;
-    const labelFailureReasons = new Set();
-    
-    const buildFallbackBlurb = (descriptor, group, labelValue) => {
-        const keywordPool = [
-            ...(descriptor.centroidKeywords || []),
-            ...(descriptor.mergeHints || []),
-            ...(descriptor.taxonomyTags || []),
-            ...(group.mergeHints || []),
-            ...(group.keywords || [])
-        ];
-        const unique = [];
-        for (const token of keywordPool) {
-            const clean = String(token || '').trim();
-            if (!clean) continue;
-            const tokens = tokenizeText(clean);
-            if (!tokens.length) continue;
-            const phrase = titleCaseFromTokens(tokens.slice(0, 2)) || clean;
-            if (phrase && !unique.includes(phrase)) {
-                unique.push(phrase);
-            }
-            if (unique.length >= 3) {
-                break;
+        const unique = [];
+        for (const token of keywordPool) {
+            const clean = String(token || '').trim();
+            if (!clean) continue;
+            const tokens = tokenizeText(clean);
+            if (!tokens.length) continue;
+            const phrase = titleCaseFromTokens(tokens.slice(0, 2)) || clean;
+            if (phrase && !unique.includes(phrase)) {
+                unique.push(phrase);
+            }
+            if (unique.length >= 3) {
+                break;
             }
         }
         if (!unique.length) {
@@ -7601,7 +8284,7 @@ async function assignGroupLabels(groups, tabDataForAI) {
     } else {
         try {
             console.log('🔍 [AI Check] Checking Language Model availability...');
-            const availabilityResults = await chrome.scripting.executeScript({
+            const availabilityResults = await executeAIScript({
                 target: { tabId: accessibleTab.id },
                 world: 'MAIN',
                 func: checkLanguageModelAvailabilityInPage
@@ -7633,12 +8316,12 @@ async function assignGroupLabels(groups, tabDataForAI) {
             // Small settle delay to avoid contention immediately after reload
             await new Promise(r => setTimeout(r, 500));
             await withTimeout(
-                chrome.scripting.executeScript({
+                executeAIScript({
                     target: { tabId: accessibleTab.id },
                     world: 'MAIN',
                     func: generateGroupLabelInPage,
                     args: [{ mode: 'warmup' }]
-                }),
+                }, { stage: 'group-label-warmup' }),
                 AI_LABEL_TIMEOUT,
                 'AI label warmup timeout'
             );
@@ -7648,13 +8331,12 @@ async function assignGroupLabels(groups, tabDataForAI) {
     }
 
     for (const group of groups) {
+        // Τα groups των κανόνων κρατάνε το όνομα που όρισε ο χρήστης
+        if (group.ruleGroup) continue;
         let attemptedThisGroup = false;
         let succeededThisGroup = false;
-        const centroidSignature = group.centroidSignature || '';
-        let cachedEntry = centroidSignature ? updatedCache[centroidSignature] : null;
-        if (cachedEntry && (Date.now() - cachedEntry.timestamp) >= LABEL_CACHE_TTL) {
-            cachedEntry = null;
-        }
+        const labelCacheKey = labelCacheKeys.get(group);
+        const cachedEntry = labelCacheKey ? groupLabelCache.get(labelCacheKey) : null;
 
         let label = cachedEntry ? cachedEntry.label : '';
         let blurb = cachedEntry ? cachedEntry.blurb || '' : '';
@@ -7665,7 +8347,7 @@ async function assignGroupLabels(groups, tabDataForAI) {
                 const features = entry.semanticFeatures || {};
                 const classification = entry.classification || {};
                 return {
-                    title: entry.title || '',
+                    title: redactSensitiveText(entry.title || ''),
                     domain: entry.domain || '',
                     topic: features.topic || '',
                     keywords: (features.mergeHints || features.keywords || []).slice(0, 5),
@@ -7691,22 +8373,25 @@ async function assignGroupLabels(groups, tabDataForAI) {
             genericLandingRatio: typeof group.genericLandingRatio === 'number' ? group.genericLandingRatio : 0
         };
 
+        if (isScanCancelled()) {
+            break;
+        }
         // Respect overall labeling budget
         if ((Date.now() - labelingStartTs) > LABELING_BUDGET_MS) {
             console.log('⏱️ [AI Label] Labeling budget exceeded; skipping remaining groups');
             break;
         }
-        if ((!label || !blurb) && accessibleTab && aiLabelReady && aiLabelAttempts < MAX_AI_LABEL_GROUPS) {
+        if ((!label || !blurb) && accessibleTab && aiLabelReady) {
             try {
                 aiLabelAttempts += 1;
                 attemptedThisGroup = true;
-                console.log(`🧠 [AI Label] Attempting label for group ${groups.indexOf(group) + 1} (attempt ${aiLabelAttempts}/${MAX_AI_LABEL_GROUPS})`);
-                const fullPromise = chrome.scripting.executeScript({
+                console.log(`🧠 [AI Label] Attempting label for group ${groups.indexOf(group) + 1} (attempt ${aiLabelAttempts})`);
+                const fullPromise = executeAIScript({
                     target: { tabId: accessibleTab.id },
                     world: 'MAIN',
                     func: generateGroupLabelInPage,
                     args: [descriptor]
-                });
+                }, { stage: 'group-label', tabUrls: collectGroupTabUrls([group], tabDataForAI) });
                 // Short settle to reduce first-call contention
                 await new Promise(r => setTimeout(r, 250));
                 const results = await withTimeout(fullPromise, AI_LABEL_TIMEOUT, 'AI label timeout');
@@ -7735,8 +8420,6 @@ async function assignGroupLabels(groups, tabDataForAI) {
             }
         } else if (!label && accessibleTab && aiLabelChecksFailed && !aiLabelReady) {
             labelFailureReasons.add(aiLabelReason);
-        } else if (!label && accessibleTab && aiLabelAttempts >= MAX_AI_LABEL_GROUPS) {
-            labelFailureReasons.add('AI group label limit reached');
         }
 
         if (!label) {
@@ -7776,9 +8459,9 @@ async function assignGroupLabels(groups, tabDataForAI) {
             blurb = buildFallbackBlurb(descriptor, group, label);
         }
         
-        if (centroidSignature) {
-            updatedCache[centroidSignature] = { label, blurb, timestamp: Date.now() };
-            cacheDirty = true;
+        // Μόνο AI labels πάνε στο persistent cache· τα fallback ξαναδοκιμάζονται στο επόμενο run
+        if (labelCacheKey && succeededThisGroup) {
+            cacheUpdates.push({ key: labelCacheKey, value: { label, blurb } });
         }
         
         group.name = label;
@@ -7787,8 +8470,8 @@ async function assignGroupLabels(groups, tabDataForAI) {
         group.displayBlurb = blurb;
         group.oneLiner = blurb;
         group.blurb = blurb;
-        // If a Chrome tab group was already created, update its title now
-        if (group.chromeGroupId) {
+        // If a Chrome tab group was already created, update its title now (όχι στα χειροκίνητα groups)
+        if (group.chromeGroupId && group.ownership !== 'manual') {
             try {
                 await chrome.tabGroups.update(group.chromeGroupId, {
                     title: group.name,
@@ -7808,9 +8491,7 @@ async function assignGroupLabels(groups, tabDataForAI) {
         }
     }
     
-    if (cacheDirty) {
-        await chrome.storage.session.set({ groupLabelCache: updatedCache });
-    }
+    await persistentCacheSetMany('groupLabels', cacheUpdates, CACHE_SCHEMAS.groupLabels);
     
     if (labelFailureReasons.size > 0) {
         console.info('Group labeling used fallback:', Array.from(labelFailureReasons).slice(0, 3).join(' | '));
@@ -7818,12 +8499,20 @@ async function assignGroupLabels(groups, tabDataForAI) {
     labelingActive = false;
 }
 
+/**
+ * Content-addressed key για το summary ενός group (signature + μέλη του currentTabData)
+ */
+function buildGroupSummaryCacheKey(group) {
+    const memberTabs = (group?.tabIndices || []).map(index => currentTabData[index]).filter(Boolean);
+    return buildGroupContentCacheKey(group?.centroidSignature || '', memberTabs);
+}
+
 async function generateGroupSummaries(groups) {
-    const summaryCacheData = await chrome.storage.session.get(['groupSummaryCache']);
-    const groupSummaryCache = summaryCacheData.groupSummaryCache || {};
-    for (const group of groups) {
-        const cachedEntry = group.centroidSignature ? groupSummaryCache[group.centroidSignature] : null;
-        if (cachedEntry && (Date.now() - cachedEntry.timestamp) < LABEL_CACHE_TTL) {
+    const summaryKeys = groups.map(buildGroupSummaryCacheKey);
+    const groupSummaryCache = await persistentCacheGetMany('groupSummaries', summaryKeys, CACHE_SCHEMAS.groupSummaries);
+    for (const [groupIdx, group] of groups.entries()) {
+        const cachedEntry = summaryKeys[groupIdx] ? groupSummaryCache.get(summaryKeys[groupIdx]) : null;
+        if (cachedEntry) {
             group.summary = Array.isArray(cachedEntry.summary) ? cachedEntry.summary : [];
             group.summaryPending = !group.summary.length;
         } else {
@@ -7905,6 +8594,248 @@ async function synchronizeCachedGroups() {
     }
 }
 
+// ---- AI enrichment queue ----
+let aiEnrichmentTimer = null;
+let aiEnrichmentInProgress = false;
+
+/**
+ * Σειρά εμπλουτισμού: calculateSummarizerPriority + αβεβαιότητα του triage (χαμηλό confidence → νωρίτερα)
+ */
+function rankTabsForEnrichment(tabDataForAI, triageResult) {
+    return (tabDataForAI || [])
+        .map(tab => {
+            const taxonomy = triageResult?.taxonomyMap?.get(tab.index) || extractFastTaxonomy(tab);
+            const tokens = triageResult?.tokenMap?.get(tab.index) || extractFastTokens(tab);
+            const confidence = calculateTriageConfidence(tab, taxonomy, tokens);
+            return {
+                index: tab.index,
+                priority: calculateSummarizerPriority(tab, taxonomy, tokens) + Math.round((1 - confidence) * 10)
+            };
+        })
+        .sort((a, b) => b.priority - a.priority || a.index - b.index);
+}
+
+/**
+ * Λείπουν ακόμα AI features ή embedding που το tab μπορεί να πάρει;
+ */
+function needsAIEnrichment(tab) {
+    const contentLength = typeof tab?.content === 'string' ? tab.content.length : 0;
+    const needsFeatures = tab?.semanticFeatures?.origin !== 'ai' && contentLength > 200;
+    const hasEmbedding = Array.isArray(tab?.semanticEmbedding) && tab.semanticEmbedding.length > 0;
+    const needsEmbedding = !hasEmbedding && contentLength >= EMBEDDING_MIN_CONTENT_CHARS;
+    return needsFeatures || needsEmbedding;
+}
+
+function buildEnrichmentQueueItems(enrichmentOrder, attempts = {}) {
+    return (enrichmentOrder || [])
+        .filter(item => needsAIEnrichment(currentTabData[item.index]))
+        .map(item => {
+            const tab = currentTabData[item.index];
+            const queued = {
+                tabId: tab.id,
+                url: tab.url,
+                contentHash: tab.contentHash || '',
+                priority: item.priority
+            };
+            return { ...queued, attempts: attempts[enrichmentAttemptKey(queued)] || 0 };
+        })
+        .filter(item => item.attempts < AI_ENRICHMENT_MAX_ATTEMPTS);
+}
+
+/**
+ * Οι αποτυχίες μετράνε ανά url + content: νέο περιεχόμενο ξαναδοκιμάζεται από την αρχή
+ */
+function enrichmentAttemptKey(item) {
+    return `${item.url}#${item.contentHash || ''}`;
+}
+
+/**
+ * Κρατά μόνο τα attempts των tabs που υπάρχουν ακόμα, για να μη μεγαλώνει το record
+ */
+function pruneEnrichmentAttempts(attempts) {
+    const live = new Set(currentTabData.filter(Boolean).map(tab => enrichmentAttemptKey({ url: tab.url, contentHash: tab.contentHash })));
+    return Object.fromEntries(Object.entries(attempts || {}).filter(([key]) => live.has(key)));
+}
+
+async function loadEnrichmentQueue() {
+    try {
+        const stored = await chrome.storage.local.get([AI_ENRICHMENT_QUEUE_KEY]);
+        const queue = stored[AI_ENRICHMENT_QUEUE_KEY];
+        return {
+            items: Array.isArray(queue?.items) ? queue.items : [],
+            enrichedSinceRecluster: Number(queue?.enrichedSinceRecluster) || 0,
+            attempts: queue?.attempts && typeof queue.attempts === 'object' ? queue.attempts : {}
+        };
+    } catch (error) {
+        console.warn('Failed to load AI enrichment queue:', error?.message || error);
+        return { items: [], enrichedSinceRecluster: 0, attempts: {} };
+    }
+}
+
+async function saveEnrichmentQueue(queue) {
+    const items = (queue?.items || []).slice().sort((a, b) => b.priority - a.priority);
+    try {
+        await chrome.storage.local.set({
+            [AI_ENRICHMENT_QUEUE_KEY]: {
+                items,
+                enrichedSinceRecluster: queue?.enrichedSinceRecluster || 0,
+                attempts: queue?.attempts || {},
+                updatedAt: Date.now()
+            }
+        });
+    } catch (error) {
+        console.warn('Failed to persist AI enrichment queue:', error?.message || error);
+    }
+}
+
+function scheduleAIEnrichment(delay = AI_ENRICHMENT_IDLE_DELAY_MS) {
+    if (aiEnrichmentTimer) {
+        clearTimeout(aiEnrichmentTimer);
+    }
+    aiEnrichmentTimer = setTimeout(() => {
+        aiEnrichmentTimer = null;
+        processAIEnrichmentQueue().catch(error => {
+            console.warn('AI enrichment failed:', error?.message || error);
+        });
+    }, delay);
+}
+
+/**
+ * AI features + embedding για ένα tab του currentTabData· true όταν δεν λείπει πια τίποτα
+ */
+async function enrichTabFromQueue(index) {
+    const tab = currentTabData[index];
+    const [entry] = hydrateTabDataForAI([tab]);
+    entry.index = index;
+    try {
+        if (tab.semanticFeatures?.origin !== 'ai') {
+            await ensureTabSemanticFeatures([entry]);
+        }
+        await ensureTabEmbeddings([entry]);
+    } catch (error) {
+        console.warn(`AI enrichment failed for "${tab.title?.slice(0, 40)}":`, error?.message || error);
+    }
+    return !needsAIEnrichment(currentTabData[index]);
+}
+
+/**
+ * Ένα tab ανά pass ώστε να μην μπλοκάρει labels/summaries/live grouping· re-cluster όταν μαζευτεί αρκετό νέο signal
+ */
+async function processAIEnrichmentQueue() {
+    if (aiEnrichmentInProgress) {
+        return;
+    }
+    if (isScanning || labelingActive || deferredLabelInProgress || deferredSummaryInProgress) {
+        scheduleAIEnrichment(AI_ENRICHMENT_IDLE_DELAY_MS);
+        return;
+    }
+    const queue = await loadEnrichmentQueue();
+    if (!queue.items.length) {
+        return;
+    }
+    if (!currentTabData.length) {
+        // Service worker restart: συνεχίζουμε πάνω στο τελευταίο αποθηκευμένο run
+        const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+        if (!Array.isArray(stored.tabData) || !stored.tabData.length) {
+            return;
+        }
+        currentTabData = stored.tabData;
+        if (!aiGroups.length && Array.isArray(stored.cachedGroups)) {
+            aiGroups = stored.cachedGroups;
+        }
+    }
+    
+    aiEnrichmentInProgress = true;
+    let retryLater = false;
+    try {
+        const item = queue.items[0];
+        const index = currentTabData.findIndex(tab => tab && tab.id === item.tabId && tab.url === item.url);
+        if (index === -1 || !needsAIEnrichment(currentTabData[index])) {
+            queue.items.shift();
+        } else {
+            const enrichStart = nowMs();
+            const done = await enrichTabFromQueue(index);
+            if (isScanning) {
+                // Νέο scan στο μεταξύ: το performAIAnalysis γράφει δικό του queue
+                return;
+            }
+            if (done) {
+                queue.items.shift();
+                queue.enrichedSinceRecluster += 1;
+                delete queue.attempts[enrichmentAttemptKey(item)];
+                logTiming(`AI enrichment (${queue.items.length} pending)`, enrichStart);
+            } else {
+                item.attempts = (item.attempts || 0) + 1;
+                queue.attempts[enrichmentAttemptKey(item)] = item.attempts;
+                retryLater = true;
+                if (item.attempts >= AI_ENRICHMENT_MAX_ATTEMPTS) {
+                    console.log(`⏭️ [Enrichment] Giving up on "${currentTabData[index].title?.slice(0, 40)}" after ${item.attempts} attempts`);
+                    queue.items.shift();
+                }
+            }
+            devlog({
+                type: 'ENRICHMENT',
+                url: item.url,
+                done,
+                attempts: item.attempts || 0,
+                pending: queue.items.length,
+                silent: true
+            });
+        }
+        await saveEnrichmentQueue(queue);
+        await synchronizeCachedGroups();
+    } finally {
+        aiEnrichmentInProgress = false;
+    }
+    
+    const reclusterThreshold = Math.max(
+        AI_ENRICHMENT_RECLUSTER_MIN,
+        Math.ceil(currentTabData.length * AI_ENRICHMENT_RECLUSTER_RATIO)
+    );
+    const enoughSignal = queue.enrichedSinceRecluster >= reclusterThreshold ||
+        (!queue.items.length && queue.enrichedSinceRecluster > 0);
+    if (enoughSignal) {
+        await reclusterWithEnrichedSignal();
+    } else if (queue.items.length) {
+        scheduleAIEnrichment(retryLater ? AI_ENRICHMENT_RETRY_DELAY_MS : 300);
+    }
+}
+
+/**
+ * Re-cluster με τα νέα AI features/embeddings (χωρίς νέο content extraction).
+ * Δεν αγγίζει τα windows: το αποτέλεσμα μένει πρόταση μέχρι ο χρήστης να την εφαρμόσει από το preview του popup
+ */
+async function reclusterWithEnrichedSignal() {
+    if (isScanning || !currentTabData.length) {
+        return;
+    }
+    console.log('🔁 [Enrichment] Re-clustering with newly enriched tabs...');
+    const reclusterStart = nowMs();
+    isScanning = true;
+    try {
+        // Τα εφαρμοσμένα groups (chromeGroupId, ownership) μένουν ως έχουν μέχρι το apply της πρότασης
+        const groups = await performAIAnalysis({ proposal: true });
+        if (groups && groups.length > 0) {
+            const diff = await createTabGroups(groups, currentTabData, { dryRun: true });
+            const { created, renamed, merged, dissolved, moved } = diff.stats;
+            if (created + renamed + merged + dissolved + moved > 0) {
+                await chrome.storage.local.set({ [REGROUP_PROPOSAL_KEY]: { proposedAt: Date.now(), stats: diff.stats, groups } });
+                console.log(`💡 [Enrichment] Refined groups ready for review (${moved} tabs would move)`);
+            } else {
+                await chrome.storage.local.remove(REGROUP_PROPOSAL_KEY);
+            }
+        }
+    } catch (error) {
+        console.warn('Re-clustering after enrichment failed:', error?.message || error);
+    } finally {
+        isScanning = false;
+        logTiming('Re-cluster after enrichment', reclusterStart);
+    }
+}
+
+// Συνέχιση του queue μετά από restart του service worker
+scheduleAIEnrichment(AI_ENRICHMENT_IDLE_DELAY_MS * 2);
+
 function scheduleDeferredSummaries(delay = 400) {
     if (!Array.isArray(aiGroups) || !aiGroups.length) {
         return;
@@ -7959,13 +8890,29 @@ async function processDeferredSummaries() {
     }
 }
 
+// Πόσα tabs ενός group μπαίνουν στο synthesis prompt (και μπορούν να γίνουν citations)
+const SYNTHESIS_MAX_SOURCES = 6;
+// Έκδοση του prompt του generateGroupSynthesisInPage (αποθηκεύεται σε κάθε report)· +1 σε κάθε αλλαγή του prompt
+const SYNTHESIS_PROMPT_VERSION = 2;
+
+/**
+ * Τα tabs που τροφοδοτούν το synthesis: πρώτα οι representatives, μετά τα υπόλοιπα μέλη.
+ * Η σειρά ορίζει τα refs [1..n] των citations
+ */
+function pickSynthesisSourceEntries(group) {
+    const indexMap = new Map(currentTabData.map(entry => [entry.index, entry]));
+    const ordered = Array.from(new Set([...(group.representativeTabIndices || []), ...(group.tabIndices || [])]));
+    return ordered
+        .map(index => indexMap.get(index) || currentTabData[index] || null)
+        .filter(entry => entry && entry.title)
+        .slice(0, SYNTHESIS_MAX_SOURCES);
+}
+
 // Helper: Build synthesis descriptor for a group (similar to labeling)
 function prepareDescriptorForGroup(group) {
     try {
-        const indexMap = new Map(currentTabData.map(entry => [entry.index, entry]));
-        const exemplarTabs = (group.representativeTabIndices || group.tabIndices || [])
-            .map(index => {
-                const entry = indexMap.get(index) || currentTabData[index] || {};
+        const exemplarTabs = pickSynthesisSourceEntries(group)
+            .map((entry, position) => {
                 const features = entry.semanticFeatures || {};
                 const classification = entry.classification || {};
                 let domain = entry.domain || '';
@@ -7973,7 +8920,8 @@ function prepareDescriptorForGroup(group) {
                     try { domain = new URL(entry.url).hostname; } catch {}
                 }
                 return {
-                    title: entry.title || '',
+                    ref: position + 1,
+                    title: redactSensitiveText(entry.title || ''),
                     domain: domain || '',
                     topic: features.topic || '',
                     keywords: (features.mergeHints || features.keywords || []).slice(0, 5),
@@ -7982,12 +8930,11 @@ function prepareDescriptorForGroup(group) {
                     entities: (classification.entities || features.entities || []).slice(0, 3),
                     mergeHints: (classification.mergeHints || features.mergeHints || features.keywords || []).slice(0, 5)
                 };
-            })
-            .filter(tab => tab.title);
+            });
         return {
             centroidKeywords: (group.centroidTokens || group.keywords || []).slice(0, 6),
             fallbackKeywords: (group.keywords || []).slice(0, 8),
-            exemplarTabs: exemplarTabs.slice(0, 3),
+            exemplarTabs,
             domainMode: group.domainMode || '',
             languageMode: group.languageMode || '',
             taxonomyTags: Array.isArray(group.taxonomyTags) ? group.taxonomyTags.slice(0, 6) : [],
@@ -8027,108 +8974,752 @@ async function findGroupByTabId(tabId) {
             }
         } catch (_) {}
     }
-    const idxInData = currentTabData.findIndex(t => t && t.id === tabId);
-    if (idxInData === -1) return null;
-    const group = Array.isArray(aiGroups) ? aiGroups.find(g => Array.isArray(g.tabIndices) && g.tabIndices.includes(idxInData)) : null;
-    return group || null;
+    const idxInData = currentTabData.findIndex(t => t && t.id === tabId);
+    if (idxInData === -1) return null;
+    const group = Array.isArray(aiGroups) ? aiGroups.find(g => Array.isArray(g.tabIndices) && g.tabIndices.includes(idxInData)) : null;
+    return group || null;
+}
+
+/**
+ * Citations για insights που το μοντέλο άφησε χωρίς sources: τα tabs με τη μεγαλύτερη επικάλυψη tokens
+ */
+function attributeInsightSources(text, sources) {
+    const insightTokens = new Set(tokenizeText(text));
+    if (!insightTokens.size) return [];
+    return sources
+        .map(source => {
+            const tokens = new Set([
+                ...tokenizeText(source.title),
+                ...extractUrlPathTokens(source.url),
+                ...(source.keywords || []).flatMap(keyword => tokenizeText(keyword))
+            ]);
+            let shared = 0;
+            insightTokens.forEach(token => {
+                if (tokens.has(token)) shared += 1;
+            });
+            return { ref: source.ref, shared };
+        })
+        .filter(candidate => candidate.shared > 0)
+        .sort((a, b) => b.shared - a.shared || a.ref - b.ref)
+        .slice(0, 2)
+        .map(candidate => candidate.ref);
+}
+
+/**
+ * Report record για το report.html / library.html: insights με citations, τα tabs-πηγές,
+ * όλα τα URLs του group και model / prompt version
+ */
+async function buildSynthesisReport(groupData, payload, sourceEntries) {
+    const sources = sourceEntries.map((entry, position) => {
+        const features = entry.semanticFeatures || {};
+        let domain = entry.domain || '';
+        if (!domain && entry.url) {
+            try { domain = new URL(entry.url).hostname; } catch {}
+        }
+        return {
+            ref: position + 1,
+            tabId: typeof entry.id === 'number' ? entry.id : null,
+            url: entry.url || '',
+            title: entry.title || entry.url || '',
+            domain,
+            favicon: entry.favicon || entry.favIconUrl || '',
+            keywords: (features.mergeHints || features.keywords || []).slice(0, 5)
+        };
+    });
+    const insights = normalizeInsightCitations(payload.insights, sources.length).map(insight => ({
+        text: insight.text,
+        sources: insight.sources.length ? insight.sources : attributeInsightSources(insight.text, sources)
+    }));
+    let color = '';
+    if (typeof groupData.chromeGroupId === 'number') {
+        try {
+            color = (await chrome.tabGroups.get(groupData.chromeGroupId)).color;
+        } catch (_) {}
+    }
+    return {
+        id: `report-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        groupName: groupData.name || payload.subject,
+        groupColor: color || getGroupColor(groupData.name || ''),
+        subject: payload.subject,
+        summary: payload.summary,
+        insights,
+        sources: sources.map(({ keywords, ...source }) => source),
+        keywords: Array.isArray(groupData.keywords) ? groupData.keywords.slice(0, 12) : [],
+        tabCount: Array.isArray(groupData.tabIndices) ? groupData.tabIndices.length : sources.length,
+        tabUrls: collectGroupTabUrls([groupData]),
+        model: payload.model || 'unknown',
+        promptVersion: SYNTHESIS_PROMPT_VERSION,
+        fallback: Boolean(payload.fallback),
+        createdAt: Date.now()
+    };
+}
+
+// Main entry: Create a new tab with AI synthesis for a group
+async function createSummaryTab(groupData) {
+    try {
+        const accessibleTab = await findUsableAIAccessTab();
+        if (!accessibleTab) {
+            console.warn('No accessible tab available to run synthesis');
+            return;
+        }
+        const sourceEntries = pickSynthesisSourceEntries(groupData);
+        const descriptor = prepareDescriptorForGroup(groupData);
+        const results = await executeAIScript({
+            target: { tabId: accessibleTab.id },
+            world: 'MAIN',
+            func: generateGroupSynthesisInPage,
+            args: [descriptor]
+        }, { stage: 'group-synthesis', tabUrls: collectGroupTabUrls([groupData]) });
+        const payload = results && results[0] && results[0].result;
+        if (payload && payload.ok) {
+            const report = await saveSynthesisReport(await buildSynthesisReport(groupData, payload, sourceEntries));
+            // Το τελευταίο report μένει στο group ώστε να μπαίνει στα saved sessions
+            groupData.synthesis = {
+                subject: report.subject,
+                summary: report.summary,
+                insights: report.insights.map(insight => insight.text),
+                reportId: report.id,
+                createdAt: report.createdAt
+            };
+            if (Array.isArray(aiGroups) && aiGroups.includes(groupData)) {
+                chrome.storage.local.set({ cachedGroups: aiGroups }).catch(() => {});
+            }
+            console.log(`🧠 [Reports] Saved "${report.subject}" (${report.insights.length} insights, ${report.sources.length} sources)`);
+            await chrome.tabs.create({ url: chrome.runtime.getURL(`report.html?id=${encodeURIComponent(report.id)}`) });
+        } else {
+            const reason = payload?.error || 'Unknown error';
+            console.warn('AI Synthesis failed or not ready:', reason);
+        }
+    } catch (error) {
+        console.error('Synthesis failed:', error);
+    }
+}
+
+/**
+ * Citation click: εστίαση στο tab-πηγή αν είναι ακόμα ανοιχτό (ίδιο id ή ίδιο canonical URL), αλλιώς ξανάνοιγμα
+ */
+async function focusOrReopenTab({ tabId = null, url = '' } = {}) {
+    const wanted = canonicalizeCacheUrl(url);
+    let tab = null;
+    if (typeof tabId === 'number') {
+        try {
+            const candidate = await chrome.tabs.get(tabId);
+            if (!wanted || canonicalizeCacheUrl(candidate.url || candidate.pendingUrl || '') === wanted) {
+                tab = candidate;
+            }
+        } catch (_) {}
+    }
+    if (!tab && wanted) {
+        tab = (await chrome.tabs.query({}))
+            .find(candidate => !candidate.incognito && canonicalizeCacheUrl(candidate.url || candidate.pendingUrl || '') === wanted) || null;
+    }
+    if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+        return { tabId: tab.id, reopened: false };
+    }
+    if (!/^https?:/i.test(url || '')) {
+        throw new Error('This source cannot be reopened');
+    }
+    const created = await chrome.tabs.create({ url, active: true });
+    return { tabId: created.id, reopened: true };
+}
+
+async function handleFocusTabSource(source, sendResponse) {
+    try {
+        sendResponse({ success: true, ...(await focusOrReopenTab(source || {})) });
+    } catch (error) {
+        console.warn('Failed to open source tab:', error?.message || error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+// ---- Ask your tabs: ερωτήσεις πάνω στο εξαγμένο κείμενο ενός group ----
+const ASK_CONVERSATIONS_KEY = 'askTabsConversations';
+const ASK_MAX_CONVERSATIONS = 20;
+const ASK_MAX_TURNS = 30;
+const ASK_MAX_QUESTION_CHARS = 500;
+const ASK_PASSAGE_CHARS = 600;
+// TF-IDF shortlist (και passages με μηδενικό score, για συνώνυμα) → embedding rerank → passages στο prompt
+const ASK_CANDIDATE_PASSAGES = 24;
+const ASK_CONTEXT_PASSAGES = 5;
+const ASK_MAX_PASSAGES_PER_TAB = 2;
+const ASK_NO_MATCH_ANSWER = 'None of the tabs in this group seem to cover that. Try rephrasing, or rescan if the pages changed.';
+const ASK_SYSTEM_PROMPT = `You answer questions about a group of browser tabs the user has open.
+Each question comes with numbered passages taken from those tabs.
+Rules:
+- Use ONLY the passages given with the question; do not use outside knowledge.
+- Cite the passages you used as [n] right after the sentence they support.
+- If the passages do not contain the answer, say so briefly.
+- Answer in English, in at most 120 words, as plain text (no JSON, no code fences).`;
+
+async function loadAskConversations() {
+    try {
+        const { [ASK_CONVERSATIONS_KEY]: stored } = await chrome.storage.session.get([ASK_CONVERSATIONS_KEY]);
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.warn('Failed to load ask-your-tabs conversations:', error?.message || error);
+        return {};
+    }
+}
+
+/**
+ * Κρατάμε μόνο τις ASK_MAX_CONVERSATIONS πιο πρόσφατες συνομιλίες
+ */
+async function saveAskConversation(conversation) {
+    const conversations = await loadAskConversations();
+    conversations[conversation.id] = conversation;
+    const kept = Object.values(conversations)
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+        .slice(0, ASK_MAX_CONVERSATIONS);
+    await chrome.storage.session.set({ [ASK_CONVERSATIONS_KEY]: Object.fromEntries(kept.map(item => [item.id, item])) });
+    return conversation;
+}
+
+/**
+ * aiGroups / currentTabData από το storage όταν ο service worker ξεκίνησε ξανά (Ask your tabs, product comparison)
+ */
+async function ensureGroupContextLoaded() {
+    if (Array.isArray(aiGroups) && aiGroups.length && Array.isArray(currentTabData) && currentTabData.length) {
+        return;
+    }
+    try {
+        const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+        if ((!Array.isArray(aiGroups) || !aiGroups.length) && Array.isArray(stored.cachedGroups)) {
+            aiGroups = stored.cachedGroups;
+        }
+        if ((!Array.isArray(currentTabData) || !currentTabData.length) && Array.isArray(stored.tabData)) {
+            currentTabData = stored.tabData;
+        }
+    } catch (error) {
+        console.warn('Failed to load cached groups:', error?.message || error);
+    }
+}
+
+/**
+ * Νέα συνομιλία για ένα group: κρατάμε snapshot των tab ids/URLs ώστε να αντέχει rescans
+ */
+async function startAskConversation(groupIndex) {
+    await ensureGroupContextLoaded();
+    const group = Array.isArray(aiGroups) ? aiGroups[Number(groupIndex)] : null;
+    if (!group) {
+        throw new Error('Group not found');
+    }
+    const indexMap = new Map(currentTabData.map(entry => [entry.index, entry]));
+    const entries = (group.tabIndices || [])
+        .map(index => indexMap.get(index) || currentTabData[index])
+        .filter(entry => entry && entry.url);
+    const now = Date.now();
+    return saveAskConversation({
+        id: `ask-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        groupName: group.name || 'Untitled group',
+        groupColor: getGroupColor(group.name || ''),
+        tabIds: entries.map(entry => entry.id).filter(id => typeof id === 'number'),
+        tabUrls: entries.map(entry => entry.url),
+        aiTabId: null,
+        turns: [],
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Τα tabs της συνομιλίας στο τρέχον tabData: με tab id, αλλιώς με canonical URL
+ */
+function resolveAskConversationEntries(conversation) {
+    const ids = new Set(conversation.tabIds || []);
+    const urls = new Set((conversation.tabUrls || []).map(url => canonicalizeCacheUrl(url)));
+    return currentTabData.filter(entry => entry && (ids.has(entry.id) || urls.has(canonicalizeCacheUrl(entry.url || ''))));
+}
+
+/**
+ * Κόβει κείμενο σε passages ~maxChars στα όρια προτάσεων
+ */
+function splitIntoPassages(text, maxChars = ASK_PASSAGE_CHARS) {
+    const sentences = String(text || '').replace(/\s+/g, ' ').trim().split(/(?<=[.!?;])\s+/);
+    const passages = [];
+    let current = '';
+    sentences.forEach(sentence => {
+        for (let start = 0; start < sentence.length; start += maxChars) {
+            const piece = sentence.slice(start, start + maxChars);
+            if (current && current.length + piece.length + 1 > maxChars) {
+                passages.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${piece}` : piece;
+        }
+    });
+    if (current) passages.push(current);
+    return passages;
+}
+
+function buildAskPassages(entries) {
+    return entries.flatMap(entry => {
+        let domain = entry.domain || '';
+        if (!domain && entry.url) {
+            try { domain = new URL(entry.url).hostname; } catch {}
+        }
+        const base = { tabId: typeof entry.id === 'number' ? entry.id : null, url: entry.url || '', title: entry.title || entry.url || '', domain };
+        const overview = [entry.metaDescription, ...(entry.headings || [])].filter(Boolean).join(' · ');
+        const texts = [
+            ...(overview ? [overview] : []),
+            ...splitIntoPassages(entry.content),
+            ...splitIntoPassages(entry.youtubeAnalysis?.transcript)
+        ];
+        return texts.map((text, part) => ({ ...base, part, text }));
+    });
+}
+
+/**
+ * TF-IDF (ίδια βάρη με το grouping) πάνω στα passages της ερώτησης
+ */
+function scoreAskPassagesByTfidf(question, passages) {
+    const toVector = text => {
+        const tfCounts = new Map();
+        const tokens = tokenizeText(text);
+        tokens.forEach(token => tfCounts.set(token, (tfCounts.get(token) || 0) + 1));
+        return { tfCounts, totalTokenCount: tokens.length || 1 };
+    };
+    const vectors = passages.map(passage => toVector(`${passage.title} ${passage.text}`));
+    const documentFrequency = new Map();
+    vectors.forEach(vector => vector.tfCounts.forEach((_, token) => {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }));
+    const docCount = vectors.length || 1;
+    vectors.forEach(vector => applyTfidfWeights(vector, documentFrequency, docCount));
+    const questionVector = applyTfidfWeights(toVector(question), documentFrequency, docCount);
+    return vectors.map(vector => cosineSimilarity(questionVector.tfidfVector, vector.tfidfVector));
+}
+
+/**
+ * Passages για την ερώτηση: top ASK_CANDIDATE_PASSAGES με TF-IDF ανεξαρτήτως score (ισοβαθμίες: πρώτα τα
+ * αρχικά passages κάθε tab), rerank με embeddings όταν το μοντέλο απαντά. Χωρίς embeddings μένουν μόνο
+ * τα passages με TF-IDF > 0. Το πολύ ASK_MAX_PASSAGES_PER_TAB ανά tab
+ */
+async function retrieveAskPassages(question, passages, aiTabId) {
+    const tfidfScores = scoreAskPassagesByTfidf(question, passages);
+    let candidates = passages
+        .map((passage, position) => ({ ...passage, score: tfidfScores[position] }))
+        .sort((a, b) => b.score - a.score || a.part - b.part)
+        .slice(0, ASK_CANDIDATE_PASSAGES);
+    let reranked = false;
+    if (candidates.length && aiTabId) {
+        try {
+            const results = await executeAIScript({
+                target: { tabId: aiTabId },
+                world: 'MAIN',
+                func: embedTextsInPage,
+                args: [[question, ...candidates.map(candidate => `${candidate.title}\n${candidate.text}`)]]
+            }, { stage: 'ask-tabs-embedding', tabUrls: Array.from(new Set(candidates.map(candidate => candidate.url))) });
+            const payload = results?.[0]?.result;
+            if (payload?.ok && payload.embeddings.length === candidates.length + 1) {
+                const [questionEmbedding, ...passageEmbeddings] = payload.embeddings;
+                candidates = candidates
+                    .map((candidate, position) => ({
+                        ...candidate,
+                        score: cosineSimilarityArray(questionEmbedding, passageEmbeddings[position])
+                    }))
+                    .sort((a, b) => b.score - a.score);
+                reranked = true;
+            }
+        } catch (error) {
+            console.warn('Ask-your-tabs embedding rerank failed; using TF-IDF order:', error?.message || error);
+        }
+    }
+    const perTab = new Map();
+    return candidates.filter(candidate => {
+        if (candidate.score <= 0 && !reranked) return false;
+        const key = candidate.tabId ?? candidate.url;
+        const count = perTab.get(key) || 0;
+        if (count >= ASK_MAX_PASSAGES_PER_TAB) return false;
+        perTab.set(key, count + 1);
+        return true;
+    }).slice(0, ASK_CONTEXT_PASSAGES);
+}
+
+/**
+ * Το AI tab της συνομιλίας αν είναι ακόμα usable (εκεί ζει το session), αλλιώς ένα νέο
+ */
+async function resolveAskAITab(conversation) {
+    if (typeof conversation.aiTabId === 'number') {
+        try {
+            const tab = await chrome.tabs.get(conversation.aiTabId);
+            await loadPrivacyExcludedDomains();
+            if (tab.url && tab.url.startsWith('http') && !isPrivacyExcludedUrl(tab.url)) {
+                return tab;
+            }
+        } catch (_) {}
+    }
+    return findUsableAIAccessTab();
+}
+
+/**
+ * Citations μιας απάντησης: τα [n] του κειμένου, αλλιώς τα passages με τη μεγαλύτερη επικάλυψη tokens
+ */
+function buildAskCitations(answer, passages) {
+    const refs = Array.from(new Set(Array.from(answer.matchAll(/\[(\d+)\]/g), match => Number(match[1]))))
+        .filter(ref => ref >= 1 && ref <= passages.length);
+    const sources = passages.map((passage, position) => ({
+        ref: position + 1,
+        title: passage.title,
+        url: passage.url,
+        keywords: tokenizeText(passage.text)
+    }));
+    const cited = refs.length ? refs : attributeInsightSources(answer, sources);
+    return cited.map(ref => {
+        const passage = passages[ref - 1];
+        return { ref, tabId: passage.tabId, url: passage.url, title: passage.title, domain: passage.domain };
+    });
+}
+
+async function askGroupQuestion(conversationId, rawQuestion) {
+    const question = String(rawQuestion || '').trim().slice(0, ASK_MAX_QUESTION_CHARS);
+    if (!question) {
+        throw new Error('Type a question first');
+    }
+    const conversation = (await loadAskConversations())[conversationId];
+    if (!conversation) {
+        throw new Error('This conversation has expired. Open "Ask" from the popup again.');
+    }
+    await ensureGroupContextLoaded();
+    const entries = resolveAskConversationEntries(conversation);
+    if (!entries.length) {
+        throw new Error('The tabs of this group are no longer available. Rescan and try again.');
+    }
+    const aiTab = await resolveAskAITab(conversation);
+    const passages = await retrieveAskPassages(question, buildAskPassages(entries), aiTab?.id || null);
+
+    let turn;
+    if (!passages.length) {
+        turn = { question, answer: ASK_NO_MATCH_ANSWER, citations: [], model: null, createdAt: Date.now() };
+    } else {
+        if (!aiTab) {
+            throw new Error('No accessible tab available to run the language model');
+        }
+        const results = await executeAIScript({
+            target: { tabId: aiTab.id },
+            world: 'MAIN',
+            func: answerTabQuestionInPage,
+            args: [{
+                conversationId: conversation.id,
+                systemPrompt: ASK_SYSTEM_PROMPT,
+                history: conversation.turns.map(item => ({ question: item.question, answer: item.answer })),
+                question,
+                passages: passages.map((passage, position) => ({ ref: position + 1, title: redactSensitiveText(passage.title), domain: passage.domain, text: passage.text }))
+            }]
+        }, { stage: 'ask-tabs', tabUrls: Array.from(new Set(passages.map(passage => passage.url))) });
+        const payload = results?.[0]?.result;
+        if (!payload?.ok) {
+            throw new Error(payload?.error || 'The language model did not answer');
+        }
+        turn = { question, answer: payload.answer, citations: buildAskCitations(payload.answer, passages), model: payload.model, createdAt: Date.now() };
+        console.log(`💬 [Ask] "${conversation.groupName}": answered from ${passages.length} passages (${payload.reused ? 'reused' : 'new'} session)`);
+    }
+    conversation.turns = [...conversation.turns, turn].slice(-ASK_MAX_TURNS);
+    conversation.aiTabId = aiTab?.id ?? conversation.aiTabId;
+    conversation.updatedAt = Date.now();
+    return saveAskConversation(conversation);
+}
+
+async function handleStartAskConversation(groupIndex, sendResponse) {
+    try {
+        sendResponse({ success: true, conversation: await startAskConversation(groupIndex) });
+    } catch (error) {
+        console.warn('Failed to start ask-your-tabs conversation:', error?.message || error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+async function handleGetAskConversation(conversationId, sendResponse) {
+    const conversation = (await loadAskConversations())[conversationId] || null;
+    sendResponse({ success: Boolean(conversation), conversation });
+}
+
+async function handleAskGroupQuestion({ conversationId, question }, sendResponse) {
+    try {
+        sendResponse({ success: true, conversation: await askGroupQuestion(conversationId, question) });
+    } catch (error) {
+        console.warn('Ask-your-tabs question failed:', error?.message || error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+// Find AI group by existing Chrome tab group id
+function findAIGroupByChromeGroupId(groupId) {
+    if (!Array.isArray(aiGroups) || typeof groupId !== 'number') return null;
+    return aiGroups.find(g => g && g.chromeGroupId === groupId) || null;
+}
+
+// Trigger synthesis for the active Chrome tab group using tabGroups API
+async function synthesizeActiveGroupFromAction() {
+    try {
+        const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!activeTab) {
+            console.warn('No active tab for action synthesis');
+            return;
+        }
+        // Prefer using the chrome.tabGroups API to resolve the current group
+        const rawGroupId = typeof activeTab.groupId === 'number' ? activeTab.groupId : chrome.tabGroups?.TAB_GROUP_ID_NONE;
+        let targetGroup = null;
+        if (typeof rawGroupId === 'number' && rawGroupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+            try {
+                // Ensure group exists via tabGroups API (uses the API per requirement)
+                await chrome.tabGroups.get(rawGroupId);
+                targetGroup = findAIGroupByChromeGroupId(rawGroupId);
+            } catch (e) {
+                console.warn('tabGroups.get failed or no AI group for this Chrome group id:', e?.message || e);
+            }
+        }
+        if (!targetGroup) {
+            // Fallback: map by tab id → aiGroups membership
+            targetGroup = await findGroupByTabId(activeTab.id);
+        }
+        if (targetGroup) {
+            await createSummaryTab(targetGroup);
+        } else {
+            console.warn('No AI group associated with the active tab');
+        }
+    } catch (error) {
+        console.warn('synthesizeActiveGroupFromAction failed:', error?.message || error);
+    }
+}
+
+// ---- Saved sessions (chrome.storage.local → savedSessions) ----
+const SAVED_SESSIONS_KEY = 'savedSessions';
+const MAX_SAVED_SESSIONS = 100;
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+async function loadSavedSessions() {
+    try {
+        const { [SAVED_SESSIONS_KEY]: stored } = await chrome.storage.local.get([SAVED_SESSIONS_KEY]);
+        return Array.isArray(stored) ? stored.filter(session => session && session.id && Array.isArray(session.tabs)) : [];
+    } catch (error) {
+        console.warn('Failed to load saved sessions:', error?.message || error);
+        return [];
+    }
+}
+
+async function persistSavedSessions(sessions) {
+    await chrome.storage.local.set({ [SAVED_SESSIONS_KEY]: sessions.slice(0, MAX_SAVED_SESSIONS) });
+}
+
+/**
+ * Snapshot ενός group: όνομα, χρώμα, tabs (URL/title), AI summary και synthesis report
+ */
+async function buildSavedSession(group, tabData, { name = '' } = {}) {
+    let color = '';
+    let tabs = [];
+    if (typeof group.chromeGroupId === 'number') {
+        try {
+            const chromeGroup = await chrome.tabGroups.get(group.chromeGroupId);
+            color = chromeGroup.color;
+            const liveTabs = await chrome.tabs.query({ groupId: group.chromeGroupId });
+            tabs = liveTabs.map(tab => ({ url: tab.url, title: tab.title, favicon: tab.favIconUrl || '' }));
+        } catch (_) {
+            // Το Chrome group δεν υπάρχει πια· πέφτουμε στα tabIndices
+        }
+    }
+    if (!tabs.length) {
+        tabs = (group.tabIndices || [])
+            .map(index => tabData?.[index])
+            .filter(Boolean)
+            .map(tab => ({ url: tab.url, title: tab.title, favicon: tab.favicon || tab.favIconUrl || '' }));
+    }
+    tabs = tabs.filter(tab => tab.url && /^https?:/i.test(tab.url));
+    const sessionName = String(name || group.name || 'Saved session').trim().slice(0, 120);
+    return {
+        id: `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: sessionName,
+        color: TAB_GROUP_COLORS.includes(color) ? color : getGroupColor(sessionName),
+        createdAt: Date.now(),
+        tabs,
+        summary: Array.isArray(group.summary) ? group.summary.slice() : [],
+        report: group.synthesis || null,
+        keywords: Array.isArray(group.keywords) ? group.keywords.slice(0, 12) : []
+    };
+}
+
+async function saveGroupAsSession(group, options = {}) {
+    if (!Array.isArray(currentTabData) || !currentTabData.length) {
+        const stored = await chrome.storage.local.get(['tabData']);
+        currentTabData = Array.isArray(stored.tabData) ? stored.tabData : [];
+    }
+    const session = await buildSavedSession(group, currentTabData, options);
+    if (!session.tabs.length) {
+        throw new Error('Group has no tabs that can be reopened');
+    }
+    const sessions = await loadSavedSessions();
+    await persistSavedSessions([session, ...sessions]);
+    console.log(`💾 [Sessions] Saved "${session.name}" (${session.tabs.length} tabs)`);
+    return session;
+}
+
+/**
+ * Context menu: το AI group του tab, αλλιώς το Chrome group όπου ανήκει
+ */
+async function saveSessionFromTab(tab) {
+    const aiGroup = await findGroupByTabId(tab?.id);
+    if (aiGroup) {
+        return saveGroupAsSession(aiGroup);
+    }
+    if (typeof tab?.groupId === 'number' && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        const chromeGroup = await chrome.tabGroups.get(tab.groupId);
+        return saveGroupAsSession({ name: chromeGroup.title || 'Saved session', chromeGroupId: chromeGroup.id });
+    }
+    throw new Error('This tab is not part of a group');
+}
+
+/**
+ * Ανοίγει ένα saved session ως Chrome tab group στο τρέχον ή σε νέο window
+ */
+async function restoreSavedSession(session, { target = 'current' } = {}) {
+    const urls = session.tabs.map(tab => tab.url).filter(url => /^https?:/i.test(url || ''));
+    if (!urls.length) {
+        throw new Error('Session has no tabs to restore');
+    }
+    let windowId = null;
+    if (target !== 'new') {
+        try {
+            const current = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+            if (isGroupableWindow(current) && !current.incognito) {
+                windowId = current.id;
+            }
+        } catch (_) {}
+    }
+    const tabIds = [];
+    if (windowId === null) {
+        const created = await chrome.windows.create({ url: urls[0], focused: true });
+        windowId = created.id;
+        if (created.tabs?.[0]?.id) tabIds.push(created.tabs[0].id);
+        urls.shift();
+    }
+    for (const url of urls) {
+        try {
+            const tab = await chrome.tabs.create({ windowId, url, active: false });
+            tabIds.push(tab.id);
+        } catch (error) {
+            console.warn(`💾 [Sessions] Could not reopen ${url}:`, error?.message || error);
+        }
+    }
+    if (!tabIds.length) {
+        throw new Error('No tabs could be reopened');
+    }
+
+    const windowInfo = await chrome.windows.get(windowId);
+    const readiness = await ensureWindowReadyForGrouping(windowId);
+    if (!readiness.ok) {
+        console.warn(`💾 [Sessions] Window ${windowId} not ready for grouping; tabs restored ungrouped`);
+        return { windowId, groupId: null, tabCount: tabIds.length };
+    }
+    // Δεν σημειώνεται ως owned: ο χρήστης το άνοιξε ρητά, οπότε το επόμενο grouping το αφήνει όπως είναι
+    markProgrammaticGroupChange(tabIds);
+    const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+    await chrome.tabGroups.update(groupId, {
+        title: session.name,
+        color: TAB_GROUP_COLORS.includes(session.color) ? session.color : getGroupColor(session.name)
+    });
+    if (windowInfo.state === 'fullscreen') {
+        await chrome.windows.update(windowId, { state: 'fullscreen' }).catch(() => {});
+    }
+    console.log(`💾 [Sessions] Restored "${session.name}" into window ${windowId} (${tabIds.length} tabs)`);
+    return { windowId, groupId, tabCount: tabIds.length };
 }
 
-// Main entry: Create a new tab with AI synthesis for a group
-async function createSummaryTab(groupData) {
+async function handleSaveGroupSession(groupIndex, name, sendResponse) {
     try {
-        const accessibleTab = await findUsableAIAccessTab();
-        if (!accessibleTab) {
-            console.warn('No accessible tab available to run synthesis');
-            return;
+        if (!Array.isArray(aiGroups) || !aiGroups.length) {
+            const storedGroups = await chrome.storage.local.get(['cachedGroups']);
+            aiGroups = Array.isArray(storedGroups.cachedGroups) ? storedGroups.cachedGroups : [];
         }
-        const descriptor = prepareDescriptorForGroup(groupData);
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: accessibleTab.id },
-            world: 'MAIN',
-            func: generateGroupSynthesisInPage,
-            args: [descriptor]
-        });
-        const payload = results && results[0] && results[0].result;
-        if (payload && payload.ok) {
-            const { subject, summary, insights } = payload;
-            const htmlContent = `
-<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <title>AI Synthesis: ${subject.replace(/</g,'&lt;')}</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <style>
-    body { padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Inter, 'Helvetica Neue', Arial, sans-serif; line-height: 1.55; color: #0f172a; background: #f8fafc; }
-    .card { max-width: 860px; margin: 0 auto; background: #fff; border-radius: 14px; box-shadow: 0 10px 30px rgba(2,6,23,.08); padding: 28px; }
-    h1 { font-size: 22px; margin: 0 0 12px; }
-    h2 { font-size: 18px; margin: 24px 0 8px; }
-    p { margin: 0 0 12px; }
-    ul { margin: 0; padding-left: 20px; }
-    li { margin: 6px 0; }
-    .meta { color: #475569; font-size: 12px; margin-top: 20px; }
-  </style>
-  </head>
-  <body>
-    <div class="card">
-      <h1>🧠 AI Synthesis for: ${subject.replace(/</g,'&lt;')}</h1>
-      <p>${summary.replace(/</g,'&lt;')}</p>
-      <h2>Key Insights</h2>
-      <ul>
-        ${(insights || []).map(i => `<li>${String(i).replace(/</g,'&lt;')}</li>`).join('')}
-      </ul>
-      <div class="meta">Source: analyzed ${Array.isArray(groupData?.tabIndices) ? groupData.tabIndices.length : 0} tabs in group.</div>
-    </div>
-  </body>
-</html>`;
-            const dataUrl = 'data:text/html;charset=utf-8,' + encodeURIComponent(htmlContent);
-            await chrome.tabs.create({ url: dataUrl });
-        } else {
-            const reason = payload?.error || 'Unknown error';
-            console.warn('AI Synthesis failed or not ready:', reason);
+        const group = aiGroups[Number(groupIndex)];
+        if (!group) {
+            throw new Error('Invalid group index');
         }
+        const session = await saveGroupAsSession(group, { name });
+        sendResponse({ success: true, session });
     } catch (error) {
-        console.error('Synthesis failed:', error);
+        console.error('Error saving session:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-// Find AI group by existing Chrome tab group id
-function findAIGroupByChromeGroupId(groupId) {
-    if (!Array.isArray(aiGroups) || typeof groupId !== 'number') return null;
-    return aiGroups.find(g => g && g.chromeGroupId === groupId) || null;
+async function handleListSavedSessions(sendResponse) {
+    sendResponse({ success: true, sessions: await loadSavedSessions() });
 }
 
-// Trigger synthesis for the active Chrome tab group using tabGroups API
-async function synthesizeActiveGroupFromAction() {
+async function handleRestoreSavedSession(sessionId, target, sendResponse) {
     try {
-        const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
-        if (!activeTab) {
-            console.warn('No active tab for action synthesis');
-            return;
+        const session = (await loadSavedSessions()).find(item => item.id === sessionId);
+        if (!session) {
+            throw new Error('Session not found');
         }
-        // Prefer using the chrome.tabGroups API to resolve the current group
-        const rawGroupId = typeof activeTab.groupId === 'number' ? activeTab.groupId : chrome.tabGroups?.TAB_GROUP_ID_NONE;
-        let targetGroup = null;
-        if (typeof rawGroupId === 'number' && rawGroupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
-            try {
-                // Ensure group exists via tabGroups API (uses the API per requirement)
-                await chrome.tabGroups.get(rawGroupId);
-                targetGroup = findAIGroupByChromeGroupId(rawGroupId);
-            } catch (e) {
-                console.warn('tabGroups.get failed or no AI group for this Chrome group id:', e?.message || e);
+        const result = await restoreSavedSession(session, { target });
+        sendResponse({ success: true, ...result });
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleDeleteSavedSession(sessionId, sendResponse) {
+    try {
+        const sessions = await loadSavedSessions();
+        await persistSavedSessions(sessions.filter(item => item.id !== sessionId));
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// ---- Import (parseImportText / normalizeImportedGroups στο export-formats.js) ----
+
+/**
+ * Ανοίγει τα groups ενός import ως Chrome tab groups· tabs που είναι ήδη ανοιχτά (ίδιο canonical URL) παραλείπονται
+ */
+async function importTabGroups(rawGroups, { target = 'current' } = {}) {
+    const { groups, errors } = normalizeImportedGroups(rawGroups);
+    if (!groups.length) {
+        throw new Error(errors[0] || 'Nothing to import');
+    }
+    const seen = new Set(
+        (await chrome.tabs.query({}))
+            .filter(tab => !tab.incognito)
+            .map(tab => canonicalizeCacheUrl(tab.url || tab.pendingUrl || ''))
+    );
+    let skipped = 0;
+    const opened = [];
+    for (const group of groups) {
+        const tabs = group.tabs.filter(tab => {
+            const key = canonicalizeCacheUrl(tab.url);
+            if (seen.has(key)) {
+                skipped += 1;
+                return false;
             }
+            seen.add(key);
+            return true;
+        });
+        if (!tabs.length) continue;
+        try {
+            // Μόνο το πρώτο group ανοίγει νέο window· τα επόμενα πάνε στο ίδιο (είναι πλέον το focused)
+            const restored = await restoreSavedSession({ name: group.name, color: group.color, tabs }, { target: opened.length ? 'current' : target });
+            opened.push({ name: group.name, tabCount: restored.tabCount });
+        } catch (error) {
+            console.warn(`📥 [Import] Could not open "${group.name}":`, error?.message || error);
+            errors.push(`${group.name}: ${error?.message || error}`);
         }
-        if (!targetGroup) {
-            // Fallback: map by tab id → aiGroups membership
-            targetGroup = await findGroupByTabId(activeTab.id);
-        }
-        if (targetGroup) {
-            await createSummaryTab(targetGroup);
-        } else {
-            console.warn('No AI group associated with the active tab');
-        }
+    }
+    const tabCount = opened.reduce((sum, group) => sum + group.tabCount, 0);
+    console.log(`📥 [Import] ${opened.length} group(s), ${tabCount} tab(s) opened, ${skipped} already open`);
+    return { groups: opened.length, tabs: tabCount, skipped, errors };
+}
+
+async function handleImportTabGroups(groups, target, sendResponse) {
+    try {
+        sendResponse({ success: true, ...(await importTabGroups(groups, { target })) });
     } catch (error) {
-        console.warn('synthesizeActiveGroupFromAction failed:', error?.message || error);
+        console.error('Error importing groups:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
     }
 }
 
@@ -8161,18 +9752,6 @@ async function handleGroupSummaryRequest(groupIndex) {
         return { success: true, summary: group.summary, source: 'existing' };
     }
     
-    const summaryCacheData = await chrome.storage.session.get(['groupSummaryCache']);
-    const groupSummaryCache = summaryCacheData.groupSummaryCache || {};
-    if (group.centroidSignature) {
-        const cachedEntry = groupSummaryCache[group.centroidSignature];
-        if (cachedEntry && (Date.now() - cachedEntry.timestamp) < LABEL_CACHE_TTL) {
-            group.summary = cachedEntry.summary;
-            group.summaryPending = false;
-            await synchronizeCachedGroups();
-            return { success: true, summary: group.summary, source: 'cache' };
-        }
-    }
-    
     if (!Array.isArray(currentTabData) || !currentTabData.length) {
         try {
             const stored = await chrome.storage.local.get(['tabData']);
@@ -8188,9 +9767,21 @@ async function handleGroupSummaryRequest(groupIndex) {
         throw new Error('No tab data available for group summarization');
     }
     
+    const summaryCacheKey = buildGroupSummaryCacheKey(group);
+    const cachedSummary = summaryCacheKey
+        ? await persistentCacheGet('groupSummaries', summaryCacheKey, CACHE_SCHEMAS.groupSummaries)
+        : null;
+    if (Array.isArray(cachedSummary?.summary) && cachedSummary.summary.length) {
+        group.summary = cachedSummary.summary;
+        group.summaryPending = false;
+        await synchronizeCachedGroups();
+        return { success: true, summary: group.summary, source: 'cache' };
+    }
+    
     const groupContent = createGroupContentForSummarizer(groupTabs);
     const summaryStart = nowMs();
     group.summaryPending = true;
+    let summarySource = 'generated';
     try {
         if (summarizerBlocked) {
             throw new Error(summarizerStatus.reason || 'Summarizer temporarily unavailable');
@@ -8205,28 +9796,45 @@ async function handleGroupSummaryRequest(groupIndex) {
         const fallback = buildFallbackSummary(groupTabs);
         group.summary = fallback;
         group.summaryPending = false;
+        summarySource = 'fallback';
         logTiming(`Group ${groupIndex} summarization (fallback)`, summaryStart);
     }
     
-    if (group.centroidSignature) {
-        groupSummaryCache[group.centroidSignature] = {
-            summary: Array.isArray(group.summary) ? group.summary : [],
-            timestamp: Date.now()
-        };
-        await chrome.storage.session.set({ groupSummaryCache });
+    if (summaryCacheKey && summarySource === 'generated' && Array.isArray(group.summary) && group.summary.length) {
+        await persistentCacheSet('groupSummaries', summaryCacheKey, { summary: group.summary }, CACHE_SCHEMAS.groupSummaries);
     }
     
     await synchronizeCachedGroups();
-    return { success: true, summary: group.summary, source: 'generated' };
+    return { success: true, summary: group.summary, source: summarySource };
 }
 
 /**
  * Ελέγχει αν το Chrome Language Model είναι διαθέσιμο στο τρέχον tab
  */
+/**
+ * Cancel: destroy των cached AI sessions της σελίδας (τα pending prompts απορρίπτονται)
+ */
+function abortAISessionsInPage() {
+    const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+    let destroyed = 0;
+    ['__aitabLanguageSessionPromise', '__aitabSummarizerPromise', '__aitabEmbeddingSessionPromise'].forEach(key => {
+        const pending = scope[key];
+        scope[key] = null;
+        if (pending && typeof pending.then === 'function') {
+            destroyed += 1;
+            pending.then(session => {
+                try { session?.destroy?.(); } catch (_) {}
+            }).catch(() => {});
+        }
+    });
+    return { ok: true, destroyed };
+}
+
 function checkLanguageModelAvailabilityInPage() {
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -8256,9 +9864,23 @@ function checkLanguageModelAvailabilityInPage() {
 }
 
 function judgeTabSimilarityInPage(payload) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -8330,7 +9952,7 @@ ${makeSection('TAB A', tabA)}
 ${makeSection('TAB B', tabB)}
             `.trim();
             
-            const raw = await session.prompt(prompt);
+            const raw = await auditCall('prompt', prompt, input => session.prompt(input));
             const asString = typeof raw === 'string' ? raw : String(raw ?? '');
             const match = asString.match(/\{[\s\S]*\}/);
             if (!match) {
@@ -8350,16 +9972,30 @@ ${makeSection('TAB B', tabB)}
                 error: error?.message || String(error)
             };
         }
-    })();
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
 }
 
 /**
  * Εκτελείται στο MAIN world: εξάγει topic/keywords για ένα tab
  */
 function generateTabFeaturesInPage(descriptor) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -8383,6 +10019,7 @@ function generateTabFeaturesInPage(descriptor) {
     function resolveSummarizerApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.summarizer ||
             scope?.Summarizer ||
             scope?.ai?.summarizer ||
             scope?.ai?.Summarizer ||
@@ -8719,7 +10356,7 @@ Return ONLY JSON:
 Text:
 """${clipped}"""
                     `.trim();
-                    const raw = await session.prompt(prompt);
+                    const raw = await auditCall('prompt', prompt, input => session.prompt(input));
                     const parsed = parseJsonResponse(raw);
                     if (parsed && typeof parsed.translation === 'string') {
                         const translated = parsed.translation.trim();
@@ -8761,7 +10398,7 @@ Return ONLY JSON: {"translations":["...","..."]}
 Items:
 ${rows}
                     `.trim();
-                    const raw = await session.prompt(prompt);
+                    const raw = await auditCall('prompt', prompt, input => session.prompt(input));
                     const parsed = parseJsonResponse(raw);
                     if (parsed && Array.isArray(parsed.translations) && parsed.translations.length) {
                         const translations = parsed.translations
@@ -8797,7 +10434,7 @@ ${rows}
                 const summarizer = await getSummarizer(false);
                 if (summarizer) {
                     // Aggressive timeout for laptop cooling (3s instead of 8s)
-                    const summaryPromise = summarizer.summarize(summaryInput.slice(0, 800)); // Limit input size
+                    const summaryPromise = auditCall('summarize', summaryInput.slice(0, 800), input => summarizer.summarize(input)); // Limit input size
                     const timeoutPromise = new Promise((_, reject) => 
                         setTimeout(() => reject(new Error('Summarizer timeout')), 3000) // Reduced from 8000ms
                     );
@@ -8905,7 +10542,7 @@ ${rows}
                 const prompt = buildClassificationPrompt(summaryPoints, descriptor, summarizerStatus);
                 console.log(`🤖 [Prompt API] Sending prompt (${prompt.length} chars) to Gemini Nano...`);
                 const promptStart = Date.now();
-                const raw = await session.prompt(prompt);
+                const raw = await auditCall('prompt', prompt, input => session.prompt(input));
                 const promptTime = Date.now() - promptStart;
                 console.log(`✅ [Prompt API] Gemini Nano responded in ${promptTime}ms`);
                 const parsed = parseJsonResponse(raw);
@@ -9043,13 +10680,14 @@ ${rows}
                 status: 'exception'
             };
         }
-    })();
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
 }
 
 function generateTabEmbeddingInPage(descriptor) {
     function resolveEmbeddingModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.embeddingModel ||
             scope?.EmbeddingModel ||
             scope?.ai?.embeddingModel ||
             scope?.aiOriginTrial?.embeddingModel ||
@@ -9169,9 +10807,23 @@ function generateTabEmbeddingInPage(descriptor) {
  * Εκτελείται στο MAIN world: δημιουργεί label για group tabs
  */
 function generateGroupLabelInPage(descriptor) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -9352,7 +11004,7 @@ ${tabLines}
                     exemplarTabs: descriptor.exemplarTabs?.length || 0
                 });
                 
-                const raw = await session.prompt(prompt);
+                const raw = await auditCall('prompt', prompt, input => session.prompt(input));
                 console.log('🧠 [GroupLabel] Raw response type/length:', typeof raw, raw?.length ?? 'n/a');
                 console.log('🧠 [GroupLabel] Raw response content:', raw);
                 const match = typeof raw === 'string'
@@ -9405,26 +11057,41 @@ ${tabLines}
             error: 'Language model unavailable after retries',
             status: 'unavailable'
         };
-    })();
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
 }
 
 /**
  * Εκτελείται στο MAIN world: δημιουργεί σύνθεση/αναφορά για group tabs
  */
 function generateGroupSynthesisInPage(descriptor) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
+    // [όνομα, api]· το όνομα μπαίνει στο report ως model
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
-        return (
-            scope?.LanguageModel ||
-            scope?.ai?.languageModel ||
-            scope?.aiOriginTrial?.languageModel ||
-            scope?.window?.ai?.languageModel ||
-            null
-        );
+        const candidates = [
+            ['fake-ai-provider', scope?.__aitabFakeAI?.languageModel],
+            ['LanguageModel', scope?.LanguageModel],
+            ['ai.languageModel', scope?.ai?.languageModel],
+            ['aiOriginTrial.languageModel', scope?.aiOriginTrial?.languageModel],
+            ['ai.languageModel', scope?.window?.ai?.languageModel]
+        ];
+        return candidates.find(([, api]) => api) || [null, null];
     }
     return (async () => {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
-        const languageModelApi = resolveLanguageModelApi();
+        const [model, languageModelApi] = resolveLanguageModelApi();
         if (!languageModelApi) {
             return { ok: false, error: 'Language Model API not available' };
         }
@@ -9454,7 +11121,7 @@ function generateGroupSynthesisInPage(descriptor) {
         try {
             const centroidLine = (descriptor.centroidKeywords || []).join(', ') || 'none';
             const tabLines = (descriptor.exemplarTabs || []).map((tab, idx) => `
-${idx + 1}. Title: ${tab.title}
+[${tab.ref || idx + 1}] Title: ${tab.title}
    Domain: ${tab.domain}
    Topic: ${tab.topic || tab.primaryTopic || '—'}
    Keywords: ${(tab.keywords || []).join(', ')}
@@ -9462,11 +11129,11 @@ ${idx + 1}. Title: ${tab.title}
             const prompt = `You are a research assistant. Analyze the following group of web pages, which represent a single research or shopping session.
 
 1. Identify the Core Subject (1-3 words).
-2. Extract 3 Key Findings/Insights from the group.
+2. Extract 3 Key Findings/Insights from the group, each citing the numbers of the tabs it comes from.
 3. If the subject is Shopping/Product Comparison, provide a brief recommendation.
 
 Return ONLY valid JSON (no extra text, no code fences) in this exact format:
-{"subject":"<Core Subject>", "summary":"<Paragraph summary (max 150 words)>", "insights":["<Insight 1>", "<Insight 2>", "<Insight 3>"]}
+{"subject":"<Core Subject>", "summary":"<Paragraph summary (max 150 words)>", "insights":[{"text":"<Insight 1>","sources":[1]}, {"text":"<Insight 2>","sources":[2,3]}, {"text":"<Insight 3>","sources":[1]}]}
 
 Descriptors:
 Centroid Keywords: ${centroidLine}
@@ -9475,13 +11142,14 @@ ${tabLines}
 
 Rules:
 - Base your response only on the provided data.
+- "sources" lists the [n] numbers of the Exemplar Tabs that support the insight.
 - Write the summary and insights in English, using a professional tone.
 - Do NOT include any explanation before or after the JSON.`.trim();
 
             for (let attempt = 0; attempt < 2; attempt += 1) {
                 try {
                     const session = await getSession(attempt === 1);
-                    const raw = await session.prompt(prompt);
+                    const raw = await auditCall('prompt', prompt, input => session.prompt(input));
                     const asString = typeof raw === 'string' ? raw : String(raw);
                     function sanitizeQuotes(s){
                         return String(s||'')
@@ -9506,19 +11174,27 @@ Rules:
                         const top = (Array.isArray(descriptor.centroidKeywords) && descriptor.centroidKeywords[0])
                             || String(descriptor.primaryTopic || descriptor.docType || 'General').slice(0, 32);
                         const kws = (descriptor.centroidKeywords || descriptor.fallbackKeywords || []).slice(0,3);
-                        return { ok: true, subject: top, summary: `Automatic synthesis unavailable. Core focus: ${top}.`, insights: kws.length ? kws : [] };
+                        return { ok: true, model, fallback: true, subject: top, summary: `Automatic synthesis unavailable. Core focus: ${top}.`, insights: kws.length ? kws : [] };
                     }
                     const subject = String(parsed.subject || '').trim();
                     const summary = String(parsed.summary || '').trim();
-                    const insights = Array.isArray(parsed.insights) ? parsed.insights.map(s => String(s || '').trim()).filter(Boolean).slice(0, 5) : [];
+                    // Insights ως { text, sources }· τα παλιά string insights μένουν χωρίς citations
+                    const insights = Array.isArray(parsed.insights)
+                        ? parsed.insights
+                            .map(item => (typeof item === 'string'
+                                ? { text: item.trim(), sources: [] }
+                                : { text: String(item?.text || '').trim(), sources: Array.isArray(item?.sources) ? item.sources : [] }))
+                            .filter(item => item.text)
+                            .slice(0, 5)
+                        : [];
                     if (!subject || !summary || insights.length === 0) {
                         // Try to fill minimal fields instead of failing hard
                         const top = subject || (Array.isArray(descriptor.centroidKeywords) && descriptor.centroidKeywords[0]) || 'General';
                         const safeInsights = insights.length ? insights : (descriptor.centroidKeywords || []).slice(0,3);
                         const safeSummary = summary || `Automatic synthesis unavailable. Core focus: ${top}.`;
-                        return { ok: true, subject: top, summary: safeSummary.slice(0,900), insights: safeInsights.slice(0,3) };
+                        return { ok: true, model, fallback: true, subject: top, summary: safeSummary.slice(0,900), insights: safeInsights.slice(0,3) };
                     }
-                    return { ok: true, subject, summary: summary.slice(0, 900), insights: insights.slice(0, 3) };
+                    return { ok: true, model, subject, summary: summary.slice(0, 900), insights: insights.slice(0, 3) };
                 } catch (error) {
                     const message = error?.message || String(error);
                     const isRecoverable = recoverablePattern.test(message);
@@ -9533,16 +11209,233 @@ Rules:
         } catch (err) {
             return { ok: false, error: err?.message || String(err) };
         }
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
+}
+
+/**
+ * Εκτελείται στο MAIN world: embeddings για ερώτηση + passages (ίδιο session με το generateTabEmbeddingInPage)
+ */
+function embedTextsInPage(texts) {
+    return (async () => {
+        const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+        const embeddingApi = scope?.__aitabFakeAI?.embeddingModel ||
+            scope?.EmbeddingModel ||
+            scope?.ai?.embeddingModel ||
+            scope?.aiOriginTrial?.embeddingModel ||
+            null;
+        if (!embeddingApi) {
+            return { ok: false, error: 'Embedding Model API not available' };
+        }
+        try {
+            if (!scope.__aitabEmbeddingSessionPromise) {
+                scope.__aitabEmbeddingSessionPromise = embeddingApi.create();
+            }
+            const session = await scope.__aitabEmbeddingSessionPromise;
+            const embeddings = [];
+            for (const text of texts) {
+                const response = await session.embed(text);
+                const vector = response?.values || response?.embedding || (Array.isArray(response) ? response : response?.data?.[0]?.embedding);
+                if (!Array.isArray(vector) && !ArrayBuffer.isView(vector)) {
+                    throw new Error('Embedding model returned no vector');
+                }
+                embeddings.push(Array.from(vector));
+            }
+            return { ok: true, embeddings };
+        } catch (error) {
+            scope.__aitabEmbeddingSessionPromise = null;
+            return { ok: false, error: error?.message || String(error) };
+        }
     })();
 }
 
+/**
+ * Εκτελείται στο MAIN world: απάντηση σε ερώτηση "Ask your tabs".
+ * Ένα LanguageModel session ανά συνομιλία (scope.__aitabAskSessions), ώστε οι follow-ups να έχουν context·
+ * αν το session χάθηκε (άλλο tab, reload) ξαναστήνεται με το ιστορικό ως initialPrompts.
+ */
+function answerTabQuestionInPage(request) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
+    const MAX_SESSIONS = 4;
+    function resolveLanguageModelApi() {
+        const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+        const candidates = [
+            ['fake-ai-provider', scope?.__aitabFakeAI?.languageModel],
+            ['LanguageModel', scope?.LanguageModel],
+            ['ai.languageModel', scope?.ai?.languageModel],
+            ['aiOriginTrial.languageModel', scope?.aiOriginTrial?.languageModel],
+            ['ai.languageModel', scope?.window?.ai?.languageModel]
+        ];
+        return candidates.find(([, api]) => api) || [null, null];
+    }
+    return (async () => {
+        const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+        const [model, languageModelApi] = resolveLanguageModelApi();
+        if (!languageModelApi) {
+            return { ok: false, error: 'Language Model API not available' };
+        }
+        if (!(scope.__aitabAskSessions instanceof Map)) {
+            scope.__aitabAskSessions = new Map();
+        }
+        const sessions = scope.__aitabAskSessions;
+        const recoverablePattern = /(destroyed|closed|reset|disconnected|terminated)/i;
+        let reused = sessions.has(request.conversationId);
+
+        function openSession() {
+            const initialPrompts = [
+                { role: 'system', content: request.systemPrompt },
+                ...(request.history || []).flatMap(turn => [
+                    { role: 'user', content: turn.question },
+                    { role: 'assistant', content: turn.answer }
+                ])
+            ];
+            sessions.set(request.conversationId, languageModelApi.create({ initialPrompts }));
+            // Τα παλαιότερα sessions κλείνουν (Map = σειρά εισαγωγής)
+            while (sessions.size > MAX_SESSIONS) {
+                const [oldestId, oldest] = sessions.entries().next().value;
+                sessions.delete(oldestId);
+                Promise.resolve(oldest).then(session => session?.destroy?.()).catch(() => {});
+            }
+        }
+
+        const passageLines = (request.passages || [])
+            .map(passage => `[${passage.ref}] ${passage.title} (${passage.domain})\n${passage.text}`)
+            .join('\n\n');
+        const prompt = `Passages:\n${passageLines}\n\nQuestion: ${request.question}\n\nAnswer using only these passages and cite them as [n].`;
+
+        for (let attempt = 0; attempt < 2; attempt += 1) {
+            try {
+                if (!sessions.has(request.conversationId)) {
+                    openSession();
+                }
+                const session = await sessions.get(request.conversationId);
+                const raw = await auditCall('prompt', prompt, input => session.prompt(input));
+                const answer = String(raw || '').replace(/```[a-z]*|```/gi, '').trim();
+                if (!answer) {
+                    return { ok: false, error: 'The language model returned an empty answer' };
+                }
+                return { ok: true, model, answer, reused };
+            } catch (error) {
+                const message = error?.message || String(error);
+                sessions.delete(request.conversationId);
+                if (recoverablePattern.test(message) && attempt === 0) {
+                    reused = false;
+                    continue;
+                }
+                return { ok: false, error: message, status: error?.aiStatus || null };
+            }
+        }
+        return { ok: false, error: 'Language model unavailable after retries', status: 'unavailable' };
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
+}
+
+/**
+ * Εκτελείται στο MAIN world: product details (name, price, currency, rating, reviews, availability)
+ * για σελίδες χωρίς schema.org Product, από title + εξαγμένο κείμενο
+ */
+function extractProductDetailsInPage(pages) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
+    function resolveLanguageModelApi() {
+        const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+        const candidates = [
+            ['fake-ai-provider', scope?.__aitabFakeAI?.languageModel],
+            ['LanguageModel', scope?.LanguageModel],
+            ['ai.languageModel', scope?.ai?.languageModel],
+            ['aiOriginTrial.languageModel', scope?.aiOriginTrial?.languageModel],
+            ['ai.languageModel', scope?.window?.ai?.languageModel]
+        ];
+        return candidates.find(([, api]) => api) || [null, null];
+    }
+    return (async () => {
+        const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+        const [model, languageModelApi] = resolveLanguageModelApi();
+        if (!languageModelApi) {
+            return { ok: false, error: 'Language Model API not available' };
+        }
+        const pageLines = (pages || [])
+            .map(page => `[${page.ref}] Title: ${page.title}\n   Domain: ${page.domain}\n   Text: ${page.text || '—'}`)
+            .join('\n');
+        const prompt = `Extract the product offered on each of these shopping pages.
+
+Return ONLY valid JSON (no extra text, no code fences) in this exact format:
+{"products":[{"ref":1,"name":"<product name>","price":<number or null>,"currency":"<ISO 4217 code or empty>","rating":<number or null>,"reviewCount":<integer or null>,"availability":"<InStock|OutOfStock|PreOrder or empty>"}]}
+
+Pages:
+${pageLines}
+
+Rules:
+- One entry per page, using its [n] number as "ref".
+- Use only values stated in the page data; use null or "" when a value is not given.
+- If a page lists many products (search results, category pages), set "name" to "" and "price" to null.`;
+        const recoverablePattern = /(destroyed|closed|reset|disconnected|terminated)/i;
+        for (let attempt = 0; attempt < 2; attempt += 1) {
+            try {
+                if (attempt === 1 || !scope.__aitabLanguageSessionPromise) {
+                    scope.__aitabLanguageSessionPromise = languageModelApi.create();
+                }
+                const session = await scope.__aitabLanguageSessionPromise;
+                const raw = String(await auditCall('prompt', prompt, input => session.prompt(input)));
+                const start = raw.indexOf('{');
+                const end = raw.lastIndexOf('}');
+                const parsed = JSON.parse(raw.slice(start, end + 1).replace(/[“”]/g, '"'));
+                return { ok: true, model, products: Array.isArray(parsed?.products) ? parsed.products : [] };
+            } catch (error) {
+                const message = error?.message || String(error);
+                if (recoverablePattern.test(message) && attempt === 0) {
+                    scope.__aitabLanguageSessionPromise = null;
+                    continue;
+                }
+                return { ok: false, error: message, status: error?.aiStatus || null };
+            }
+        }
+        return { ok: false, error: 'Language model unavailable after retries', status: 'unavailable' };
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
+}
+
 /**
  * In‑page AI grouping fallback: runs LM directly without relying on the content script channel
  */
 function performAIGroupingInPage(prompt) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -9569,10 +11462,10 @@ function performAIGroupingInPage(prompt) {
                 const session = await getSession(attempt === 1);
                 let raw;
                 try {
-                    raw = await session.prompt(String(prompt || '').slice(0, 6000));
+                    raw = await auditCall('prompt', String(prompt || '').slice(0, 6000), input => session.prompt(input));
                 } catch (structured) {
                     // Retry once on structured errors
-                    raw = await session.prompt(String(prompt || ''));
+                    raw = await auditCall('prompt', String(prompt || ''), input => session.prompt(input));
                 }
                 const match = typeof raw === 'string' ? raw.match(/\{[\s\S]*\}/) : null;
                 let parsed;
@@ -9594,224 +11487,21 @@ function performAIGroupingInPage(prompt) {
             } catch (error) {
                 const message = error?.message || String(error);
                 if (recoverablePattern.test(message) && attempt === 0) {
-                    scope.__aitabLanguageSessionPromise = null;
-                    continue;
-                }
-                return { ok: false, error: message };
-            }
-        }
-        return { ok: false, error: 'Language model unavailable after retries' };
-    })();
-}
-
-function normalizePredictedGroupMap(predictedGroups) {
-    if (predictedGroups instanceof Map) {
-        return predictedGroups;
-    }
-    if (predictedGroups && typeof predictedGroups === 'object') {
-        const map = new Map();
-        Object.entries(predictedGroups).forEach(([key, value]) => {
-            map.set(key, value);
-        });
-        return map;
-    }
-    return new Map();
-}
-
-function buildPredictedGroupMap(groups, tabData) {
-    const map = new Map();
-    if (Array.isArray(groups)) {
-        groups.forEach((group, index) => {
-            const groupId = group?.id || group?.name || `G${index}`;
-            (group?.tabIndices || []).forEach(tabIdx => {
-                const tab = tabData?.[tabIdx];
-                if (tab?.url) {
-                    map.set(tab.url, groupId);
-                }
-            });
-        });
-    }
-    if (Array.isArray(tabData)) {
-        tabData.forEach((tab, index) => {
-            if (!tab?.url) return;
-            if (!map.has(tab.url)) {
-                map.set(tab.url, `singleton:${index}`);
-            }
-        });
-    }
-    return map;
-}
-
-function evalPairwise(tabs, predictedGroups) {
-    if (!Array.isArray(tabs) || !tabs.length) {
-        return { TP: 0, FP: 0, FN: 0, precision: 1, recall: 1, f1: 1, totalPairs: 0 };
-    }
-    const map = normalizePredictedGroupMap(predictedGroups);
-    const n = tabs.length;
-    let TP = 0;
-    let FP = 0;
-    let FN = 0;
-    for (let i = 0; i < n; i += 1) {
-        const goldI = tabs[i].gold;
-        const predI = map.get(tabs[i].url);
-        for (let j = i + 1; j < n; j += 1) {
-            const goldJ = tabs[j].gold;
-            const predJ = map.get(tabs[j].url);
-            const sameGold = goldI === goldJ;
-            const samePred = predI !== undefined && predI === predJ;
-            if (sameGold && samePred) {
-                TP += 1;
-            } else if (!sameGold && samePred) {
-                FP += 1;
-            } else if (sameGold && !samePred) {
-                FN += 1;
-            }
-        }
-    }
-    const totalPairs = (n * (n - 1)) / 2;
-    const precision = (TP + FP) === 0 ? 1 : TP / (TP + FP);
-    const recall = (TP + FN) === 0 ? 1 : TP / (TP + FN);
-    const f1 = (precision + recall) === 0 ? 0 : (2 * precision * recall) / (precision + recall);
-    return {
-        TP,
-        FP,
-        FN,
-        precision: Number(precision.toFixed(3)),
-        recall: Number(recall.toFixed(3)),
-        f1: Number(f1.toFixed(3)),
-        totalPairs
-    };
-}
-
-function evalBCubed(tabs, predictedGroups) {
-    if (!Array.isArray(tabs) || !tabs.length) {
-        return { precision: 1, recall: 1, f1: 1 };
-    }
-    const map = normalizePredictedGroupMap(predictedGroups);
-    const goldGroups = new Map();
-    const predGroups = new Map();
-    for (const tab of tabs) {
-        if (!tab?.url) continue;
-        const goldGroup = tab.gold;
-        const predGroup = map.get(tab.url);
-        if (!goldGroups.has(goldGroup)) {
-            goldGroups.set(goldGroup, []);
-        }
-        goldGroups.get(goldGroup).push(tab.url);
-        if (!predGroups.has(predGroup)) {
-            predGroups.set(predGroup, []);
-        }
-        predGroups.get(predGroup).push(tab.url);
-    }
-    const intersectionSize = (list, set) => {
-        let count = 0;
-        for (const item of list) {
-            if (set.has(item)) {
-                count += 1;
-            }
-        }
-        return count;
-    };
-    let precisionSum = 0;
-    let recallSum = 0;
-    tabs.forEach(tab => {
-        if (!tab?.url) return;
-        const goldList = goldGroups.get(tab.gold) || [];
-        const predList = predGroups.get(map.get(tab.url)) || [];
-        const predSet = new Set(predList);
-        const goldSet = new Set(goldList);
-        const inter = intersectionSize(predList, goldSet);
-        const precision = predList.length ? inter / predList.length : 0;
-        const recall = goldList.length ? inter / goldList.length : 0;
-        precisionSum += precision;
-        recallSum += recall;
-    });
-    const precision = precisionSum / tabs.length;
-    const recall = recallSum / tabs.length;
-    const f1 = (precision + recall) === 0 ? 0 : (2 * precision * recall) / (precision + recall);
-    return {
-        precision: Number(precision.toFixed(3)),
-        recall: Number(recall.toFixed(3)),
-        f1: Number(f1.toFixed(3))
-    };
-}
-
-function computePurityByCluster(tabs, predictedGroups) {
-    const map = normalizePredictedGroupMap(predictedGroups);
-    const clusters = new Map();
-    tabs.forEach(tab => {
-        if (!tab?.url) return;
-        const groupId = map.get(tab.url);
-        if (!clusters.has(groupId)) {
-            clusters.set(groupId, []);
+                    scope.__aitabLanguageSessionPromise = null;
+                    continue;
+                }
+                return { ok: false, error: message };
+            }
         }
-        clusters.get(groupId).push(tab.gold);
-    });
-    const result = [];
-    clusters.forEach((labels, groupId) => {
-        const frequency = new Map();
-        labels.forEach(label => {
-            frequency.set(label, (frequency.get(label) || 0) + 1);
-        });
-        const [majorityLabel, majorityCount] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1])[0] || ['', 0];
-        const purity = labels.length ? majorityCount / labels.length : 0;
-        result.push({
-            groupId,
-            size: labels.length,
-            majorityLabel,
-            purity: Number(purity.toFixed(3))
-        });
-    });
-    result.sort((a, b) => b.size - a.size);
-    return result;
+        return { ok: false, error: 'Language model unavailable after retries' };
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
 }
 
 async function runGoldenEvaluation(scenario, { groups = aiGroups, tabData = currentTabData } = {}) {
-    if (!scenario || !Array.isArray(scenario.tabs)) {
-        const error = new Error('Invalid golden scenario format');
-        error.details = scenario;
-        throw error;
-    }
     if (!Array.isArray(groups) || !groups.length) {
         throw new Error('No predicted groups available. Run a scan before evaluating.');
     }
-    const predictedMap = buildPredictedGroupMap(groups, tabData);
-    if (!predictedMap.size) {
-        throw new Error('Failed to build predicted group mapping.');
-    }
-    const tabsForEval = [];
-    const missingPredictions = [];
-    scenario.tabs.forEach((tab, index) => {
-        if (!tab || !tab.url || typeof tab.gold === 'undefined') {
-            return;
-        }
-        if (!predictedMap.has(tab.url)) {
-            missingPredictions.push(tab.url);
-            predictedMap.set(tab.url, `missing:${index}`);
-        }
-        tabsForEval.push({ url: tab.url, gold: tab.gold });
-    });
-    if (!tabsForEval.length) {
-        throw new Error('Golden scenario contains no valid tabs.');
-    }
-    const pairwise = evalPairwise(tabsForEval, predictedMap);
-    const bcubed = evalBCubed(tabsForEval, predictedMap);
-    const denominator = pairwise.TP + pairwise.FP + pairwise.FN;
-    const overMergeRate = denominator ? Number((pairwise.FP / denominator).toFixed(3)) : 0;
-    const underClusterRate = denominator ? Number((pairwise.FN / denominator).toFixed(3)) : 0;
-    const purityByCluster = computePurityByCluster(tabsForEval, predictedMap);
-    const result = {
-        scenarioName: scenario.name || 'unnamed',
-        notes: scenario.notes || '',
-        pairwise,
-        bcubed,
-        overMergeRate,
-        underClusterRate,
-        purityByCluster,
-        missingPredictions,
-        tabCount: tabsForEval.length,
-        timestamp: Date.now()
-    };
+    const result = scoreGoldenScenario(scenario, groups, tabData);
     lastGoldenEvaluation = result;
     console.log('📊 Golden evaluation result:', result);
     return result;
@@ -9820,10 +11510,24 @@ async function runGoldenEvaluation(scenario, { groups = aiGroups, tabData = curr
 /**
  * Εκτελείται στο MAIN world του YouTube tab και επιστρέφει πλούσιο context + AI topic inference
  */
-function analyzeYouTubeTabInPage() {
+function analyzeYouTubeTabInPage(redactionRules) {
+    // Audit: μόνο οι κλήσεις αυτής της εκτέλεσης στα sessions της επέκτασης (βλ. unwrapAuditedResult)
+    const auditCalls = [];
+    const auditCall = async (kind, input, call) => {
+        const entry = { kind, startedAt: Date.now(), prompt: String(input ?? '') };
+        try {
+            const output = await call(input);
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, response: typeof output === 'string' ? output : JSON.stringify(output ?? '') });
+            return output;
+        } catch (error) {
+            auditCalls.push({ ...entry, durationMs: Date.now() - entry.startedAt, error: String(error?.message || error) });
+            throw error;
+        }
+    };
     function resolveLanguageModelApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.languageModel ||
             scope?.LanguageModel ||
             scope?.ai?.languageModel ||
             scope?.aiOriginTrial?.languageModel ||
@@ -9835,6 +11539,7 @@ function analyzeYouTubeTabInPage() {
     function resolveSummarizerApi() {
         const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         return (
+            scope?.__aitabFakeAI?.summarizer ||
             scope?.Summarizer ||
             scope?.ai?.summarizer ||
             scope?.ai?.Summarizer ||
@@ -10058,7 +11763,7 @@ ${(ctx.transcript || '').slice(0, 6000)}
                 const forceReset = attempt > 0;
                 try {
                     const summarizer = await getSummarizer(forceReset);
-                    const summary = await summarizer.summarize(textBlock);
+                    const summary = await auditCall('summarize', textBlock, input => summarizer.summarize(input));
                     summaryBullets = parseSummarizerOutput(summary);
                     if (!summaryBullets.length) {
                         summaryBullets = ctx.keywords.slice(0, 5).map(k => `Keyword: ${k}`);
@@ -10171,7 +11876,7 @@ ${(ctx.transcript || '').slice(0, 3000)}
 
 Respond ONLY with JSON.`;
                     
-                    const raw = await session.prompt(prompt.trim());
+                    const raw = await auditCall('prompt', prompt.trim(), input => session.prompt(input));
                     const match = typeof raw === 'string'
                         ? raw.match(/\{[\s\S]*\}/)
                         : null;
@@ -10217,6 +11922,35 @@ Respond ONLY with JSON.`;
         };
     }
     
+    // Ίδιοι κανόνες με το redactSensitiveText· check 'luhn' = μόνο αριθμοί που περνούν το Luhn (όχι ISBN-13)
+    const passesLuhn = (value) => {
+        const digits = String(value).replace(/\D/g, '');
+        if (digits.length === 13 && /^97[89]/.test(digits)) return false;
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return digits.length > 0 && sum % 10 === 0;
+    };
+    const rules = (Array.isArray(redactionRules) ? redactionRules : []).map(rule => {
+        try {
+            return { label: rule.label, check: rule.check, pattern: new RegExp(rule.source, rule.flags) };
+        } catch (_) {
+            return null;
+        }
+    }).filter(Boolean);
+    const redact = (text) => {
+        if (typeof text !== 'string' || !text) return text || '';
+        return rules.reduce((value, rule) => value.replace(rule.pattern, match => (
+            rule.check === 'luhn' && !passesLuhn(match) ? match : rule.label
+        )), text);
+    };
+
     return (async () => {
         try {
             const context = extractYouTubeContext();
@@ -10224,6 +11958,10 @@ Respond ONLY with JSON.`;
                 throw new Error('Failed to extract YouTube context');
             }
             context.transcript = await attachTranscript(context.playerResponse);
+            // Redaction πριν από οποιοδήποτε prompt (οι κανόνες έρχονται από το privacy.js)
+            context.title = redact(context.title);
+            context.description = redact(context.description);
+            context.transcript = redact(context.transcript);
             const inference = await summarizeContext(context);
             return {
                 ok: true,
@@ -10253,7 +11991,7 @@ Respond ONLY with JSON.`;
                 }
             };
         }
-    })();
+    })().then(value => ({ value, aiAuditCalls: auditCalls }));
 }
 
 /**
@@ -10314,8 +12052,8 @@ function createGroupingPrompt(tabData) {
     console.log('🔍 Creating grouping prompt for', tabData.length, 'tabs');
     
     const tabsInfo = tabData.map(tab => {
-        const preview = tab.content.replace(/\s+/g, ' ').substring(0, 200);
-        const meta = tab.metaDescription ? tab.metaDescription.replace(/\s+/g, ' ').substring(0, 120) : '—';
+        const preview = redactSensitiveText(tab.content.replace(/\s+/g, ' ').substring(0, 200));
+        const meta = tab.metaDescription ? redactSensitiveText(tab.metaDescription.replace(/\s+/g, ' ').substring(0, 120)) : '—';
         
         // Εξαγωγή keywords από title και URL
         const titleKeywords = extractKeywordsFromText(tab.title);
@@ -10330,9 +12068,9 @@ function createGroupingPrompt(tabData) {
         
         return [
             `Tab ${tab.index}`,
-            `- 🎯 TITLE: "${tab.title}"`,
+            `- 🎯 TITLE: "${redactSensitiveText(tab.title || '')}"`,
             `- 🌐 Domain: ${tab.domain}`,
-            `- 🔗 URL: ${tab.url}`,
+            `- 🔗 URL: ${redactUrlForPrompt(tab.url || '')}`,
             `- 🏷️ KEYWORDS: [${combinedKeywords.join(', ')}]`,
             `- 📝 Content: ${preview || 'No readable body text'}`,
             `- 📄 Meta: ${meta}`,
@@ -10408,10 +12146,10 @@ function createGroupContentForSummarizer(tabs) {
                 domain = 'unknown-domain';
             }
         }
-        const cleanedContent = (tab.content || '').replace(/\s+/g, ' ').substring(0, 220);
-        const cleanedMeta = (tab.metaDescription || '').replace(/\s+/g, ' ').substring(0, 160) || '—';
+        const cleanedContent = redactSensitiveText((tab.content || '').replace(/\s+/g, ' ').substring(0, 220));
+        const cleanedMeta = redactSensitiveText((tab.metaDescription || '').replace(/\s+/g, ' ').substring(0, 160)) || '—';
         const topicHints = tab.topicHints || generateTopicHints(tab);
-        return `Tab: "${tab.title}" (${tab.url})
+        return `Tab: "${redactSensitiveText(tab.title || '')}" (${redactUrlForPrompt(tab.url || '')})
 Domain: ${domain}
 Topic hints: ${topicHints}
 Content: ${cleanedContent || 'No readable body text'}
@@ -10430,7 +12168,7 @@ Please provide a concise summary of the main themes and topics covered by these
  */
 function createSummaryPrompt(groupName, tabs) {
     const tabsInfo = tabs.map(tab => 
-        `- "${tab.title}" (${tab.url})`
+        `- "${redactSensitiveText(tab.title || '')}" (${redactUrlForPrompt(tab.url || '')})`
     ).join('\n');
     
     return `Σύνοψη της ομάδας "${groupName}" σε 3-5 σύντομα bullet points που επισημαίνουν τα κύρια θέματα.
@@ -10558,6 +12296,635 @@ function parseSummaryResponse(response) {
 /**
  * Κλείνει τα επιλεγμένα tabs
  */
+// ---- Duplicate tabs ----
+// Exact: ίδιο canonical URL (χωρίς tracking params). Near: SimHash των keyword tokens του scan σε απόσταση ≤ NEAR_DUPLICATE_MAX_DISTANCE bits
+const NEAR_DUPLICATE_MAX_DISTANCE = 3;
+const NEAR_DUPLICATE_MIN_TOKENS = 8;
+const NEAR_DUPLICATE_MIN_TITLE_OVERLAP = 0.5;
+
+/**
+ * Βγάζει κλεισμένα tabs από το τρέχον run και ξαναμετράει τα tabIndices των groups
+ */
+function forgetClosedTabs(tabIds) {
+    const closed = new Set(tabIds);
+    const remap = new Map();
+    const kept = [];
+    currentTabData.forEach((tab, index) => {
+        if (tab && closed.has(tab.id)) return;
+        remap.set(index, kept.length);
+        kept.push(tab);
+    });
+    if (kept.length === currentTabData.length) {
+        return false;
+    }
+    const remapIndices = indices => indices.filter(index => remap.has(index)).map(index => remap.get(index));
+    currentTabData = kept;
+    aiGroups = (Array.isArray(aiGroups) ? aiGroups : [])
+        .map(group => {
+            const next = { ...group, tabIndices: remapIndices(group.tabIndices || []) };
+            if (Array.isArray(group.representativeTabIndices)) {
+                next.representativeTabIndices = remapIndices(group.representativeTabIndices);
+            }
+            return next;
+        })
+        .filter(group => group.tabIndices.length);
+    return true;
+}
+
+function tabRecency(tab) {
+    return typeof tab.lastAccessed === 'number' ? tab.lastAccessed : tab.id;
+}
+
+/**
+ * Duplicate clusters στα ανοιχτά tabs· survivor = το πιο πρόσφατα χρησιμοποιημένο
+ */
+async function findDuplicateTabs() {
+    const tabs = (await chrome.tabs.query({ windowType: 'normal' }))
+        .filter(tab => !tab.incognito && /^(https?|file):/i.test(tab.url || ''));
+    const clusters = [];
+    const canonicalById = new Map();
+    const byCanonical = new Map();
+    tabs.forEach(tab => {
+        const canonical = canonicalizeCacheUrl(tab.url);
+        canonicalById.set(tab.id, canonical);
+        if (!byCanonical.has(canonical)) byCanonical.set(canonical, []);
+        byCanonical.get(canonical).push(tab);
+    });
+    byCanonical.forEach((members, canonical) => {
+        if (members.length > 1) {
+            clusters.push({ kind: 'exact', key: canonical, tabs: members });
+        }
+    });
+
+    // Near-duplicates: μόνο για tabs που έχουν features από το τελευταίο scan και δεν άλλαξαν URL από τότε
+    if (!currentTabData.length) {
+        const stored = await chrome.storage.local.get(['tabData']);
+        if (Array.isArray(stored.tabData)) {
+            currentTabData = stored.tabData;
+        }
+    }
+    const liveById = new Map(tabs.map(tab => [tab.id, tab]));
+    const scanned = currentTabData.filter(entry => entry && liveById.get(entry.id)?.url === entry.url);
+    const vectors = hydrateTabDataForAI(scanned).map(buildTabFeatureVector);
+    const minSimilarity = 1 - (NEAR_DUPLICATE_MAX_DISTANCE / SIMHASH_BITS);
+    const unionFind = createUnionFind(vectors.length);
+    let nearPairs = 0;
+    for (let i = 0; i < vectors.length; i += 1) {
+        for (let j = i + 1; j < vectors.length; j += 1) {
+            const a = scanned[i];
+            const b = scanned[j];
+            if (canonicalById.get(a.id) === canonicalById.get(b.id)) continue;
+            // Κενές σελίδες έχουν όλες το hash του "||", οπότε το contentHash μετράει μόνο με πραγματικό content
+            const sameContent = Boolean(a.contentHash) && a.contentHash === b.contentHash
+                && Boolean(a.content?.trim()) && Boolean(b.content?.trim());
+            const similarText = vectors[i].keywordTokens.size >= NEAR_DUPLICATE_MIN_TOKENS
+                && vectors[j].keywordTokens.size >= NEAR_DUPLICATE_MIN_TOKENS
+                && simHashSimilarity(vectors[i].simHash, vectors[j].simHash) >= minSimilarity;
+            const similarTitle = jaccardSimilarity(vectors[i].titleTokens, vectors[j].titleTokens) >= NEAR_DUPLICATE_MIN_TITLE_OVERLAP;
+            if ((sameContent || similarText) && similarTitle) {
+                unionFind.union(i, j);
+                nearPairs += 1;
+            }
+        }
+    }
+    if (nearPairs) {
+        const byRoot = new Map();
+        scanned.forEach((entry, index) => {
+            const root = unionFind.find(index);
+            if (!byRoot.has(root)) byRoot.set(root, []);
+            byRoot.get(root).push(liveById.get(entry.id));
+        });
+        byRoot.forEach(members => {
+            // Ένα near cluster που είναι όλο ένα canonical URL το έχει ήδη πιάσει το exact
+            if (members.length > 1 && new Set(members.map(tab => canonicalById.get(tab.id))).size > 1) {
+                clusters.push({ kind: 'near', key: canonicalById.get(members[0].id), tabs: members });
+            }
+        });
+    }
+
+    return clusters.map(cluster => {
+        const ordered = cluster.tabs.slice().sort((a, b) => tabRecency(b) - tabRecency(a));
+        return {
+            kind: cluster.kind,
+            key: cluster.key,
+            survivorId: ordered[0].id,
+            tabs: ordered.map(tab => ({
+                id: tab.id,
+                title: tab.title || tab.url,
+                url: tab.url,
+                favicon: tab.favIconUrl || '',
+                windowId: tab.windowId,
+                groupId: tab.groupId,
+                lastAccessed: tab.lastAccessed || null
+            }))
+        };
+    });
+}
+
+/**
+ * Κρατάει το πιο πρόσφατο tab κάθε cluster και κλείνει τα υπόλοιπα· το survivor μένει στο group του.
+ * cluster: { tabIds, keepId? }· το keepId είναι προαιρετική επιλογή survivor από τον χρήστη
+ */
+async function dedupeTabs(clusters) {
+    const closeIds = [];
+    for (const cluster of clusters) {
+        const ids = (cluster.tabIds || []).filter(id => typeof id === 'number');
+        if (ids.length < 2) continue;
+        const live = [];
+        for (const id of ids) {
+            try {
+                live.push(await chrome.tabs.get(id));
+            } catch (_) {}
+        }
+        if (live.length < 2) continue;
+        const survivor = live.find(tab => tab.id === cluster.keepId)
+            || live.slice().sort((a, b) => tabRecency(b) - tabRecency(a))[0];
+        live.filter(tab => tab.id !== survivor.id).forEach(tab => closeIds.push(tab.id));
+    }
+    if (!closeIds.length) {
+        return { closed: 0 };
+    }
+    const layoutBefore = await captureTabLayout(closeIds);
+    await chrome.tabs.remove(closeIds);
+    await recordOperation('close', `Closed ${closeIds.length} duplicate${closeIds.length === 1 ? '' : 's'}`, layoutBefore);
+    if (forgetClosedTabs(closeIds)) {
+        await synchronizeCachedGroups();
+    }
+    console.log(`🧬 [Duplicates] Closed ${closeIds.length} duplicate tab(s)`);
+    return { closed: closeIds.length };
+}
+
+async function handleFindDuplicateTabs(sendResponse) {
+    try {
+        const clusters = await findDuplicateTabs();
+        sendResponse({ success: true, clusters });
+    } catch (error) {
+        console.error('Error finding duplicate tabs:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+async function handleDedupeTabs(clusters, sendResponse) {
+    try {
+        const result = await dedupeTabs(Array.isArray(clusters) ? clusters : []);
+        sendResponse({ success: true, ...result });
+    } catch (error) {
+        console.error('Error closing duplicate tabs:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+// ---- Stale tabs / archive suggestions ----
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_BOOKMARK_FOLDER = 'AI Tab Companion archive';
+// Βάρη πάνω στο age / staleDays: ≥ 1 σημαίνει πρόταση για archive
+const STALENESS_ACTIVE_GROUP_FACTOR = 0.5;
+const STALENESS_IDLE_GROUP_FACTOR = 1.25;
+const STALENESS_DUPLICATE_FACTOR = 2;
+
+function formatIdleDays(ms) {
+    const days = Math.floor(ms / DAY_MS);
+    return days >= 1 ? `${days} day${days === 1 ? '' : 's'}` : 'less than a day';
+}
+
+/**
+ * Staleness ενός tab: χρόνος από την τελευταία χρήση, ενεργό ή αδρανές group, duplicate status.
+ * Επιστρέφει { score, reasons }· score ≥ 1 → stale
+ */
+function scoreTabStaleness(tab, { now, staleMs, groupLastUsed, duplicateOf }) {
+    const idleMs = Math.max(0, now - (tab.lastAccessed || now));
+    let score = idleMs / staleMs;
+    const reasons = [`Not opened for ${formatIdleDays(idleMs)}`];
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    if (typeof tab.groupId === 'number' && tab.groupId !== NO_GROUP && groupLastUsed.has(tab.groupId)) {
+        const { title, lastUsed } = groupLastUsed.get(tab.groupId);
+        const groupIdleMs = now - lastUsed;
+        if (groupIdleMs < staleMs) {
+            score *= STALENESS_ACTIVE_GROUP_FACTOR;
+        } else {
+            score *= STALENESS_IDLE_GROUP_FACTOR;
+            reasons.push(`Group "${title || 'Untitled'}" unused for ${formatIdleDays(groupIdleMs)}`);
+        }
+    } else {
+        reasons.push('Not in any group');
+    }
+    if (duplicateOf) {
+        score *= STALENESS_DUPLICATE_FACTOR;
+        reasons.push(`Duplicate of "${duplicateOf}"`);
+    }
+    return { score, reasons };
+}
+
+/**
+ * Προτάσεις archive: tabs με score ≥ 1, τα πιο stale πρώτα. Pinned, active και audible tabs εξαιρούνται
+ */
+async function findArchiveSuggestions() {
+    await ensureExtensionSettings();
+    const staleDays = ARCHIVE_STALE_DAYS;
+    const staleMs = staleDays * DAY_MS;
+    const now = Date.now();
+    const tabs = (await chrome.tabs.query({ windowType: 'normal' }))
+        .filter(tab => !tab.incognito && /^(https?|file):/i.test(tab.url || ''));
+
+    const groupLastUsed = new Map();
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    for (const tab of tabs) {
+        if (typeof tab.groupId !== 'number' || tab.groupId === NO_GROUP) continue;
+        if (!groupLastUsed.has(tab.groupId)) {
+            let title = '';
+            try {
+                title = (await chrome.tabGroups.get(tab.groupId)).title || '';
+            } catch (_) {}
+            groupLastUsed.set(tab.groupId, { title, lastUsed: 0 });
+        }
+        const entry = groupLastUsed.get(tab.groupId);
+        entry.lastUsed = Math.max(entry.lastUsed, tab.active ? now : (tab.lastAccessed || 0));
+    }
+
+    const duplicateOf = new Map();
+    try {
+        (await findDuplicateTabs()).forEach(cluster => {
+            const survivor = cluster.tabs.find(tab => tab.id === cluster.survivorId);
+            cluster.tabs.forEach(tab => {
+                if (tab.id !== cluster.survivorId) duplicateOf.set(tab.id, survivor?.title || survivor?.url || '');
+            });
+        });
+    } catch (error) {
+        console.warn('Duplicate lookup for archive suggestions failed:', error?.message || error);
+    }
+
+    const suggestions = tabs
+        .filter(tab => !tab.pinned && !tab.active && !tab.audible)
+        .map(tab => {
+            const { score, reasons } = scoreTabStaleness(tab, { now, staleMs, groupLastUsed, duplicateOf: duplicateOf.get(tab.id) });
+            return {
+                id: tab.id,
+                title: tab.title || tab.url,
+                url: tab.url,
+                favicon: tab.favIconUrl || '',
+                groupId: tab.groupId,
+                groupTitle: groupLastUsed.get(tab.groupId)?.title || '',
+                lastAccessed: tab.lastAccessed || null,
+                score: Math.round(score * 100) / 100,
+                reasons
+            };
+        })
+        .filter(item => item.score >= 1)
+        .sort((a, b) => b.score - a.score);
+    return { staleDays, suggestions };
+}
+
+/**
+ * Φάκελος "<group> · <ημερομηνία>" κάτω από το ARCHIVE_BOOKMARK_FOLDER στα Other bookmarks
+ */
+async function ensureArchiveBookmarkFolder(title) {
+    const [root] = await chrome.bookmarks.getTree();
+    const other = root.children?.find(node => node.folderType === 'other') || root.children?.[1] || root.children?.[0];
+    const siblings = await chrome.bookmarks.getChildren(other.id);
+    const archive = siblings.find(node => !node.url && node.title === ARCHIVE_BOOKMARK_FOLDER)
+        || await chrome.bookmarks.create({ parentId: other.id, title: ARCHIVE_BOOKMARK_FOLDER });
+    return chrome.bookmarks.create({ parentId: archive.id, title });
+}
+
+/**
+ * Αποθηκεύει τα tabs ανά group (bookmark folder ή saved session) και μετά τα κλείνει
+ */
+async function archiveTabs(tabIds, { destination = 'bookmarks' } = {}) {
+    const tabs = [];
+    for (const id of tabIds) {
+        try {
+            tabs.push(await chrome.tabs.get(id));
+        } catch (_) {}
+    }
+    const archivable = tabs.filter(tab => /^(https?|file):/i.test(tab.url || ''));
+    if (!archivable.length) {
+        return { archived: 0, folders: 0 };
+    }
+    const NO_GROUP = chrome.tabGroups.TAB_GROUP_ID_NONE;
+    const byGroup = new Map();
+    archivable.forEach(tab => {
+        const key = typeof tab.groupId === 'number' ? tab.groupId : NO_GROUP;
+        if (!byGroup.has(key)) byGroup.set(key, []);
+        byGroup.get(key).push(tab);
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    const newSessions = [];
+    for (const [groupId, members] of byGroup) {
+        let chromeGroup = null;
+        if (groupId !== NO_GROUP) {
+            try {
+                chromeGroup = await chrome.tabGroups.get(groupId);
+            } catch (_) {}
+        }
+        const name = `${chromeGroup?.title || (groupId === NO_GROUP ? 'Ungrouped' : 'Untitled group')} · ${date}`;
+        if (destination === 'session') {
+            const aiGroup = aiGroups.find(group => group?.chromeGroupId === groupId) || {};
+            const session = await buildSavedSession(
+                { summary: aiGroup.summary, keywords: aiGroup.keywords, tabIndices: members.map((_, index) => index) },
+                members.map(tab => ({ url: tab.url, title: tab.title, favIconUrl: tab.favIconUrl })),
+                { name }
+            );
+            if (chromeGroup && TAB_GROUP_COLORS.includes(chromeGroup.color)) {
+                session.color = chromeGroup.color;
+            }
+            newSessions.push(session);
+        } else {
+            const folder = await ensureArchiveBookmarkFolder(name);
+            for (const tab of members) {
+                await chrome.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+            }
+        }
+    }
+    if (newSessions.length) {
+        const sessions = await loadSavedSessions();
+        await persistSavedSessions([...newSessions, ...sessions]);
+    }
+
+    // Κλείσιμο μόνο αφού γράφτηκαν όλα· το undo journal κρατάει και το layout
+    const closeIds = archivable.map(tab => tab.id);
+    const layoutBefore = await captureTabLayout(closeIds);
+    await chrome.tabs.remove(closeIds);
+    await recordOperation('close', `Archived ${closeIds.length} tab${closeIds.length === 1 ? '' : 's'}`, layoutBefore);
+    if (forgetClosedTabs(closeIds)) {
+        await synchronizeCachedGroups();
+    }
+    console.log(`🗄️ [Archive] ${closeIds.length} tab(s) → ${destination === 'session' ? 'saved sessions' : 'bookmarks'} (${byGroup.size} folder(s))`);
+    return { archived: closeIds.length, folders: byGroup.size, destination };
+}
+
+async function handleGetArchiveSuggestions(sendResponse) {
+    try {
+        sendResponse({ success: true, ...(await findArchiveSuggestions()) });
+    } catch (error) {
+        console.error('Error computing archive suggestions:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+async function handleArchiveTabs(tabIds, destination, sendResponse) {
+    try {
+        if (!Array.isArray(tabIds) || !tabIds.length) {
+            sendResponse({ success: false, error: 'No tabs selected' });
+            return;
+        }
+        sendResponse({ success: true, ...(await archiveTabs(tabIds, { destination })) });
+    } catch (error) {
+        console.error('Error archiving tabs:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+// ---- Shopping comparison: schema.org Product/Offer από το extractStructuredData (content.js), LM fallback ----
+const PRODUCT_COMPARE_MAX_TABS = 20;
+const PRODUCT_EXTRACTION_BATCH = 6;
+const PRODUCT_EXTRACTION_CONTENT_CHARS = 700;
+const PRODUCT_SCHEMA_TYPES = new Set(['product', 'productgroup', 'individualproduct', 'productmodel', 'car', 'vehicle']);
+
+function groupEntries(group) {
+    const indexMap = new Map(currentTabData.map(entry => [entry?.index, entry]));
+    return (group?.tabIndices || [])
+        .map(index => indexMap.get(index) || currentTabData[index])
+        .filter(entry => entry && entry.url);
+}
+
+/**
+ * Shopping group: taxonomy 'shopping' ή τουλάχιστον τα μισά tabs περνούν το detectShoppingStrong
+ */
+function isShoppingGroup(group) {
+    if (!group) return false;
+    if (group.primaryTopic === 'shopping' || /^shopping\b/i.test(group.name || '')) return true;
+    const entries = groupEntries(group);
+    const shopping = entries.filter(entry => detectShoppingStrong(entry.title || '', entry.url || '')).length;
+    return entries.length > 0 && shopping * 2 >= entries.length;
+}
+
+function schemaTypesOf(node) {
+    return [].concat(node?.['@type'] || node?.type || [])
+        .map(type => String(type).split(/[/#]/).pop().toLowerCase());
+}
+
+/**
+ * Όλα τα objects ενός JSON-LD δέντρου (arrays, @graph, nested offers κ.λπ.)
+ */
+function collectSchemaNodes(value, nodes = [], depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 6) return nodes;
+    if (Array.isArray(value)) {
+        value.forEach(item => collectSchemaNodes(item, nodes, depth + 1));
+        return nodes;
+    }
+    nodes.push(value);
+    Object.values(value).forEach(child => collectSchemaNodes(child, nodes, depth + 1));
+    return nodes;
+}
+
+function schemaText(value) {
+    if (Array.isArray(value)) return schemaText(value[0]);
+    if (value && typeof value === 'object') return schemaText(value.name ?? value['@value'] ?? '');
+    return value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "1.299,00 €" / "$1,299.00" / 1299 → 1299
+ */
+function parseProductNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    let text = schemaText(value).replace(/[^\d.,]/g, '');
+    if (!text) return null;
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot) {
+        // Κόμμα ως υποδιαστολή όταν ακολουθούν 1-2 ψηφία, αλλιώς διαχωριστικό χιλιάδων
+        text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    } else if (lastComma === -1 && /^\d{1,3}(\.\d{3})+$/.test(text)) {
+        text = text.replace(/\./g, '');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * "https://schema.org/InStock" → "In stock"
+ */
+function normalizeAvailability(value) {
+    const raw = schemaText(value).split(/[/#]/).pop();
+    if (!raw) return '';
+    const words = raw.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function emptyProductDetails() {
+    return { name: '', price: null, currency: '', rating: null, reviewCount: null, availability: '' };
+}
+
+/**
+ * { jsonLd, microdata } του extractStructuredData → product details, ή null αν η σελίδα δεν δηλώνει Product
+ */
+function productFromStructuredData(structured) {
+    const nodes = collectSchemaNodes(structured?.jsonLd || []);
+    const product = nodes.find(node => schemaTypesOf(node).some(type => PRODUCT_SCHEMA_TYPES.has(type)));
+    if (product) {
+        const offers = collectSchemaNodes(product.offers || [])
+            .filter(node => node.price !== undefined || node.lowPrice !== undefined || node.priceSpecification);
+        const offer = offers[0] || {};
+        // AggregateOffer: η τιμή στο ίδιο, currency / availability συχνά μόνο στα nested Offer
+        const offerField = field => offers.map(node => node[field]).find(value => value !== undefined && value !== '');
+        const rating = product.aggregateRating || nodes.find(node => schemaTypesOf(node).includes('aggregaterating')) || {};
+        const details = {
+            name: schemaText(product.name),
+            price: parseProductNumber(offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price),
+            currency: schemaText(offerField('priceCurrency') || offer.priceSpecification?.priceCurrency),
+            rating: parseProductNumber(rating.ratingValue),
+            reviewCount: parseProductNumber(rating.reviewCount ?? rating.ratingCount),
+            availability: normalizeAvailability(offerField('availability'))
+        };
+        if (details.name || details.price !== null) return details;
+    }
+    const item = (structured?.microdata || [])
+        .find(entry => /schema\.org\/(Product|IndividualProduct|ProductModel)\b/i.test(entry?.['@type'] || ''));
+    if (item && (item.name || item.price)) {
+        return {
+            name: schemaText(item.name),
+            price: parseProductNumber(item.price ?? item.lowPrice),
+            currency: schemaText(item.priceCurrency),
+            rating: parseProductNumber(item.ratingValue),
+            reviewCount: parseProductNumber(item.reviewCount ?? item.ratingCount),
+            availability: normalizeAvailability(item.availability)
+        };
+    }
+    return null;
+}
+
+/**
+ * extractStructuredData του content.js στο tab· αν το content script δεν φορτώθηκε (tab πριν το install), inject
+ */
+async function extractTabStructuredData(tabId) {
+    const read = () => withTimeout(chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => window.AITabCompanion?.extractStructuredData?.() || null
+    }), TAB_EXTRACTION_TIMEOUT, 'Structured data extraction timeout');
+    try {
+        let [injection] = await read();
+        if (!injection?.result) {
+            await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+            [injection] = await read();
+        }
+        return injection?.result || null;
+    } catch (error) {
+        console.warn(`Failed to read structured data from tab ${tabId}:`, error?.message || error);
+        return null;
+    }
+}
+
+/**
+ * Tabs χωρίς schema.org Product: extraction με το Prompt API από title + εξαγμένο κείμενο, σε batches
+ */
+async function extractProductsWithModel(rows) {
+    const aiTab = rows.length ? await findUsableAIAccessTab() : null;
+    if (!aiTab) return;
+    const entryById = new Map(currentTabData.map(entry => [entry?.id, entry]));
+    for (let start = 0; start < rows.length; start += PRODUCT_EXTRACTION_BATCH) {
+        const batch = rows.slice(start, start + PRODUCT_EXTRACTION_BATCH);
+        const pages = batch.map((row, position) => {
+            const entry = entryById.get(row.tabId) || {};
+            return {
+                ref: position + 1,
+                title: redactSensitiveText(row.title),
+                domain: row.domain,
+                text: [entry.metaDescription, entry.content].filter(Boolean).join(' ').slice(0, PRODUCT_EXTRACTION_CONTENT_CHARS)
+            };
+        });
+        try {
+            const results = await executeAIScript({
+                target: { tabId: aiTab.id },
+                world: 'MAIN',
+                func: extractProductDetailsInPage,
+                args: [pages]
+            }, { stage: 'product-extraction', tabUrls: batch.map(row => row.url) });
+            const payload = results?.[0]?.result;
+            if (!payload?.ok) {
+                console.warn('Product extraction by the model failed:', payload?.error || 'no result');
+                continue;
+            }
+            payload.products.forEach(product => {
+                const row = batch[Number(product?.ref) - 1];
+                if (!row || row.source) return;
+                const details = {
+                    name: schemaText(product.name),
+                    price: parseProductNumber(product.price),
+                    currency: schemaText(product.currency).toUpperCase().slice(0, 3),
+                    rating: parseProductNumber(product.rating),
+                    reviewCount: parseProductNumber(product.reviewCount),
+                    availability: normalizeAvailability(product.availability)
+                };
+                if (details.name || details.price !== null) {
+                    Object.assign(row, details, { source: 'model' });
+                }
+            });
+        } catch (error) {
+            console.warn('Product extraction by the model failed:', error?.message || error);
+        }
+    }
+}
+
+async function buildProductComparison(groupIndex) {
+    await ensureGroupContextLoaded();
+    const group = Array.isArray(aiGroups) ? aiGroups[Number(groupIndex)] : null;
+    if (!group) {
+        throw new Error('Group not found');
+    }
+    const openTabs = new Map((await chrome.tabs.query({})).map(tab => [tab.id, tab]));
+    await loadPrivacyExcludedDomains();
+    const rows = [];
+    for (const entry of groupEntries(group).filter(item => openTabs.has(item.id)).slice(0, PRODUCT_COMPARE_MAX_TABS)) {
+        const tab = openTabs.get(entry.id);
+        let domain = entry.domain || '';
+        try { domain = domain || new URL(entry.url).hostname; } catch {}
+        // Στα excluded domains δεν διαβάζουμε τη σελίδα ούτε τη στέλνουμε στο μοντέλο
+        const readable = /^https?:/i.test(tab.url || '') && !isPrivacyExcludedUrl(tab.url);
+        const product = readable ? productFromStructuredData(await extractTabStructuredData(tab.id)) : null;
+        rows.push({
+            tabId: tab.id,
+            url: tab.url || entry.url,
+            title: tab.title || entry.title || entry.url,
+            favicon: tab.favIconUrl || entry.favicon || '',
+            domain,
+            ...emptyProductDetails(),
+            ...(product || {}),
+            source: product ? 'schema.org' : null,
+            readable
+        });
+    }
+    await extractProductsWithModel(rows.filter(row => !row.source && row.readable));
+    const found = rows.filter(row => row.source).length;
+    console.log(`🛒 [Compare] "${group.name}": ${found}/${rows.length} products (${rows.filter(row => row.source === 'model').length} via model)`);
+    return { groupName: group.name || 'Shopping', rows: rows.map(({ readable, ...row }) => row) };
+}
+
+async function handleGetShoppingGroups(sendResponse) {
+    try {
+        await ensureGroupContextLoaded();
+        const groupIndices = (Array.isArray(aiGroups) ? aiGroups : [])
+            .map((group, index) => (isShoppingGroup(group) ? index : -1))
+            .filter(index => index !== -1);
+        sendResponse({ success: true, groupIndices });
+    } catch (error) {
+        console.warn('Failed to classify shopping groups:', error?.message || error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
+async function handleGetProductComparison(groupIndex, sendResponse) {
+    try {
+        sendResponse({ success: true, ...(await buildProductComparison(groupIndex)) });
+    } catch (error) {
+        console.error('Error building product comparison:', error);
+        sendResponse({ success: false, error: error?.message || String(error) });
+    }
+}
+
 async function handleCloseSelectedTabs(tabIds, sendResponse) {
     try {
         if (!tabIds || tabIds.length === 0) {
@@ -10565,10 +12932,14 @@ async function handleCloseSelectedTabs(tabIds, sendResponse) {
             return;
         }
         
+        const layoutBefore = await captureTabLayout(tabIds);
         await chrome.tabs.remove(tabIds);
+        await recordOperation('close', `Closed ${tabIds.length} tab${tabIds.length === 1 ? '' : 's'}`, layoutBefore);
         
         // Ενημέρωση των δεδομένων
-        currentTabData = currentTabData.filter(tab => !tabIds.includes(tab.id));
+        if (forgetClosedTabs(tabIds)) {
+            await synchronizeCachedGroups();
+        }
         
         sendResponse({ 
             success: true, 
@@ -10585,43 +12956,44 @@ async function handleCloseSelectedTabs(tabIds, sendResponse) {
 }
 
 /**
- * Εξάγει περίληψη των αποτελεσμάτων
+ * Export των groups (όλων ή των επιλεγμένων) σε JSON, Markdown, HTML, CSV ή Netscape bookmarks.
+ * Το αρχείο κατεβαίνει με chrome.downloads από data: URL, αφού στο service worker δεν υπάρχει document
  */
-async function handleExportSummary(sendResponse) {
+async function handleExportSummary({ format = 'json', groupIndices = null } = {}, sendResponse) {
     try {
-        const summary = {
-            timestamp: new Date().toISOString(),
-            totalTabs: currentTabData.length,
-            groups: aiGroups.map(group => ({
-                name: group.name,
-                tabCount: group.tabIndices.length,
-                summary: group.summary,
-                tabs: group.tabIndices.map(index => ({
-                    title: currentTabData[index].title,
-                    url: currentTabData[index].url
-                }))
-            }))
-        };
-        
-        // Δημιουργία downloadable file
-        const blob = new Blob([JSON.stringify(summary, null, 2)], { 
-            type: 'application/json' 
+        if (!aiGroups.length || !currentTabData.length) {
+            const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+            if (!aiGroups.length && Array.isArray(stored.cachedGroups)) aiGroups = stored.cachedGroups;
+            if (!currentTabData.length && Array.isArray(stored.tabData)) currentTabData = stored.tabData;
+        }
+        const wanted = Array.isArray(groupIndices) ? new Set(groupIndices) : null;
+        const selected = aiGroups.filter((group, index) => group && (!wanted || wanted.has(index)));
+        if (!selected.length) {
+            throw new Error('No groups to export');
+        }
+        const withColors = [];
+        for (const group of selected) {
+            let color = '';
+            if (typeof group.chromeGroupId === 'number') {
+                try {
+                    color = (await chrome.tabGroups.get(group.chromeGroupId)).color;
+                } catch (_) {}
+            }
+            withColors.push({ ...group, color: color || getGroupColor(group.name || '') });
+        }
+        const doc = buildExportDocument(withColors, currentTabData);
+        const { content, mimeType, filename } = renderExport(doc, format);
+        await chrome.downloads.download({
+            url: `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+            filename,
+            conflictAction: 'uniquify'
         });
-        const url = URL.createObjectURL(blob);
-        
-        // Download
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `tab-analysis-${Date.now()}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
-        
-        sendResponse({ 
-            success: true, 
-            message: 'Η περίληψη εξήχθη επιτυχώς' 
+        console.log(`📤 [Export] ${doc.groups.length} group(s), ${doc.totalTabs} tab(s) → ${filename}`);
+        sendResponse({
+            success: true,
+            filename,
+            message: `Exported ${doc.groups.length} group${doc.groups.length === 1 ? '' : 's'} as ${EXPORT_FORMATS[format].label}`
         });
-        
     } catch (error) {
         console.error('Error exporting summary:', error);
         sendResponse({ 
@@ -10641,6 +13013,7 @@ async function performAIGroupingInContent(tabData) {
         console.log('Content script: Starting AI grouping...');
         const globalScope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         const languageModelApi =
+            globalScope?.__aitabFakeAI?.languageModel ||
             globalScope?.LanguageModel ||
             globalScope?.ai?.languageModel ||
             globalScope?.aiOriginTrial?.languageModel ||
@@ -10732,6 +13105,7 @@ async function performAISummarizationInContent(groupContent) {
         
         const globalScope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
         const summarizerApi =
+            globalScope?.__aitabFakeAI?.summarizer ||
             globalScope?.Summarizer ||
             globalScope?.ai?.summarizer ||
             globalScope?.ai?.Summarizer ||
@@ -10820,10 +13194,6 @@ if (typeof module !== 'undefined' && module.exports) {
         parseSummaryResponse,
         performAIGroupingInContent,
         performAISummarizationInContent,
-        evalPairwise,
-        evalBCubed,
-        computePurityByCluster,
-        runGoldenEvaluation,
-        buildPredictedGroupMap
+        runGoldenEvaluation
     };
 }
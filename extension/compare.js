@@ -0,0 +1,218 @@
+/**
+ * AI Tab Companion - Product comparison page
+ *
+ * compare.html?group=<index>: ένα row ανά tab ενός shopping group (GET_PRODUCT_COMPARISON),
+ * ταξινόμηση ανά στήλη και "Close all but selected" μέσω CLOSE_SELECTED_TABS (με undo από το popup).
+ */
+
+const compareElements = {
+    title: document.getElementById('compare-title'),
+    summary: document.getElementById('compare-summary'),
+    refreshBtn: document.getElementById('compare-refresh-btn'),
+    closeOthersBtn: document.getElementById('compare-close-others-btn'),
+    table: document.getElementById('compare-table'),
+    rows: document.getElementById('compare-rows'),
+    status: document.getElementById('compare-status')
+};
+
+const COMPARE_SOURCE_LABELS = {
+    'schema.org': 'schema.org',
+    model: 'AI estimate'
+};
+
+let compareRows = [];
+let compareSelection = new Set();
+let compareSort = { key: 'price', direction: 1 };
+
+document.addEventListener('DOMContentLoaded', () => {
+    compareElements.refreshBtn.addEventListener('click', loadComparison);
+    compareElements.closeOthersBtn.addEventListener('click', closeAllButSelected);
+    compareElements.table.querySelectorAll('th button[data-sort]').forEach(button => {
+        button.addEventListener('click', () => {
+            const key = button.dataset.sort;
+            compareSort = { key, direction: compareSort.key === key ? -compareSort.direction : 1 };
+            renderComparison();
+        });
+    });
+    loadComparison();
+});
+
+async function loadComparison() {
+    const groupIndex = Number(new URLSearchParams(location.search).get('group'));
+    compareElements.refreshBtn.disabled = true;
+    compareElements.summary.textContent = 'Reading product data…';
+    showCompareStatus('');
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_PRODUCT_COMPARISON', groupIndex });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not build the comparison');
+        }
+        document.title = `Compare: ${response.groupName}`;
+        compareElements.title.textContent = `🛒 ${response.groupName}`;
+        compareRows = response.rows;
+        compareSelection = new Set(Array.from(compareSelection).filter(id => compareRows.some(row => row.tabId === id)));
+        renderComparison();
+    } catch (error) {
+        console.warn('Failed to load product comparison:', error?.message || error);
+        compareElements.summary.textContent = '';
+        showCompareStatus(error?.message || String(error), true);
+    } finally {
+        compareElements.refreshBtn.disabled = false;
+    }
+}
+
+/**
+ * Κενές τιμές πάντα στο τέλος, ανεξάρτητα από την κατεύθυνση
+ */
+function compareRowValues(a, b) {
+    const { key, direction } = compareSort;
+    const valueOf = row => (key === 'name' ? (row.name || row.title) : row[key]);
+    const left = valueOf(a);
+    const right = valueOf(b);
+    const leftMissing = left === null || left === undefined || left === '';
+    const rightMissing = right === null || right === undefined || right === '';
+    if (leftMissing || rightMissing) return leftMissing === rightMissing ? 0 : (leftMissing ? 1 : -1);
+    const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+    return order * direction;
+}
+
+function renderComparison() {
+    const rows = compareRows.slice().sort(compareRowValues);
+    compareElements.rows.textContent = '';
+    rows.forEach(row => compareElements.rows.appendChild(createComparisonRow(row)));
+    compareElements.table.querySelectorAll('th button[data-sort]').forEach(button => {
+        const sorted = button.dataset.sort === compareSort.key;
+        button.classList.toggle('sorted', sorted);
+        button.textContent = button.textContent.replace(/ [▲▼]$/, '') + (sorted ? (compareSort.direction === 1 ? ' ▲' : ' ▼') : '');
+    });
+    compareElements.table.classList.toggle('hidden', rows.length === 0);
+
+    const found = compareRows.filter(row => row.source).length;
+    const currencies = new Set(compareRows.map(row => row.currency).filter(Boolean));
+    const parts = [`${found} of ${compareRows.length} tab${compareRows.length === 1 ? '' : 's'} with product data`];
+    if (currencies.size > 1) parts.push(`prices in ${currencies.size} currencies`);
+    if (compareSelection.size) parts.push(`${compareSelection.size} selected`);
+    compareElements.summary.textContent = compareRows.length ? parts.join(' · ') : 'None of this group\'s tabs are open any more.';
+    updateCloseOthersButton();
+}
+
+function createComparisonRow(row) {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('selected', compareSelection.has(row.tabId));
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.title = 'Keep this tab';
+    checkbox.checked = compareSelection.has(row.tabId);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            compareSelection.add(row.tabId);
+        } else {
+            compareSelection.delete(row.tabId);
+        }
+        renderComparison();
+    });
+
+    const product = document.createElement('div');
+    product.className = 'compare-product';
+    if (row.favicon && /^https?:/i.test(row.favicon)) {
+        const icon = document.createElement('img');
+        icon.src = row.favicon;
+        icon.alt = '';
+        product.appendChild(icon);
+    }
+    const label = document.createElement('div');
+    const link = document.createElement('a');
+    link.href = row.url;
+    link.textContent = row.name || row.title;
+    link.title = row.title;
+    link.addEventListener('click', event => {
+        event.preventDefault();
+        focusComparedTab(row);
+    });
+    const domain = document.createElement('span');
+    domain.className = 'compare-domain';
+    domain.textContent = row.domain;
+    label.append(link, domain);
+    product.appendChild(label);
+
+    const reviews = row.reviewCount === null ? null : Math.round(row.reviewCount).toLocaleString();
+    const rating = row.rating === null ? null : `★ ${row.rating.toFixed(1)}`;
+    tr.append(
+        createComparisonCell(checkbox),
+        createComparisonCell(product),
+        createComparisonCell(formatComparePrice(row), true),
+        createComparisonCell(rating, true),
+        createComparisonCell(reviews, true),
+        createComparisonCell(row.availability || null),
+        createComparisonCell(COMPARE_SOURCE_LABELS[row.source] || null)
+    );
+    return tr;
+}
+
+function createComparisonCell(content, numeric = false) {
+    const td = document.createElement('td');
+    if (numeric) td.className = 'numeric';
+    if (content instanceof Node) {
+        td.appendChild(content);
+    } else if (content === null || content === '') {
+        td.textContent = '—';
+        td.classList.add('compare-missing');
+    } else {
+        td.textContent = content;
+    }
+    return td;
+}
+
+function formatComparePrice(row) {
+    if (row.price === null) return null;
+    if (/^[A-Z]{3}$/.test(row.currency || '')) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency: row.currency }).format(row.price);
+        } catch (_) {}
+    }
+    return `${row.price.toLocaleString()}${row.currency ? ` ${row.currency}` : ''}`;
+}
+
+function updateCloseOthersButton() {
+    compareElements.closeOthersBtn.disabled = compareSelection.size === 0 || compareSelection.size === compareRows.length;
+}
+
+async function closeAllButSelected() {
+    const tabIds = compareRows.filter(row => !compareSelection.has(row.tabId)).map(row => row.tabId);
+    if (!tabIds.length || !confirm(`Close ${tabIds.length} other tab${tabIds.length === 1 ? '' : 's'} from this group?`)) {
+        return;
+    }
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'CLOSE_SELECTED_TABS', tabIds });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not close tabs');
+        }
+        const closed = new Set(tabIds);
+        compareRows = compareRows.filter(row => !closed.has(row.tabId));
+        renderComparison();
+        showCompareStatus(`Closed ${tabIds.length} tab${tabIds.length === 1 ? '' : 's'} · undo from the popup`);
+    } catch (error) {
+        console.warn('Failed to close compared tabs:', error?.message || error);
+        showCompareStatus(error?.message || String(error), true);
+    }
+}
+
+async function focusComparedTab(row) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'FOCUS_TAB_SOURCE', tabId: row.tabId, url: row.url });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not open the tab');
+        }
+    } catch (error) {
+        console.warn('Failed to focus compared tab:', error?.message || error);
+        showCompareStatus(error?.message || String(error), true);
+    }
+}
+
+function showCompareStatus(message, isError = false) {
+    compareElements.status.textContent = message;
+    compareElements.status.classList.toggle('error', isError);
+}
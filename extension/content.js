@@ -89,12 +89,17 @@ function extractStructuredData() {
         // Microdata
         const microdataItems = document.querySelectorAll('[itemscope]');
         const microdata = Array.from(microdataItems).map(item => {
-            const result = {};
+            // @type = itemtype (π.χ. https://schema.org/Product) για το product comparison
+            const result = { '@type': item.getAttribute('itemtype') || '' };
             const properties = item.querySelectorAll('[itemprop]');
             properties.forEach(prop => {
                 const name = prop.getAttribute('itemprop');
-                const value = prop.textContent || prop.getAttribute('content') || prop.src || prop.href;
-                result[name] = value;
+                // Το content attribute κρατά την machine-readable τιμή (π.χ. price="19.99" πίσω από "$19.99")
+                const value = prop.getAttribute('content') || prop.textContent.trim() || prop.src || prop.href;
+                // Η πρώτη τιμή κερδίζει (το όνομα του προϊόντος συνήθως προηγείται των nested brand/seller)
+                if (!(name in result)) {
+                    result[name] = value;
+                }
             });
             return result;
         });
@@ -180,6 +185,7 @@ if (document.readyState === 'loading') {
 function resolveLanguageModelApi() {
     const globalScope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
     return (
+        globalScope?.__aitabFakeAI?.languageModel ||
         globalScope?.LanguageModel ||
         globalScope?.ai?.languageModel ||
         globalScope?.aiOriginTrial?.languageModel ||
@@ -194,6 +200,7 @@ function resolveLanguageModelApi() {
 function resolveSummarizerApi() {
     const globalScope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
     return (
+        globalScope?.__aitabFakeAI?.summarizer ||
         globalScope?.Summarizer ||
         globalScope?.ai?.summarizer ||
         globalScope?.ai?.Summarizer ||
@@ -204,11 +211,13 @@ function resolveSummarizerApi() {
 }
 
 let __lmSessionPromise = null;
+let __lmSessionApi = null; // API που δημιούργησε το cached session (αλλάζει όταν μπαίνει/βγαίνει ο fake provider)
 
 async function getLanguageModelSession() {
     const languageModelApi = resolveLanguageModelApi();
     if (!languageModelApi) throw new Error('Language Model API not available - Chrome AI APIs not accessible');
-    if (__lmSessionPromise) return __lmSessionPromise;
+    if (__lmSessionPromise && __lmSessionApi === languageModelApi) return __lmSessionPromise;
+    __lmSessionApi = languageModelApi;
     __lmSessionPromise = (async () => {
         // Availability (best-effort)
         if (typeof languageModelApi.availability === 'function') {
@@ -258,8 +267,9 @@ async function ensureLanguageModelReady() {
 
 /**
  * AI Grouping function για Chrome AI APIs
+ * auditCalls: αν δοθεί, η κλήση του prompt καταγράφεται εκεί για το audit log του background
  */
-async function performAIGrouping(prompt) {
+async function performAIGrouping(prompt, auditCalls = null) {
     try {
         console.log('Content script: Starting AI grouping...');
         const session = await getLanguageModelSession();
@@ -270,14 +280,17 @@ async function performAIGrouping(prompt) {
         console.log('Content script: Executing AI prompt...');
         const PROMPT_TIMEOUT_MS = 10000; // 10s guard to avoid background timeouts
         let response;
+        const startedAt = Date.now();
         try {
             response = await Promise.race([
                 session.prompt(prompt),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('AI prompt timeout')), PROMPT_TIMEOUT_MS))
             ]);
+            auditCalls?.push({ kind: 'prompt', startedAt, durationMs: Date.now() - startedAt, prompt, response: String(response ?? '') });
             console.log('Content script: AI response received:', typeof response, response?.length || 'no length');
             console.log('🤖 [AI Raw Response] Full AI response:', response);
         } catch (e) {
+            auditCalls?.push({ kind: 'prompt', startedAt, durationMs: Date.now() - startedAt, prompt, error: String(e?.message || e) });
             console.warn('🤖 [AI] Prompt failed or timed out, falling back to heuristic keywords:', e?.message || e);
             return buildHeuristicKeywordsFromPrompt(prompt);
         }
@@ -477,7 +490,8 @@ try {
                     if (typeof window.AITabCompanion !== 'undefined' && window.AITabCompanion.performAIGrouping) {
                         console.log('Content script: Using AITabCompanion.performAIGrouping');
                         const prompt = message.prompt || message.data;
-                        performAIGrouping(prompt)
+                        const auditCalls = [];
+                        performAIGrouping(prompt, auditCalls)
                             .then(result => {
                                 console.log('Content script: AI grouping successful:', result);
                                 console.log('Content script: AI grouping result type:', typeof result);
@@ -489,7 +503,7 @@ try {
                                     result: result
                                 });
                                 
-                                sendResponse({ success: true, result: result });
+                                sendResponse({ success: true, result: result, auditCalls });
                             })
                             .catch(error => {
                                 console.error('Content script: AI grouping failed:', error);
@@ -501,7 +515,7 @@ try {
                                     error: error.message
                                 });
                                 
-                                sendResponse({ success: false, error: error.message });
+                                sendResponse({ success: false, error: error.message, auditCalls });
                             });
                         return true; // Keep message channel open for async response
                     } else {
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Synthetic benchmark για το candidate blocking.
+ *
+ * Usage:
+ *   node extension/dev/bench-blocking.js [--sizes 200,500,1000] [--json]
+ *
+ * Για κάθε μέγεθος φτιάχνει ντετερμινιστικά synthetic tabs (topics + κοινό θόρυβο) και μετρά με
+ * blocking off (all-pairs) και on:
+ * - το runDeterministicGrouping του core (clustering + merge passes)
+ * - το createProvisionalGroups του background.js, δηλαδή το all-pairs loop που τρέχει σε κάθε scan
+ *   (φορτωμένο headless, βλ. headless-background.js)
+ * Κάθε mode τρέχει πρώτα μία φορά για warmup και μετά σε γύρους με εναλλασσόμενη σειρά (τουλάχιστον
+ * MIN_ROUNDS και MIN_TIMED_MS ανά mode, ώστε τα μικρά μεγέθη να μην κρίνονται από θόρυβο)· τυπώνεται το median.
+ * Κάτω από CANDIDATE_BLOCKING_MIN_TABS το extension τρέχει all-pairs ('auto'), οπότε εκεί τυπώνεται
+ * "blocking inactive" και οι χρόνοι με επιβεβλημένο blocking είναι μόνο ενδεικτικοί.
+ * Στο τέλος ξανατρέχει τα golden-tests μέσα από το production pipeline (runProductionGrouping, όπως το
+ * npm run golden) με blocking off και on, ώστε να φαίνεται ότι scores και groups μένουν ίδια.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    CANDIDATE_BLOCKING_MIN_TABS,
+    runDeterministicGrouping,
+    buildPredictedGroupMap,
+    evalPairwise,
+    scoreGoldenScenario
+} = require('../grouping-core.js');
+const { loadHeadlessBackground, runProductionGrouping } = require('./headless-background.js');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden-tests');
+const DEFAULT_SIZES = [200, 500, 1000];
+const MIN_ROUNDS = 3;
+const MAX_ROUNDS = 25;
+const MIN_TIMED_MS = 1000;
+const TOPIC_COUNT = 40;
+const TOPIC_VOCABULARY = 14;
+const NOISE_VOCABULARY = 80;
+
+function parseArgs(argv) {
+    const options = { sizes: DEFAULT_SIZES, json: false };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--sizes') {
+            const value = argv[i + 1];
+            const sizes = String(value || '').split(',').map(Number).filter(size => Number.isInteger(size) && size > 1);
+            if (!sizes.length) {
+                throw new Error('--sizes expects a comma separated list, e.g. 200,500,1000');
+            }
+            options.sizes = sizes;
+            i += 1;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Mulberry32: ίδια tabs σε κάθε run
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function syntheticWord(prefix, index) {
+    const letters = 'bcdfghjklmnprstvz';
+    const vowels = 'aeiou';
+    let value = index + 7;
+    let word = prefix;
+    for (let i = 0; i < 3; i += 1) {
+        word += letters[value % letters.length] + vowels[(value >> 2) % vowels.length];
+        value = Math.floor(value / 5) + 11 * (i + 1);
+    }
+    return word;
+}
+
+function buildSyntheticTabs(count, seed = 42) {
+    const random = createRandom(seed + count);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const topics = Array.from({ length: TOPIC_COUNT }, (_, topicIdx) => ({
+        id: `topic-${topicIdx}`,
+        words: Array.from({ length: TOPIC_VOCABULARY }, (_, wordIdx) => syntheticWord(`t${topicIdx}`, wordIdx)),
+        domains: [0, 1, 2].map(domainIdx => `${syntheticWord('site', topicIdx * 3 + domainIdx)}.example`)
+    }));
+    const noise = Array.from({ length: NOISE_VOCABULARY }, (_, idx) => syntheticWord('n', idx));
+
+    return Array.from({ length: count }, (_, tabIdx) => {
+        const topic = topics[tabIdx % TOPIC_COUNT];
+        const titleWords = [pick(topic.words), pick(topic.words), pick(topic.words), pick(noise)];
+        const contentWords = Array.from({ length: 90 }, () => (random() < 0.65 ? pick(topic.words) : pick(noise)));
+        const domain = pick(topic.domains);
+        return {
+            url: `https://${domain}/${pick(topic.words)}/${tabIdx}`,
+            title: titleWords.join(' '),
+            domain,
+            content: contentWords.join(' '),
+            metaDescription: contentWords.slice(0, 20).join(' '),
+            headings: [titleWords.slice(0, 2).join(' ')],
+            gold: topic.id
+        };
+    });
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+/**
+ * run(blocking) για all-pairs και blocked: warmup και των δύο, μετά γύροι με εναλλασσόμενη
+ * σειρά ώστε JIT/GC να μη χρεώνονται σε όποιο mode τρέχει πρώτο
+ */
+function timeModes(run) {
+    const results = { false: run(false), true: run(true) };
+    const timings = { false: [], true: [] };
+    const needsMoreRounds = round => round < MIN_ROUNDS
+        || (round < MAX_ROUNDS && Math.min(sum(timings.false), sum(timings.true)) < MIN_TIMED_MS);
+    for (let round = 0; needsMoreRounds(round); round += 1) {
+        const order = round % 2 === 0 ? [false, true] : [true, false];
+        order.forEach(blocking => {
+            const start = process.hrtime.bigint();
+            results[blocking] = run(blocking);
+            timings[blocking].push(Number(process.hrtime.bigint() - start) / 1e6);
+        });
+    }
+    return {
+        rounds: timings.false.length,
+        allPairs: { ...results.false, elapsedMs: median(timings.false) },
+        blocked: { ...results.true, elapsedMs: median(timings.true) }
+    };
+}
+
+/**
+ * Οι triage χάρτες όπως τους φτιάχνει το performSmartTriage, για το createProvisionalGroups του context
+ */
+function buildTriageInput(context, tabs) {
+    const tabData = tabs.map(({ gold, ...tab }, index) => ({ ...tab, index }));
+    const taxonomyMap = new Map();
+    const tokenMap = new Map();
+    tabData.forEach((tab, idx) => {
+        taxonomyMap.set(idx, context.extractFastTaxonomy(tab));
+        tokenMap.set(idx, context.extractFastTokens(tab));
+    });
+    return { tabData, taxonomyMap, tokenMap };
+}
+
+/**
+ * Provisional grouping με και χωρίς blocking· οι συγκρίσεις μετριούνται στο warmup (εκτός χρονομέτρησης)
+ */
+function benchmarkProvisional(context, tabs) {
+    const { tabData, taxonomyMap, tokenMap } = buildTriageInput(context, tabs);
+    const group = blocking => context.createProvisionalGroups(tabData, taxonomyMap, tokenMap, { blocking })
+        .map(entry => entry.tabIndices);
+    const shouldMergeProvisional = context.shouldMergeProvisional;
+    const comparedPairs = {};
+    [false, true].forEach(blocking => {
+        let calls = 0;
+        context.shouldMergeProvisional = (...args) => {
+            calls += 1;
+            return shouldMergeProvisional(...args);
+        };
+        group(blocking);
+        comparedPairs[blocking] = calls;
+    });
+    context.shouldMergeProvisional = shouldMergeProvisional;
+
+    const { allPairs, blocked } = timeModes(blocking => ({ groups: group(blocking) }));
+    return {
+        allPairs: { ms: allPairs.elapsedMs, comparedPairs: comparedPairs.false, groups: allPairs.groups.length },
+        blocked: { ms: blocked.elapsedMs, comparedPairs: comparedPairs.true, groups: blocked.groups.length },
+        identical: JSON.stringify(allPairs.groups) === JSON.stringify(blocked.groups),
+        speedup: blocked.elapsedMs ? allPairs.elapsedMs / blocked.elapsedMs : 0
+    };
+}
+
+function benchmarkSize(size, context) {
+    const tabs = buildSyntheticTabs(size);
+    const scenario = { name: `synthetic-${size}`, tabs: tabs.map(tab => ({ url: tab.url, gold: tab.gold })) };
+    const { allPairs, blocked } = timeModes(blocking => runDeterministicGrouping(tabs, { blocking }));
+    const totalPairs = (size * (size - 1)) / 2;
+    const candidateIndex = blocked.featureContext.candidateIndex;
+
+    // Συμφωνία blocked vs all-pairs: το all-pairs αποτέλεσμα παίζει το ρόλο του gold
+    const referenceMap = buildPredictedGroupMap(allPairs.groups, allPairs.tabData);
+    const referenceTabs = tabs.map(tab => ({ url: tab.url, gold: referenceMap.get(tab.url) }));
+    const agreement = evalPairwise(referenceTabs, buildPredictedGroupMap(blocked.groups, blocked.tabData));
+
+    return {
+        size,
+        blockingActive: size >= CANDIDATE_BLOCKING_MIN_TABS,
+        allPairs: {
+            ms: allPairs.elapsedMs,
+            scoredPairs: totalPairs,
+            groups: allPairs.groups.length,
+            f1: scoreGoldenScenario(scenario, allPairs.groups, allPairs.tabData).pairwise.f1
+        },
+        blocked: {
+            ms: blocked.elapsedMs,
+            scoredPairs: candidateIndex ? candidateIndex.pairCount : totalPairs,
+            sources: candidateIndex ? candidateIndex.sources : null,
+            groups: blocked.groups.length,
+            f1: scoreGoldenScenario(scenario, blocked.groups, blocked.tabData).pairwise.f1
+        },
+        agreementF1: agreement.f1,
+        speedup: blocked.elapsedMs ? allPairs.elapsedMs / blocked.elapsedMs : 0,
+        provisional: benchmarkProvisional(context, tabs)
+    };
+}
+
+/**
+ * Golden scenarios μέσα από το performAIAnalysis (ίδια scores με το npm run golden) με blocking off και on·
+ * το provisional grouping συγκρίνεται και μόνο του στο κοινό context
+ */
+async function compareGoldenScenarios(context) {
+    const files = fs.readdirSync(GOLDEN_DIR).filter(name => name.endsWith('.json')).sort();
+    const results = [];
+    for (const name of files) {
+        const scenario = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, name), 'utf8'));
+        const tabs = (scenario.tabs || []).filter(tab => tab && tab.url);
+        const tabData = tabs.map(({ gold, ...tab }) => tab);
+        const score = async blocking => {
+            const { groups, tabData: scanned } = await runProductionGrouping(tabData, { blocking });
+            const result = scoreGoldenScenario(scenario, groups, scanned);
+            return {
+                pairwiseF1: result.pairwise.f1,
+                bcubedF1: result.bcubed.f1,
+                groups: JSON.stringify(groups.map(group => group.tabIndices.map(idx => scanned[idx]?.url)))
+            };
+        };
+        const allPairs = await score(false);
+        const blocked = await score(true);
+        const { tabData: triageTabs, taxonomyMap, tokenMap } = buildTriageInput(context, tabs);
+        const provisional = blocking => JSON.stringify(context.createProvisionalGroups(triageTabs, taxonomyMap, tokenMap, { blocking })
+            .map(entry => entry.tabIndices));
+        results.push({
+            scenarioName: scenario.name || name,
+            allPairs: { pairwiseF1: allPairs.pairwiseF1, bcubedF1: allPairs.bcubedF1 },
+            blocked: { pairwiseF1: blocked.pairwiseF1, bcubedF1: blocked.bcubedF1 },
+            provisionalUnchanged: provisional(false) === provisional(true),
+            unchanged: allPairs.pairwiseF1 === blocked.pairwiseF1 && allPairs.bcubedF1 === blocked.bcubedF1
+                && allPairs.groups === blocked.groups
+        });
+    }
+    return results;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Τα logs του core πάνε στο stderr ώστε το stdout να μένει καθαρό (π.χ. για --json)
+    console.log = (...args) => console.error(...args);
+
+    // Ένα headless background για όλα τα μεγέθη (τα logs του σιωπούν)
+    const context = loadHeadlessBackground();
+    const sizes = options.sizes.map(size => benchmarkSize(size, context));
+    const golden = await compareGoldenScenarios(context);
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify({ sizes, golden }, null, 2)}\n`);
+    } else {
+        const fmt = value => Number(value || 0).toFixed(3);
+        sizes.forEach(result => {
+            // Κάτω από το όριο το extension δεν κάνει blocking· ένα speedup εκεί δεν λέει τίποτα για το scan
+            const speedup = value => (result.blockingActive ? `speedup ×${value.toFixed(1)}` : 'blocking inactive');
+            process.stdout.write([
+                `⏱️ ${result.size} tabs — ${speedup(result.speedup)}, agreement F1 ${fmt(result.agreementF1)}`
+                    + (result.blockingActive ? '' : ` (below ${CANDIDATE_BLOCKING_MIN_TABS} tabs the extension runs all-pairs; blocked timings are forced)`),
+                `   all-pairs ${result.allPairs.ms.toFixed(0)}ms, ${result.allPairs.scoredPairs} pairs, ${result.allPairs.groups} groups, F1 ${fmt(result.allPairs.f1)}`,
+                `   blocked   ${result.blocked.ms.toFixed(0)}ms, ${result.blocked.scoredPairs} pairs, ${result.blocked.groups} groups, F1 ${fmt(result.blocked.f1)}`,
+                `   provisional grouping — ${speedup(result.provisional.speedup)}, ${result.provisional.identical ? 'identical groups' : 'groups differ'}`,
+                `     all-pairs ${result.provisional.allPairs.ms.toFixed(1)}ms, ${result.provisional.allPairs.comparedPairs} pairs compared, ${result.provisional.allPairs.groups} groups`,
+                `     blocked   ${result.provisional.blocked.ms.toFixed(1)}ms, ${result.provisional.blocked.comparedPairs} pairs compared, ${result.provisional.blocked.groups} groups`,
+                ''
+            ].join('\n') + '\n');
+        });
+        golden.forEach(result => {
+            process.stdout.write(`📊 ${result.scenarioName} (production pipeline): pairwise F1 ${fmt(result.allPairs.pairwiseF1)} → ${fmt(result.blocked.pairwiseF1)}, B-cubed F1 ${fmt(result.allPairs.bcubedF1)} → ${fmt(result.blocked.bcubedF1)} ${result.unchanged ? '✅ unchanged' : '❌ changed'}, provisional groups ${result.provisionalUnchanged ? '✅ unchanged' : '❌ changed'}\n`);
+        });
+    }
+    if (golden.some(result => !result.unchanged || !result.provisionalUnchanged) || sizes.some(result => !result.provisional.identical)) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Blocking benchmark failed:', error?.message || error);
+    process.exitCode = 1;
+});
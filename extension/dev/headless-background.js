@@ -0,0 +1,141 @@
+/**
+ * Headless service worker για Node: φορτώνει το background.js (και ό,τι κάνει importScripts)
+ * σε ξεχωριστό vm context με in-memory chrome.* και τρέχει το ίδιο performAIAnalysis με το scan.
+ *
+ * Δεν υπάρχουν σελίδες: κάθε executeScript αποτυγχάνει, άρα όλα τα AI stages (LanguageModel,
+ * Summarizer, embeddings) πέφτουν στα fallbacks τους όπως σε Chrome χωρίς built-in AI.
+ * Τα snapshots (semanticFeatures, embeddings) ενός πραγματικού scan χρησιμοποιούνται όπως είναι.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+
+function createStorageArea() {
+    const data = {};
+    return {
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return JSON.parse(JSON.stringify(data));
+            }
+            const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+            const list = typeof keys === 'string' ? [keys] : (Array.isArray(keys) ? keys : Object.keys(keys));
+            const result = {};
+            list.forEach(key => {
+                if (key in data) {
+                    result[key] = JSON.parse(JSON.stringify(data[key]));
+                } else if (key in defaults) {
+                    result[key] = defaults[key];
+                }
+            });
+            return result;
+        },
+        async set(items) {
+            Object.assign(data, JSON.parse(JSON.stringify(items || {})));
+        },
+        async remove(keys) {
+            [].concat(keys).forEach(key => delete data[key]);
+        },
+        async clear() {
+            Object.keys(data).forEach(key => delete data[key]);
+        },
+        onChanged: { addListener() {} }
+    };
+}
+
+/**
+ * chrome.* χωρίς browser: storage στη μνήμη, κανένα tab, και no-op για events/UI APIs
+ */
+function createHeadlessChrome() {
+    const noop = new Proxy(function () {}, {
+        get: (target, key) => (key === 'then' ? undefined : noop),
+        apply: () => Promise.resolve(undefined)
+    });
+    const withFallback = api => new Proxy(api, { get: (target, key) => (key in target ? target[key] : noop) });
+    return withFallback({
+        storage: withFallback({
+            local: createStorageArea(),
+            sync: createStorageArea(),
+            session: createStorageArea()
+        }),
+        tabs: withFallback({ query: async () => [] }),
+        tabGroups: withFallback({ query: async () => [] }),
+        scripting: withFallback({
+            executeScript: async () => {
+                throw new Error('No page context in headless runs');
+            }
+        })
+    });
+}
+
+/**
+ * Νέο context ανά κλήση, ώστε timers ενός run (deferred labels, enrichment) να μην αγγίζουν το επόμενο.
+ * log: function για τα console.* του service worker (default: σιωπή)
+ */
+function loadHeadlessBackground({ log = null } = {}) {
+    const write = typeof log === 'function' ? log : () => {};
+    const unref = timer => {
+        timer?.unref?.();
+        return timer;
+    };
+    const context = {
+        console: { log: write, info: write, debug: write, warn: write, error: write },
+        chrome: createHeadlessChrome(),
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        AbortController,
+        performance,
+        structuredClone,
+        crypto: globalThis.crypto,
+        navigator: { language: 'en' },
+        setTimeout: (fn, ms, ...args) => unref(setTimeout(fn, ms, ...args)),
+        clearTimeout,
+        setInterval: (fn, ms, ...args) => unref(setInterval(fn, ms, ...args)),
+        clearInterval
+    };
+    context.self = context;
+    context.globalThis = context;
+    context.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+    });
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+    return context;
+}
+
+/**
+ * Τα tabs όπως τα κρατάει το scan (id, index, domain) → performAIAnalysis → τα groups του αποτελέσματος.
+ * blocking: 'auto' όπως στο extension, ή true/false για να επιβληθεί σε όλα τα candidate indexes του run
+ */
+async function runProductionGrouping(tabs, { log = null, blocking = 'auto' } = {}) {
+    const context = loadHeadlessBackground({ log });
+    if (blocking !== 'auto') {
+        const { buildCandidateIndex, buildProvisionalCandidateIndex } = context;
+        context.buildCandidateIndex = (vectors, options = {}) => buildCandidateIndex(vectors, { ...options, blocking });
+        context.buildProvisionalCandidateIndex = (tabDataForAI, taxonomyMap, tokenMap, options = {}) =>
+            buildProvisionalCandidateIndex(tabDataForAI, taxonomyMap, tokenMap, { ...options, blocking });
+    }
+    const tabData = (tabs || []).map((tab, index) => {
+        let domain = tab.domain || '';
+        if (!domain) {
+            try {
+                domain = new URL(tab.url).hostname;
+            } catch (_) {}
+        }
+        return { ...tab, id: tab.id ?? index + 1, index, domain };
+    });
+    context.__headlessTabData = tabData;
+    vm.runInContext('currentTabData = __headlessTabData;', context);
+    await vm.runInContext('performAIAnalysis()', context);
+    const groups = vm.runInContext('aiGroups', context) || [];
+    return { groups, tabData, context };
+}
+
+module.exports = {
+    loadHeadlessBackground,
+    runProductionGrouping
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Headless golden evaluation του production grouping (performAIAnalysis χωρίς AI, βλ. headless-background.js).
+ *
+ * Usage:
+ *   node extension/dev/run-golden.js [scenario.json ...] [--snapshots <file|dir>] [--json] [--verbose]
+ *
+ * Χωρίς scenarios τρέχει όλα τα golden-tests/*.json.
+ * Snapshot = το `tabData` που αποθηκεύει το performAIAnalysis στο chrome.storage.local
+ * (ή σκέτο array από tab entries). Τα entries ταιριάζουν με τα scenario tabs βάσει URL.
+ * Τα πεδία του scenario tab (title, metaDescription, content...) υπερισχύουν του snapshot·
+ * το gold label δεν φτάνει ποτέ στο grouping.
+ * --verbose: τα logs του service worker στο stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scoreGoldenScenario } = require('../grouping-core.js');
+const { runProductionGrouping } = require('./headless-background.js');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden-tests');
+
+function parseArgs(argv) {
+    const options = { scenarios: [], snapshots: [], json: false, verbose: false };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '--snapshots') {
+            const value = argv[i + 1];
+            if (!value) {
+                throw new Error('--snapshots expects a file or directory');
+            }
+            options.snapshots.push(value);
+            i += 1;
+        } else {
+            options.scenarios.push(arg);
+        }
+    }
+    return options;
+}
+
+function listJsonFiles(target) {
+    const stat = fs.statSync(target);
+    if (!stat.isDirectory()) {
+        return [target];
+    }
+    return fs.readdirSync(target)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name));
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read ${file}: ${error.message}`);
+    }
+}
+
+function loadSnapshots(targets) {
+    const byUrl = new Map();
+    targets.flatMap(listJsonFiles).forEach(file => {
+        const payload = readJson(file);
+        const entries = Array.isArray(payload)
+            ? payload
+            : (payload?.tabData || payload?.tabs || []);
+        entries.forEach(entry => {
+            if (entry?.url) {
+                byUrl.set(entry.url, entry);
+            }
+        });
+    });
+    return byUrl;
+}
+
+async function evaluateScenario(scenario, snapshots, { log = null } = {}) {
+    const tabs = (scenario.tabs || []).filter(tab => tab && tab.url);
+    const { groups, tabData } = await runProductionGrouping(tabs.map(({ gold, ...fields }) => ({
+        ...(snapshots.get(fields.url) || {}),
+        ...fields
+    })), { log });
+    const result = scoreGoldenScenario(scenario, groups, tabData);
+    result.snapshotCoverage = tabs.filter(tab => snapshots.has(tab.url)).length;
+    result.groups = groups.map(group => ({
+        name: group.name,
+        urls: group.tabIndices.map(idx => tabData[idx]?.url).filter(Boolean)
+    }));
+    return result;
+}
+
+function formatResult(result) {
+    const fmt = value => Number(value || 0).toFixed(3);
+    const { pairwise, bcubed } = result;
+    const lines = [
+        `📊 ${result.scenarioName} (${result.tabCount} tabs, ${result.snapshotCoverage} with snapshots)`,
+        `   pairwise   P=${fmt(pairwise.precision)} R=${fmt(pairwise.recall)} F1=${fmt(pairwise.f1)} (TP ${pairwise.TP} / FP ${pairwise.FP} / FN ${pairwise.FN})`,
+        `   b-cubed    P=${fmt(bcubed.precision)} R=${fmt(bcubed.recall)} F1=${fmt(bcubed.f1)}`,
+        `   over-merge ${fmt(result.overMergeRate)} | under-cluster ${fmt(result.underClusterRate)}`,
+        '   purity:'
+    ];
+    result.purityByCluster.forEach(cluster => {
+        lines.push(`     - ${cluster.groupId}: size ${cluster.size}, purity ${fmt(cluster.purity)} (${cluster.majorityLabel})`);
+    });
+    if (result.missingPredictions.length) {
+        lines.push(`   missing predictions: ${result.missingPredictions.length}`);
+    }
+    return lines.join('\n');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const scenarioFiles = (options.scenarios.length ? options.scenarios : [GOLDEN_DIR]).flatMap(listJsonFiles);
+    const snapshots = loadSnapshots(options.snapshots);
+
+    // Τα logs του service worker πάνε στο stderr ώστε το stdout να μένει καθαρό (π.χ. για --json)
+    const log = options.verbose ? (...args) => console.error(...args) : null;
+
+    const results = [];
+    for (const file of scenarioFiles) {
+        results.push(await evaluateScenario(readJson(file), snapshots, { log }));
+    }
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+        return;
+    }
+    results.forEach(result => process.stdout.write(`${formatResult(result)}\n\n`));
+    const mean = key => results.reduce((sum, result) => sum + result[key].f1, 0) / (results.length || 1);
+    process.stdout.write(`Mean pairwise F1 ${mean('pairwise').toFixed(3)} | mean B-cubed F1 ${mean('bcubed').toFixed(3)} over ${results.length} scenario(s)\n`);
+}
+
+main().catch(error => {
+    console.error('❌ Golden evaluation failed:', error?.message || error);
+    process.exitCode = 1;
+});
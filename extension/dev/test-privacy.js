@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Unit tests για το redaction του privacy.js (node:test, χωρίς dependencies).
+ *
+ * Usage:
+ *   node --test extension/dev/test-privacy.js   (ή npm test)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    redactSensitiveText,
+    redactUrlForPrompt,
+    serializeRedactionRules,
+    passesLuhnCheck
+} = require('../privacy.js');
+
+test('passesLuhnCheck accepts valid card numbers with or without separators', () => {
+    assert.equal(passesLuhnCheck('4111111111111111'), true);
+    assert.equal(passesLuhnCheck('4111 1111 1111 1111'), true);
+    assert.equal(passesLuhnCheck('5500-0000-0000-0004'), true);
+});
+
+test('passesLuhnCheck rejects bad checksums, ISBN-13 and empty input', () => {
+    assert.equal(passesLuhnCheck('4111111111111112'), false);
+    assert.equal(passesLuhnCheck('9780306406157'), false);
+    assert.equal(passesLuhnCheck(''), false);
+    assert.equal(passesLuhnCheck(null), false);
+});
+
+test('redactSensitiveText masks emails, IBANs, UUIDs and SSNs', () => {
+    assert.equal(redactSensitiveText('Mail john.doe@example.com today'), 'Mail [email] today');
+    assert.equal(redactSensitiveText('IBAN GR16 0110 1250 0000 0001 2300 695'), 'IBAN [iban]');
+    assert.equal(redactSensitiveText('ref 123e4567-e89b-12d3-a456-426614174000'), 'ref [id]');
+    assert.equal(redactSensitiveText('SSN 078-05-1120'), 'SSN [id]');
+});
+
+test('redactSensitiveText masks only Luhn-valid card numbers', () => {
+    assert.equal(redactSensitiveText('card 4111 1111 1111 1111 exp'), 'card [card] exp');
+    assert.equal(redactSensitiveText('card 4111 1111 1111 1112 exp'), 'card 4111 1111 1111 1112 exp');
+    assert.equal(redactSensitiveText('ISBN 9780306406157'), 'ISBN 9780306406157');
+});
+
+test('redactSensitiveText masks international and formatted phone numbers', () => {
+    assert.equal(redactSensitiveText('Call +30 691 234 5678'), 'Call [phone]');
+    assert.equal(redactSensitiveText('Call (210) 123-4567'), 'Call [phone]');
+    assert.equal(redactSensitiveText('Call 555.123.4567'), 'Call [phone]');
+});
+
+test('redactSensitiveText masks bare Greek mobile and landline numbers', () => {
+    assert.equal(redactSensitiveText('Κινητό 6912345678 μόνο απόγευμα'), 'Κινητό [phone] μόνο απόγευμα');
+    assert.equal(redactSensitiveText('call 6912345678'), 'call [phone]');
+    assert.equal(redactSensitiveText('office 2101234567'), 'office [phone]');
+});
+
+test('redactSensitiveText masks numbers after a phone label', () => {
+    assert.equal(redactSensitiveText('τηλ. 210 123 4567'), 'τηλ. [phone]');
+    assert.equal(redactSensitiveText('Τηλέφωνο: 2310-123456'), 'Τηλέφωνο: [phone]');
+    assert.equal(redactSensitiveText('Tel: 12345678'), 'Tel: [phone]');
+    assert.equal(redactSensitiveText('mobile 07700 900123'), 'mobile [phone]');
+});
+
+test('redactSensitiveText masks labelled account numbers', () => {
+    assert.equal(redactSensitiveText('Order #1234567'), 'Order #[id]');
+    assert.equal(redactSensitiveText('ΑΦΜ: 123456789'), 'ΑΦΜ: [id]');
+});
+
+test('redactSensitiveText leaves versions, dates, years and short numbers alone', () => {
+    [
+        'Chrome 120.0.6099.109 released',
+        'Meeting on 2024-03-15 at 10:30',
+        'Top 10 tips for 2025',
+        'Build 12345 is green',
+        'Issue 4521 closed'
+    ].forEach(text => assert.equal(redactSensitiveText(text), text));
+});
+
+test('redactSensitiveText returns an empty string for empty or non-string input', () => {
+    assert.equal(redactSensitiveText(''), '');
+    assert.equal(redactSensitiveText(null), '');
+    assert.equal(redactSensitiveText(undefined), '');
+});
+
+test('redactUrlForPrompt masks sensitive query params and drops the hash', () => {
+    assert.equal(
+        redactUrlForPrompt('https://example.com/reset?token=abc123&lang=el#step2'),
+        'https://example.com/reset?token=redacted&lang=el'
+    );
+    assert.equal(redactUrlForPrompt('https://example.com/u/john@example.com'), 'https://example.com/u/[email]');
+});
+
+test('serialized rules redact the same way as redactSensitiveText (in-page scripts)', () => {
+    const rules = serializeRedactionRules().map(rule => ({ ...rule, pattern: new RegExp(rule.source, rule.flags) }));
+    const redact = text => rules.reduce((value, rule) => value.replace(rule.pattern, match => (
+        rule.check === 'luhn' && !passesLuhnCheck(match) ? match : rule.label
+    )), text);
+    const sample = 'john@example.com, τηλ. 6912345678, card 4111111111111111, Order #1234567, Chrome 120.0.6099.109';
+    assert.equal(redact(sample), redactSensitiveText(sample));
+});
@@ -0,0 +1,321 @@
+/**
+ * AI Tab Companion - Export formats
+ *
+ * Μετατρέπει τα groups ενός scan σε JSON, Markdown, standalone HTML, CSV και Netscape bookmark HTML.
+ * Pure functions χωρίς DOM: το service worker (importScripts) κατεβάζει το αποτέλεσμα μέσω chrome.downloads.
+ * Το JSON (format ai-tab-companion-export) είναι και το format που ξαναδιαβάζει το import, μαζί με
+ * λίστες URLs και OneTab text ("url | title", κενή γραμμή ανάμεσα στα groups).
+ * Φορτώνεται επίσης από το import.html (preview πριν το άνοιγμα).
+ */
+
+const EXPORT_FORMAT_ID = 'ai-tab-companion-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    html: { label: 'HTML page', extension: 'html', mimeType: 'text/html' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    bookmarks: { label: 'Bookmarks (Netscape HTML)', extension: 'html', mimeType: 'text/html' }
+};
+
+function pluralizeExport(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function exportDomainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (_) {
+        return '';
+    }
+}
+
+/**
+ * Ενιαίο export document από τα groups (tabIndices πάνω στο tabData) ή από έτοιμες λίστες tabs
+ */
+function buildExportDocument(groups, tabData, { exportedAt = new Date() } = {}) {
+    const exportGroups = (Array.isArray(groups) ? groups : []).map(group => {
+        const tabs = Array.isArray(group.tabs)
+            ? group.tabs
+            : (group.tabIndices || []).map(index => tabData?.[index]).filter(Boolean);
+        return {
+            name: String(group.name || 'Untitled group'),
+            color: group.color || '',
+            summary: Array.isArray(group.summary) ? group.summary.filter(point => typeof point === 'string') : [],
+            keywords: Array.isArray(group.keywords) ? group.keywords.slice(0, 12) : [],
+            report: group.synthesis || group.report || null,
+            tabs: tabs
+                .filter(tab => tab && tab.url)
+                .map(tab => ({
+                    title: tab.title || tab.url,
+                    url: tab.url,
+                    domain: tab.domain || exportDomainOf(tab.url),
+                    favicon: tab.favicon || tab.favIconUrl || ''
+                }))
+        };
+    }).filter(group => group.tabs.length);
+    return {
+        format: EXPORT_FORMAT_ID,
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        totalTabs: exportGroups.reduce((sum, group) => sum + group.tabs.length, 0),
+        groups: exportGroups
+    };
+}
+
+function escapeExportHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdownText(text) {
+    return String(text ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s+/g, ' ').trim();
+}
+
+function escapeMarkdownUrl(url) {
+    return String(url ?? '').replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+// Τιμές που ξεκινούν με =, +, -, @ ανοίγουν ως formula στα spreadsheets
+function escapeCsvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExportJson(doc) {
+    return JSON.stringify(doc, null, 2);
+}
+
+function formatExportMarkdown(doc) {
+    const lines = [`# Tab groups · ${doc.exportedAt.slice(0, 10)}`, '', `${pluralizeExport(doc.totalTabs, 'tab')} in ${pluralizeExport(doc.groups.length, 'group')}.`];
+    doc.groups.forEach(group => {
+        lines.push('', `## ${escapeMarkdownText(group.name)}`, '');
+        if (group.summary.length) {
+            group.summary.forEach(point => lines.push(`> ${escapeMarkdownText(point)}`));
+            lines.push('');
+        }
+        if (group.report?.summary) {
+            lines.push(`**Report:** ${escapeMarkdownText(group.report.summary)}`, '');
+        }
+        group.tabs.forEach(tab => lines.push(`- [${escapeMarkdownText(tab.title)}](${escapeMarkdownUrl(tab.url)})`));
+        if (group.keywords.length) {
+            lines.push('', `*Keywords:* ${group.keywords.map(escapeMarkdownText).join(', ')}`);
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+function formatExportHtml(doc) {
+    const sections = doc.groups.map(group => {
+        const summary = group.summary.length
+            ? `<ul class="summary">${group.summary.map(point => `<li>${escapeExportHtml(point)}</li>`).join('')}</ul>`
+            : '';
+        const report = group.report?.summary ? `<p class="report">${escapeExportHtml(group.report.summary)}</p>` : '';
+        const tabs = group.tabs
+            .map(tab => `<li><a href="${escapeExportHtml(tab.url)}">${escapeExportHtml(tab.title)}</a> <span class="domain">${escapeExportHtml(tab.domain)}</span></li>`)
+            .join('\n');
+        return `<section>
+<h2>${escapeExportHtml(group.name)} <span class="count">${group.tabs.length}</span></h2>
+${summary}${report}
+<ol class="tabs">
+${tabs}
+</ol>
+</section>`;
+    }).join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Tab groups · ${escapeExportHtml(doc.exportedAt.slice(0, 10))}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 32px auto; padding: 0 16px; color: #202124; }
+h2 { border-bottom: 1px solid #e8eaed; padding-bottom: 4px; }
+.count, .domain { color: #80868b; font-size: 0.8em; font-weight: normal; }
+.summary { color: #3c4043; }
+.report { background: #f8f9fa; border-left: 3px solid #4285f4; padding: 8px 12px; }
+a { color: #1a73e8; text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>Tab groups</h1>
+<p>${pluralizeExport(doc.totalTabs, 'tab')} in ${pluralizeExport(doc.groups.length, 'group')} · exported ${escapeExportHtml(new Date(doc.exportedAt).toLocaleString())}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+function formatExportCsv(doc) {
+    const rows = [['Group', 'Title', 'URL', 'Domain', 'Group summary']];
+    doc.groups.forEach(group => {
+        const summary = group.summary.join(' ');
+        group.tabs.forEach(tab => rows.push([group.name, tab.title, tab.url, tab.domain, summary]));
+    });
+    return `${rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Netscape bookmark file: ένας φάκελος ανά group μέσα σε φάκελο του export (import σε κάθε browser)
+ */
+function formatExportBookmarks(doc) {
+    const addDate = Math.floor(new Date(doc.exportedAt).getTime() / 1000);
+    const folders = doc.groups.map(group => {
+        const links = group.tabs
+            .map(tab => `            <DT><A HREF="${escapeExportHtml(tab.url)}" ADD_DATE="${addDate}">${escapeExportHtml(tab.title)}</A>`)
+            .join('\n');
+        return `        <DT><H3 ADD_DATE="${addDate}">${escapeExportHtml(group.name)}</H3>
+        <DL><p>
+${links}
+        </DL><p>`;
+    }).join('\n');
+    return `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="${addDate}">AI Tab Companion · ${escapeExportHtml(doc.exportedAt.slice(0, 10))}</H3>
+    <DL><p>
+${folders}
+    </DL><p>
+</DL><p>
+`;
+}
+
+// ---- Import ----
+const IMPORT_MAX_TABS = 500;
+
+function normalizeImportUrl(value) {
+    try {
+        const url = new URL(String(value || '').trim());
+        return /^https?:$/.test(url.protocol) ? url.toString() : '';
+    } catch (_) {
+        return '';
+    }
+}
+
+/**
+ * Validation των groups ενός import (και στη σελίδα και στο service worker).
+ * Επιστρέφει { groups, errors }: μόνο http(s) URLs, έως IMPORT_MAX_TABS tabs συνολικά
+ */
+function normalizeImportedGroups(rawGroups) {
+    const errors = [];
+    const groups = [];
+    let total = 0;
+    let truncated = false;
+    (Array.isArray(rawGroups) ? rawGroups : []).forEach((group, index) => {
+        const name = String(group?.name || '').trim().slice(0, 120) || `Imported group ${index + 1}`;
+        const tabs = [];
+        (Array.isArray(group?.tabs) ? group.tabs : []).forEach(tab => {
+            const url = normalizeImportUrl(tab?.url);
+            if (!url) {
+                errors.push(`${name}: "${String(tab?.url || '').slice(0, 80)}" is not an http(s) URL`);
+                return;
+            }
+            if (total >= IMPORT_MAX_TABS) {
+                truncated = true;
+                return;
+            }
+            total += 1;
+            tabs.push({ url, title: String(tab?.title || '').trim().slice(0, 300) || url });
+        });
+        if (tabs.length) {
+            groups.push({ name, color: typeof group?.color === 'string' ? group.color : '', tabs });
+        }
+    });
+    if (truncated) {
+        errors.push(`Only the first ${IMPORT_MAX_TABS} tabs are imported`);
+    }
+    return { groups, errors };
+}
+
+/**
+ * Αναγνωρίζει το format (JSON export, OneTab, λίστα URLs) και επιστρέφει { format, groups, errors }
+ */
+function parseImportText(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '').trim();
+    if (!source) {
+        return { format: '', groups: [], errors: ['Nothing to import'] };
+    }
+    if (/^[[{]/.test(source)) {
+        let data;
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            return { format: 'json', groups: [], errors: [`Invalid JSON: ${error.message}`] };
+        }
+        if (data?.format !== EXPORT_FORMAT_ID || !Array.isArray(data.groups)) {
+            return { format: 'json', groups: [], errors: [`Not an AI Tab Companion export (expected format "${EXPORT_FORMAT_ID}")`] };
+        }
+        const warnings = Number(data.version) > EXPORT_FORMAT_VERSION
+            ? [`Exported by a newer version (v${data.version}); unknown fields are ignored`]
+            : [];
+        const result = normalizeImportedGroups(data.groups);
+        return { format: 'json', groups: result.groups, errors: [...warnings, ...result.errors] };
+    }
+
+    let onetab = false;
+    const rawGroups = source.split(/\r?\n\s*\r?\n/).map((block, index) => ({
+        name: `Imported group ${index + 1}`,
+        tabs: block.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const separator = line.indexOf(' | ');
+                if (separator > 0) {
+                    onetab = true;
+                    return { url: line.slice(0, separator), title: line.slice(separator + 3) };
+                }
+                return { url: line, title: '' };
+            })
+    }));
+    return { format: onetab ? 'onetab' : 'urls', ...normalizeImportedGroups(rawGroups) };
+}
+
+const EXPORT_FORMATTERS = {
+    json: formatExportJson,
+    markdown: formatExportMarkdown,
+    html: formatExportHtml,
+    csv: formatExportCsv,
+    bookmarks: formatExportBookmarks
+};
+
+/**
+ * { content, mimeType, filename } για ένα format του EXPORT_FORMATS
+ */
+function renderExport(doc, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    const suffix = format === 'bookmarks' ? '-bookmarks' : '';
+    return {
+        content: EXPORT_FORMATTERS[format](doc),
+        mimeType: spec.mimeType,
+        filename: `ai-tab-companion-${doc.exportedAt.slice(0, 10)}${suffix}.${spec.extension}`
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_FORMAT_ID,
+        EXPORT_FORMAT_VERSION,
+        EXPORT_FORMATS,
+        buildExportDocument,
+        renderExport,
+        escapeExportHtml,
+        IMPORT_MAX_TABS,
+        normalizeImportedGroups,
+        parseImportText
+    };
+}
@@ -0,0 +1,191 @@
+/**
+ * AI Tab Companion - Fake AI Provider
+ *
+ * Ντετερμινιστικό stand-in για LanguageModel / Summarizer / EmbeddingModel.
+ * Οι απαντήσεις είναι scripted ή recorded και αντιστοιχίζονται με hash του prompt,
+ * ώστε όλο το hybrid pipeline (μαζί με τα timeout/fallback paths) να ξαναπαίζεται
+ * χωρίς Gemini Nano.
+ *
+ * Config (chrome.storage.local → fakeAIProvider, ή message SET_FAKE_AI_PROVIDER):
+ * {
+ *   enabled: true,
+ *   mode: 'replay' | 'record',        // record: περνάει στο πραγματικό API και καταγράφει τις απαντήσεις
+ *   latencyMs: 0,                     // default καθυστέρηση ανά κλήση
+ *   availability: 'available',        // ή { languageModel, summarizer, embeddingModel }
+ *   defaultResponse: null,            // απάντηση για prompts χωρίς script (αλλιώς error → fallback path)
+ *   responses: {
+ *     '<hash>': '{"same":true}',                          // σκέτη απάντηση
+ *     '<hash>': { response: '...', delayMs: 30000 },      // timeout path
+ *     '<hash>': { error: 'session destroyed', failTimes: 1, response: '...' } // recoverable retry
+ *   }
+ * }
+ *
+ * Τα hashes βγαίνουν από GET_FAKE_AI_RECORDINGS (recordings + misses ανά prompt).
+ */
+
+const FAKE_AI_STORAGE_KEY = 'fakeAIProvider';
+
+/**
+ * Κανονικοποιεί το stored config· επιστρέφει null όταν ο fake provider είναι ανενεργός
+ */
+function normalizeFakeAIConfig(raw) {
+    if (!raw || typeof raw !== 'object' || raw.enabled !== true) {
+        return null;
+    }
+    return {
+        enabled: true,
+        mode: raw.mode === 'record' ? 'record' : 'replay',
+        latencyMs: Math.max(0, Number(raw.latencyMs) || 0),
+        availability: raw.availability || 'available',
+        defaultResponse: typeof raw.defaultResponse === 'string' ? raw.defaultResponse : null,
+        responses: raw.responses && typeof raw.responses === 'object' ? raw.responses : {}
+    };
+}
+
+/**
+ * Εκτελείται στο world του target (MAIN ή content script) και εγκαθιστά το scope.__aitabFakeAI.
+ * Πρέπει να μένει self-contained γιατί γίνεται serialize από το chrome.scripting.executeScript.
+ * Με config = null απεγκαθίσταται.
+ */
+function installFakeAIProviderInPage(config) {
+    const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+    const resetSessions = () => {
+        scope.__aitabLanguageSessionPromise = null;
+        scope.__aitabSummarizerPromise = null;
+        scope.__aitabEmbeddingSessionPromise = null;
+    };
+
+    if (!config) {
+        if (scope.__aitabFakeAI) {
+            delete scope.__aitabFakeAI;
+            resetSessions();
+        }
+        return { ok: true, installed: false };
+    }
+
+    const fingerprint = JSON.stringify(config);
+    if (scope.__aitabFakeAI && scope.__aitabFakeAI.fingerprint === fingerprint) {
+        return { ok: true, installed: true, reused: true };
+    }
+
+    // Real APIs (πριν την εγκατάσταση) για record mode
+    const realApis = {
+        prompt: scope.LanguageModel || scope.ai?.languageModel || scope.aiOriginTrial?.languageModel || null,
+        summarize: scope.Summarizer || scope.ai?.summarizer || scope.ai?.Summarizer || scope.aiOriginTrial?.summarizer || null,
+        embed: scope.EmbeddingModel || scope.ai?.embeddingModel || scope.aiOriginTrial?.embeddingModel || null
+    };
+    const responses = config.responses || {};
+    const recordings = scope.__aitabFakeAIRecordings = scope.__aitabFakeAIRecordings || {};
+    const misses = scope.__aitabFakeAIMisses = scope.__aitabFakeAIMisses || {};
+    const callCounts = new Map();
+
+    // FNV-1a (32-bit) πάνω σε kind + ακριβές input· ίδιο key σε replay και record
+    const keyFor = (kind, input) => {
+        const text = `${kind}:${typeof input === 'string' ? input : JSON.stringify(input ?? '')}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i += 1) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    };
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const availabilityOf = (apiName) => {
+        const value = config.availability;
+        if (typeof value === 'string') return value;
+        return (value && value[apiName]) || 'available';
+    };
+
+    async function respond(kind, input, realCall) {
+        const key = keyFor(kind, input);
+        const count = (callCounts.get(key) || 0) + 1;
+        callCounts.set(key, count);
+
+        if (config.mode === 'record' && realCall) {
+            const result = await realCall();
+            recordings[key] = result;
+            return result;
+        }
+
+        const scripted = Object.prototype.hasOwnProperty.call(responses, key) ? responses[key] : undefined;
+        const entry = typeof scripted === 'string' || Array.isArray(scripted) ? { response: scripted } : (scripted || null);
+        const waitMs = typeof entry?.delayMs === 'number' ? entry.delayMs : config.latencyMs;
+        if (waitMs > 0) {
+            await delay(waitMs);
+        }
+        if (entry?.error && (!entry.failTimes || count <= entry.failTimes)) {
+            throw new Error(String(entry.error));
+        }
+        if (entry && typeof entry.response !== 'undefined') {
+            return entry.response;
+        }
+        misses[key] = { kind, preview: String(typeof input === 'string' ? input : JSON.stringify(input)).slice(0, 200) };
+        if (kind === 'prompt' && config.defaultResponse !== null) {
+            return config.defaultResponse;
+        }
+        throw new Error(`Fake AI: no scripted ${kind} response for ${key}`);
+    }
+
+    function createApi(apiName, kind, method) {
+        return {
+            async availability() {
+                return availabilityOf(apiName);
+            },
+            async capabilities() {
+                const status = availabilityOf(apiName);
+                return { available: status === 'available' ? 'readily' : (status === 'unavailable' ? 'no' : 'after-download') };
+            },
+            async create(options) {
+                if (availabilityOf(apiName) === 'unavailable') {
+                    throw new Error(`Fake AI: ${apiName} unavailable`);
+                }
+                const real = config.mode === 'record' && realApis[kind]
+                    ? await realApis[kind].create(options)
+                    : null;
+                const session = {
+                    async [method](input) {
+                        const realCall = real ? () => real[method](input) : null;
+                        return respond(kind, input, realCall);
+                    },
+                    async clone() {
+                        return session;
+                    },
+                    destroy() {
+                        try { real?.destroy?.(); } catch (_) {}
+                    }
+                };
+                return session;
+            }
+        };
+    }
+
+    scope.__aitabFakeAI = {
+        fingerprint,
+        keyFor,
+        languageModel: createApi('languageModel', 'prompt', 'prompt'),
+        summarizer: createApi('summarizer', 'summarize', 'summarize'),
+        embeddingModel: createApi('embeddingModel', 'embed', 'embed')
+    };
+    resetSessions();
+    return { ok: true, installed: true };
+}
+
+/**
+ * Εκτελείται στο ίδιο world με τον fake provider: επιστρέφει recordings και prompts χωρίς script
+ */
+function collectFakeAIRecordingsInPage() {
+    const scope = typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : globalThis);
+    return {
+        responses: { ...(scope.__aitabFakeAIRecordings || {}) },
+        misses: { ...(scope.__aitabFakeAIMisses || {}) }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FAKE_AI_STORAGE_KEY,
+        normalizeFakeAIConfig,
+        installFakeAIProviderInPage,
+        collectFakeAIRecordingsInPage
+    };
+}
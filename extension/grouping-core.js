@@ -0,0 +1,2583 @@
+/**
+ * AI Tab Companion - Grouping Core
+ *
+ * Ο ντετερμινιστικός πυρήνας του grouping pipeline, χωρίς εξαρτήσεις από Chrome APIs:
+ * - Tab features (TF-IDF, SimHash, taxonomy tags) μέσω prepareTabFeatureContext
+ * - Union-find clustering και merge passes
+ * - Golden evaluation metrics (pairwise, B-cubed, purity)
+ *
+ * Φορτώνεται στο service worker με importScripts() και σε Node με require()
+ * (βλ. dev/run-golden.js), ώστε οι αλλαγές στο grouping να μετριούνται εκτός Chrome.
+ */
+
+// ---- Grouping thresholds ----
+// Τα τρία let ρυθμίζονται από το options page μέσω configureGroupingThresholds()
+const DEFAULT_GROUPING_THRESHOLDS = Object.freeze({
+    joinThreshold: 0.42,  // Reduced for better medical/AI grouping
+    splitThreshold: 0.35, // Reduced for better medical/AI grouping
+    mergeThreshold: 0.40  // Reduced for better medical/AI grouping
+});
+let SIMILARITY_JOIN_THRESHOLD = DEFAULT_GROUPING_THRESHOLDS.joinThreshold;
+let SIMILARITY_SPLIT_THRESHOLD = DEFAULT_GROUPING_THRESHOLDS.splitThreshold;
+let CROSS_GROUP_MERGE_THRESHOLD = DEFAULT_GROUPING_THRESHOLDS.mergeThreshold;
+const CROSS_GROUP_KEYWORD_OVERLAP = 0.25;  // Reduced for better grouping
+const CROSS_GROUP_TOPIC_OVERLAP = 0.30;    // Reduced for better grouping
+const CROSS_GROUP_TAXONOMY_OVERLAP = 0.35; // Reduced for better grouping
+const SMALL_GROUP_MAX_SIZE = 3;
+const GROUP_NAME_SIMILARITY_THRESHOLD = 0.62;
+const GROUP_NAME_VECTOR_THRESHOLD = 0.5;
+const GENERIC_MERGE_STOPWORDS = new Set([
+    'research',
+    'news',
+    'blog',
+    'updates',
+    'topics',
+    'portal',
+    'general',
+    'overview'
+]);
+const TFIDF_TOKEN_LIMIT = 24;
+const SIMHASH_BITS = 32;
+
+/**
+ * Εφαρμόζει τα thresholds του options page· τιμές που λείπουν ή δεν είναι αριθμοί αγνοούνται
+ */
+function configureGroupingThresholds({ joinThreshold, splitThreshold, mergeThreshold } = {}) {
+    if (Number.isFinite(joinThreshold)) SIMILARITY_JOIN_THRESHOLD = joinThreshold;
+    if (Number.isFinite(splitThreshold)) SIMILARITY_SPLIT_THRESHOLD = splitThreshold;
+    if (Number.isFinite(mergeThreshold)) CROSS_GROUP_MERGE_THRESHOLD = mergeThreshold;
+    return getGroupingThresholds();
+}
+
+/**
+ * Οι τρέχουσες τιμές (σε Node το module.exports δεν βλέπει τις αλλαγές των let)
+ */
+function getGroupingThresholds() {
+    return {
+        joinThreshold: SIMILARITY_JOIN_THRESHOLD,
+        splitThreshold: SIMILARITY_SPLIT_THRESHOLD,
+        mergeThreshold: CROSS_GROUP_MERGE_THRESHOLD
+    };
+}
+
+const TAXONOMY_RULES = [
+    { match: /youtube\.com|youtu\.be/i, tags: ['media', 'video', 'youtube'] },
+    { match: /news|cnn|bbc|reuters|guardian/i, tags: ['news', 'media'] },
+    { match: /wikipedia\.org/i, tags: ['reference', 'encyclopedia'] },
+    { match: /github\.com/i, tags: ['software', 'development', 'github'] },
+    { match: /stackoverflow\.com/i, tags: ['software', 'programming', 'questions'] },
+    // Generalize gaming taxonomy; avoid brand-specific tags
+    { match: /futbin\.com|fut\.gg|ea\.com\/fc|fifa/i, tags: ['gaming'] },
+    { match: /nature\.com/i, tags: ['medical research', 'science', 'journal'] },
+    { match: /nejm\.org/i, tags: ['medical research', 'clinical medicine', 'journal'] },
+    { match: /pubmed\.ncbi\.nlm\.nih\.gov|nih\.gov|medscape/i, tags: ['medical research', 'healthcare'] },
+    { match: /chrome\.developers|developer\.chrome\.com|chromium\.org/i, tags: ['software', 'chrome', 'web platform'] },
+    { match: /gmail\.com|mail\.google\.com|outlook\.com/i, tags: ['email', 'communications'] },
+    { match: /amazon\.|ebay\.|shop|store/i, tags: ['commerce', 'shopping'] },
+    { match: /docs\.google\.com|notion\.so|drive\.google\.com/i, tags: ['productivity', 'documents'] }
+];
+
+// ---- Generalization toggles ----
+// When true, prefer embedding-first similarity for grouping and use TF-IDF only as fallback
+const GENERAL_GROUPING_MODE = true;
+
+// ---- Candidate blocking ----
+// Πάνω από ~100 tabs το all-pairs scoring γίνεται το bottleneck· βαθμολογούνται μόνο τα pairs
+// που μοιράζονται token (inverted index), SimHash band ή embedding LSH bucket
+const CANDIDATE_BLOCKING_MIN_TABS = 120;      // Κάτω από αυτό all-pairs (φθηνό και ακριβές)
+const CANDIDATE_MAX_BUCKET_RATIO = 0.08;      // Tokens/buckets σε >8% των tabs δεν παράγουν pairs
+const CANDIDATE_MIN_BUCKET_CAP = 40;
+const CANDIDATE_SIMHASH_BAND_BITS = 8;        // 4 bands × 8 bits πάνω στο 32-bit SimHash
+const CANDIDATE_EMBED_LSH_TABLES = 8;
+const CANDIDATE_EMBED_LSH_BITS = 6;
+
+// ---- Generic detectors (content-based, domain-agnostic) ----
+function detectShoppingStrong(text = '', url = '') {
+    try {
+        const s = `${String(text || '')} ${String(url || '')}`.toLowerCase();
+        const u = String(url || '').toLowerCase();
+        let host = '';
+        let path = '';
+        try { const uo = new URL(url); host = (uo.hostname || '').toLowerCase(); path = (uo.pathname || '').toLowerCase(); } catch {}
+
+        // Domain heuristics: common e-commerce hosts
+        const ECOMM_HOSTS = /(amazon\.|ebay\.|bestbuy\.|target\.|temu\.|aliexpress\.|shein\.|walmart\.|etsy\.|flipkart\.|skroutz\.|public\.gr|plaisio\.)/;
+        const onEcommHost = ECOMM_HOSTS.test(host);
+        const ecommPath = /(\/s\?|\/search(?![a-z])|\/search_result|\/sch\/|\/pdsearch\/|\/dp\/|\/gp\/|\/product|\/cart|\/checkout|\/c\/|\/category|\/browse|abcat\d|cid\d?)/.test(path)
+            || /[?&](_?nkw|k|q|query|search|search_term|searchterm|searchtype|search_type|search_source|keyword|keywords|searchTerm|searchTermRaw)=/i.test(u)
+            || (onEcommHost && /[?&][^=]*search[^=]*=/i.test(u));
+
+        const hasCart = /(add to cart|add-to-cart|\bcart\b|checkout|buy now|buy)/.test(s);
+        const hasFulfillment = /(free shipping|delivery|\bin stock\b|returns?)/.test(s);
+        const hasCurrency = /[\$€£]\s?\d/.test(s) || /(usd|eur|gbp)\s?\d/.test(s);
+        const hasPriceWord = /\bprice\b|\bprices\b/.test(s);
+        const hasDealWord = /(\bsale\b|\bdeals?\b|\bdiscount\b|\boffers?\b)/.test(s);
+        const hasListingControls = /\bfilters?\b|\bsort\b|\brefine\b|\bapply filter\b/.test(s);
+        const hasGreekCommerce = /(καλάθι|ταμείο|αγορά|προσφορά|έκπτωση|εκπτωση|τιμή)/.test(s);
+
+        // Strong signals
+        if (hasCart || hasFulfillment || hasCurrency || hasGreekCommerce) return true;
+        // Domain+path heuristic counts as shopping even if content string is sparse
+        if (onEcommHost && (ecommPath || hasDealWord || hasPriceWord || hasListingControls)) return true;
+        // If on e-comm host and title hints at product/category, consider shopping
+        if (onEcommHost && /(category|search|results|shop|store|sale|deals?)/.test(s)) return true;
+        // Otherwise require combination of price and listing controls
+        if (hasPriceWord && hasListingControls) return true;
+        return false;
+    } catch (_) {
+        return false;
+    }
+}
+
+const STOPWORDS = new Set([
+    // English common stopwords and function words
+    'the','and','with','from','that','this','have','has','will','would','could','should',
+    'about','into','onto','after','before','while','where','which','their','there','other',
+    'these','those','than','then','when','what','your','yours','ours','ourselves','hers',
+    'his','her','its','they','them','were','was','been','being','because','over','under',
+    'again','further','once','here','every','most','some','such','only','own','same','very',
+    'just','also','like','more','less','many','much','any','each','an','a','is','are','it','as',
+    'per','via','for','to','of','in','on','at','by','up','down','out','across','between','among','through',
+    // URL/tech noise
+    'http','https','www','com','net','org','html','amp','php','utm','ref','aspx','index',
+    // Generic site words
+    'home','main','default','article','video','watch','channel','official',
+    // Greek common stopwords
+    'και','για','στο','στη','στην','στον','των','του','της','τα','τις','ο','η','το','ένα','μια','ένας',
+    'σε','με','από','προς','κατά','χωρίς','ως','όπως','είναι'
+]);
+
+function extractMeaningfulKeywords(text) {
+    if (!text) {
+        return [];
+    }
+    try {
+        // Normalize text: lowercase, remove special chars, keep Greek and English
+        const normalizedText = text
+            .toLowerCase()
+            .replace(/[^a-z0-9\sα-ωάέίήύόώϊϋΐΰ]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        const words = normalizedText.split(/\s+/)
+            .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+        
+        // Enhanced keyword extraction with stemming-like approach
+        const enhancedWords = words.map(word => {
+            // Simple stemming for common patterns
+            if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+            if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+            if (word.endsWith('s') && word.length > 4) return word.slice(0, -1);
+            return word;
+        });
+        
+        const frequency = new Map();
+        for (const word of enhancedWords) {
+            frequency.set(word, (frequency.get(word) || 0) + 1);
+        }
+        
+        // Prioritize words that appear multiple times or are in short documents
+        const sortedWords = Array.from(frequency.entries())
+            .filter(([, count]) => count > 1 || words.length <= 30)
+            .sort((a, b) => {
+                // Sort by frequency first, then by length (longer words are more specific)
+                if (b[1] !== a[1]) return b[1] - a[1];
+                return b[0].length - a[0].length;
+            })
+            .slice(0, 8) // More keywords for better similarity detection
+            .map(([word]) => word);
+        
+        return sortedWords;
+    } catch (error) {
+        console.warn('Failed to extract keywords:', error);
+        return [];
+    }
+}
+
+function inferTaxonomyTags(entry) {
+    try {
+        const tags = new Set();
+        const domain = (entry.domain || entry.url || '').toLowerCase();
+        if (domain) {
+            TAXONOMY_RULES.forEach(rule => {
+                if (rule.match.test(domain)) {
+                    rule.tags.forEach(tag => tags.add(tag));
+                }
+            });
+        }
+        
+        // Tags από κανόνες χρήστη (grouping-rules.js)
+        if (Array.isArray(entry.ruleTags)) {
+            entry.ruleTags.forEach(tag => tags.add(tag));
+        }
+        
+        const topicHints = String(entry.topicHints || '').toLowerCase();
+        const title = String(entry.title || '').toLowerCase();
+        const combinedSignals = [
+            topicHints,
+            title,
+            Array.isArray(entry.metaKeywords) ? entry.metaKeywords.join(' ') : '',
+            Array.isArray(entry.semanticFeatures?.keywords) ? entry.semanticFeatures.keywords.join(' ') : '',
+            entry.semanticFeatures?.topic || ''
+        ].join(' ').toLowerCase();
+        
+        if (combinedSignals.includes('medical') || combinedSignals.includes('clinical')) {
+            tags.add('medical research');
+        }
+        if (combinedSignals.includes('research')) {
+            tags.add('research');
+        }
+        if (combinedSignals.includes('iphone') || combinedSignals.includes('apple')) {
+            tags.add('apple');
+            tags.add('technology');
+        }
+        if (combinedSignals.includes('chrome') || combinedSignals.includes('extension')) {
+            tags.add('chrome');
+            tags.add('browser');
+        }
+        if (combinedSignals.includes('fifa') || combinedSignals.includes('ultimate team') || combinedSignals.includes('fc 26')) {
+            // Avoid brand-specific taxonomy; keep it general
+            tags.add('gaming');
+        }
+        if (combinedSignals.includes('news')) {
+            tags.add('news');
+        }
+        if (combinedSignals.includes('finance') || combinedSignals.includes('market')) {
+            tags.add('finance');
+        }
+        if (entry.youtubeTopic) {
+            tags.add(`youtube:${String(entry.youtubeTopic).toLowerCase()}`);
+        }
+        if (entry.youtubeChannel) {
+            tags.add(`channel:${String(entry.youtubeChannel).toLowerCase()}`);
+        }
+        
+        return Array.from(tags);
+    } catch (error) {
+        console.warn('Failed to infer taxonomy tags:', error);
+        return [];
+    }
+}
+
+function generateTopicHints(tab) {
+    try {
+        const hints = new Set();
+        const title = (tab.title || '').toLowerCase();
+        const meta = (tab.metaDescription || '').toLowerCase();
+        const content = (tab.content || '').toLowerCase();
+        const combinedText = `${title} ${meta} ${content}`;
+        let domain = tab.domain;
+        if (!domain) {
+            try {
+                domain = tab.url ? new URL(tab.url).hostname : '';
+            } catch (error) {
+                domain = '';
+            }
+        }
+        const domainLower = (domain || '').toLowerCase();
+        const features = tab.semanticFeatures || {};
+        
+        if (features.primaryTopic) {
+            const topicLabel = titleCaseFromTokens(tokenizeText(features.primaryTopic)) || features.primaryTopic;
+            hints.add(`Primary topic: ${topicLabel}`);
+        }
+        if (Array.isArray(features.subtopics) && features.subtopics.length) {
+            const topSubtopics = features.subtopics
+                .map(sub => titleCaseFromTokens(tokenizeText(sub)) || sub)
+                .filter(Boolean)
+                .slice(0, 3)
+                .join(', ');
+            if (topSubtopics) {
+                hints.add(`Subtopics: ${topSubtopics}`);
+            }
+        }
+        if (Array.isArray(features.entities) && features.entities.length) {
+            const entitiesList = features.entities.slice(0, 3).join(', ');
+            hints.add(`Entities: ${entitiesList}`);
+        }
+        if (features.docType) {
+            const docLabel = titleCaseFromTokens(tokenizeText(features.docType)) || features.docType;
+            hints.add(`Doc type: ${docLabel}`);
+        }
+        if (Array.isArray(features.mergeHints) && features.mergeHints.length) {
+            const mergePreview = features.mergeHints.slice(0, 4).join(', ');
+            hints.add(`Merge hints: ${mergePreview}`);
+        }
+        if (Array.isArray(tab.summaryBullets) && tab.summaryBullets.length) {
+            hints.add(`AI summary: ${tab.summaryBullets.slice(0, 2).join(' | ')}`);
+        }
+        
+        if (domainLower.includes('youtube.com') || domainLower.includes('youtu.be')) {
+            hints.add('Media: YouTube video');
+        }
+        
+        if (domainLower.includes('mail.google.com') || domainLower.includes('outlook.') || domainLower.includes('mail.yahoo') || domainLower.includes('protonmail')) {
+            hints.add('Category: Email & communications');
+        }
+        
+        // Extract meaningful keywords to use as dynamic topic hints
+        const youtubeAnalysis = tab.youtubeAnalysis;
+        if (youtubeAnalysis && youtubeAnalysis.topic) {
+            const confidence = typeof youtubeAnalysis.confidence === 'number'
+                ? ` (confidence ${(youtubeAnalysis.confidence).toFixed(2)})`
+                : '';
+            hints.add(`YouTube topic: ${youtubeAnalysis.topic}${confidence}`);
+            if (youtubeAnalysis.tags && youtubeAnalysis.tags.length) {
+                hints.add(`YouTube tags: ${youtubeAnalysis.tags.slice(0, 6).join(', ')}`);
+            }
+            if (youtubeAnalysis.channel) {
+                hints.add(`YouTube channel: ${youtubeAnalysis.channel}`);
+            }
+            if (youtubeAnalysis.summaryBullets && youtubeAnalysis.summaryBullets.length) {
+                hints.add(`YouTube summary: ${youtubeAnalysis.summaryBullets.slice(0, 2).join(' | ')}`);
+            }
+        }
+        
+        // Enhanced content analysis for better similarity detection
+        const fullContent = youtubeAnalysis && youtubeAnalysis.description
+            ? `${combinedText} ${youtubeAnalysis.description} ${(youtubeAnalysis.transcript || '').slice(0, 2000)}`
+            : combinedText;
+        
+        const meaningfulWords = extractMeaningfulKeywords(fullContent);
+        meaningfulWords.forEach(word => hints.add(`Keyword: ${word}`));
+        
+        // Add domain-specific hints for better grouping
+        if (domainLower.includes('github.com')) {
+            hints.add('Platform: GitHub - Code repository');
+        } else if (domainLower.includes('stackoverflow.com')) {
+            hints.add('Platform: Stack Overflow - Programming help');
+        } else if (domainLower.includes('reddit.com')) {
+            hints.add('Platform: Reddit - Community discussion');
+        } else if (domainLower.includes('wikipedia.org')) {
+            hints.add('Platform: Wikipedia - Encyclopedia');
+        } else if (domainLower.includes('amazon.') || domainLower.includes('ebay.') || domainLower.includes('shop')) {
+            hints.add('Platform: E-commerce - Shopping');
+        }
+        
+        if ((domainLower.includes('youtube.com') || domainLower.includes('youtu.be')) && !Array.from(hints).some(hint => hint.startsWith('Keyword:'))) {
+            hints.add('Topic: YouTube video');
+        }
+        
+        if (!hints.size) {
+            hints.add('Topic: General browsing');
+        }
+        
+        return Array.from(hints).join(' • ');
+    } catch (error) {
+        console.warn('Failed to generate topic hints:', error);
+        return 'Topic: General browsing';
+    }
+}
+
+function tokenizeText(value) {
+    if (!value) return [];
+    return value
+        .toLowerCase()
+        .replace(/[^a-z0-9\sα-ωάέίήύόώϊϋΐΰ]+/g, ' ')
+        .split(/\s+/)
+        .map(token => token.trim())
+        .filter(token => token.length >= 3 && !STOPWORDS.has(token));
+}
+
+function computeSimHash(tokens) {
+    if (!tokens) {
+        return null;
+    }
+    const iterable = tokens instanceof Set ? tokens : new Set(tokens);
+    if (!iterable.size) {
+        return null;
+    }
+    const weights = new Array(SIMHASH_BITS).fill(0);
+    let total = 0;
+    iterable.forEach(token => {
+        if (!token) return;
+        const hash = positiveHash(token);
+        total += 1;
+        for (let bit = 0; bit < SIMHASH_BITS; bit += 1) {
+            const mask = 1 << (bit % 32);
+            const contribution = (hash & mask) ? 1 : -1;
+            weights[bit] += contribution;
+        }
+    });
+    if (!total) {
+        return null;
+    }
+    let result = 0n;
+    for (let bit = 0; bit < SIMHASH_BITS; bit += 1) {
+        if (weights[bit] >= 0) {
+            result |= (1n << BigInt(bit));
+        }
+    }
+    return result;
+}
+
+function simHashSimilarity(hashA, hashB) {
+    if (typeof hashA !== 'bigint' || typeof hashB !== 'bigint') {
+        return 0;
+    }
+    let diff = hashA ^ hashB;
+    let distance = 0;
+    while (diff) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    const normalized = 1 - (distance / SIMHASH_BITS);
+    return normalized < 0 ? 0 : normalized;
+}
+
+function extractUrlPathTokens(url) {
+    if (!url) return [];
+    try {
+        const { pathname } = new URL(url);
+        return pathname
+            .split(/[\/#?]+/)
+            .flatMap(segment => segment.split(/[\-_\s]+/))
+            .map(token => token.toLowerCase().replace(/[^a-z0-9α-ωάέίήύόώϊϋΐΰ]+/g, ''))
+            .filter(token => token.length >= 3 && !/^\d+$/.test(token) && !STOPWORDS.has(token));
+    } catch (error) {
+        return [];
+    }
+}
+
+function jaccardSimilarity(setA, setB) {
+    if (!setA || !setB || !setA.size || !setB.size) return 0;
+    let intersectionCount = 0;
+    for (const item of setA) {
+        if (setB.has(item)) {
+            intersectionCount += 1;
+        }
+    }
+    const unionCount = setA.size + setB.size - intersectionCount;
+    return unionCount === 0 ? 0 : intersectionCount / unionCount;
+}
+
+function cosineSimilarity(mapA, mapB) {
+    if (!mapA || !mapB || !mapA.size || !mapB.size) return 0;
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    
+    mapA.forEach(value => {
+        normA += value * value;
+    });
+    mapB.forEach(value => {
+        normB += value * value;
+    });
+    
+    const [shorter, longer] = mapA.size <= mapB.size ? [mapA, mapB] : [mapB, mapA];
+    shorter.forEach((value, key) => {
+        const other = longer.get(key);
+        if (typeof other === 'number') {
+            dotProduct += value * other;
+        }
+    });
+    
+    if (dotProduct === 0) return 0;
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function normalizedOverlap(setA, setB) {
+    if (!setA || !setB || !setA.size || !setB.size) return 0;
+    let intersection = 0;
+    const [smaller, larger] = setA.size <= setB.size ? [setA, setB] : [setB, setA];
+    for (const token of smaller) {
+        if (larger.has(token)) {
+            intersection += 1;
+        }
+    }
+    return smaller.size === 0 ? 0 : intersection / smaller.size;
+}
+
+function cosineSimilarityArray(vectorA, vectorB) {
+    if (!Array.isArray(vectorA) || !Array.isArray(vectorB) || !vectorA.length || !vectorB.length) {
+        return 0;
+    }
+    const length = Math.min(vectorA.length, vectorB.length);
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < length; i += 1) {
+        const a = vectorA[i];
+        const b = vectorB[i];
+        if (typeof a !== 'number' || typeof b !== 'number') continue;
+        dot += a * b;
+        normA += a * a;
+        normB += b * b;
+    }
+    if (!dot || !normA || !normB) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function normalizeVector(vector) {
+    if (!Array.isArray(vector) || !vector.length) return null;
+    let norm = 0;
+    const result = vector.map(value => {
+        const num = typeof value === 'number' ? value : Number(value) || 0;
+        norm += num * num;
+        return num;
+    });
+    if (!norm) return result;
+    const scale = 1 / Math.sqrt(norm);
+    return result.map(value => value * scale);
+}
+
+function positiveHash(input) {
+    const str = String(input || '');
+    let hash = 0;
+    for (let i = 0; i < str.length; i += 1) {
+        hash = ((hash << 5) - hash) + str.charCodeAt(i);
+        hash |= 0;
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Χτίζει το feature vector ενός tab (tokens, taxonomy, TF counts, embedding, SimHash)· τα TF-IDF βάρη μπαίνουν από το context
+ */
+function buildTabFeatureVector(entry) {
+    const features = entry.semanticFeatures || {};
+    const keywordTokens = new Set();
+    const semanticTopicTokens = new Set();
+    const topicSources = [
+        features.topic,
+        features.primaryTopic,
+        ...(Array.isArray(features.subtopics) ? features.subtopics : [])
+    ];
+    topicSources.forEach(source => {
+        tokenizeText(source).forEach(token => {
+            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+            semanticTopicTokens.add(token);
+        });
+    });
+    if (features.docType) {
+        const docToken = String(features.docType).toLowerCase();
+        if (docToken.length >= 3 && !STOPWORDS.has(docToken) && !GENERIC_MERGE_STOPWORDS.has(docToken)) {
+            semanticTopicTokens.add(docToken);
+        }
+    }
+    semanticTopicTokens.forEach(token => keywordTokens.add(token));
+    
+    const mergeHintTokens = Array.isArray(features.mergeHints)
+        ? features.mergeHints.slice()
+        : (Array.isArray(features.keywords) ? features.keywords.slice() : []);
+    if (Array.isArray(features.summaryKeywords) && features.summaryKeywords.length) {
+        features.summaryKeywords.forEach(keyword => {
+            mergeHintTokens.push(keyword);
+        });
+    }
+    mergeHintTokens.forEach(keyword => {
+        const token = String(keyword || '').toLowerCase().trim();
+        if (token.length >= 3 && !STOPWORDS.has(token) && !GENERIC_MERGE_STOPWORDS.has(token)) {
+            keywordTokens.add(token);
+        }
+    });
+    (features.subtopics || []).forEach(subtopic => {
+        tokenizeText(subtopic).forEach(token => {
+            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+            keywordTokens.add(token);
+        });
+    });
+    const entityTokens = new Set();
+    const entitySources = [
+        ...(Array.isArray(features.entities) ? features.entities : []),
+        ...(Array.isArray(entry.classification?.entities) ? entry.classification.entities : [])
+    ];
+    entitySources.forEach(entity => {
+        tokenizeText(entity).forEach(token => {
+            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+            entityTokens.add(token);
+            keywordTokens.add(token);
+        });
+    });
+    (entry.summaryBullets || []).forEach(bullet => {
+        tokenizeText(bullet).forEach(token => {
+            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+            keywordTokens.add(token);
+        });
+    });
+    
+    entry.docType = features.docType || entry.docType || '';
+    entry.isGenericLanding = typeof features.isGenericLanding === 'boolean'
+        ? features.isGenericLanding
+        : (entry.isGenericLanding || false);
+    entry.primaryTopic = features.primaryTopic || entry.primaryTopic || '';
+    entry.mergeHints = Array.isArray(features.mergeHints)
+        ? features.mergeHints.filter(token => !GENERIC_MERGE_STOPWORDS.has(String(token || '').toLowerCase().trim()))
+        : (Array.isArray(features.keywords) ? features.keywords.filter(token => !GENERIC_MERGE_STOPWORDS.has(String(token || '').toLowerCase().trim())) : []);
+    entry.entityTokens = Array.from(entityTokens);
+    
+    (entry.metaKeywords || []).forEach(keyword => {
+        tokenizeText(keyword).forEach(token => {
+            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+            keywordTokens.add(token);
+        });
+    });
+    (entry.headings || []).forEach(heading => {
+        tokenizeText(heading).forEach(token => {
+            if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+            keywordTokens.add(token);
+        });
+    });
+    tokenizeText(entry.topicHints).forEach(token => {
+        if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+        keywordTokens.add(token);
+    });
+    tokenizeText(entry.youtubeTopic).forEach(token => {
+        if (GENERIC_MERGE_STOPWORDS.has(token)) return;
+        keywordTokens.add(token);
+    });
+    (entry.youtubeTags || [])
+        .map(tag => String(tag || '').toLowerCase().trim())
+        .filter(tag => tag && !GENERIC_MERGE_STOPWORDS.has(tag) && !STOPWORDS.has(tag))
+        .forEach(tag => keywordTokens.add(tag));
+    
+    const taxonomyArray = inferTaxonomyTags(entry);
+    const taxonomyTags = new Set();
+    taxonomyArray.forEach(tag => {
+        const token = String(tag || '').toLowerCase().trim();
+        if (!token || STOPWORDS.has(token) || GENERIC_MERGE_STOPWORDS.has(token)) return;
+        taxonomyTags.add(token);
+        keywordTokens.add(token);
+    });
+    entry.taxonomyTags = taxonomyArray;
+    
+    const titleTokens = new Set(tokenizeText(entry.title));
+    titleTokens.forEach(token => keywordTokens.add(token));
+    
+    const pathTokens = new Set(extractUrlPathTokens(entry.url));
+    pathTokens.forEach(token => keywordTokens.add(token));
+    
+    const domainTokens = new Set();
+    if (entry.domain) {
+        entry.domain
+            .toLowerCase()
+            .split('.')
+            .filter(part => part && part !== 'www' && part.length >= 3)
+            .forEach(part => domainTokens.add(part));
+    }
+    
+    const tfCounts = new Map();
+    const tfTokens = [
+        ...tokenizeText(entry.fullContent ? entry.fullContent.slice(0, 2000) : ''),
+        ...tokenizeText(entry.topicHints),
+        ...tokenizeText(features.primaryTopic),
+        ...(Array.isArray(features.subtopics) ? features.subtopics.flatMap(sub => tokenizeText(sub)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)) : []),
+        ...(Array.isArray(mergeHintTokens) ? mergeHintTokens.flatMap(token => tokenizeText(token)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)) : []),
+        ...entitySources.flatMap(entity => tokenizeText(entity)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
+        ...tokenizeText(features.docType).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
+        ...(Array.isArray(entry.summaryBullets) ? entry.summaryBullets.flatMap(bullet => tokenizeText(bullet)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)) : []),
+        ...Array.from(titleTokens).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
+        ...Array.from(pathTokens).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
+        ...(entry.youtubeTags || []).map(tag => String(tag || '').toLowerCase().trim()).filter(tag => tag && !GENERIC_MERGE_STOPWORDS.has(tag) && !STOPWORDS.has(tag)),
+        ...(entry.metaKeywords || []).flatMap(keyword => tokenizeText(keyword)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
+        ...(entry.headings || []).flatMap(heading => tokenizeText(heading)).filter(token => !GENERIC_MERGE_STOPWORDS.has(token)),
+        ...taxonomyArray.map(tag => String(tag || '').toLowerCase()).flatMap(tokenizeText).filter(token => !GENERIC_MERGE_STOPWORDS.has(token))
+    ].slice(0, 1200);
+    
+    tfTokens.forEach(token => {
+        if (!token || STOPWORDS.has(token)) return;
+        tfCounts.set(token, (tfCounts.get(token) || 0) + 1);
+    });
+    
+    const totalTokenCount = tfTokens.length || 1;
+    const embeddingVector = Array.isArray(entry.semanticEmbedding) && entry.semanticEmbedding.length
+        ? normalizeVector(entry.semanticEmbedding)
+        : null;
+    if (embeddingVector) {
+        entry.semanticEmbedding = embeddingVector.slice();
+    }
+    
+    const simHash = computeSimHash(keywordTokens);
+    
+    return {
+        index: entry.index,
+        keywordTokens,
+        titleTokens,
+        pathTokens,
+        domain: entry.domain || '',
+        domainTokens,
+        semanticTopicTokens,
+        taxonomyTags,
+        language: entry.language || '',
+        youtubeTopic: entry.youtubeTopic || '',
+        primaryTopic: entry.primaryTopic || '',
+        docType: entry.docType || '',
+        isGenericLanding: Boolean(entry.isGenericLanding),
+        mergeHints: Array.isArray(entry.mergeHints) ? entry.mergeHints.slice() : [],
+        entities: entityTokens,
+        tfCounts,
+        totalTokenCount,
+        embeddingVector,
+        simHash,
+        tabData: entry
+    };
+}
+
+function applyTfidfWeights(vector, documentFrequency, docCount) {
+    const tfidf = new Map();
+    vector.tfCounts.forEach((count, token) => {
+        const idf = Math.log((docCount + 1) / ((documentFrequency.get(token) || 0) + 1)) + 1;
+        tfidf.set(token, (count / vector.totalTokenCount) * idf);
+    });
+    vector.tfidfVector = tfidf;
+    return vector;
+}
+
+function prepareTabFeatureContext(tabDataForAI) {
+    if (!tabDataForAI || !tabDataForAI.length) {
+        return { vectors: [], tabData: tabDataForAI || [], documentFrequency: new Map(), docCount: 0 };
+    }
+    
+    const vectors = tabDataForAI.map(buildTabFeatureVector);
+    
+    const documentFrequency = new Map();
+    vectors.forEach(vector => {
+        vector.tfCounts.forEach((_, token) => {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        });
+    });
+    
+    const docCount = vectors.length || 1;
+    vectors.forEach(vector => applyTfidfWeights(vector, documentFrequency, docCount));
+    
+    return { vectors, tabData: tabDataForAI, documentFrequency, docCount };
+}
+
+function computeWeightedSimilarity(vectorA, vectorB, debugOut = null) {
+    // Embedding-first general similarity
+    const S_embed = cosineSimilarityArray(vectorA?.embeddingVector, vectorB?.embeddingVector);
+    if (GENERAL_GROUPING_MODE && typeof S_embed === 'number' && S_embed > 0) {
+        if (debugOut && typeof debugOut === 'object') debugOut.score = S_embed;
+        return Math.max(0, Math.min(S_embed, 1));
+    }
+    // Fallback to TF-IDF cosine
+    const S_tfidf = cosineSimilarity(vectorA?.tfidfVector, vectorB?.tfidfVector);
+    if (typeof S_tfidf === 'number' && S_tfidf > 0) {
+        if (debugOut && typeof debugOut === 'object') debugOut.score = S_tfidf;
+        return Math.max(0, Math.min(S_tfidf, 1));
+    }
+    if (debugOut && typeof debugOut === 'object') debugOut.score = 0;
+    return 0;
+}
+
+/**
+ * Candidate pairs για clustering/merge passes (blocking αντί για all-pairs).
+ * Επιστρέφει null όταν το blocking είναι ανενεργό· τότε οι callers κάνουν all-pairs όπως πριν.
+ * blocking: 'auto' (μόνο για >= CANDIDATE_BLOCKING_MIN_TABS), true ή false.
+ */
+function buildCandidateIndex(vectors, { blocking = 'auto' } = {}) {
+    const size = Array.isArray(vectors) ? vectors.length : 0;
+    if (!size || blocking === false || (blocking === 'auto' && size < CANDIDATE_BLOCKING_MIN_TABS)) {
+        return null;
+    }
+    const neighbors = Array.from({ length: size }, () => new Set());
+    const maxBucket = Math.max(CANDIDATE_MIN_BUCKET_CAP, Math.ceil(size * CANDIDATE_MAX_BUCKET_RATIO));
+    const sources = { token: 0, simhash: 0, embedding: 0 };
+    let skippedBuckets = 0;
+    
+    const addBuckets = (buckets, source) => {
+        buckets.forEach(members => {
+            if (members.length < 2) return;
+            if (members.length > maxBucket) {
+                skippedBuckets += 1;
+                return;
+            }
+            for (let a = 0; a < members.length; a += 1) {
+                for (let b = a + 1; b < members.length; b += 1) {
+                    const i = members[a];
+                    const j = members[b];
+                    if (neighbors[i].has(j)) continue;
+                    neighbors[i].add(j);
+                    neighbors[j].add(i);
+                    sources[source] += 1;
+                }
+            }
+        });
+    };
+    const pushBucket = (buckets, key, idx) => {
+        const list = buckets.get(key);
+        if (list) {
+            list.push(idx);
+        } else {
+            buckets.set(key, [idx]);
+        }
+    };
+    
+    // 1) Inverted index πάνω στα TF tokens (ό,τι μπορεί να δώσει TF-IDF cosine > 0)
+    const tokenBuckets = new Map();
+    vectors.forEach((vector, idx) => {
+        (vector?.tfCounts || new Map()).forEach((_, token) => pushBucket(tokenBuckets, token, idx));
+    });
+    addBuckets(tokenBuckets, 'token');
+    
+    // 2) SimHash bands: near-duplicates που μοιράζονται μόνο πολύ κοινά tokens
+    const bandCount = Math.floor(SIMHASH_BITS / CANDIDATE_SIMHASH_BAND_BITS);
+    const bandMask = (1n << BigInt(CANDIDATE_SIMHASH_BAND_BITS)) - 1n;
+    const simHashBuckets = new Map();
+    vectors.forEach((vector, idx) => {
+        if (typeof vector?.simHash !== 'bigint') return;
+        for (let band = 0; band < bandCount; band += 1) {
+            const value = (vector.simHash >> BigInt(band * CANDIDATE_SIMHASH_BAND_BITS)) & bandMask;
+            pushBucket(simHashBuckets, `${band}:${value}`, idx);
+        }
+    });
+    addBuckets(simHashBuckets, 'simhash');
+    
+    // 3) Random-hyperplane LSH πάνω στα embeddings (ντετερμινιστικά hyperplanes)
+    const hyperplanes = new Map();
+    const getHyperplane = (table, bit, dim) => {
+        const key = `${table}:${bit}:${dim}`;
+        if (!hyperplanes.has(key)) {
+            const plane = new Array(dim);
+            for (let d = 0; d < dim; d += 1) {
+                plane[d] = (positiveHash(`${key}:${d}`) / 0xffffffff) * 2 - 1;
+            }
+            hyperplanes.set(key, plane);
+        }
+        return hyperplanes.get(key);
+    };
+    const embeddingBuckets = new Map();
+    vectors.forEach((vector, idx) => {
+        const embedding = vector?.embeddingVector;
+        if (!Array.isArray(embedding) || !embedding.length) return;
+        for (let table = 0; table < CANDIDATE_EMBED_LSH_TABLES; table += 1) {
+            let signature = 0;
+            for (let bit = 0; bit < CANDIDATE_EMBED_LSH_BITS; bit += 1) {
+                const plane = getHyperplane(table, bit, embedding.length);
+                let dot = 0;
+                for (let d = 0; d < embedding.length; d += 1) {
+                    dot += embedding[d] * plane[d];
+                }
+                if (dot >= 0) {
+                    signature |= (1 << bit);
+                }
+            }
+            pushBucket(embeddingBuckets, `${embedding.length}:${table}:${signature}`, idx);
+        }
+    });
+    addBuckets(embeddingBuckets, 'embedding');
+    
+    const pairCount = sources.token + sources.simhash + sources.embedding;
+    return {
+        neighbors,
+        pairCount,
+        totalPairs: (size * (size - 1)) / 2,
+        sources,
+        skippedBuckets
+    };
+}
+
+/**
+ * Cached pair scorer· με candidate index, τα pairs εκτός blocking μετράνε ως 0 χωρίς υπολογισμό
+ */
+function createPairScorer(vectors, similarityCache, candidateIndex = null) {
+    return (a, b) => {
+        if (candidateIndex && !candidateIndex.neighbors[a]?.has(b)) {
+            return 0;
+        }
+        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+        let score = similarityCache.get(key);
+        if (typeof score !== 'number') {
+            score = computeWeightedSimilarity(vectors[a], vectors[b]);
+            similarityCache.set(key, score);
+        }
+        return score;
+    };
+}
+
+/**
+ * Ζεύγη groups που αξίζει να συγκριθούν: candidate pair ανάμεσα στα μέλη τους ή κοινό tag
+ * σε κάποιο από τα tagSets (ένα Set ανά group για κάθε είδος tag)
+ */
+function buildGroupCandidateLinks(groups, candidateIndex, tagSets = []) {
+    const links = groups.map(() => new Set());
+    const groupOfVector = new Map();
+    groups.forEach((group, groupIdx) => {
+        (group?.vectorIndices || []).forEach(vectorIdx => groupOfVector.set(vectorIdx, groupIdx));
+    });
+    groups.forEach((group, groupIdx) => {
+        (group?.vectorIndices || []).forEach(vectorIdx => {
+            (candidateIndex?.neighbors[vectorIdx] || []).forEach(neighborIdx => {
+                const other = groupOfVector.get(neighborIdx);
+                if (typeof other === 'number' && other !== groupIdx) {
+                    links[groupIdx].add(other);
+                    links[other].add(groupIdx);
+                }
+            });
+        });
+    });
+    tagSets.forEach(setsPerGroup => {
+        const postings = new Map();
+        (setsPerGroup || []).forEach((tags, groupIdx) => {
+            (tags || []).forEach(tag => {
+                const list = postings.get(tag) || [];
+                list.forEach(other => {
+                    links[groupIdx].add(other);
+                    links[other].add(groupIdx);
+                });
+                list.push(groupIdx);
+                postings.set(tag, list);
+            });
+        });
+    });
+    return links;
+}
+
+/**
+ * Union-find· με cannotLink (Map index → Set(index)) ένα union που θα ένωνε δύο
+ * ασύμβατα στοιχεία απορρίπτεται (union επιστρέφει false)
+ */
+function createUnionFind(size, { cannotLink = null } = {}) {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const rank = new Array(size).fill(0);
+    // Μέλη ανά root μόνο όταν υπάρχουν cannot-links (για τον έλεγχο σε κάθε union)
+    const members = cannotLink && cannotLink.size ? new Map() : null;
+    
+    function find(x) {
+        if (parent[x] !== x) {
+            parent[x] = find(parent[x]);
+        }
+        return parent[x];
+    }
+    
+    function membersOf(root) {
+        return members.get(root) || [root];
+    }
+    
+    function canUnion(a, b) {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB || !members) return true;
+        const membersA = membersOf(rootA);
+        const membersB = membersOf(rootB);
+        const [smaller, otherRoot] = membersA.length <= membersB.length ? [membersA, rootB] : [membersB, rootA];
+        for (const member of smaller) {
+            const blocked = cannotLink.get(member);
+            if (!blocked) continue;
+            for (const other of blocked) {
+                if (find(other) === otherRoot) return false;
+            }
+        }
+        return true;
+    }
+    
+    function union(a, b) {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) return true;
+        if (!canUnion(rootA, rootB)) return false;
+        let root = rootA;
+        let child = rootB;
+        if (rank[rootA] < rank[rootB]) {
+            root = rootB;
+            child = rootA;
+        } else if (rank[rootA] === rank[rootB]) {
+            rank[rootA] += 1;
+        }
+        parent[child] = root;
+        if (members) {
+            members.set(root, membersOf(root).concat(membersOf(child)));
+            members.delete(child);
+        }
+        return true;
+    }
+    
+    return { find, union, canUnion };
+}
+
+// ---- Must-link / cannot-link constraints (από χειροκίνητες μετακινήσεις tabs) ----
+
+/**
+ * Key ενός URL για constraints: host χωρίς www + path + query, χωρίς fragment και trailing slash
+ */
+function constraintKeyForUrl(rawUrl) {
+    if (!rawUrl || typeof rawUrl !== 'string') {
+        return '';
+    }
+    try {
+        const url = new URL(rawUrl);
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : '';
+        return `${host}${path}${url.search}`;
+    } catch (_) {
+        return rawUrl.split('#')[0];
+    }
+}
+
+function constraintDomainForEntry(entry) {
+    if (entry?.domain) {
+        return String(entry.domain).toLowerCase().replace(/^www\./, '');
+    }
+    try {
+        return new URL(entry?.url || '').hostname.toLowerCase().replace(/^www\./, '');
+    } catch (_) {
+        return '';
+    }
+}
+
+function addConstraintLink(links, a, b) {
+    if (!links.has(a)) {
+        links.set(a, new Set());
+    }
+    links.get(a).add(b);
+}
+
+/**
+ * Constraints ({ pairs, domains } με { kind: 'must' | 'cannot', a, b }) πάνω στα tab indices ενός run.
+ * Τα pair constraints υπερισχύουν των domain constraints. null όταν δεν αφορούν κανένα tab.
+ */
+function buildGroupingConstraintIndex(constraints, tabData) {
+    const pairs = Array.isArray(constraints?.pairs) ? constraints.pairs : [];
+    const domains = Array.isArray(constraints?.domains) ? constraints.domains : [];
+    if (!pairs.length && !domains.length) {
+        return null;
+    }
+    const tabsByKey = new Map();
+    const tabsByDomain = new Map();
+    (tabData || []).forEach((entry, position) => {
+        if (!entry) return;
+        const tabIdx = typeof entry.index === 'number' ? entry.index : position;
+        const key = constraintKeyForUrl(entry.url);
+        const domain = constraintDomainForEntry(entry);
+        if (key) {
+            if (!tabsByKey.has(key)) tabsByKey.set(key, []);
+            tabsByKey.get(key).push(tabIdx);
+        }
+        if (domain) {
+            if (!tabsByDomain.has(domain)) tabsByDomain.set(domain, []);
+            tabsByDomain.get(domain).push(tabIdx);
+        }
+    });
+    
+    const decided = new Map(); // "i|j" → kind
+    const decide = (constraint, tabsByValue) => {
+        if (constraint?.kind !== 'must' && constraint?.kind !== 'cannot') return;
+        const listA = tabsByValue.get(constraint.a) || [];
+        const listB = tabsByValue.get(constraint.b) || [];
+        listA.forEach(a => {
+            listB.forEach(b => {
+                if (a !== b) {
+                    decided.set(a < b ? `${a}|${b}` : `${b}|${a}`, constraint.kind);
+                }
+            });
+        });
+    };
+    domains.forEach(constraint => decide(constraint, tabsByDomain));
+    pairs.forEach(constraint => decide(constraint, tabsByKey));
+    if (!decided.size) {
+        return null;
+    }
+    
+    const index = { must: new Map(), cannot: new Map(), size: decided.size };
+    decided.forEach((kind, key) => {
+        const [a, b] = key.split('|').map(Number);
+        addConstraintLink(index[kind], a, b);
+        addConstraintLink(index[kind], b, a);
+    });
+    return index;
+}
+
+/**
+ * Links από tab indices σε vector indices (vectors[v].index = tab index)
+ */
+function mapConstraintLinksToVectors(links, vectors) {
+    if (!links || !links.size || !Array.isArray(vectors)) {
+        return null;
+    }
+    const vectorOfTab = new Map();
+    vectors.forEach((vector, vectorIdx) => {
+        if (typeof vector?.index === 'number') {
+            vectorOfTab.set(vector.index, vectorIdx);
+        }
+    });
+    const mapped = new Map();
+    links.forEach((others, tabIdx) => {
+        const from = vectorOfTab.get(tabIdx);
+        if (from === undefined) return;
+        others.forEach(other => {
+            const to = vectorOfTab.get(other);
+            if (to !== undefined) addConstraintLink(mapped, from, to);
+        });
+    });
+    return mapped.size ? mapped : null;
+}
+
+/**
+ * true όταν κάποιο στοιχείο του A έχει cannot-link με κάποιο του B
+ */
+function hasCannotLinkConflict(indicesA, indicesB, cannotLinks) {
+    if (!cannotLinks || !cannotLinks.size) {
+        return false;
+    }
+    const setB = indicesB instanceof Set ? indicesB : new Set(indicesB || []);
+    for (const idx of indicesA || []) {
+        const blocked = cannotLinks.get(idx);
+        if (!blocked) continue;
+        for (const other of blocked) {
+            if (setB.has(other)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Cannot-links σε επίπεδο groups (group index → Set(group index)) για τα group-level union-find
+ */
+function buildGroupCannotLinks(groups, cannotLinks, field = 'tabIndices') {
+    if (!cannotLinks || !cannotLinks.size || !Array.isArray(groups)) {
+        return null;
+    }
+    const groupOf = new Map();
+    groups.forEach((group, groupIdx) => {
+        (group?.[field] || []).forEach(idx => groupOf.set(idx, groupIdx));
+    });
+    const links = new Map();
+    cannotLinks.forEach((others, idx) => {
+        const a = groupOf.get(idx);
+        if (a === undefined) return;
+        others.forEach(other => {
+            const b = groupOf.get(other);
+            if (b !== undefined && b !== a) addConstraintLink(links, a, b);
+        });
+    });
+    return links.size ? links : null;
+}
+
+/**
+ * Τελικό πέρασμα: σπάει groups με cannot-link ζεύγη και μεταφέρει κάθε tab στο group
+ * με τα περισσότερα must-link ταίρια του (αν δεν το εμποδίζει cannot-link)
+ */
+function enforceGroupingConstraints(groups, constraintIndex, { vectors = null } = {}) {
+    if (!constraintIndex || !Array.isArray(groups) || !groups.length) {
+        return groups;
+    }
+    const { must, cannot } = constraintIndex;
+    const vectorOfTab = new Map();
+    (vectors || []).forEach((vector, vectorIdx) => {
+        if (typeof vector?.index === 'number') vectorOfTab.set(vector.index, vectorIdx);
+    });
+    const withTabIndices = (group, tabIndices, extra = {}) => ({
+        ...group,
+        ...extra,
+        tabIndices,
+        vectorIndices: vectors
+            ? tabIndices.map(tabIdx => vectorOfTab.get(tabIdx)).filter(vectorIdx => vectorIdx !== undefined)
+            : undefined
+    });
+    
+    // 1) Cannot-link: greedy partition μέσα σε κάθε group
+    let result = [];
+    groups.forEach(group => {
+        const parts = [];
+        (group.tabIndices || []).forEach(tabIdx => {
+            const blocked = cannot.get(tabIdx);
+            const part = parts.find(candidate => !blocked || !candidate.some(other => blocked.has(other)));
+            if (part) {
+                part.push(tabIdx);
+            } else {
+                parts.push([tabIdx]);
+            }
+        });
+        if (parts.length <= 1) {
+            result.push(group);
+            return;
+        }
+        parts.forEach((tabIndices, partIdx) => {
+            result.push(withTabIndices(group, tabIndices, partIdx > 0 ? { constraintSplit: true } : {}));
+        });
+    });
+    
+    // 2) Must-link: μετακίνηση tabs προς τα ταίρια τους
+    const groupOf = new Map();
+    result.forEach((group, groupIdx) => group.tabIndices.forEach(tabIdx => groupOf.set(tabIdx, groupIdx)));
+    const members = result.map(group => new Set(group.tabIndices));
+    let moved = false;
+    must.forEach((partners, tabIdx) => {
+        const current = groupOf.get(tabIdx);
+        if (current === undefined) return;
+        const counts = new Map();
+        let currentPartners = 0;
+        partners.forEach(partner => {
+            const groupIdx = groupOf.get(partner);
+            if (groupIdx === undefined) return;
+            if (groupIdx === current) {
+                currentPartners += 1;
+            } else {
+                counts.set(groupIdx, (counts.get(groupIdx) || 0) + 1);
+            }
+        });
+        const [target, count] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0] - b[0])[0] || [];
+        if (target === undefined || count <= currentPartners) return;
+        if (hasCannotLinkConflict([tabIdx], members[target], cannot)) return;
+        members[current].delete(tabIdx);
+        members[target].add(tabIdx);
+        groupOf.set(tabIdx, target);
+        moved = true;
+    });
+    if (moved) {
+        result = result
+            .map((group, groupIdx) => {
+                const tabIndices = Array.from(members[groupIdx]).sort((a, b) => a - b);
+                const unchanged = tabIndices.length === group.tabIndices.length &&
+                    group.tabIndices.every(tabIdx => members[groupIdx].has(tabIdx));
+                return unchanged ? group : withTabIndices(group, tabIndices);
+            })
+            .filter(group => group.tabIndices.length > 0);
+    }
+    return result;
+}
+
+function clusterTabsDeterministic(featureContext, { debugLog = null, blocking = 'auto' } = {}) {
+    const { vectors, tabData, constraints = null } = featureContext;
+    if (!vectors || !vectors.length) {
+        return [];
+    }
+    
+    // Constraints του χρήστη: must-links ενώνονται πρώτα, cannot-links μπλοκάρουν κάθε union
+    const vectorCannotLinks = mapConstraintLinksToVectors(constraints?.cannot, vectors);
+    const vectorMustLinks = mapConstraintLinksToVectors(constraints?.must, vectors);
+    const uf = createUnionFind(vectors.length, { cannotLink: vectorCannotLinks });
+    vectorMustLinks?.forEach((others, vectorIdx) => {
+        others.forEach(other => uf.union(vectorIdx, other));
+    });
+    const similarityCache = new Map();
+    const candidateIndex = buildCandidateIndex(vectors, { blocking });
+    const scorePair = createPairScorer(vectors, similarityCache, candidateIndex);
+    if (debugLog && candidateIndex) {
+        debugLog.stats = debugLog.stats || {};
+        debugLog.stats.candidatePairs = candidateIndex.pairCount;
+        debugLog.stats.candidateSources = { ...candidateIndex.sources };
+    }
+    
+    const borderlinePairs = [];
+    
+    for (let i = 0; i < vectors.length; i++) {
+        // Με blocking μόνο οι candidate γείτονες (αύξουσα σειρά όπως στο all-pairs)
+        const partners = candidateIndex
+            ? Array.from(candidateIndex.neighbors[i]).filter(j => j > i).sort((a, b) => a - b)
+            : null;
+        const partnerCount = partners ? partners.length : vectors.length - i - 1;
+        for (let p = 0; p < partnerCount; p++) {
+            const j = partners ? partners[p] : i + 1 + p;
+            const metrics = {};
+            const score = computeWeightedSimilarity(vectors[i], vectors[j], metrics);
+            const key = `${i}|${j}`;
+            similarityCache.set(key, score);
+            if (debugLog) {
+                debugLog.stats = debugLog.stats || {};
+                debugLog.stats.pairComparisons = (debugLog.stats.pairComparisons || 0) + 1;
+            }
+            if (score >= SIMILARITY_JOIN_THRESHOLD) {
+                if (!uf.union(i, j)) continue;
+                if (debugLog) {
+                    debugLog.stats.pairUnions = (debugLog.stats.pairUnions || 0) + 1;
+                    const entryA = vectors[i]?.tabData || {};
+                    const entryB = vectors[j]?.tabData || {};
+                    const classificationA = entryA.classification || {};
+                    const classificationB = entryB.classification || {};
+                    const formatNumber = (value, digits = 3) =>
+                        typeof value === 'number' ? Number(value.toFixed(digits)) : null;
+                    const mergeHintsA = classificationA.mergeHints || vectors[i]?.mergeHints || [];
+                    const mergeHintsB = classificationB.mergeHints || vectors[j]?.mergeHints || [];
+                    const isBridge = Boolean((vectors[i]?.isGenericLanding || classificationA.isGenericLanding) !==
+                        (vectors[j]?.isGenericLanding || classificationB.isGenericLanding));
+                    debugLog.pairwise = debugLog.pairwise || [];
+                    debugLog.pairwise.push({
+                        phase: 'A',
+                        type: 'pair-join',
+                        reason: 'initial-similarity',
+                        vectorIndices: [i, j],
+                        tabIndices: [vectors[i]?.index, vectors[j]?.index],
+                        urls: [entryA.url, entryB.url],
+                        primaryTopics: [classificationA.primaryTopic || vectors[i]?.primaryTopic || '', classificationB.primaryTopic || vectors[j]?.primaryTopic || ''],
+                        primaryTopicMatch: Boolean(
+                            (classificationA.primaryTopic || vectors[i]?.primaryTopic) &&
+                            (classificationA.primaryTopic || vectors[i]?.primaryTopic) === (classificationB.primaryTopic || vectors[j]?.primaryTopic)
+                        ),
+                        docTypes: [classificationA.docType || vectors[i]?.docType || '', classificationB.docType || vectors[j]?.docType || ''],
+                        mergeHints: [mergeHintsA.slice(0, 4), mergeHintsB.slice(0, 4)],
+                        cosineEmb: formatNumber(metrics.S_embed),
+                        simHash: formatNumber(metrics.S_sim),
+                        jaccardHints: formatNumber(metrics.S_merge),
+                        taxBoost: formatNumber(metrics.S_tax),
+                        keywordBoost: formatNumber(metrics.S_kw),
+                        docTypeBoost: formatNumber(metrics.docMatch),
+                        genericPenalty: formatNumber(metrics.genericPenalty),
+                        langPenalty: formatNumber(metrics.langPenalty),
+                        finalScore: formatNumber(metrics.score, 4),
+                        threshold: SIMILARITY_JOIN_THRESHOLD,
+                        bridge: isBridge,
+                        bridgeReason: isBridge ? 'generic-landing mismatch' : null,
+                        timestamp: Date.now()
+                    });
+                }
+            } else if (score >= SIMILARITY_SPLIT_THRESHOLD) {
+                const domainMatch = Boolean(vectors[i]?.domain && vectors[i].domain === vectors[j]?.domain);
+                borderlinePairs.push({
+                    i,
+                    j,
+                    score,
+                    domainMatch,
+                    merge: typeof metrics.S_merge === 'number' ? metrics.S_merge : 0,
+                    primary: typeof metrics.S_primary === 'number' ? metrics.S_primary : 0,
+                    taxonomy: typeof metrics.S_tax === 'number' ? metrics.S_tax : 0,
+                    sim: typeof metrics.S_sim === 'number' ? metrics.S_sim : 0,
+                    embed: typeof metrics.S_embed === 'number' ? metrics.S_embed : 0
+                });
+            }
+        }
+    }
+    
+    if (borderlinePairs.length) {
+        borderlinePairs.sort((a, b) => b.score - a.score);
+        for (const pair of borderlinePairs) {
+            const rootA = uf.find(pair.i);
+            const rootB = uf.find(pair.j);
+            if (rootA === rootB) continue;
+            const meetsSecondary =
+                (pair.domainMatch && pair.merge >= 0.35) ||
+                (pair.primary >= 0.55 && pair.taxonomy >= 0.35) ||
+                (pair.sim >= 0.62) ||
+                (pair.embed >= 0.68);
+            if (pair.score >= SIMILARITY_JOIN_THRESHOLD || (meetsSecondary && pair.score >= SIMILARITY_SPLIT_THRESHOLD)) {
+                if (!uf.union(pair.i, pair.j)) continue;
+                if (debugLog) {
+                    debugLog.stats = debugLog.stats || {};
+                    debugLog.stats.hysteresisUnions = (debugLog.stats.hysteresisUnions || 0) + 1;
+                    debugLog.stats.pairUnions = (debugLog.stats.pairUnions || 0) + 1;
+                    const entryA = vectors[pair.i]?.tabData || {};
+                    const entryB = vectors[pair.j]?.tabData || {};
+                    const classificationA = entryA.classification || {};
+                    const classificationB = entryB.classification || {};
+                    const mergeHintsA = classificationA.mergeHints || vectors[pair.i]?.mergeHints || [];
+                    const mergeHintsB = classificationB.mergeHints || vectors[pair.j]?.mergeHints || [];
+                    const formatNumber = (value, digits = 3) =>
+                        typeof value === 'number' ? Number(value.toFixed(digits)) : null;
+                    debugLog.pairwise = debugLog.pairwise || [];
+                    debugLog.pairwise.push({
+                        phase: 'A',
+                        type: 'pair-hysteresis',
+                        reason: 'borderline-merge',
+                        vectorIndices: [pair.i, pair.j],
+                        tabIndices: [vectors[pair.i]?.index, vectors[pair.j]?.index],
+                        urls: [entryA.url, entryB.url],
+                        primaryTopics: [classificationA.primaryTopic || vectors[pair.i]?.primaryTopic || '', classificationB.primaryTopic || vectors[pair.j]?.primaryTopic || ''],
+                        docTypes: [classificationA.docType || vectors[pair.i]?.docType || '', classificationB.docType || vectors[pair.j]?.docType || ''],
+                        mergeHints: [mergeHintsA.slice(0, 4), mergeHintsB.slice(0, 4)],
+                        cosineEmb: formatNumber(pair.embed),
+                        simHash: formatNumber(pair.sim),
+                        jaccardHints: formatNumber(pair.merge),
+                        taxBoost: formatNumber(pair.taxonomy),
+                        keywordBoost: formatNumber(pair.primary),
+                        docTypeBoost: classificationA.docType && classificationB.docType
+                            ? formatNumber(classificationA.docType === classificationB.docType ? 1 : 0)
+                            : null,
+                        genericPenalty: null,
+                        langPenalty: null,
+                        finalScore: formatNumber(pair.score, 4),
+                        threshold: SIMILARITY_SPLIT_THRESHOLD,
+                        bridge: Boolean((vectors[pair.i]?.isGenericLanding) !== (vectors[pair.j]?.isGenericLanding)),
+                        bridgeReason: null,
+                        timestamp: Date.now()
+                    });
+                }
+            }
+        }
+    }
+    
+    const groupsMap = new Map();
+    for (let idx = 0; idx < vectors.length; idx++) {
+        const root = uf.find(idx);
+        if (!groupsMap.has(root)) {
+            groupsMap.set(root, { vectorIndices: [], tabIndices: [] });
+        }
+        const group = groupsMap.get(root);
+        group.vectorIndices.push(idx);
+        group.tabIndices.push(vectors[idx].index);
+    }
+    
+    let groups = Array.from(groupsMap.values());
+    
+    if (groups.length > 1) {
+        groups = mergeSmallSimilarGroups(groups, vectors, similarityCache, { debugLog, candidateIndex, constraints });
+    }
+    
+    if (groups.length > 1) {
+        const toRemove = new Set();
+        for (const group of groups) {
+            if (group.vectorIndices.length !== 1) continue;
+            const vectorIdx = group.vectorIndices[0];
+            let bestGroup = null;
+            let bestScore = 0;
+            
+            for (const candidate of groups) {
+                if (candidate === group || toRemove.has(candidate)) continue;
+                if (hasCannotLinkConflict(group.vectorIndices, candidate.vectorIndices, vectorCannotLinks)) continue;
+                let candidateScore = 0;
+                let comparisons = 0;
+                for (const otherIdx of candidate.vectorIndices) {
+                    const score = scorePair(vectorIdx, otherIdx);
+                    candidateScore = Math.max(candidateScore, score);
+                    comparisons += 1;
+                }
+                
+                if (candidateScore > bestScore) {
+                    bestScore = candidateScore;
+                    bestGroup = candidate;
+                }
+            }
+            
+            if (bestGroup && bestScore >= SIMILARITY_SPLIT_THRESHOLD) {
+                bestGroup.vectorIndices.push(vectorIdx);
+                bestGroup.tabIndices.push(vectors[vectorIdx].index);
+                toRemove.add(group);
+            }
+        }
+        
+        if (toRemove.size) {
+            groups = groups.filter(group => !toRemove.has(group));
+        }
+    }
+    
+    if (groups.length > 1) {
+        groups = mergeYouTubeChannelSingletons(groups, vectors, tabData, { debugLog, constraints });
+    }
+    
+    const enrichedGroups = groups.map(group => enrichGroupFromVectors(group.vectorIndices, vectors, similarityCache));
+    
+    enrichedGroups.sort((a, b) => b.tabIndices.length - a.tabIndices.length || a.tabIndices[0] - b.tabIndices[0]);
+    enrichedGroups.forEach((group, idx) => {
+        group.name = `Group ${idx + 1}`;
+    });
+    
+    featureContext.similarityCache = similarityCache;
+    featureContext.candidateIndex = candidateIndex;
+    featureContext.vectors = vectors;
+    return enrichedGroups;
+}
+
+function mergeSmallSimilarGroups(groups, vectors, similarityCache, { debugLog = null, candidateIndex = null, constraints = null } = {}) {
+    if (!Array.isArray(groups) || groups.length <= 1) {
+        return groups;
+    }
+
+    const keywordSets = groups.map(group => {
+        const set = new Set();
+        group.vectorIndices.forEach(vectorIdx => {
+            const vector = vectors[vectorIdx];
+            if (!vector) return;
+            vector.keywordTokens?.forEach(token => set.add(token));
+        });
+        return set;
+    });
+
+    const taxonomySets = groups.map(group => {
+        const set = new Set();
+        group.vectorIndices.forEach(vectorIdx => {
+            const vector = vectors[vectorIdx];
+            if (!vector) return;
+            vector.taxonomyTags?.forEach(token => set.add(token));
+        });
+        return set;
+    });
+
+    const topicSets = groups.map(group => {
+        const set = new Set();
+        group.vectorIndices.forEach(vectorIdx => {
+            const vector = vectors[vectorIdx];
+            if (!vector) return;
+            vector.semanticTopicTokens?.forEach(token => set.add(token));
+        });
+        return set;
+    });
+
+    const groupUF = createUnionFind(groups.length, { cannotLink: buildGroupCannotLinks(groups, constraints?.cannot) });
+    let merged = false;
+
+    const getVectorSimilarity = createPairScorer(vectors, similarityCache, candidateIndex);
+    // Taxonomy-only merges δεν χρειάζονται vector score, οπότε τα κοινά tags μετράνε ως link
+    const linkedGroups = candidateIndex ? buildGroupCandidateLinks(groups, candidateIndex, [taxonomySets]) : null;
+
+    for (let i = 0; i < groups.length; i++) {
+        for (let j = i + 1; j < groups.length; j++) {
+            if (linkedGroups && !linkedGroups[i].has(j)) continue;
+            const groupA = groups[i];
+            const groupB = groups[j];
+            if (!groupA || !groupB) continue;
+
+            const sizeA = groupA.vectorIndices.length;
+            const sizeB = groupB.vectorIndices.length;
+            if (sizeA > SMALL_GROUP_MAX_SIZE && sizeB > SMALL_GROUP_MAX_SIZE) continue;
+
+            debugLog?.stats && (debugLog.stats.smallGroupComparisons = (debugLog.stats.smallGroupComparisons || 0) + 1);
+            let bestScore = 0;
+            let bestPair = null;
+            for (const idxA of groupA.vectorIndices) {
+                for (const idxB of groupB.vectorIndices) {
+                    const score = getVectorSimilarity(idxA, idxB);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestPair = [idxA, idxB];
+                        if (bestScore >= 0.99) break;
+                    }
+                }
+                if (bestScore >= 0.99) break;
+            }
+
+            const keywordOverlap = normalizedOverlap(keywordSets[i], keywordSets[j]);
+            const topicOverlap = normalizedOverlap(topicSets[i], topicSets[j]);
+            const taxonomyOverlap = normalizedOverlap(taxonomySets[i], taxonomySets[j]);
+
+            const meetsThreshold = bestScore >= CROSS_GROUP_MERGE_THRESHOLD;
+            const meetsKeywordOrTopic = keywordOverlap >= CROSS_GROUP_KEYWORD_OVERLAP || topicOverlap >= CROSS_GROUP_TOPIC_OVERLAP;
+            const meetsTaxonomyBoost = taxonomyOverlap >= CROSS_GROUP_TAXONOMY_OVERLAP &&
+                (bestScore >= CROSS_GROUP_MERGE_THRESHOLD * 0.6 || meetsKeywordOrTopic);
+
+            const shouldMerge = (meetsThreshold && (meetsKeywordOrTopic || taxonomyOverlap >= CROSS_GROUP_TAXONOMY_OVERLAP))
+                || meetsTaxonomyBoost;
+
+            if (shouldMerge && groupUF.union(i, j)) {
+                merged = true;
+                if (debugLog) {
+                    debugLog.stats.smallGroupUnions = (debugLog.stats.smallGroupUnions || 0) + 1;
+                    const formatNumber = (value, digits = 3) => typeof value === 'number' ? Number(value.toFixed(digits)) : null;
+                    let debugInfo = null;
+                    let vectorA = null;
+                    let vectorB = null;
+                    if (Array.isArray(bestPair)) {
+                        vectorA = vectors[bestPair[0]];
+                        vectorB = vectors[bestPair[1]];
+                        debugInfo = {};
+                        computeWeightedSimilarity(vectorA, vectorB, debugInfo);
+                    }
+                    const entryA = vectorA?.tabData || {};
+                    const entryB = vectorB?.tabData || {};
+                    const classificationA = entryA.classification || {};
+                    const classificationB = entryB.classification || {};
+                    const mergeHintsA = classificationA.mergeHints || vectorA?.mergeHints || [];
+                    const mergeHintsB = classificationB.mergeHints || vectorB?.mergeHints || [];
+                    const bridge = Boolean(
+                        (vectorA?.isGenericLanding || classificationA.isGenericLanding) !==
+                        (vectorB?.isGenericLanding || classificationB.isGenericLanding)
+                    );
+                    debugLog.smallGroup = debugLog.smallGroup || [];
+                    const mergeType = meetsThreshold && (meetsKeywordOrTopic || taxonomyOverlap >= CROSS_GROUP_TAXONOMY_OVERLAP) ? 'semantic' : 'taxonomy';
+                    debugLog.smallGroup.push({
+                        phase: 'B',
+                        type: mergeType,
+                        groups: [i, j],
+                        sizes: [sizeA, sizeB],
+                        reason: mergeType,
+                        bestScore: formatNumber(debugInfo?.score, 4) ?? formatNumber(bestScore, 4),
+                        keywordOverlap: formatNumber(keywordOverlap),
+                        topicOverlap: formatNumber(topicOverlap),
+                        taxonomyOverlap: formatNumber(taxonomyOverlap),
+                        threshold: CROSS_GROUP_MERGE_THRESHOLD,
+                        primaryTopics: [
+                            classificationA.primaryTopic || vectorA?.primaryTopic || '',
+                            classificationB.primaryTopic || vectorB?.primaryTopic || ''
+                        ],
+                        docTypes: [
+                            classificationA.docType || vectorA?.docType || '',
+                            classificationB.docType || vectorB?.docType || ''
+                        ],
+                        mergeHints: [mergeHintsA.slice(0, 4), mergeHintsB.slice(0, 4)],
+                        cosineEmb: formatNumber(debugInfo?.S_embed),
+                        jaccardHints: formatNumber(debugInfo?.S_merge),
+                        taxBoost: formatNumber(debugInfo?.S_tax),
+                        keywordBoost: formatNumber(debugInfo?.S_kw),
+                        docTypeBoost: formatNumber(debugInfo?.docMatch),
+                        genericPenalty: formatNumber(debugInfo?.genericPenalty),
+                        bridge,
+                        bridgeReason: bridge ? 'generic-landing mismatch' : null,
+                        timestamp: Date.now()
+                    });
+                }
+            }
+        }
+    }
+
+    if (!merged) {
+        return groups;
+    }
+
+    const mergedMap = new Map();
+    for (let idx = 0; idx < groups.length; idx++) {
+        const root = groupUF.find(idx);
+        if (!mergedMap.has(root)) {
+            mergedMap.set(root, {
+                vectorIndices: new Set(),
+                tabIndices: new Set()
+            });
+        }
+        const accumulator = mergedMap.get(root);
+        groups[idx].vectorIndices.forEach(vIdx => accumulator.vectorIndices.add(vIdx));
+        groups[idx].tabIndices.forEach(tIdx => accumulator.tabIndices.add(tIdx));
+    }
+
+    return Array.from(mergedMap.values()).map(entry => ({
+        vectorIndices: Array.from(entry.vectorIndices).sort((a, b) => a - b),
+        tabIndices: Array.from(entry.tabIndices).sort((a, b) => a - b)
+        }));
+    }
+
+function mergeYouTubeChannelSingletons(groups, vectors, tabData, { debugLog = null, constraints = null } = {}) {
+    if (!Array.isArray(groups) || groups.length <= 1) {
+        return groups;
+    }
+    
+    const channelGroups = new Map();
+    groups.forEach((group, index) => {
+        if (!group.vectorIndices || group.vectorIndices.length !== 1) {
+            return;
+        }
+        const vectorIdx = group.vectorIndices[0];
+        const vector = vectors[vectorIdx];
+        if (!vector) return;
+        const entryIndex = typeof vector.index === 'number' ? vector.index : null;
+        const entry = entryIndex !== null ? (tabData?.[entryIndex] || vector.tabData || {}) : (vector.tabData || {});
+        const url = entry.url || '';
+        const domain = (entry.domain || '').toLowerCase();
+        const isYouTube = domain.includes('youtube.com') || url.includes('youtu.be');
+        if (!isYouTube) {
+            return;
+        }
+        const channel = (entry.youtubeChannel || '').toLowerCase().trim();
+        if (!channel) {
+            return;
+        }
+        if (!channelGroups.has(channel)) {
+            channelGroups.set(channel, []);
+        }
+        channelGroups.get(channel).push(index);
+    });
+    
+    let merged = false;
+    const groupUF = createUnionFind(groups.length, { cannotLink: buildGroupCannotLinks(groups, constraints?.cannot) });
+    for (const [channelKey, indices] of channelGroups.entries()) {
+        if (!indices || indices.length <= 1) continue;
+        const [first, ...rest] = indices;
+        rest.forEach(otherIndex => {
+            if (!groupUF.union(first, otherIndex)) return;
+            merged = true;
+            if (debugLog) {
+                debugLog.stats.channelUnions = (debugLog.stats.channelUnions || 0) + 1;
+                const vectorA = groups[first]?.vectorIndices?.[0] !== undefined ? vectors[groups[first].vectorIndices[0]] : null;
+                const vectorB = groups[otherIndex]?.vectorIndices?.[0] !== undefined ? vectors[groups[otherIndex].vectorIndices[0]] : null;
+                const entryA = vectorA?.tabData || {};
+                const entryB = vectorB?.tabData || {};
+                const classificationA = entryA.classification || {};
+                const classificationB = entryB.classification || {};
+                const channelName = entryA.youtubeAnalysis?.channel || entryB.youtubeAnalysis?.channel || channelKey;
+                debugLog.channelMerges = debugLog.channelMerges || [];
+                debugLog.channelMerges.push({
+                    phase: 'B',
+                    type: 'channel',
+                    reason: 'channel-singletons',
+                    groups: [first, otherIndex],
+                    urls: [entryA.url, entryB.url],
+                    channel: channelName,
+                    primaryTopics: [
+                        classificationA.primaryTopic || vectorA?.primaryTopic || '',
+                        classificationB.primaryTopic || vectorB?.primaryTopic || ''
+                    ],
+                    docTypes: [
+                        classificationA.docType || vectorA?.docType || '',
+                        classificationB.docType || vectorB?.docType || ''
+                    ],
+                    mergeHints: [
+                        (classificationA.mergeHints || vectorA?.mergeHints || []).slice(0, 4),
+                        (classificationB.mergeHints || vectorB?.mergeHints || []).slice(0, 4)
+                    ],
+                    timestamp: Date.now()
+                });
+            }
+        });
+    }
+    
+    if (!merged) {
+        return groups;
+    }
+    
+    const mergedMap = new Map();
+    for (let idx = 0; idx < groups.length; idx++) {
+        const root = groupUF.find(idx);
+        if (!mergedMap.has(root)) {
+            mergedMap.set(root, {
+                vectorIndices: new Set(),
+                tabIndices: new Set()
+            });
+        }
+        const accumulator = mergedMap.get(root);
+        const group = groups[idx];
+        group.vectorIndices.forEach(vectorIdx => accumulator.vectorIndices.add(vectorIdx));
+        group.tabIndices.forEach(tabIdx => accumulator.tabIndices.add(tabIdx));
+    }
+    
+    return Array.from(mergedMap.values()).map(entry => ({
+        vectorIndices: Array.from(entry.vectorIndices).sort((a, b) => a - b),
+        tabIndices: Array.from(entry.tabIndices).sort((a, b) => a - b)
+    }));
+}
+
+function enrichGroupFromVectors(vectorIndices, vectors, similarityCache) {
+    const uniqueVectorIndices = Array.from(new Set(vectorIndices || [])).sort((a, b) => a - b);
+    const tabIndexSet = new Set();
+    const centroid = new Map();
+    const keywordFrequency = new Map();
+    const domainFrequency = new Map();
+    const languageFrequency = new Map();
+    const taxonomyFrequency = new Map();
+    const primaryTopicFrequency = new Map();
+    const docTypeFrequency = new Map();
+    const entityFrequency = new Map();
+    const entityLabelMap = new Map();
+    const mergeHintFrequency = new Map();
+    let genericLandingCount = 0;
+    
+    uniqueVectorIndices.forEach(vectorIdx => {
+        const vector = vectors?.[vectorIdx];
+        if (!vector) return;
+        if (typeof vector.index === 'number') {
+            tabIndexSet.add(vector.index);
+        }
+        if (vector.keywordTokens) {
+            vector.keywordTokens.forEach(token => {
+                keywordFrequency.set(token, (keywordFrequency.get(token) || 0) + 1);
+            });
+        }
+        if (vector.taxonomyTags) {
+            vector.taxonomyTags.forEach(token => {
+                taxonomyFrequency.set(token, (taxonomyFrequency.get(token) || 0) + 1);
+            });
+        }
+        if (vector.tfidfVector) {
+            vector.tfidfVector.forEach((value, token) => {
+                centroid.set(token, (centroid.get(token) || 0) + value);
+            });
+        }
+        if (vector.domain) {
+            domainFrequency.set(vector.domain, (domainFrequency.get(vector.domain) || 0) + 1);
+        }
+        if (vector.language) {
+            languageFrequency.set(vector.language, (languageFrequency.get(vector.language) || 0) + 1);
+        }
+        const primaryTopic = (vector.primaryTopic || vector.tabData?.classification?.primaryTopic || '').toLowerCase().trim();
+        if (primaryTopic) {
+            primaryTopicFrequency.set(primaryTopic, (primaryTopicFrequency.get(primaryTopic) || 0) + 1);
+        }
+        const docType = (vector.docType || vector.tabData?.classification?.docType || '').toLowerCase().trim();
+        if (docType) {
+            docTypeFrequency.set(docType, (docTypeFrequency.get(docType) || 0) + 1);
+        }
+        const mergeHints = Array.isArray(vector.mergeHints)
+            ? vector.mergeHints
+            : (vector.tabData?.classification?.mergeHints || []);
+        mergeHints.forEach(hint => {
+            const token = String(hint || '').toLowerCase().trim();
+            if (!token || STOPWORDS.has(token)) return;
+            mergeHintFrequency.set(token, (mergeHintFrequency.get(token) || 0) + 1);
+        });
+        const entityList = vector.tabData?.classification?.entities || [];
+        entityList.forEach(entity => {
+            const label = String(entity || '').trim();
+            if (!label) return;
+            const key = label.toLowerCase();
+            entityFrequency.set(key, (entityFrequency.get(key) || 0) + 1);
+            if (!entityLabelMap.has(key)) {
+                entityLabelMap.set(key, label);
+            }
+        });
+        if (vector.isGenericLanding || vector.tabData?.classification?.isGenericLanding) {
+            genericLandingCount += 1;
+        }
+    });
+    
+    const centroidTokens = Array.from(centroid.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TFIDF_TOKEN_LIMIT)
+        .map(([token]) => token);
+    
+    const keywords = Array.from(keywordFrequency.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TFIDF_TOKEN_LIMIT)
+        .map(([token]) => token);
+    
+    const centroidSignature = `${centroidTokens.slice(0, 8).join('|')}|${keywords.slice(0, 6).join('|')}`;
+    const domainMode = Array.from(domainFrequency.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+    const languageMode = Array.from(languageFrequency.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+    const taxonomyTags = Array.from(taxonomyFrequency.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([token]) => token);
+    
+    const representativeVectorIndices = pickGroupRepresentatives(uniqueVectorIndices, vectors, similarityCache);
+    const representativeTabIndices = representativeVectorIndices
+        .map(idx => vectors?.[idx]?.index)
+        .filter(index => typeof index === 'number');
+    
+    const tabIndices = Array.from(tabIndexSet).sort((a, b) => a - b);
+    
+    const pickTopKeys = (frequencyMap, count = 1) => {
+        return Array.from(frequencyMap.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, count)
+            .map(([key]) => key);
+    };
+    const primaryTopicToken = pickTopKeys(primaryTopicFrequency, 1)[0] || '';
+    const primaryTopicLabel = primaryTopicToken
+        ? (titleCaseFromTokens(tokenizeText(primaryTopicToken)) || primaryTopicToken)
+        : '';
+    const primaryTopicCount = primaryTopicToken ? (primaryTopicFrequency.get(primaryTopicToken) || 0) : 0;
+    const primaryTopicPurity = uniqueVectorIndices.length
+        ? primaryTopicCount / uniqueVectorIndices.length
+        : 0;
+    const docTypeToken = pickTopKeys(docTypeFrequency, 1)[0] || '';
+    const mergeHintsTop = pickTopKeys(mergeHintFrequency, 6);
+    const topEntityKeys = pickTopKeys(entityFrequency, 4);
+    const topEntities = topEntityKeys.map(key => {
+        const label = entityLabelMap.get(key) || key;
+        return titleCaseFromTokens(tokenizeText(label)) || label;
+    });
+    const genericLandingRatio = uniqueVectorIndices.length
+        ? genericLandingCount / uniqueVectorIndices.length
+        : 0;
+    
+    return {
+        tabIndices,
+        vectorIndices: uniqueVectorIndices,
+        keywords,
+        centroidTokens,
+        centroidSignature,
+        domainMode,
+        languageMode,
+        representativeTabIndices,
+        taxonomyTags,
+        mergeHints: mergeHintsTop,
+        primaryTopic: primaryTopicLabel,
+        docType: docTypeToken,
+        entities: topEntities,
+        genericLandingRatio,
+        primaryTopicPurity,
+        name: '',
+        summary: []
+    };
+}
+
+function mergeSimilarNamedGroups(groups, featureContext, { debugLog = null } = {}) {
+    if (!Array.isArray(groups) || groups.length <= 1) {
+        return groups;
+    }
+    
+    const vectors = featureContext?.vectors;
+    if (!vectors || !vectors.length) {
+        return groups;
+    }
+    
+    const similarityCache = featureContext?.similarityCache || new Map();
+    const candidateIndex = featureContext?.candidateIndex || null;
+    const scorePair = createPairScorer(vectors, similarityCache, candidateIndex);
+    const nameTokenSets = groups.map(group => tokenizeGroupName(group.name));
+    const uf = createUnionFind(groups.length, { cannotLink: buildGroupCannotLinks(groups, featureContext?.constraints?.cannot) });
+    let merged = false;
+    const mergeSummaries = [];
+    
+    const bestGroupSimilarity = (groupA, groupB) => {
+        if (!groupA?.vectorIndices?.length || !groupB?.vectorIndices?.length) {
+            return { score: 0, pair: null };
+        }
+        let best = 0;
+        let bestPair = null;
+        for (const idxA of groupA.vectorIndices) {
+            for (const idxB of groupB.vectorIndices) {
+                const score = scorePair(idxA, idxB);
+                if (score > best) {
+                    best = score;
+                    bestPair = [idxA, idxB];
+                    if (best >= 0.99) {
+                        return { score: best, pair: bestPair };
+                    }
+                }
+            }
+        }
+        return { score: best, pair: bestPair };
+    };
+    
+    const isGamingGroup = (g) => {
+        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
+        return /(players|ultimate|team|fut|squad|ratings|futbin|fut\.gg|ea sports fc)/.test(s) || (g?.primaryTopic === 'gaming');
+    };
+    const isShoppingGroup = (g) => {
+        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
+        return (g?.primaryTopic === 'shopping') || detectShoppingStrong(s, '');
+    };
+    const isMedicalGroup = (g) => {
+        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
+        return /(pubmed|nejm|medical|health|who)/.test(s) || (g?.primaryTopic === 'medical');
+    };
+    const isTechNewsGroup = (g) => {
+        const s = ((g?.name || '') + ' ' + (Array.isArray(g?.keywords) ? g.keywords.join(' ') : '')).toLowerCase();
+        return /(tech|news|ai|openai|techcrunch|the verge|google)/.test(s) || (g?.primaryTopic === 'technology');
+    };
+
+    // Normalizer for exact label equality checks (remove punctuation/emojis, collapse spaces)
+    const normName = (v) => {
+        try {
+            return String(v || '')
+                .toLowerCase()
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^a-z0-9\s\u0370-\u03ff\u1f00-\u1fff]/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        } catch (_) {
+            return String(v || '').toLowerCase().trim();
+        }
+    };
+
+    // Category flags μία φορά ανά group (όχι ανά pair)
+    const categoryFlags = groups.map(group => ({
+        gaming: isGamingGroup(group),
+        shopping: isShoppingGroup(group),
+        medical: isMedicalGroup(group),
+        tech: isTechNewsGroup(group)
+    }));
+    // Με blocking: name merges θέλουν κοινό name token (ή ίδιο label) και candidate link για το vector score
+    const linkedGroups = candidateIndex
+        ? buildGroupCandidateLinks(groups, candidateIndex, [nameTokenSets, groups.map(group => new Set([normName(group.name)].filter(Boolean)))])
+        : null;
+
+    for (let i = 0; i < groups.length; i++) {
+        for (let j = i + 1; j < groups.length; j++) {
+            if (linkedGroups && !linkedGroups[i].has(j)) continue;
+            // Guard: do not merge across major categories (gaming/shopping/medical/tech)
+            const ga = categoryFlags[i].gaming;
+            const gb = categoryFlags[j].gaming;
+            if (ga !== gb) continue;
+            const sa = categoryFlags[i].shopping;
+            const sb = categoryFlags[j].shopping;
+            if (sa !== sb) continue;
+            const ma = categoryFlags[i].medical;
+            const mb = categoryFlags[j].medical;
+            if (ma !== mb) continue;
+            const ta = categoryFlags[i].tech;
+            const tb = categoryFlags[j].tech;
+            if (ta !== tb) continue;
+
+            // Special fast path: shopping groups with identical normalized labels
+            if (sa && sb) {
+                const nameA = normName(groups[i].name);
+                const nameB = normName(groups[j].name);
+                if (nameA && nameB && nameA === nameB && !isPlaceholderGroupName(groups[i].name) && !isPlaceholderGroupName(groups[j].name)) {
+                    if (!uf.union(i, j)) continue;
+                    merged = true;
+                    mergeSummaries.push({ a: groups[i].name, b: groups[j].name, labelEquality: true });
+                    if (debugLog) {
+                        debugLog.stats = debugLog.stats || {};
+                        debugLog.stats.nameUnions = (debugLog.stats.nameUnions || 0) + 1;
+                        debugLog.nameMerges = debugLog.nameMerges || [];
+                        debugLog.nameMerges.push({
+                            phase: 'B',
+                            type: 'label-merge',
+                            reason: 'label-equal',
+                            groups: [i, j],
+                            names: [groups[i].name, groups[j].name],
+                            primaryTopics: [groups[i].primaryTopic || '', groups[j].primaryTopic || ''],
+                            timestamp: Date.now()
+                        });
+                    }
+                    continue; // proceed to next pair
+                }
+            }
+
+            const tokensA = nameTokenSets[i];
+            const tokensB = nameTokenSets[j];
+            if (!tokensA.size || !tokensB.size) {
+                continue;
+            }
+            if (isPlaceholderGroupName(groups[i].name) && isPlaceholderGroupName(groups[j].name)) {
+                continue;
+            }
+            if (debugLog) {
+                debugLog.stats = debugLog.stats || {};
+                debugLog.stats.nameComparisons = (debugLog.stats.nameComparisons || 0) + 1;
+            }
+            const overlap = normalizedOverlap(tokensA, tokensB);
+            if (overlap < GROUP_NAME_SIMILARITY_THRESHOLD) {
+                continue;
+            }
+            const similarityResult = bestGroupSimilarity(groups[i], groups[j]);
+            if (similarityResult.score >= GROUP_NAME_VECTOR_THRESHOLD && uf.union(i, j)) {
+                merged = true;
+                mergeSummaries.push({
+                    a: groups[i].name,
+                    b: groups[j].name,
+                    labelSimilarity: overlap.toFixed(2),
+                    vectorSimilarity: similarityResult.score.toFixed(2)
+                });
+                if (debugLog) {
+                    debugLog.stats.nameUnions = (debugLog.stats.nameUnions || 0) + 1;
+                    const formatNumber = (value, digits = 3) => typeof value === 'number' ? Number(value.toFixed(digits)) : null;
+                    let debugInfo = null;
+                    if (Array.isArray(similarityResult.pair)) {
+                        const [idxA, idxB] = similarityResult.pair;
+                        const vectorA = vectors[idxA];
+                        const vectorB = vectors[idxB];
+                        if (vectorA && vectorB) {
+                            debugInfo = {};
+                            computeWeightedSimilarity(vectorA, vectorB, debugInfo);
+                        }
+                    }
+                    debugLog.nameMerges = debugLog.nameMerges || [];
+                    debugLog.nameMerges.push({
+                        phase: 'B',
+                        type: 'label-merge',
+                        reason: 'label-similarity',
+                        groups: [i, j],
+                        names: [groups[i].name, groups[j].name],
+                        labelOverlap: formatNumber(overlap),
+                        vectorSimilarity: formatNumber(similarityResult.score),
+                        primaryTopics: [groups[i].primaryTopic || '', groups[j].primaryTopic || ''],
+                        docTypes: [groups[i].docType || '', groups[j].docType || ''],
+                        mergeHints: [
+                            Array.isArray(groups[i].mergeHints) ? groups[i].mergeHints.slice(0, 4) : [],
+                            Array.isArray(groups[j].mergeHints) ? groups[j].mergeHints.slice(0, 4) : []
+                        ],
+                        thresholds: {
+                            label: GROUP_NAME_SIMILARITY_THRESHOLD,
+                            vector: GROUP_NAME_VECTOR_THRESHOLD
+                        },
+                        cosineEmb: formatNumber(debugInfo?.S_embed),
+                        jaccardHints: formatNumber(debugInfo?.S_merge),
+                        taxBoost: formatNumber(debugInfo?.S_tax),
+                        keywordBoost: formatNumber(debugInfo?.S_kw),
+                        docTypeBoost: formatNumber(debugInfo?.docMatch),
+                        timestamp: Date.now()
+                    });
+                }
+            }
+        }
+    }
+    
+    if (!merged) {
+        return groups;
+    }
+    
+    const mergedMap = new Map();
+    for (let idx = 0; idx < groups.length; idx++) {
+        const root = uf.find(idx);
+        if (!mergedMap.has(root)) {
+            mergedMap.set(root, {
+                vectorIndices: new Set(),
+                tabIndices: new Set(),
+                names: []
+            });
+        }
+        const bucket = mergedMap.get(root);
+        const group = groups[idx];
+        group.vectorIndices?.forEach(vIdx => bucket.vectorIndices.add(vIdx));
+        group.tabIndices?.forEach(tIdx => bucket.tabIndices.add(tIdx));
+        if (group.name) {
+            bucket.names.push(group.name);
+        }
+    }
+    
+    const mergedGroups = Array.from(mergedMap.values()).map(bucket => {
+        const vectorList = Array.from(bucket.vectorIndices);
+        const nameCandidate = bucket.names
+            .filter(name => name && !isPlaceholderGroupName(name))
+            .sort((a, b) => b.length - a.length)[0] || bucket.names[0] || 'Group';
+        if (vectorList.length > 0) {
+            const enriched = enrichGroupFromVectors(vectorList, vectors, similarityCache);
+            enriched.name = nameCandidate || enriched.name || 'Group';
+            enriched.summary = [];
+            return enriched;
+        }
+        // Fallback: groups didn't carry vectorIndices (e.g., came from earlier pipeline)
+        const tabIdxArr = Array.from(bucket.tabIndices).sort((a, b) => a - b);
+        return {
+            tabIndices: tabIdxArr,
+            vectorIndices: [],
+            keywords: [],
+            centroidTokens: [],
+            centroidSignature: `manual|${tabIdxArr.join('|')}`,
+            domainMode: '',
+            languageMode: '',
+            representativeTabIndices: tabIdxArr.slice(0, Math.min(2, tabIdxArr.length)),
+            taxonomyTags: [],
+            mergeHints: [],
+            primaryTopic: '',
+            docType: '',
+            entities: [],
+            genericLandingRatio: 0,
+            primaryTopicPurity: 0,
+            name: nameCandidate,
+            summary: []
+        };
+    });
+    
+    mergedGroups.sort((a, b) => b.tabIndices.length - a.tabIndices.length || a.tabIndices[0] - b.tabIndices[0]);
+    mergedGroups.forEach((group, index) => {
+        if (!group.name || isPlaceholderGroupName(group.name)) {
+            group.name = `Group ${index + 1}`;
+        }
+    });
+    
+    if (mergeSummaries.length) {
+        console.log('Merged groups with similar names:', mergeSummaries.slice(0, 5));
+    }
+    
+    return mergedGroups;
+}
+
+function tokenizeGroupName(name) {
+    if (!name) {
+        return new Set();
+    }
+    return new Set(tokenizeText(name));
+}
+
+function isPlaceholderGroupName(name) {
+    if (!name) return true;
+    return /^group\s+\d+$/i.test(name.trim());
+}
+function pickGroupRepresentatives(vectorIndices, vectors, similarityCache) {
+    if (!vectorIndices.length) return [];
+    if (vectorIndices.length <= 2) return vectorIndices.slice();
+    
+    const scored = vectorIndices.map(idx => {
+        let total = 0;
+        let comparisons = 0;
+        for (const otherIdx of vectorIndices) {
+            if (otherIdx === idx) continue;
+            const key = idx < otherIdx ? `${idx}|${otherIdx}` : `${otherIdx}|${idx}`;
+            let score = similarityCache.get(key);
+            if (typeof score !== 'number') {
+                score = computeWeightedSimilarity(vectors[idx], vectors[otherIdx]);
+                similarityCache.set(key, score);
+            }
+            total += score;
+            comparisons += 1;
+        }
+        return {
+            idx,
+            averageScore: comparisons ? total / comparisons : 0
+        };
+    });
+    
+    scored.sort((a, b) => b.averageScore - a.averageScore);
+    return scored.slice(0, 2).map(item => item.idx);
+}
+
+function pickTopTokens(tokens, count = 3) {
+    const frequency = new Map();
+    tokens.forEach(token => {
+        frequency.set(token, (frequency.get(token) || 0) + 1);
+    });
+    return Array.from(frequency.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([token]) => token);
+}
+
+function titleCaseFromTokens(tokens) {
+    if (!tokens.length) return '';
+    return tokens
+        .map(token => token.charAt(0).toUpperCase() + token.slice(1))
+        .join(' ');
+}
+
+/**
+ * Μετατρέπει ένα tab entry (currentTabData ή snapshot) στο σχήμα που περιμένει το pipeline
+ */
+function buildTabDataForAI(tab, index) {
+    const content = typeof tab?.content === 'string' ? tab.content : '';
+    let domain = tab?.domain;
+    if (!domain) {
+        try {
+            domain = new URL(tab.url).hostname;
+        } catch (error) {
+            domain = '';
+        }
+    }
+    const contentPreview = content.substring(0, 800); // Περισσότερο περιεχόμενο για AI
+    
+    return {
+        index: index,
+        title: tab.title,
+        url: tab.url,
+        domain: domain,
+        content: contentPreview,
+        metaDescription: tab.metaDescription,
+        contentLength: content.length,
+        hasContent: content.length > 100,
+        topicHints: tab.topicHints || generateTopicHints(tab),
+        youtubeTopic: tab.youtubeAnalysis?.topic || null,
+        youtubeTags: tab.youtubeAnalysis?.tags || [],
+        youtubeConfidence: typeof tab.youtubeAnalysis?.confidence === 'number' ? tab.youtubeAnalysis.confidence : null,
+        youtubeChannel: tab.youtubeAnalysis?.channel || '',
+        language: tab.language || '',
+        headings: Array.isArray(tab.headings) ? tab.headings.slice(0, 8) : [],
+        metaKeywords: Array.isArray(tab.metaKeywords) ? tab.metaKeywords.slice(0, 12) : [],
+        canonicalUrl: tab.canonicalUrl || '',
+        contentHash: tab.contentHash || '',
+        fullContent: content
+    };
+}
+
+/**
+ * buildTabDataForAI + τα AI features που έχουν ήδη υπολογιστεί (snapshot ή προηγούμενο scan)
+ */
+function hydrateTabDataForAI(tabData) {
+    return (Array.isArray(tabData) ? tabData : []).map((tab, index) => {
+        const entry = buildTabDataForAI(tab || {}, index);
+        ['semanticFeatures', 'semanticEmbedding', 'summaryBullets', 'classification'].forEach(key => {
+            if (tab?.[key]) {
+                entry[key] = tab[key];
+            }
+        });
+        return entry;
+    });
+}
+
+/**
+ * Vector για ένα νέο tab με τα document frequencies ενός υπάρχοντος context (χωρίς full rebuild)
+ */
+function vectorizeTabInContext(entry, featureContext) {
+    const vector = buildTabFeatureVector(entry);
+    const documentFrequency = featureContext?.documentFrequency || new Map();
+    const docCount = (featureContext?.docCount || 0) + 1;
+    applyTfidfWeights(vector, documentFrequency, docCount);
+    return vector;
+}
+
+/**
+ * Centroid ανά group: μέσος όρος TF-IDF και embeddings των μελών
+ */
+function buildGroupCentroids(groups, featureContext) {
+    const vectors = featureContext?.vectors || [];
+    return (groups || []).map((group, groupIndex) => {
+        const tfidf = new Map();
+        let embedding = null;
+        let embeddingCount = 0;
+        const members = (group.tabIndices || []).map(idx => vectors[idx]).filter(Boolean);
+        members.forEach(vector => {
+            (vector.tfidfVector || new Map()).forEach((weight, token) => {
+                tfidf.set(token, (tfidf.get(token) || 0) + weight / members.length);
+            });
+            if (Array.isArray(vector.embeddingVector) && vector.embeddingVector.length) {
+                if (!embedding) {
+                    embedding = new Array(vector.embeddingVector.length).fill(0);
+                }
+                if (embedding.length === vector.embeddingVector.length) {
+                    vector.embeddingVector.forEach((value, i) => {
+                        embedding[i] += value;
+                    });
+                    embeddingCount += 1;
+                }
+            }
+        });
+        return {
+            groupIndex,
+            size: members.length,
+            tfidf,
+            embedding: embedding && embeddingCount ? normalizeVector(embedding.map(value => value / embeddingCount)) : null
+        };
+    });
+}
+
+/**
+ * Ταξινομεί τα centroids ως προς ένα tab vector· embedding cosine όπου υπάρχει, αλλιώς TF-IDF cosine
+ */
+function rankGroupCentroids(vector, centroids) {
+    return (centroids || [])
+        .filter(centroid => centroid.size > 0)
+        .map(centroid => {
+            const useEmbedding = Array.isArray(vector?.embeddingVector) && vector.embeddingVector.length &&
+                centroid.embedding && centroid.embedding.length === vector.embeddingVector.length;
+            const score = useEmbedding
+                ? cosineSimilarityArray(vector.embeddingVector, centroid.embedding)
+                : cosineSimilarity(vector?.tfidfVector, centroid.tfidf);
+            return { groupIndex: centroid.groupIndex, score, source: useEmbedding ? 'embedding' : 'tfidf' };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Headless grouping: features → union-find clustering → merge passes, χωρίς LM/Summarizer.
+ * Τα AI features που έχει ήδη ένα captured snapshot (semanticFeatures, embeddings) χρησιμοποιούνται όπως είναι.
+ * constraints: must-link / cannot-link από διορθώσεις του χρήστη (βλ. buildGroupingConstraintIndex).
+ */
+function runDeterministicGrouping(tabData, { debugLog = null, blocking = 'auto', constraints = null } = {}) {
+    const tabDataForAI = hydrateTabDataForAI(tabData);
+    const featureContext = prepareTabFeatureContext(tabDataForAI);
+    featureContext.constraints = buildGroupingConstraintIndex(constraints, tabDataForAI);
+    let groups = clusterTabsDeterministic(featureContext, { debugLog, blocking });
+    
+    // Deterministic labels (όπως το fallback του performAIAnalysis) ώστε να τρέξει και το name merge pass
+    groups.forEach(group => {
+        const label = group.primaryTopic || titleCaseFromTokens((group.keywords || []).slice(0, 2));
+        if (label) {
+            group.name = label;
+        }
+    });
+    groups = mergeSimilarNamedGroups(groups, featureContext, { debugLog });
+    groups = enforceGroupingConstraints(groups, featureContext.constraints, { vectors: featureContext.vectors });
+    groups = groups.filter(group => group.tabIndices.length >= 2);
+    
+    return { groups, featureContext, tabData: tabDataForAI };
+}
+
+function normalizePredictedGroupMap(predictedGroups) {
+    if (predictedGroups instanceof Map) {
+        return predictedGroups;
+    }
+    if (predictedGroups && typeof predictedGroups === 'object') {
+        const map = new Map();
+        Object.entries(predictedGroups).forEach(([key, value]) => {
+            map.set(key, value);
+        });
+        return map;
+    }
+    return new Map();
+}
+
+function buildPredictedGroupMap(groups, tabData) {
+    const map = new Map();
+    if (Array.isArray(groups)) {
+        groups.forEach((group, index) => {
+            const groupId = group?.id || group?.name || `G${index}`;
+            (group?.tabIndices || []).forEach(tabIdx => {
+                const tab = tabData?.[tabIdx];
+                if (tab?.url) {
+                    map.set(tab.url, groupId);
+                }
+            });
+        });
+    }
+    if (Array.isArray(tabData)) {
+        tabData.forEach((tab, index) => {
+            if (!tab?.url) return;
+            if (!map.has(tab.url)) {
+                map.set(tab.url, `singleton:${index}`);
+            }
+        });
+    }
+    return map;
+}
+
+function evalPairwise(tabs, predictedGroups) {
+    if (!Array.isArray(tabs) || !tabs.length) {
+        return { TP: 0, FP: 0, FN: 0, precision: 1, recall: 1, f1: 1, totalPairs: 0 };
+    }
+    const map = normalizePredictedGroupMap(predictedGroups);
+    const n = tabs.length;
+    let TP = 0;
+    let FP = 0;
+    let FN = 0;
+    for (let i = 0; i < n; i += 1) {
+        const goldI = tabs[i].gold;
+        const predI = map.get(tabs[i].url);
+        for (let j = i + 1; j < n; j += 1) {
+            const goldJ = tabs[j].gold;
+            const predJ = map.get(tabs[j].url);
+            const sameGold = goldI === goldJ;
+            const samePred = predI !== undefined && predI === predJ;
+            if (sameGold && samePred) {
+                TP += 1;
+            } else if (!sameGold && samePred) {
+                FP += 1;
+            } else if (sameGold && !samePred) {
+                FN += 1;
+            }
+        }
+    }
+    const totalPairs = (n * (n - 1)) / 2;
+    const precision = (TP + FP) === 0 ? 1 : TP / (TP + FP);
+    const recall = (TP + FN) === 0 ? 1 : TP / (TP + FN);
+    const f1 = (precision + recall) === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+    return {
+        TP,
+        FP,
+        FN,
+        precision: Number(precision.toFixed(3)),
+        recall: Number(recall.toFixed(3)),
+        f1: Number(f1.toFixed(3)),
+        totalPairs
+    };
+}
+
+function evalBCubed(tabs, predictedGroups) {
+    if (!Array.isArray(tabs) || !tabs.length) {
+        return { precision: 1, recall: 1, f1: 1 };
+    }
+    const map = normalizePredictedGroupMap(predictedGroups);
+    const goldGroups = new Map();
+    const predGroups = new Map();
+    for (const tab of tabs) {
+        if (!tab?.url) continue;
+        const goldGroup = tab.gold;
+        const predGroup = map.get(tab.url);
+        if (!goldGroups.has(goldGroup)) {
+            goldGroups.set(goldGroup, []);
+        }
+        goldGroups.get(goldGroup).push(tab.url);
+        if (!predGroups.has(predGroup)) {
+            predGroups.set(predGroup, []);
+        }
+        predGroups.get(predGroup).push(tab.url);
+    }
+    const intersectionSize = (list, set) => {
+        let count = 0;
+        for (const item of list) {
+            if (set.has(item)) {
+                count += 1;
+            }
+        }
+        return count;
+    };
+    let precisionSum = 0;
+    let recallSum = 0;
+    tabs.forEach(tab => {
+        if (!tab?.url) return;
+        const goldList = goldGroups.get(tab.gold) || [];
+        const predList = predGroups.get(map.get(tab.url)) || [];
+        const predSet = new Set(predList);
+        const goldSet = new Set(goldList);
+        const inter = intersectionSize(predList, goldSet);
+        const precision = predList.length ? inter / predList.length : 0;
+        const recall = goldList.length ? inter / goldList.length : 0;
+        precisionSum += precision;
+        recallSum += recall;
+    });
+    const precision = precisionSum / tabs.length;
+    const recall = recallSum / tabs.length;
+    const f1 = (precision + recall) === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+    return {
+        precision: Number(precision.toFixed(3)),
+        recall: Number(recall.toFixed(3)),
+        f1: Number(f1.toFixed(3))
+    };
+}
+
+function computePurityByCluster(tabs, predictedGroups) {
+    const map = normalizePredictedGroupMap(predictedGroups);
+    const clusters = new Map();
+    tabs.forEach(tab => {
+        if (!tab?.url) return;
+        const groupId = map.get(tab.url);
+        if (!clusters.has(groupId)) {
+            clusters.set(groupId, []);
+        }
+        clusters.get(groupId).push(tab.gold);
+    });
+    const result = [];
+    clusters.forEach((labels, groupId) => {
+        const frequency = new Map();
+        labels.forEach(label => {
+            frequency.set(label, (frequency.get(label) || 0) + 1);
+        });
+        const [majorityLabel, majorityCount] = Array.from(frequency.entries()).sort((a, b) => b[1] - a[1])[0] || ['', 0];
+        const purity = labels.length ? majorityCount / labels.length : 0;
+        result.push({
+            groupId,
+            size: labels.length,
+            majorityLabel,
+            purity: Number(purity.toFixed(3))
+        });
+    });
+    result.sort((a, b) => b.size - a.size);
+    return result;
+}
+
+/**
+ * Υπολογίζει τα golden metrics ενός scenario για δοσμένα predicted groups
+ */
+function scoreGoldenScenario(scenario, groups, tabData) {
+    if (!scenario || !Array.isArray(scenario.tabs)) {
+        const error = new Error('Invalid golden scenario format');
+        error.details = scenario;
+        throw error;
+    }
+    const predictedMap = buildPredictedGroupMap(groups, tabData);
+    if (!predictedMap.size) {
+        throw new Error('Failed to build predicted group mapping.');
+    }
+    const tabsForEval = [];
+    const missingPredictions = [];
+    scenario.tabs.forEach((tab, index) => {
+        if (!tab || !tab.url || typeof tab.gold === 'undefined') {
+            return;
+        }
+        if (!predictedMap.has(tab.url)) {
+            missingPredictions.push(tab.url);
+            predictedMap.set(tab.url, `missing:${index}`);
+        }
+        tabsForEval.push({ url: tab.url, gold: tab.gold });
+    });
+    if (!tabsForEval.length) {
+        throw new Error('Golden scenario contains no valid tabs.');
+    }
+    const pairwise = evalPairwise(tabsForEval, predictedMap);
+    const bcubed = evalBCubed(tabsForEval, predictedMap);
+    const denominator = pairwise.TP + pairwise.FP + pairwise.FN;
+    const overMergeRate = denominator ? Number((pairwise.FP / denominator).toFixed(3)) : 0;
+    const underClusterRate = denominator ? Number((pairwise.FN / denominator).toFixed(3)) : 0;
+    const purityByCluster = computePurityByCluster(tabsForEval, predictedMap);
+    return {
+        scenarioName: scenario.name || 'unnamed',
+        notes: scenario.notes || '',
+        pairwise,
+        bcubed,
+        overMergeRate,
+        underClusterRate,
+        purityByCluster,
+        missingPredictions,
+        tabCount: tabsForEval.length,
+        timestamp: Date.now()
+    };
+}
+
+// Export για Node (dev/run-golden.js)· στο service worker οι δηλώσεις είναι ήδη global μέσω importScripts()
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_GROUPING_THRESHOLDS,
+        configureGroupingThresholds,
+        getGroupingThresholds,
+        STOPWORDS,
+        tokenizeText,
+        computeSimHash,
+        simHashSimilarity,
+        inferTaxonomyTags,
+        generateTopicHints,
+        buildTabDataForAI,
+        prepareTabFeatureContext,
+        computeWeightedSimilarity,
+        CANDIDATE_BLOCKING_MIN_TABS,
+        buildCandidateIndex,
+        createPairScorer,
+        buildGroupCandidateLinks,
+        createUnionFind,
+        constraintKeyForUrl,
+        buildGroupingConstraintIndex,
+        mapConstraintLinksToVectors,
+        hasCannotLinkConflict,
+        buildGroupCannotLinks,
+        enforceGroupingConstraints,
+        clusterTabsDeterministic,
+        mergeSmallSimilarGroups,
+        mergeYouTubeChannelSingletons,
+        enrichGroupFromVectors,
+        mergeSimilarNamedGroups,
+        hydrateTabDataForAI,
+        vectorizeTabInContext,
+        buildGroupCentroids,
+        rankGroupCentroids,
+        runDeterministicGrouping,
+        buildPredictedGroupMap,
+        evalPairwise,
+        evalBCubed,
+        computePurityByCluster,
+        scoreGoldenScenario
+    };
+}
@@ -0,0 +1,329 @@
+/**
+ * AI Tab Companion - Grouping rules
+ *
+ * Κανόνες χρήστη πάνω σε URL/title που εφαρμόζονται πριν το clustering:
+ * - group: όλα τα tabs που ταιριάζουν μπαίνουν σε ένα group με το όνομα του κανόνα
+ * - never: το tab δεν μπαίνει ποτέ σε group
+ * - tag:   προσθέτει taxonomy labels στο tab (αθροιστικά, δεν αλλάζει τη θέση του)
+ *
+ * Για τη θέση (group/never) κερδίζει ο κανόνας με τη μεγαλύτερη priority· σε ισοβαθμία ο πρώτος στη λίστα.
+ * Τα tabs με θέση από κανόνα δεν περνάνε από κανένα merge stage· τα forced groups προστίθενται στο τέλος.
+ *
+ * Φορτώνεται από το service worker (importScripts) και από το options.html (import/export/validation).
+ */
+
+const GROUPING_RULES_KEY = 'groupingRules';
+const GROUPING_RULES_EXPORT_FORMAT = 'ai-tab-companion-rules';
+const GROUPING_RULES_EXPORT_VERSION = 1;
+const GROUPING_RULE_ACTIONS = ['group', 'never', 'tag'];
+const GROUPING_RULE_FIELDS = ['url', 'title', 'any'];
+const GROUPING_RULE_MATCH_TYPES = ['contains', 'glob', 'regex'];
+const GROUPING_RULES_MAX = 200;
+
+function createGroupingRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Glob → RegExp: `*` = οτιδήποτε, `?` = ένας χαρακτήρας, όλο το κείμενο πρέπει να ταιριάζει
+ */
+function globToRegExp(pattern) {
+    const source = String(pattern)
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function normalizeRuleTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return Array.from(new Set(
+        list.map(tag => String(tag || '').trim().toLowerCase()).filter(Boolean)
+    )).slice(0, 8);
+}
+
+/**
+ * Ελέγχει έναν κανόνα· επιστρέφει { rule, errors } (rule = null όταν δεν είναι χρήσιμος)
+ */
+function normalizeGroupingRule(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object') {
+        return { rule: null, errors: ['Rule must be an object'] };
+    }
+    const pattern = typeof raw.pattern === 'string' ? raw.pattern.trim() : '';
+    const action = GROUPING_RULE_ACTIONS.includes(raw.action) ? raw.action : null;
+    const matchType = GROUPING_RULE_MATCH_TYPES.includes(raw.matchType) ? raw.matchType : 'contains';
+    const field = GROUPING_RULE_FIELDS.includes(raw.field) ? raw.field : 'url';
+    const priority = Number.isFinite(Number(raw.priority)) ? Math.round(Number(raw.priority)) : 0;
+    const groupName = typeof raw.groupName === 'string' ? raw.groupName.trim().slice(0, 60) : '';
+    const tags = normalizeRuleTags(raw.tags);
+
+    if (!pattern) {
+        errors.push('Pattern is required');
+    } else if (matchType === 'regex') {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            errors.push(error.message || `Invalid regular expression "${pattern}"`);
+        }
+    }
+    if (!action) {
+        errors.push(`Action must be one of ${GROUPING_RULE_ACTIONS.join(', ')}`);
+    } else if (action === 'group' && !groupName) {
+        errors.push('Group rules need a group name');
+    } else if (action === 'tag' && !tags.length) {
+        errors.push('Tag rules need at least one tag');
+    }
+    if (errors.length) {
+        return { rule: null, errors };
+    }
+    return {
+        rule: {
+            id: typeof raw.id === 'string' && raw.id ? raw.id : createGroupingRuleId(),
+            name: typeof raw.name === 'string' ? raw.name.trim().slice(0, 80) : '',
+            enabled: raw.enabled !== false,
+            priority,
+            field,
+            matchType,
+            pattern,
+            action,
+            groupName: action === 'group' ? groupName : '',
+            tags: action === 'tag' ? tags : []
+        },
+        errors
+    };
+}
+
+/**
+ * Ελέγχει μια λίστα κανόνων (ή export payload)· τα άκυρα entries παραλείπονται με μήνυμα λάθους
+ */
+function validateGroupingRules(raw) {
+    const list = Array.isArray(raw) ? raw : (Array.isArray(raw?.rules) ? raw.rules : null);
+    if (!list) {
+        return { rules: [], errors: [{ index: -1, message: 'Expected a list of rules' }] };
+    }
+    const rules = [];
+    const errors = [];
+    const seenIds = new Set();
+    list.forEach((entry, index) => {
+        const { rule, errors: ruleErrors } = normalizeGroupingRule(entry);
+        if (!rule) {
+            ruleErrors.forEach(message => errors.push({ index, message }));
+            return;
+        }
+        if (seenIds.has(rule.id)) {
+            rule.id = createGroupingRuleId();
+        }
+        seenIds.add(rule.id);
+        rules.push(rule);
+    });
+    if (rules.length > GROUPING_RULES_MAX) {
+        errors.push({ index: GROUPING_RULES_MAX, message: `Only the first ${GROUPING_RULES_MAX} rules are kept` });
+        rules.length = GROUPING_RULES_MAX;
+    }
+    return { rules, errors };
+}
+
+/**
+ * Ενεργοί κανόνες με έτοιμο matcher, ταξινομημένοι κατά priority (σταθερά ως προς τη σειρά)
+ */
+function compileGroupingRules(rules) {
+    return (Array.isArray(rules) ? rules : [])
+        .map((rule, order) => ({ rule, order }))
+        .filter(({ rule }) => rule && rule.enabled !== false && rule.pattern)
+        .map(({ rule, order }) => {
+            let test;
+            if (rule.matchType === 'regex') {
+                try {
+                    const regex = new RegExp(rule.pattern, 'i');
+                    test = value => regex.test(value);
+                } catch (_) {
+                    return null;
+                }
+            } else if (rule.matchType === 'glob') {
+                const regex = globToRegExp(rule.pattern);
+                test = value => regex.test(value);
+            } else {
+                const needle = rule.pattern.toLowerCase();
+                test = value => value.toLowerCase().includes(needle);
+            }
+            return { ...rule, order, test };
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+}
+
+function groupingRuleMatches(compiledRule, entry) {
+    const url = String(entry?.url || '');
+    const title = String(entry?.title || '');
+    if (compiledRule.field === 'url') return Boolean(url) && compiledRule.test(url);
+    if (compiledRule.field === 'title') return Boolean(title) && compiledRule.test(title);
+    return (Boolean(url) && compiledRule.test(url)) || (Boolean(title) && compiledRule.test(title));
+}
+
+/**
+ * Κανόνες για ένα tab: { placement: κανόνας group/never ή null, tags: [] }
+ */
+function matchGroupingRules(entry, compiledRules) {
+    let placement = null;
+    const tags = new Set();
+    (compiledRules || []).forEach(rule => {
+        if (!groupingRuleMatches(rule, entry)) return;
+        if (rule.action === 'tag') {
+            rule.tags.forEach(tag => tags.add(tag));
+        } else if (!placement) {
+            placement = rule;
+        }
+    });
+    return { placement, tags: Array.from(tags) };
+}
+
+function groupingRuleGroupKey(groupName) {
+    return String(groupName || '').trim().toLowerCase();
+}
+
+/**
+ * Index των κανόνων στο index space του tabData (null όταν κανένας κανόνας δεν ταιριάζει).
+ * forcedGroups: groupKey → { name, ruleId, tabIndices }· excluded: tabs με κανόνα never
+ */
+function buildGroupingRuleIndex(rules, tabData) {
+    const compiled = compileGroupingRules(rules);
+    if (!compiled.length || !Array.isArray(tabData) || !tabData.length) {
+        return null;
+    }
+    const placements = new Map();
+    const forcedGroups = new Map();
+    const excluded = new Set();
+    const tags = new Map();
+    tabData.forEach((entry, position) => {
+        if (!entry) return;
+        const index = typeof entry.index === 'number' ? entry.index : position;
+        const match = matchGroupingRules(entry, compiled);
+        if (match.tags.length) {
+            tags.set(index, match.tags);
+        }
+        if (!match.placement) return;
+        placements.set(index, match.placement);
+        if (match.placement.action === 'never') {
+            excluded.add(index);
+            return;
+        }
+        const key = groupingRuleGroupKey(match.placement.groupName);
+        if (!forcedGroups.has(key)) {
+            forcedGroups.set(key, { name: match.placement.groupName, ruleId: match.placement.id, tabIndices: [] });
+        }
+        forcedGroups.get(key).tabIndices.push(index);
+    });
+    if (!placements.size && !tags.size) {
+        return null;
+    }
+    return { placements, forcedGroups, excluded, tags, size: placements.size + tags.size };
+}
+
+/**
+ * Γράφει τα rule tags στα entries (διαβάζονται από inferTaxonomyTags / triage taxonomy)
+ */
+function applyGroupingRuleTags(tabData, ruleIndex) {
+    if (!ruleIndex || !ruleIndex.tags.size || !Array.isArray(tabData)) {
+        return tabData;
+    }
+    tabData.forEach((entry, position) => {
+        if (!entry) return;
+        const index = typeof entry.index === 'number' ? entry.index : position;
+        const ruleTags = ruleIndex.tags.get(index);
+        if (ruleTags) {
+            entry.ruleTags = ruleTags;
+        }
+    });
+    return tabData;
+}
+
+/**
+ * Βγάζει από τα groups όσα tabs έχουν θέση από κανόνα (τα άδεια groups πετιούνται)
+ */
+function stripRuleAssignedTabs(groups, ruleIndex, field = 'tabIndices') {
+    if (!ruleIndex || !ruleIndex.placements.size || !Array.isArray(groups)) {
+        return groups;
+    }
+    return groups
+        .map(group => {
+            const indices = Array.isArray(group?.[field]) ? group[field] : [];
+            const kept = indices.filter(index => !ruleIndex.placements.has(index));
+            return kept.length === indices.length ? group : { ...group, [field]: kept };
+        })
+        .filter(group => Array.isArray(group?.[field]) && group[field].length > 0);
+}
+
+/**
+ * Προσθέτει τα forced groups των κανόνων (μετά από όλα τα merge stages)
+ */
+function appendRuleGroups(groups, ruleIndex) {
+    const base = stripRuleAssignedTabs(Array.isArray(groups) ? groups : [], ruleIndex);
+    if (!ruleIndex || !ruleIndex.forcedGroups.size) {
+        return base;
+    }
+    const ruleGroups = Array.from(ruleIndex.forcedGroups.values()).map(forced => ({
+        name: forced.name,
+        tabIndices: forced.tabIndices.slice(),
+        keywords: [],
+        confidence: 1,
+        ruleGroup: true,
+        ruleId: forced.ruleId
+    }));
+    return [...base, ...ruleGroups];
+}
+
+/**
+ * JSON που μοιράζεται μια ομάδα (ίδιο format δέχεται και το import)
+ */
+function buildGroupingRulesExport(rules) {
+    return {
+        format: GROUPING_RULES_EXPORT_FORMAT,
+        version: GROUPING_RULES_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        rules: validateGroupingRules(rules).rules
+    };
+}
+
+/**
+ * Parse ενός imported JSON· replace = αντικατάσταση, αλλιώς merge βάσει id (τα imported υπερισχύουν)
+ */
+function importGroupingRules(existingRules, text, { replace = false } = {}) {
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch (error) {
+        return { rules: existingRules || [], added: 0, errors: [{ index: -1, message: `Invalid JSON: ${error.message}` }] };
+    }
+    if (payload && !Array.isArray(payload) && payload.format && payload.format !== GROUPING_RULES_EXPORT_FORMAT) {
+        return { rules: existingRules || [], added: 0, errors: [{ index: -1, message: `Unknown format "${payload.format}"` }] };
+    }
+    const { rules: imported, errors } = validateGroupingRules(payload);
+    const base = replace ? [] : validateGroupingRules(existingRules || []).rules;
+    const byId = new Map(base.map(rule => [rule.id, rule]));
+    imported.forEach(rule => byId.set(rule.id, rule));
+    const { rules, errors: limitErrors } = validateGroupingRules(Array.from(byId.values()));
+    return { rules, added: imported.length, errors: [...errors, ...limitErrors] };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GROUPING_RULES_KEY,
+        GROUPING_RULE_ACTIONS,
+        globToRegExp,
+        normalizeGroupingRule,
+        validateGroupingRules,
+        compileGroupingRules,
+        matchGroupingRules,
+        buildGroupingRuleIndex,
+        applyGroupingRuleTags,
+        stripRuleAssignedTabs,
+        appendRuleGroups,
+        buildGroupingRulesExport,
+        importGroupingRules
+    };
+}
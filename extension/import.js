@@ -0,0 +1,123 @@
+/**
+ * AI Tab Companion - Import page
+ *
+ * Preview του import με το parseImportText (export-formats.js) και άνοιγμα μέσω του service worker,
+ * που ξανακάνει validation και παραλείπει tabs που είναι ήδη ανοιχτά.
+ */
+
+const importElements = {
+    file: document.getElementById('import-file'),
+    text: document.getElementById('import-text'),
+    target: document.getElementById('import-target'),
+    openBtn: document.getElementById('import-open-btn'),
+    summary: document.getElementById('import-summary'),
+    errors: document.getElementById('import-errors'),
+    groups: document.getElementById('import-groups'),
+    status: document.getElementById('import-status')
+};
+
+const IMPORT_FORMAT_LABELS = {
+    json: 'AI Tab Companion export',
+    onetab: 'OneTab list',
+    urls: 'URL list'
+};
+
+let importParsed = null;
+let importPreviewTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    importElements.text.addEventListener('input', () => {
+        clearTimeout(importPreviewTimer);
+        importPreviewTimer = setTimeout(renderImportPreview, 250);
+    });
+    importElements.file.addEventListener('change', loadImportFile);
+    importElements.openBtn.addEventListener('click', openImportedGroups);
+});
+
+async function loadImportFile() {
+    const [file] = importElements.file.files;
+    importElements.file.value = '';
+    if (!file) return;
+    try {
+        importElements.text.value = await file.text();
+        renderImportPreview();
+    } catch (error) {
+        showImportStatus(`Could not read ${file.name}: ${error?.message || error}`, true);
+    }
+}
+
+function renderImportPreview() {
+    const text = importElements.text.value;
+    importParsed = text.trim() ? parseImportText(text) : null;
+    importElements.groups.textContent = '';
+    importElements.errors.textContent = '';
+    showImportStatus('');
+
+    const groups = importParsed?.groups || [];
+    const errors = importParsed?.errors || [];
+    importElements.errors.classList.toggle('hidden', errors.length === 0);
+    errors.slice(0, 20).forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        importElements.errors.appendChild(item);
+    });
+    if (errors.length > 20) {
+        const item = document.createElement('li');
+        item.textContent = `…and ${errors.length - 20} more`;
+        importElements.errors.appendChild(item);
+    }
+
+    const tabCount = groups.reduce((sum, group) => sum + group.tabs.length, 0);
+    importElements.summary.textContent = importParsed
+        ? `${IMPORT_FORMAT_LABELS[importParsed.format] || 'Input'}: ${groups.length} group${groups.length === 1 ? '' : 's'}, ${tabCount} tab${tabCount === 1 ? '' : 's'}`
+        : 'Paste text or choose a file.';
+    groups.forEach(group => importElements.groups.appendChild(createImportGroupElement(group)));
+    importElements.openBtn.disabled = groups.length === 0;
+}
+
+function createImportGroupElement(group) {
+    const item = document.createElement('li');
+    item.className = 'import-group';
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    const meta = document.createElement('span');
+    meta.className = 'import-meta';
+    meta.textContent = ` · ${group.tabs.length} tab${group.tabs.length === 1 ? '' : 's'}${group.color ? ` · ${group.color}` : ''}`;
+    summary.append(group.name, meta);
+    const list = document.createElement('ul');
+    group.tabs.forEach(tab => {
+        const row = document.createElement('li');
+        row.textContent = tab.title === tab.url ? tab.url : `${tab.title} — ${tab.url}`;
+        list.appendChild(row);
+    });
+    details.append(summary, list);
+    item.appendChild(details);
+    return item;
+}
+
+async function openImportedGroups() {
+    if (!importParsed?.groups.length) return;
+    importElements.openBtn.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'IMPORT_TAB_GROUPS',
+            groups: importParsed.groups,
+            target: importElements.target.value
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Import failed');
+        }
+        const skipped = response.skipped ? ` · ${response.skipped} already open` : '';
+        showImportStatus(`Opened ${response.groups} group${response.groups === 1 ? '' : 's'} with ${response.tabs} tab${response.tabs === 1 ? '' : 's'}${skipped}`);
+    } catch (error) {
+        console.warn('Failed to import groups:', error?.message || error);
+        showImportStatus(`Could not import: ${error?.message || error}`, true);
+    } finally {
+        importElements.openBtn.disabled = false;
+    }
+}
+
+function showImportStatus(message, isError = false) {
+    importElements.status.textContent = message;
+    importElements.status.classList.toggle('error', isError);
+}
@@ -0,0 +1,295 @@
+/**
+ * AI Tab Companion - Report library page
+ *
+ * Όλα τα αποθηκευμένα AI Synthesis reports (reports.js): αναζήτηση, φίλτρο ημερομηνίας / θέματος,
+ * σύγκριση δύο reports (συνήθως του ίδιου group σε διαφορετικές στιγμές) και διαγραφή.
+ */
+
+const libraryElements = {
+    search: document.getElementById('library-search'),
+    topic: document.getElementById('library-topic'),
+    from: document.getElementById('library-from'),
+    to: document.getElementById('library-to'),
+    compareBtn: document.getElementById('library-compare-btn'),
+    summary: document.getElementById('library-summary'),
+    list: document.getElementById('library-list'),
+    empty: document.getElementById('library-empty'),
+    status: document.getElementById('library-status'),
+    compare: document.getElementById('library-compare'),
+    compareTitle: document.getElementById('library-compare-title'),
+    compareWarning: document.getElementById('library-compare-warning'),
+    compareOlder: document.getElementById('library-compare-older'),
+    compareNewer: document.getElementById('library-compare-newer'),
+    compareDiff: document.getElementById('library-compare-diff'),
+    compareCloseBtn: document.getElementById('library-compare-close-btn')
+};
+
+const LIBRARY_MAX_TOPICS = 30;
+
+let libraryReports = [];
+let librarySelection = [];
+let librarySearchTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    libraryElements.search.addEventListener('input', () => {
+        clearTimeout(librarySearchTimer);
+        librarySearchTimer = setTimeout(renderLibrary, 250);
+    });
+    [libraryElements.topic, libraryElements.from, libraryElements.to]
+        .forEach(control => control.addEventListener('change', renderLibrary));
+    libraryElements.compareBtn.addEventListener('click', () => {
+        const [first, second] = librarySelection.map(id => libraryReports.find(report => report.id === id));
+        if (first && second) {
+            showReportComparison(first, second);
+        }
+    });
+    libraryElements.compareCloseBtn.addEventListener('click', () => libraryElements.compare.classList.add('hidden'));
+    // Νέα reports (View Full Analysis σε άλλο tab) εμφανίζονται χωρίς refresh
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[SYNTHESIS_REPORTS_KEY]) {
+            loadLibrary();
+        }
+    });
+    loadLibrary();
+});
+
+async function loadLibrary() {
+    libraryReports = await loadSynthesisReports();
+    librarySelection = librarySelection.filter(id => libraryReports.some(report => report.id === id));
+    renderTopicOptions();
+    renderLibrary();
+}
+
+/**
+ * Θέματα = subjects + keywords των reports, τα συχνότερα πρώτα
+ */
+function collectReportTopics(reports) {
+    const counts = new Map();
+    reports.forEach(report => {
+        const topics = new Set([report.subject, ...(report.keywords || [])]
+            .map(topic => String(topic || '').trim().toLowerCase())
+            .filter(Boolean));
+        topics.forEach(topic => counts.set(topic, (counts.get(topic) || 0) + 1));
+    });
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, LIBRARY_MAX_TOPICS);
+}
+
+function renderTopicOptions() {
+    const selected = libraryElements.topic.value;
+    const topics = collectReportTopics(libraryReports);
+    libraryElements.topic.length = 1;
+    topics.forEach(([topic, count]) => libraryElements.topic.add(new Option(`${topic} (${count})`, topic)));
+    libraryElements.topic.value = topics.some(([topic]) => topic === selected) ? selected : '';
+}
+
+function reportMatchesTopic(report, topic) {
+    return !topic || [report.subject, ...(report.keywords || [])]
+        .some(value => String(value || '').trim().toLowerCase() === topic);
+}
+
+function reportSearchText(report) {
+    return [
+        report.groupName,
+        report.subject,
+        report.summary,
+        ...(report.insights || []).map(insight => insight.text),
+        ...(report.sources || []).map(source => source.title),
+        ...(report.tabUrls || (report.sources || []).map(source => source.url))
+    ].join('\n').toLowerCase();
+}
+
+function filterLibraryReports() {
+    const terms = libraryElements.search.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const from = libraryElements.from.value ? new Date(`${libraryElements.from.value}T00:00:00`).getTime() : -Infinity;
+    const to = libraryElements.to.value ? new Date(`${libraryElements.to.value}T23:59:59.999`).getTime() : Infinity;
+    const topic = libraryElements.topic.value;
+    return libraryReports.filter(report => {
+        if (report.createdAt < from || report.createdAt > to || !reportMatchesTopic(report, topic)) {
+            return false;
+        }
+        const text = terms.length ? reportSearchText(report) : '';
+        return terms.every(term => text.includes(term));
+    });
+}
+
+function renderLibrary() {
+    const reports = filterLibraryReports();
+    libraryElements.list.textContent = '';
+    reports.forEach(report => libraryElements.list.appendChild(createLibraryEntryElement(report)));
+    libraryElements.empty.classList.toggle('hidden', reports.length > 0);
+    const total = libraryReports.length;
+    const shown = reports.length < total ? `Showing ${reports.length} of ${total} reports` : `${total} report${total === 1 ? '' : 's'}`;
+    libraryElements.summary.textContent = total ? shown : '';
+    updateCompareButton();
+}
+
+/**
+ * Το αμέσως παλαιότερο report του ίδιου group (η λίστα είναι νεότερα πρώτα)
+ */
+function findPreviousReport(report) {
+    const key = synthesisGroupKey(report);
+    const position = libraryReports.indexOf(report);
+    return libraryReports.slice(position + 1).find(candidate => synthesisGroupKey(candidate) === key) || null;
+}
+
+function describeReportMeta(report) {
+    const parts = [
+        report.groupName,
+        `${report.tabCount} tab${report.tabCount === 1 ? '' : 's'}`,
+        new Date(report.createdAt).toLocaleString()
+    ];
+    if (report.model) parts.push(report.model);
+    if (report.promptVersion) parts.push(`prompt v${report.promptVersion}`);
+    if (report.fallback) parts.push('fallback');
+    return parts.join(' · ');
+}
+
+function createLibraryEntryElement(report) {
+    const item = document.createElement('li');
+    item.className = 'library-entry';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.title = 'Select for comparison';
+    checkbox.checked = librarySelection.includes(report.id);
+    checkbox.addEventListener('change', () => toggleLibrarySelection(report.id, checkbox.checked));
+
+    const main = document.createElement('div');
+    main.className = 'library-entry-main';
+    const title = document.createElement('a');
+    title.className = 'library-entry-title';
+    title.href = `report.html?id=${encodeURIComponent(report.id)}`;
+    title.target = '_blank';
+    title.textContent = report.subject;
+    const meta = document.createElement('span');
+    meta.className = 'library-meta';
+    meta.textContent = describeReportMeta(report);
+    const summary = document.createElement('p');
+    summary.className = 'library-entry-summary';
+    summary.textContent = report.summary;
+    main.append(title, meta, summary);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-entry-actions';
+    const previous = findPreviousReport(report);
+    if (previous) {
+        const compareBtn = document.createElement('button');
+        compareBtn.type = 'button';
+        compareBtn.className = 'secondary-btn';
+        compareBtn.textContent = 'Compare with previous';
+        compareBtn.title = `Compare with the report from ${new Date(previous.createdAt).toLocaleString()}`;
+        compareBtn.addEventListener('click', () => showReportComparison(previous, report));
+        actions.appendChild(compareBtn);
+    }
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'secondary-btn danger-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteLibraryReport(report));
+    actions.appendChild(deleteBtn);
+
+    item.append(checkbox, main, actions);
+    return item;
+}
+
+/**
+ * Το πολύ δύο επιλεγμένα· ένα τρίτο αντικαθιστά το παλαιότερα επιλεγμένο
+ */
+function toggleLibrarySelection(id, selected) {
+    librarySelection = librarySelection.filter(selectedId => selectedId !== id);
+    if (selected) {
+        librarySelection = [...librarySelection, id].slice(-2);
+    }
+    renderLibrary();
+}
+
+function updateCompareButton() {
+    libraryElements.compareBtn.disabled = librarySelection.length !== 2;
+}
+
+function showReportComparison(first, second) {
+    const [older, newer] = first.createdAt <= second.createdAt ? [first, second] : [second, first];
+    const diff = compareSynthesisReports(older, newer);
+    libraryElements.compareTitle.textContent = diff.sameGroup
+        ? `${newer.groupName}: ${new Date(older.createdAt).toLocaleDateString()} → ${new Date(newer.createdAt).toLocaleDateString()}`
+        : 'Comparison';
+    libraryElements.compareWarning.classList.toggle('hidden', diff.sameGroup);
+    renderComparisonColumn(libraryElements.compareOlder, older, 'Before');
+    renderComparisonColumn(libraryElements.compareNewer, newer, 'After');
+
+    libraryElements.compareDiff.textContent = '';
+    libraryElements.compareDiff.append(
+        createComparisonList('New insights', diff.insightsAdded, 'added'),
+        createComparisonList('Dropped insights', diff.insightsRemoved, 'removed'),
+        createComparisonList('Carried over', diff.insightsKept.map(pair => pair.after)),
+        createComparisonList(`Tabs added (${diff.urlsAdded.length})`, diff.urlsAdded, 'added'),
+        createComparisonList(`Tabs removed (${diff.urlsRemoved.length})`, diff.urlsRemoved, 'removed')
+    );
+    const unchanged = document.createElement('p');
+    unchanged.className = 'setting-hint';
+    unchanged.textContent = `${diff.urlsKept} tab${diff.urlsKept === 1 ? '' : 's'} in both reports`;
+    libraryElements.compareDiff.appendChild(unchanged);
+
+    libraryElements.compare.classList.remove('hidden');
+    libraryElements.compare.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderComparisonColumn(container, report, label) {
+    container.textContent = '';
+    const heading = document.createElement('h3');
+    heading.textContent = `${label}: ${report.subject}`;
+    const meta = document.createElement('span');
+    meta.className = 'library-meta';
+    meta.textContent = describeReportMeta(report);
+    const summary = document.createElement('p');
+    summary.textContent = report.summary;
+    const insights = document.createElement('ul');
+    (report.insights || []).forEach(insight => {
+        const row = document.createElement('li');
+        row.textContent = insight.text;
+        insights.appendChild(row);
+    });
+    container.append(heading, meta, summary, insights);
+}
+
+function createComparisonList(title, entries, tone = '') {
+    const block = document.createElement('div');
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    block.appendChild(heading);
+    if (!entries.length) {
+        const none = document.createElement('p');
+        none.className = 'setting-hint';
+        none.textContent = 'None';
+        block.appendChild(none);
+        return block;
+    }
+    const list = document.createElement('ul');
+    list.className = tone ? `library-diff-${tone}` : '';
+    entries.forEach(entry => {
+        const row = document.createElement('li');
+        row.textContent = entry;
+        list.appendChild(row);
+    });
+    block.appendChild(list);
+    return block;
+}
+
+async function deleteLibraryReport(report) {
+    try {
+        await deleteSynthesisReport(report.id);
+        libraryElements.compare.classList.add('hidden');
+        await loadLibrary();
+        showLibraryStatus(`Deleted "${report.subject}"`);
+    } catch (error) {
+        console.warn('Failed to delete synthesis report:', error?.message || error);
+        showLibraryStatus(`Could not delete: ${error?.message || error}`, true);
+    }
+}
+
+function showLibraryStatus(message, isError = false) {
+    libraryElements.status.textContent = message;
+    libraryElements.status.classList.toggle('error', isError);
+}
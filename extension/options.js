@@ -0,0 +1,420 @@
+/**
+ * AI Tab Companion - Options page
+ *
+ * Φτιάχνει τη φόρμα από το EXTENSION_SETTINGS_SCHEMA (settings.js) και γράφει στο chrome.storage.sync.
+ * Το service worker ακούει το storage.onChanged, οπότε οι αλλαγές ισχύουν χωρίς reload της επέκτασης.
+ * Στην ίδια σελίδα διαχειρίζονται και οι URL κανόνες (grouping-rules.js, chrome.storage.local) με import/export JSON
+ * και η privacy exclusion list (privacy.js, chrome.storage.sync).
+ */
+
+const optionElements = {
+    form: document.getElementById('settings-form'),
+    sections: document.getElementById('settings-sections'),
+    presetButtons: document.getElementById('preset-buttons'),
+    resetBtn: document.getElementById('reset-defaults-btn'),
+    status: document.getElementById('settings-status'),
+    rulesList: document.getElementById('rules-list'),
+    rulesEmpty: document.getElementById('rules-empty'),
+    rulesStatus: document.getElementById('rules-status'),
+    ruleForm: document.getElementById('rule-form'),
+    ruleName: document.getElementById('rule-name'),
+    ruleField: document.getElementById('rule-field'),
+    ruleMatchType: document.getElementById('rule-match-type'),
+    rulePattern: document.getElementById('rule-pattern'),
+    ruleAction: document.getElementById('rule-action'),
+    ruleTarget: document.getElementById('rule-target'),
+    rulePriority: document.getElementById('rule-priority'),
+    exportRulesBtn: document.getElementById('export-rules-btn'),
+    importRulesInput: document.getElementById('import-rules-input'),
+    importReplaceToggle: document.getElementById('import-replace-toggle'),
+    privacyForm: document.getElementById('privacy-form'),
+    privacyDomains: document.getElementById('privacy-domains'),
+    privacyStatus: document.getElementById('privacy-status'),
+    openAuditLogBtn: document.getElementById('open-audit-log-btn')
+};
+
+const RULE_ACTION_LABELS = {
+    group: 'Put in group',
+    never: 'Never group',
+    tag: 'Tag with'
+};
+
+let currentRules = [];
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderSettingsForm();
+    renderPresetButtons();
+    optionElements.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveSettings(readSettingsForm());
+    });
+    optionElements.resetBtn.addEventListener('click', () => saveSettings(getDefaultExtensionSettings(), 'Defaults restored'));
+    loadSettings();
+
+    optionElements.ruleForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        addRuleFromForm();
+    });
+    optionElements.ruleAction.addEventListener('change', updateRuleTargetPlaceholder);
+    optionElements.exportRulesBtn.addEventListener('click', exportRules);
+    optionElements.importRulesInput.addEventListener('change', importRulesFromFile);
+    updateRuleTargetPlaceholder();
+    loadRules();
+
+    optionElements.privacyForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        savePrivacyDomains();
+    });
+    loadPrivacyDomains();
+    optionElements.openAuditLogBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('audit.html') });
+    });
+
+    // Αλλαγές από άλλο παράθυρο/συσκευή (sync) ή από άλλο options tab
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes[EXTENSION_SETTINGS_KEY]) {
+            fillSettingsForm(validateExtensionSettings(changes[EXTENSION_SETTINGS_KEY].newValue).settings);
+        }
+        if (areaName === 'local' && changes[GROUPING_RULES_KEY]) {
+            currentRules = validateGroupingRules(changes[GROUPING_RULES_KEY].newValue || []).rules;
+            renderRules();
+        }
+        if (areaName === 'sync' && changes[PRIVACY_EXCLUDED_DOMAINS_KEY]) {
+            fillPrivacyDomains(validatePrivacyDomains(changes[PRIVACY_EXCLUDED_DOMAINS_KEY].newValue || []).domains);
+        }
+    });
+});
+
+function renderSettingsForm() {
+    optionElements.sections.textContent = '';
+    EXTENSION_SETTINGS_SECTIONS.forEach(section => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'settings-section';
+        const legend = document.createElement('legend');
+        legend.textContent = section.title;
+        fieldset.appendChild(legend);
+
+        Object.entries(EXTENSION_SETTINGS_SCHEMA)
+            .filter(([, spec]) => spec.section === section.id)
+            .forEach(([key, spec]) => fieldset.appendChild(createSettingField(key, spec)));
+        optionElements.sections.appendChild(fieldset);
+    });
+}
+
+function createSettingField(key, spec) {
+    const field = document.createElement('div');
+    field.className = `setting-field setting-${spec.type}`;
+
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${key}`;
+    const input = document.createElement('input');
+    input.id = `setting-${key}`;
+    input.name = key;
+    if (spec.type === 'boolean') {
+        input.type = 'checkbox';
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${spec.label}`));
+        field.appendChild(label);
+    } else {
+        input.type = 'number';
+        input.min = String(spec.min);
+        input.max = String(spec.max);
+        input.step = String(spec.step || 'any');
+        label.textContent = spec.label;
+        field.appendChild(label);
+        field.appendChild(input);
+    }
+
+    const details = document.createElement('p');
+    details.className = 'setting-hint';
+    const range = spec.type === 'number' ? `Default ${spec.default} (${spec.min}–${spec.max})` : `Default ${spec.default ? 'on' : 'off'}`;
+    details.textContent = spec.hint ? `${spec.hint}. ${range}` : range;
+    field.appendChild(details);
+
+    const error = document.createElement('p');
+    error.className = 'setting-error hidden';
+    error.id = `setting-error-${key}`;
+    field.appendChild(error);
+    return field;
+}
+
+function renderPresetButtons() {
+    optionElements.presetButtons.textContent = '';
+    Object.entries(EXTENSION_SETTINGS_PRESETS).forEach(([presetId, preset]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'secondary-btn';
+        button.textContent = preset.label;
+        button.addEventListener('click', () => saveSettings(buildPresetSettings(presetId), `Preset "${preset.label}" applied`));
+        optionElements.presetButtons.appendChild(button);
+    });
+}
+
+async function loadSettings() {
+    try {
+        const stored = await chrome.storage.sync.get([EXTENSION_SETTINGS_KEY]);
+        const { settings, errors } = validateExtensionSettings(stored[EXTENSION_SETTINGS_KEY]);
+        fillSettingsForm(settings);
+        if (errors.length) {
+            showSettingsStatus('Some stored values were invalid and have been replaced with defaults', true);
+        }
+    } catch (error) {
+        console.warn('Failed to load settings:', error?.message || error);
+        fillSettingsForm(getDefaultExtensionSettings());
+        showSettingsStatus('Could not load saved settings', true);
+    }
+}
+
+function fillSettingsForm(settings) {
+    Object.entries(EXTENSION_SETTINGS_SCHEMA).forEach(([key, spec]) => {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) return;
+        if (spec.type === 'boolean') {
+            input.checked = Boolean(settings[key]);
+        } else {
+            input.value = String(settings[key]);
+        }
+    });
+    showFieldErrors([]);
+}
+
+function readSettingsForm() {
+    const values = {};
+    Object.entries(EXTENSION_SETTINGS_SCHEMA).forEach(([key, spec]) => {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) return;
+        if (spec.type === 'boolean') {
+            values[key] = input.checked;
+        } else {
+            // Κενό πεδίο = λάθος, όχι σιωπηλό default
+            values[key] = input.value.trim() === '' ? NaN : Number(input.value);
+        }
+    });
+    return values;
+}
+
+async function saveSettings(values, successMessage = 'Settings saved') {
+    const { settings, errors } = validateExtensionSettings(values);
+    showFieldErrors(errors);
+    if (errors.length) {
+        showSettingsStatus('Fix the highlighted fields before saving', true);
+        return;
+    }
+    try {
+        await chrome.storage.sync.set({ [EXTENSION_SETTINGS_KEY]: settings });
+        fillSettingsForm(settings);
+        showSettingsStatus(successMessage);
+    } catch (error) {
+        console.warn('Failed to save settings:', error?.message || error);
+        showSettingsStatus(`Could not save settings: ${error?.message || error}`, true);
+    }
+}
+
+function showFieldErrors(errors) {
+    const byKey = new Map(errors.map(error => [error.key, error.message]));
+    Object.keys(EXTENSION_SETTINGS_SCHEMA).forEach(key => {
+        const errorEl = document.getElementById(`setting-error-${key}`);
+        const input = document.getElementById(`setting-${key}`);
+        if (!errorEl || !input) return;
+        const message = byKey.get(key);
+        errorEl.textContent = message || '';
+        errorEl.classList.toggle('hidden', !message);
+        input.classList.toggle('invalid', Boolean(message));
+    });
+}
+
+function showSettingsStatus(message, isError = false) {
+    optionElements.status.textContent = message;
+    optionElements.status.classList.toggle('error', isError);
+}
+
+// ---- URL rules (chrome.storage.local → groupingRules) ----
+
+async function loadRules() {
+    try {
+        const { [GROUPING_RULES_KEY]: stored } = await chrome.storage.local.get([GROUPING_RULES_KEY]);
+        currentRules = validateGroupingRules(Array.isArray(stored) ? stored : []).rules;
+    } catch (error) {
+        console.warn('Failed to load rules:', error?.message || error);
+        currentRules = [];
+    }
+    renderRules();
+}
+
+async function saveRules(rules, successMessage) {
+    try {
+        await chrome.storage.local.set({ [GROUPING_RULES_KEY]: rules });
+        currentRules = rules;
+        renderRules();
+        if (successMessage) {
+            showRulesStatus(successMessage);
+        }
+        return true;
+    } catch (error) {
+        console.warn('Failed to save rules:', error?.message || error);
+        showRulesStatus(`Could not save rules: ${error?.message || error}`, true);
+        return false;
+    }
+}
+
+function describeRule(rule) {
+    const field = { url: 'URL', title: 'Title', any: 'URL or title' }[rule.field] || 'URL';
+    const match = { contains: 'contains', glob: 'matches glob', regex: 'matches regex' }[rule.matchType] || 'contains';
+    let outcome = RULE_ACTION_LABELS[rule.action] || rule.action;
+    if (rule.action === 'group') outcome += ` "${rule.groupName}"`;
+    if (rule.action === 'tag') outcome += ` ${rule.tags.join(', ')}`;
+    return `${field} ${match} "${rule.pattern}" → ${outcome}`;
+}
+
+function renderRules() {
+    optionElements.rulesList.textContent = '';
+    optionElements.rulesEmpty.classList.toggle('hidden', currentRules.length > 0);
+    currentRules.forEach(rule => {
+        const item = document.createElement('li');
+        item.className = `rule-item${rule.enabled ? '' : ' rule-disabled'}`;
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = rule.enabled ? 'Disable rule' : 'Enable rule';
+        toggle.addEventListener('change', () => {
+            const rules = currentRules.map(entry => (entry.id === rule.id ? { ...entry, enabled: toggle.checked } : entry));
+            saveRules(rules);
+        });
+
+        const text = document.createElement('div');
+        text.className = 'rule-text';
+        const title = document.createElement('strong');
+        title.textContent = rule.name || describeRule(rule);
+        text.appendChild(title);
+        const detail = document.createElement('span');
+        detail.className = 'setting-hint';
+        detail.textContent = rule.name ? `${describeRule(rule)} · priority ${rule.priority}` : `Priority ${rule.priority}`;
+        text.appendChild(detail);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'secondary-btn rule-remove-btn';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => {
+            saveRules(currentRules.filter(entry => entry.id !== rule.id), 'Rule deleted');
+        });
+
+        item.appendChild(toggle);
+        item.appendChild(text);
+        item.appendChild(remove);
+        optionElements.rulesList.appendChild(item);
+    });
+}
+
+function updateRuleTargetPlaceholder() {
+    const action = optionElements.ruleAction.value;
+    optionElements.ruleTarget.disabled = action === 'never';
+    optionElements.ruleTarget.placeholder = action === 'tag' ? 'Tags, comma separated' : (action === 'group' ? 'Group name' : '');
+}
+
+async function addRuleFromForm() {
+    const action = optionElements.ruleAction.value;
+    const target = optionElements.ruleTarget.value;
+    const { rule, errors } = normalizeGroupingRule({
+        name: optionElements.ruleName.value,
+        field: optionElements.ruleField.value,
+        matchType: optionElements.ruleMatchType.value,
+        pattern: optionElements.rulePattern.value,
+        action,
+        groupName: action === 'group' ? target : '',
+        tags: action === 'tag' ? target : [],
+        priority: optionElements.rulePriority.value
+    });
+    if (!rule) {
+        showRulesStatus(errors.join('; '), true);
+        return;
+    }
+    const { rules, errors: limitErrors } = validateGroupingRules([...currentRules, rule]);
+    if (limitErrors.length) {
+        showRulesStatus(limitErrors[0].message, true);
+        return;
+    }
+    if (await saveRules(rules, 'Rule added')) {
+        optionElements.ruleForm.reset();
+        updateRuleTargetPlaceholder();
+    }
+}
+
+function exportRules() {
+    const payload = buildGroupingRulesExport(currentRules);
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tab-companion-rules-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showRulesStatus(`Exported ${payload.rules.length} rules`);
+}
+
+async function importRulesFromFile(event) {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        showRulesStatus(`Could not read ${file.name}: ${error?.message || error}`, true);
+        return;
+    }
+    const { rules, added, errors } = importGroupingRules(currentRules, text, {
+        replace: optionElements.importReplaceToggle.checked
+    });
+    if (!added && errors.length) {
+        showRulesStatus(errors[0].message, true);
+        return;
+    }
+    const skipped = errors.length ? ` (${errors.length} problems skipped)` : '';
+    await saveRules(rules, `Imported ${added} rules${skipped}`);
+}
+
+function showRulesStatus(message, isError = false) {
+    optionElements.rulesStatus.textContent = message;
+    optionElements.rulesStatus.classList.toggle('error', isError);
+}
+
+// ---- Privacy exclusion list (chrome.storage.sync → privacyExcludedDomains) ----
+
+async function loadPrivacyDomains() {
+    try {
+        const { [PRIVACY_EXCLUDED_DOMAINS_KEY]: stored } = await chrome.storage.sync.get([PRIVACY_EXCLUDED_DOMAINS_KEY]);
+        fillPrivacyDomains(validatePrivacyDomains(Array.isArray(stored) ? stored : []).domains);
+    } catch (error) {
+        console.warn('Failed to load privacy exclusions:', error?.message || error);
+        showPrivacyStatus('Could not load the exclusion list', true);
+    }
+}
+
+function fillPrivacyDomains(domains) {
+    optionElements.privacyDomains.value = domains.join('\n');
+}
+
+async function savePrivacyDomains() {
+    const { domains, errors } = validatePrivacyDomains(optionElements.privacyDomains.value);
+    if (errors.length) {
+        showPrivacyStatus(errors.join('; '), true);
+        return;
+    }
+    try {
+        await chrome.storage.sync.set({ [PRIVACY_EXCLUDED_DOMAINS_KEY]: domains });
+        fillPrivacyDomains(domains);
+        showPrivacyStatus(domains.length ? `${domains.length} domains excluded` : 'Exclusion list cleared');
+    } catch (error) {
+        console.warn('Failed to save privacy exclusions:', error?.message || error);
+        showPrivacyStatus(`Could not save: ${error?.message || error}`, true);
+    }
+}
+
+function showPrivacyStatus(message, isError = false) {
+    optionElements.privacyStatus.textContent = message;
+    optionElements.privacyStatus.classList.toggle('error', isError);
+}
@@ -0,0 +1,315 @@
+/**
+ * AI Tab Companion - Persistent Cache
+ *
+ * IndexedDB cache για ό,τι κοστίζει κλήση στο Gemini Nano (semantic features, embeddings,
+ * group labels, group summaries). Σε αντίθεση με το chrome.storage.session επιβιώνει
+ * από browser restarts, οπότε μια σελίδα που δεν άλλαξε δεν ξαναπάει ποτέ στο μοντέλο.
+ *
+ * - Key: canonical URL + contentHash (ή hash του τίτλου) για tabs, hash των μελών για groups (content-addressed)
+ * - Κάθε record κρατάει το schema (prompt/feature fingerprint) με το οποίο γράφτηκε·
+ *   διαφορετικό schema = miss και διαγραφή
+ * - LRU eviction ανά store βάσει lastAccess, με όριο entries και bytes
+ *
+ * Χωρίς indexedDB (π.χ. Node) όλες οι κλήσεις γίνονται no-op.
+ */
+
+const PERSISTENT_CACHE_DB_NAME = 'aiTabCompanionCache';
+const PERSISTENT_CACHE_DB_VERSION = 1;
+const PERSISTENT_CACHE_STORES = {
+    semanticFeatures: { maxEntries: 5000, maxBytes: 8 * 1024 * 1024 },
+    embeddings: { maxEntries: 5000, maxBytes: 32 * 1024 * 1024 },
+    groupLabels: { maxEntries: 1500, maxBytes: 1024 * 1024 },
+    groupSummaries: { maxEntries: 1500, maxBytes: 4 * 1024 * 1024 }
+};
+
+// Query params που δεν αλλάζουν το περιεχόμενο της σελίδας
+const TRACKING_QUERY_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+    '_ga', '_gl', '_hsenc', '_hsmi', 'ref', 'ref_src', 'ref_url', 'spm', 'si', 'feature', 'share'
+]);
+
+let persistentCacheDbPromise = null;
+
+/**
+ * Κανονικοποιημένο URL: χωρίς fragment, tracking params και trailing slash, με ταξινομημένα params
+ */
+function canonicalizeCacheUrl(rawUrl) {
+    if (!rawUrl || typeof rawUrl !== 'string') {
+        return '';
+    }
+    try {
+        const url = new URL(rawUrl);
+        url.hash = '';
+        url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+        const kept = Array.from(url.searchParams.entries())
+            .filter(([name]) => {
+                const lower = name.toLowerCase();
+                return !lower.startsWith('utm_') && !TRACKING_QUERY_PARAMS.has(lower);
+            })
+            .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+        url.search = '';
+        kept.forEach(([name, value]) => url.searchParams.append(name, value));
+        if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+            url.pathname = url.pathname.replace(/\/+$/, '');
+        }
+        return url.toString();
+    } catch (_) {
+        return rawUrl.split('#')[0];
+    }
+}
+
+/**
+ * 64-bit hash (δύο FNV-1a με διαφορετικό seed) σε hex
+ */
+function hashCacheKey(text) {
+    const input = String(text ?? '');
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193 ^ input.length;
+    for (let i = 0; i < input.length; i += 1) {
+        const code = input.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 0x01000193);
+        h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+    }
+    return `${(h1 >>> 0).toString(16).padStart(8, '0')}${(h2 >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Key ενός tab: canonical URL + contentHash (null χωρίς URL).
+ * Χωρίς contentHash (αποτυχία extraction, restricted σελίδα) τα features βγαίνουν από τον τίτλο,
+ * οπότε ο τίτλος μπαίνει στο key και μια αλλαγή του δίνει miss
+ */
+function buildTabContentCacheKey(tab) {
+    const url = canonicalizeCacheUrl(tab?.url || tab?.canonicalUrl || '');
+    if (!url) {
+        return null;
+    }
+    return tab?.contentHash
+        ? `${url}#${tab.contentHash}`
+        : `${url}#nohash:${hashCacheKey(String(tab?.title || '').trim())}`;
+}
+
+/**
+ * Key ενός group: signature + ταξινομημένα content keys των μελών
+ */
+function buildGroupContentCacheKey(signature, tabs = []) {
+    const memberKeys = (tabs || [])
+        .map(buildTabContentCacheKey)
+        .filter(Boolean)
+        .sort();
+    if (!signature && !memberKeys.length) {
+        return null;
+    }
+    return hashCacheKey(`${signature || ''}\n${memberKeys.join('\n')}`);
+}
+
+/**
+ * Fingerprint ενός in-page prompt function: αλλαγή στο prompt → νέο schema → παλιά entries άκυρα
+ */
+function fingerprintCacheSchema(version, ...sources) {
+    const text = sources
+        .map(source => (typeof source === 'function' ? source.toString() : String(source ?? '')))
+        .join('\n');
+    return `${version}:${hashCacheKey(text)}`;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function openPersistentCache() {
+    if (typeof indexedDB === 'undefined') {
+        return null;
+    }
+    if (!persistentCacheDbPromise) {
+        persistentCacheDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(PERSISTENT_CACHE_DB_NAME, PERSISTENT_CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Νέο DB version = νέο layout· τα παλιά stores δεν μεταφέρονται
+                Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+                Object.keys(PERSISTENT_CACHE_STORES).forEach(name => {
+                    const store = db.createObjectStore(name, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    persistentCacheDbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Persistent cache upgrade blocked'));
+        }).catch(error => {
+            persistentCacheDbPromise = null;
+            throw error;
+        });
+    }
+    return persistentCacheDbPromise;
+}
+
+/**
+ * Διαβάζει πολλά keys μαζί· επιστρέφει Map key → value μόνο για hits με το τρέχον schema.
+ * Τα hits ανανεώνουν το lastAccess (LRU), τα stale records διαγράφονται.
+ */
+async function persistentCacheGetMany(storeName, keys, schema) {
+    const hits = new Map();
+    const uniqueKeys = Array.from(new Set((keys || []).filter(Boolean)));
+    if (!uniqueKeys.length) {
+        return hits;
+    }
+    try {
+        const db = await openPersistentCache();
+        if (!db) {
+            return hits;
+        }
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const now = Date.now();
+        await Promise.all(uniqueKeys.map(async key => {
+            const record = await requestToPromise(store.get(key));
+            if (!record) {
+                return;
+            }
+            if (record.schema !== schema) {
+                store.delete(key);
+                return;
+            }
+            hits.set(key, record.value);
+            record.lastAccess = now;
+            store.put(record);
+        }));
+        await transactionDone(transaction);
+    } catch (error) {
+        console.warn(`Persistent cache read failed (${storeName}):`, error?.message || error);
+    }
+    return hits;
+}
+
+async function persistentCacheGet(storeName, key, schema) {
+    const hits = await persistentCacheGetMany(storeName, [key], schema);
+    return hits.has(key) ? hits.get(key) : null;
+}
+
+/**
+ * Γράφει entries ([{ key, value }]) και εφαρμόζει τα όρια του store
+ */
+async function persistentCacheSetMany(storeName, entries, schema) {
+    const valid = (entries || []).filter(entry => entry && entry.key && typeof entry.value !== 'undefined');
+    if (!valid.length) {
+        return;
+    }
+    try {
+        const db = await openPersistentCache();
+        if (!db) {
+            return;
+        }
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const now = Date.now();
+        valid.forEach(entry => {
+            store.put({
+                key: entry.key,
+                schema,
+                value: entry.value,
+                bytes: JSON.stringify(entry.value).length,
+                createdAt: now,
+                lastAccess: now
+            });
+        });
+        await transactionDone(transaction);
+        await enforcePersistentCacheLimits(storeName);
+    } catch (error) {
+        console.warn(`Persistent cache write failed (${storeName}):`, error?.message || error);
+    }
+}
+
+async function persistentCacheSet(storeName, key, value, schema) {
+    await persistentCacheSetMany(storeName, [{ key, value }], schema);
+}
+
+/**
+ * LRU eviction: κρατάει τα πιο πρόσφατα records μέχρι maxEntries / maxBytes
+ */
+async function enforcePersistentCacheLimits(storeName) {
+    const limits = PERSISTENT_CACHE_STORES[storeName];
+    const db = await openPersistentCache();
+    if (!db || !limits) {
+        return 0;
+    }
+    const transaction = db.transaction(storeName, 'readwrite');
+    const index = transaction.objectStore(storeName).index('lastAccess');
+    let keptEntries = 0;
+    let keptBytes = 0;
+    let evicted = 0;
+    await new Promise((resolve, reject) => {
+        const request = index.openCursor(null, 'prev');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            const bytes = Number(cursor.value?.bytes) || 0;
+            if (keptEntries + 1 > limits.maxEntries || keptBytes + bytes > limits.maxBytes) {
+                cursor.delete();
+                evicted += 1;
+            } else {
+                keptEntries += 1;
+                keptBytes += bytes;
+            }
+            cursor.continue();
+        };
+    });
+    await transactionDone(transaction);
+    if (evicted) {
+        console.log(`🧹 [Cache] Evicted ${evicted} least recently used entries from ${storeName}`);
+    }
+    return evicted;
+}
+
+async function clearPersistentCache() {
+    try {
+        const db = await openPersistentCache();
+        if (!db) {
+            return;
+        }
+        const storeNames = Object.keys(PERSISTENT_CACHE_STORES);
+        const transaction = db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => transaction.objectStore(name).clear());
+        await transactionDone(transaction);
+    } catch (error) {
+        console.warn('Failed to clear persistent cache:', error?.message || error);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PERSISTENT_CACHE_STORES,
+        canonicalizeCacheUrl,
+        hashCacheKey,
+        buildTabContentCacheKey,
+        buildGroupContentCacheKey,
+        fingerprintCacheSchema,
+        persistentCacheGetMany,
+        persistentCacheGet,
+        persistentCacheSetMany,
+        persistentCacheSet,
+        enforcePersistentCacheLimits,
+        clearPersistentCache
+    };
+}
@@ -6,8 +6,32 @@
 // Global state
 let currentGroups = [];
 let cachedTabData = null;
+let duplicateClusters = [];
+let shoppingGroupIndices = new Set();
 let selectedTabs = new Set();
 let isScanning = false;
+let progressPort = null;
+let latestScanProgress = null;
+let pendingGroupDiff = null;
+let pendingDiffIsProposal = false; // το preview αφορά την πρόταση του re-cluster, όχι τα currentGroups
+const scanCompletionWaiters = new Set();
+
+const PREVIEW_ACTION_LABELS = {
+    create: 'new',
+    rename: 'rename',
+    update: 'update',
+    keep: 'unchanged',
+    merge: 'add to yours',
+    skip: 'too small'
+};
+
+const SCAN_STAGE_ICONS = {
+    pending: '○',
+    running: '⏳',
+    done: '✅',
+    skipped: '⏭️',
+    failed: '❌'
+};
 
 // DOM Elements
 const elements = {
@@ -21,7 +45,66 @@ const elements = {
     exportSummaryBtn: document.getElementById('export-summary-btn'),
     retryBtn: document.getElementById('retry-btn'),
     groupsContainer: document.getElementById('groups-container'),
-    errorMessage: document.getElementById('error-message')
+    errorMessage: document.getElementById('error-message'),
+    enrichmentStatus: document.getElementById('enrichment-status'),
+    regroupProposal: document.getElementById('regroup-proposal'),
+    regroupProposalText: document.getElementById('regroup-proposal-text'),
+    regroupProposalBtn: document.getElementById('regroup-proposal-btn'),
+    groupOwnershipSelect: document.getElementById('group-ownership-select'),
+    progressState: document.getElementById('progress-state'),
+    progressSummary: document.getElementById('progress-summary'),
+    cancelScanBtn: document.getElementById('cancel-scan-btn'),
+    progressStages: document.getElementById('progress-stages'),
+    partialGroups: document.getElementById('partial-groups'),
+    partialGroupsList: document.getElementById('partial-groups-list'),
+    previewGroupingBtn: document.getElementById('preview-grouping-btn'),
+    previewState: document.getElementById('preview-state'),
+    previewSummary: document.getElementById('preview-summary'),
+    previewGroups: document.getElementById('preview-groups'),
+    previewDissolved: document.getElementById('preview-dissolved'),
+    previewDissolvedList: document.getElementById('preview-dissolved-list'),
+    previewApplyBtn: document.getElementById('preview-apply-btn'),
+    previewCancelBtn: document.getElementById('preview-cancel-btn'),
+    openOptionsBtn: document.getElementById('open-options-btn'),
+    openSessionsBtn: document.getElementById('open-sessions-btn'),
+    sessionsState: document.getElementById('sessions-state'),
+    sessionsList: document.getElementById('sessions-list'),
+    sessionsEmpty: document.getElementById('sessions-empty'),
+    sessionsBackBtn: document.getElementById('sessions-back-btn'),
+    importGroupsBtn: document.getElementById('import-groups-btn'),
+    openLibraryBtn: document.getElementById('open-library-btn'),
+    undoBtn: document.getElementById('undo-btn'),
+    duplicatesSection: document.getElementById('duplicates-section'),
+    duplicatesTitle: document.getElementById('duplicates-title'),
+    duplicatesList: document.getElementById('duplicates-list'),
+    dedupeExactBtn: document.getElementById('dedupe-exact-btn'),
+    openArchiveBtn: document.getElementById('open-archive-btn'),
+    archiveState: document.getElementById('archive-state'),
+    archiveBackBtn: document.getElementById('archive-back-btn'),
+    archiveSummary: document.getElementById('archive-summary'),
+    archiveDestination: document.getElementById('archive-destination'),
+    archiveList: document.getElementById('archive-list'),
+    archiveEmpty: document.getElementById('archive-empty'),
+    archiveSelectedBtn: document.getElementById('archive-selected-btn'),
+    exportState: document.getElementById('export-state'),
+    exportFormat: document.getElementById('export-format'),
+    exportSelectAll: document.getElementById('export-select-all'),
+    exportGroups: document.getElementById('export-groups'),
+    exportCancelBtn: document.getElementById('export-cancel-btn'),
+    exportDownloadBtn: document.getElementById('export-download-btn')
+};
+
+// Χρώματα των Chrome tab groups για την κουκκίδα κάθε saved session
+const TAB_GROUP_COLOR_HEX = {
+    grey: '#5f6368',
+    blue: '#1a73e8',
+    red: '#d93025',
+    yellow: '#f9ab00',
+    green: '#188038',
+    pink: '#d01884',
+    purple: '#a142f4',
+    cyan: '#007b83',
+    orange: '#fa903e'
 };
 
 /**
@@ -34,18 +117,235 @@ document.addEventListener('DOMContentLoaded', () => {
     elements.scanTabsBtn.addEventListener('click', startScanning);
     elements.rescanBtn.addEventListener('click', startScanning);
     elements.closeSelectedBtn.addEventListener('click', closeSelectedTabs);
-    elements.exportSummaryBtn.addEventListener('click', exportSummary);
+    elements.exportSummaryBtn.addEventListener('click', showExportPicker);
+    elements.exportCancelBtn.addEventListener('click', showResults);
+    elements.exportDownloadBtn.addEventListener('click', exportSummary);
+    elements.exportSelectAll.addEventListener('change', () => {
+        elements.exportGroups.querySelectorAll('.export-group-checkbox').forEach(checkbox => {
+            checkbox.checked = elements.exportSelectAll.checked;
+        });
+        updateExportButtonState();
+    });
     elements.retryBtn.addEventListener('click', startScanning);
+    elements.cancelScanBtn.addEventListener('click', cancelScan);
+    elements.groupOwnershipSelect.addEventListener('change', saveGroupOwnershipMode);
+    elements.previewGroupingBtn.addEventListener('click', () => showGroupingOptions());
+    elements.regroupProposalBtn.addEventListener('click', reviewRegroupProposal);
+    elements.previewApplyBtn.addEventListener('click', applyGroupPreview);
+    elements.previewCancelBtn.addEventListener('click', showResults);
+    elements.openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    elements.openSessionsBtn.addEventListener('click', showSessions);
+    elements.sessionsBackBtn.addEventListener('click', leaveSessions);
+    elements.importGroupsBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('import.html') });
+    });
+    elements.openLibraryBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    });
+    elements.undoBtn.addEventListener('click', undoLastOperation);
+    elements.openArchiveBtn.addEventListener('click', showArchiveSuggestions);
+    elements.archiveBackBtn.addEventListener('click', leaveSessions);
+    elements.archiveSelectedBtn.addEventListener('click', archiveSelectedTabs);
+    elements.dedupeExactBtn.addEventListener('click', () => {
+        dedupeClusters(duplicateClusters.filter(cluster => cluster.kind === 'exact'));
+    });
+    
+    loadGroupOwnershipMode();
+    connectProgressPort();
     
     // Check for cached data
     checkForCachedData();
 });
 
+/**
+ * Πώς αντιμετωπίζει το grouping τα tab groups που έφτιαξε ο χρήστης (chrome.storage.sync)
+ */
+async function loadGroupOwnershipMode() {
+    try {
+        const { groupOwnershipMode } = await chrome.storage.sync.get(['groupOwnershipMode']);
+        if (groupOwnershipMode) {
+            elements.groupOwnershipSelect.value = groupOwnershipMode;
+        }
+    } catch (error) {
+        console.warn('Failed to load group ownership mode:', error?.message || error);
+    }
+}
+
+async function saveGroupOwnershipMode() {
+    try {
+        await chrome.storage.sync.set({ groupOwnershipMode: elements.groupOwnershipSelect.value });
+    } catch (error) {
+        console.warn('Failed to save group ownership mode:', error?.message || error);
+    }
+}
+
+/**
+ * Long-lived Port προς το background για live progress του scan
+ */
+function connectProgressPort() {
+    try {
+        progressPort = chrome.runtime.connect({ name: 'scan-progress' });
+        progressPort.onMessage.addListener((message) => {
+            if (message?.type === 'SCAN_PROGRESS') {
+                handleScanProgress(message.progress);
+            }
+        });
+        progressPort.onDisconnect.addListener(() => {
+            progressPort = null;
+        });
+    } catch (error) {
+        console.warn('Progress port unavailable:', error?.message || error);
+        progressPort = null;
+    }
+}
+
+function handleScanProgress(progress) {
+    if (!progress) return;
+    latestScanProgress = progress;
+    
+    if (progress.status === 'running') {
+        showProgress();
+        renderScanProgress(progress);
+        return;
+    }
+    if (elements.cancelScanBtn) elements.cancelScanBtn.disabled = false;
+    
+    scanCompletionWaiters.forEach(resolve => resolve(progress));
+    scanCompletionWaiters.clear();
+    
+    // Popup που άνοιξε στη μέση ενός scan που δεν ξεκίνησε το ίδιο
+    if (!isScanning && elements.progressState && !elements.progressState.classList.contains('hidden')) {
+        if (progress.status === 'error') {
+            showError(progress.error || 'Analysis failed');
+        } else if (progress.status === 'cancelled') {
+            showTemporaryMessage('Scan cancelled');
+            checkForCachedData();
+        } else {
+            checkForCachedData();
+        }
+    }
+}
+
+/**
+ * Ζητάει από το background να σταματήσει το τρέχον scan (extraction, executeScript, AI sessions)
+ */
+async function cancelScan() {
+    if (elements.cancelScanBtn) elements.cancelScanBtn.disabled = true;
+    try {
+        const response = await sendMessageToBackground('CANCEL_SCAN');
+        if (!response?.success) {
+            showTemporaryMessage(response?.error || 'No scan in progress');
+            elements.cancelScanBtn.disabled = false;
+        }
+    } catch (error) {
+        console.error('Cancel scan error:', error);
+        elements.cancelScanBtn.disabled = false;
+    }
+}
+
+/**
+ * Resolves με το τελικό progress (done/error) ή null αν λήξει το timeout / δεν υπάρχει port
+ */
+function waitForScanCompletion(timeoutMs) {
+    if (!progressPort) {
+        return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            scanCompletionWaiters.delete(finish);
+            resolve(null);
+        }, timeoutMs);
+        const finish = (progress) => {
+            clearTimeout(timer);
+            resolve(progress);
+        };
+        scanCompletionWaiters.add(finish);
+    });
+}
+
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Stage-by-stage progress view + προσωρινά groups από το deterministic clustering
+ */
+function renderScanProgress(progress) {
+    if (!elements.progressStages) return;
+    
+    const elapsed = formatDuration(Date.now() - progress.startedAt);
+    const running = progress.stages.find(stage => stage.status === 'running');
+    const tabsText = progress.tabCount ? `${progress.tabCount} tabs` : 'tabs';
+    elements.progressSummary.textContent = running
+        ? `Analyzing ${tabsText} · ${running.label} · ${elapsed}`
+        : `Analyzing ${tabsText} · ${elapsed}`;
+    
+    elements.progressStages.innerHTML = '';
+    progress.stages.forEach(stage => {
+        const item = document.createElement('li');
+        item.className = `progress-stage ${stage.status}`;
+        
+        const label = document.createElement('span');
+        label.textContent = `${SCAN_STAGE_ICONS[stage.status] || '○'} ${stage.label}`;
+        
+        const meta = document.createElement('span');
+        meta.className = 'progress-stage-meta';
+        const parts = [];
+        if (stage.total) {
+            parts.push(`${Math.min(stage.done, stage.total)}/${stage.total}`);
+        }
+        if (stage.status === 'running' && typeof stage.etaMs === 'number') {
+            parts.push(`~${formatDuration(stage.etaMs)} left`);
+        } else if (stage.endedAt && stage.startedAt && stage.status === 'done') {
+            parts.push(formatDuration(stage.endedAt - stage.startedAt));
+        }
+        meta.textContent = parts.join(' · ');
+        
+        item.appendChild(label);
+        item.appendChild(meta);
+        elements.progressStages.appendChild(item);
+    });
+    
+    const partialGroups = Array.isArray(progress.partialGroups) ? progress.partialGroups : [];
+    elements.partialGroups.classList.toggle('hidden', partialGroups.length === 0);
+    elements.partialGroupsList.innerHTML = '';
+    partialGroups.forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'partial-group';
+        
+        const name = document.createElement('div');
+        name.className = 'partial-group-name';
+        const title = group.name || (group.keywords || []).join(', ') || 'Unnamed group';
+        name.textContent = `${title} (${group.tabCount} tabs)`;
+        
+        const tabs = document.createElement('div');
+        tabs.className = 'partial-group-tabs';
+        tabs.textContent = (group.tabs || []).map(tab => tab.title).join(' · ');
+        
+        groupDiv.appendChild(name);
+        groupDiv.appendChild(tabs);
+        elements.partialGroupsList.appendChild(groupDiv);
+    });
+}
+
+// Το background enrichment queue αλλάζει όσο το popup είναι ανοιχτό
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.aiEnrichmentQueue || changes.pendingRegroupProposal)) {
+        updateEnrichmentStatus();
+    }
+});
+
 /**
  * Check for cached data from previous scan
  */
 async function checkForCachedData() {
     try {
+        if (latestScanProgress?.status === 'running') {
+            // Το progress view έχει προτεραιότητα όσο τρέχει scan
+            return;
+        }
         const result = await chrome.storage.local.get(['cachedGroups', 'tabData', 'lastScan']);
         if (result.tabData) {
             cachedTabData = result.tabData;
@@ -89,16 +389,18 @@ async function startScanning() {
         }
         
         isScanning = true;
-        alert('🔍 AI Tab Companion: Starting tabs analysis...');
+        showProgress();
         
         // Send message to background script
-        const response = await sendMessageToBackground('SCAN_TABS');
+        // Τα groups εφαρμόζονται μόνο μετά το preview
+        const response = await sendMessageToBackground('SCAN_TABS', { preview: true });
         
         if (response.success) {
-            alert('✅ AI Tab Companion: Found ' + response.tabCount + ' tabs. Waiting for AI analysis...');
-            
-            // Περιμένουμε τα αποτελέσματα
+            // Το progress έρχεται μέσω του Port· περιμένουμε τα αποτελέσματα
             await waitForResults();
+        } else if (response.cancelled) {
+            showTemporaryMessage('Scan cancelled');
+            await checkForCachedData();
         } else {
             throw new Error(response.error || 'Unknown error during scanning');
         }
@@ -150,6 +452,21 @@ async function waitForResults() {
     const checkInterval = 1000; // 1 second
     let elapsed = 0;
     
+    // Με ενεργό Port περιμένουμε το τέλος του pipeline αντί για polling
+    const waitStart = Date.now();
+    const finalProgress = await waitForScanCompletion(maxWaitTime);
+    if (finalProgress?.status === 'error') {
+        throw new Error(finalProgress.error || 'Chrome AI is not available');
+    }
+    if (finalProgress?.status === 'cancelled') {
+        showTemporaryMessage('Scan cancelled');
+        await checkForCachedData();
+        return;
+    }
+    if (finalProgress) {
+        elapsed = Date.now() - waitStart;
+    }
+    
     while (elapsed < maxWaitTime) {
         try {
             const result = await chrome.storage.local.get(['cachedGroups', 'tabData', 'lastScan', 'aiError', 'error']);
@@ -192,6 +509,18 @@ function showLoading() {
     if (elements.loading) elements.loading.classList.remove('hidden');
 }
 
+/**
+ * Show scan progress state
+ */
+function showProgress() {
+    if (elements.progressState && !elements.progressState.classList.contains('hidden')) return;
+    hideAllStates();
+    if (elements.progressState) elements.progressState.classList.remove('hidden');
+    if (latestScanProgress?.status === 'running') {
+        renderScanProgress(latestScanProgress);
+    }
+}
+
 /**
  * Show initial state
  */
@@ -233,79 +562,205 @@ function showResultsWithAlert() {
 }
 
 /**
- * Show options for tab grouping
+ * Η πρόταση του background re-cluster στο ίδιο preview με το "Group Tabs"· τα currentGroups αλλάζουν μόνο μετά το apply
  */
-async function showGroupingOptions() {
-    if (!currentGroups || currentGroups.length === 0) return;
-    
-    let message = '📁 AI Tab Companion: Tab Grouping Options\n\n';
-    message += 'I will analyze your open tabs and create groups based on their content.\n\n';
-    message += 'If I find tabs with similar content, I will group them with an appropriate name.\n';
-    message += 'If I do not find common topics, I will display a message.\n\n';
-    message += 'Would you like to proceed with the analysis?\n';
-    message += 'Click "OK" to proceed!';
-    
-    const proceed = confirm(message);
-    
-    if (proceed) {
-        await createTabGroups(currentGroups);
+async function reviewRegroupProposal() {
+    const stored = await chrome.storage.local.get(['pendingRegroupProposal', 'tabData']);
+    if (Array.isArray(stored.tabData)) {
+        cachedTabData = stored.tabData;
     }
+    const groups = stored.pendingRegroupProposal?.groups;
+    if (!Array.isArray(groups) || !groups.length) {
+        updateEnrichmentStatus();
+        return;
+    }
+    await showGroupingOptions({ proposalGroups: groups });
 }
 
 /**
- * Creates tab groups with AI intelligent grouping
+ * Show options for tab grouping: dry-run diff από το background, ο χρήστης επιλέγει τι θα εφαρμοστεί
+ * proposalGroups: τα groups της πρότασης του re-cluster αντί για τα currentGroups
  */
-async function createTabGroups(groups) {
+async function showGroupingOptions({ proposalGroups = null } = {}) {
+    const groups = proposalGroups || currentGroups;
+    if (!groups || groups.length === 0) return;
+    
+    if (!groups.some(group => group.tabIndices.length > 1 || group.ruleGroup)) {
+        alert('ℹ️ AI Tab Companion: No tabs with similar content found for grouping.\n\nAll tabs have different content and cannot be grouped.');
+        return;
+    }
+    
     try {
-        // Get tab data
-        const result = await chrome.storage.local.get(['tabData']);
-        if (!result.tabData) {
-            throw new Error('Tab data not found');
-        }
-        
-        // Find groups with more than 1 tab
-        const groupsWithMultipleTabs = groups.filter(group => group.tabIndices.length > 1);
-        
-        if (groupsWithMultipleTabs.length === 0) {
-            alert('ℹ️ AI Tab Companion: No tabs with similar content found for grouping.\n\nAll tabs have different content and cannot be grouped.');
-            return;
+        const response = await sendMessageToBackground('PREVIEW_TAB_GROUPS', { proposal: Boolean(proposalGroups) });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Preview failed');
         }
+        pendingGroupDiff = response.diff;
+        pendingDiffIsProposal = Boolean(proposalGroups);
+        renderGroupPreview(pendingGroupDiff);
+        hideAllStates();
+        elements.previewState.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error previewing tab groups:', error);
+        alert('❌ AI Tab Companion: Error while preparing groups - ' + error.message);
+    }
+}
+
+/**
+ * Render του diff: groups (και tabs) με checkbox, και groups της επέκτασης που θα διαλυθούν
+ */
+function renderGroupPreview(diff) {
+    const { stats } = diff;
+    const parts = [
+        `${stats.created} new`,
+        `${stats.renamed} renamed`,
+        stats.merged ? `${stats.merged} added to your groups` : null,
+        `${stats.dissolved} dissolved`,
+        `${stats.moved} tab${stats.moved === 1 ? '' : 's'} moved`
+    ].filter(Boolean);
+    elements.previewSummary.textContent = parts.join(' · ');
+    
+    elements.previewGroups.innerHTML = '';
+    diff.groups.forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'preview-group';
         
-        let totalGrouped = 0;
-        let createdGroups = [];
+        const header = document.createElement('label');
+        header.className = 'preview-group-header';
+        const groupCheckbox = document.createElement('input');
+        groupCheckbox.type = 'checkbox';
+        groupCheckbox.className = 'preview-group-checkbox';
+        groupCheckbox.dataset.groupIndex = group.index;
+        groupCheckbox.checked = group.action !== 'skip' && group.action !== 'keep';
+        groupCheckbox.disabled = group.action === 'skip';
+        const name = document.createElement('span');
+        name.textContent = group.action === 'rename'
+            ? `${group.existingTitle} → ${group.name}`
+            : (group.action === 'merge' ? `${group.name} → ${group.existingTitle}` : group.name);
+        const action = document.createElement('span');
+        action.className = `preview-action ${group.action}`;
+        action.textContent = PREVIEW_ACTION_LABELS[group.action] || group.action;
+        header.append(groupCheckbox, name, action);
+        groupDiv.appendChild(header);
         
-        for (const group of groupsWithMultipleTabs) {
-            // Create a group for tabs with more than 1 tab
-            const tabIds = group.tabIndices.map(index => result.tabData[index].id);
-            
-            if (tabIds.length > 0) {
-                // Create group via Chrome API
-                const groupId = await chrome.tabs.group({ tabIds: tabIds });
-                
-                // Name the group using the AI-generated topic
-                await chrome.tabGroups.update(groupId, { 
-                    title: group.name,
-                    color: getRandomColor()
-                });
-                
-                totalGrouped += tabIds.length;
-                createdGroups.push(group.name);
+        group.tabs.forEach(tab => {
+            const row = document.createElement('label');
+            row.className = 'preview-tab';
+            const tabCheckbox = document.createElement('input');
+            tabCheckbox.type = 'checkbox';
+            tabCheckbox.className = 'preview-tab-checkbox';
+            tabCheckbox.dataset.tabId = tab.tabId;
+            tabCheckbox.checked = tab.moved;
+            tabCheckbox.disabled = !tab.moved;
+            const title = document.createElement('span');
+            title.className = 'preview-tab-title';
+            title.textContent = tab.title || tab.url;
+            title.title = tab.url;
+            const origin = document.createElement('span');
+            origin.className = 'preview-tab-origin';
+            if (tab.locked) {
+                origin.textContent = `📌 stays in ${tab.fromGroupTitle}`;
+            } else if (tab.skipReason === 'alone') {
+                origin.textContent = 'not grouped (only tab of this group in its window)';
+            } else if (tab.skipReason === 'window') {
+                origin.textContent = 'not grouped (window does not support tab groups)';
+            } else if (tab.moved) {
+                origin.textContent = tab.fromGroupTitle ? `from ${tab.fromGroupTitle}` : 'from ungrouped';
+            } else {
+                origin.textContent = 'unchanged';
             }
-        }
+            row.append(tabCheckbox, title, origin);
+            groupDiv.appendChild(row);
+        });
         
-        // Show result
-        let resultMessage = `✅ AI Tab Companion: Created ${createdGroups.length} groups!\n\n`;
-        resultMessage += 'Grouped tabs with similar content:\n';
-        createdGroups.forEach(groupName => {
-            resultMessage += `• ${groupName}\n`;
+        const syncDeselected = () => groupDiv.classList.toggle('deselected', !groupCheckbox.checked);
+        groupCheckbox.addEventListener('change', syncDeselected);
+        syncDeselected();
+        elements.previewGroups.appendChild(groupDiv);
+    });
+    
+    elements.previewDissolvedList.innerHTML = '';
+    diff.dissolved.forEach(group => {
+        const row = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'preview-dissolve-checkbox';
+        checkbox.dataset.groupId = group.groupId;
+        // Groups που αναγνωρίστηκαν μετά από restart μόνο από title/URLs διαλύονται μόνο αν το επιλέξει ο χρήστης
+        checkbox.checked = !group.inferred;
+        const title = document.createElement('span');
+        title.textContent = `${group.title} (${group.tabCount} tab${group.tabCount === 1 ? '' : 's'})`
+            + (group.inferred ? ' · recognised after restart, kept unless checked' : '');
+        row.append(checkbox, title);
+        elements.previewDissolvedList.appendChild(row);
+    });
+    elements.previewDissolved.classList.toggle('hidden', diff.dissolved.length === 0);
+}
+
+/**
+ * Εφαρμογή μόνο των επιλεγμένων groups/tabs· τα unchecked υπάρχοντα groups μένουν ως έχουν
+ */
+async function applyGroupPreview() {
+    if (!pendingGroupDiff) return;
+    
+    const groupIndices = [];
+    const keepGroupIds = [];
+    const excludedTabIds = [];
+    elements.previewGroups.querySelectorAll('.preview-group-checkbox').forEach(checkbox => {
+        const group = pendingGroupDiff.groups.find(entry => entry.index === Number(checkbox.dataset.groupIndex));
+        if (!group) return;
+        if (checkbox.checked) {
+            groupIndices.push(group.index);
+        } else if (group.existingGroupId !== null && group.action !== 'merge') {
+            keepGroupIds.push(group.existingGroupId);
+        }
+    });
+    elements.previewGroups.querySelectorAll('.preview-tab-checkbox').forEach(checkbox => {
+        if (!checkbox.disabled && !checkbox.checked) {
+            excludedTabIds.push(Number(checkbox.dataset.tabId));
+        }
+    });
+    elements.previewDissolvedList.querySelectorAll('.preview-dissolve-checkbox').forEach(checkbox => {
+        if (!checkbox.checked) {
+            keepGroupIds.push(Number(checkbox.dataset.groupId));
+        }
+    });
+    
+    elements.previewApplyBtn.disabled = true;
+    try {
+        const response = await sendMessageToBackground('APPLY_TAB_GROUPS', {
+            selection: { groupIndices, keepGroupIds, excludedTabIds },
+            proposal: pendingDiffIsProposal
         });
-        resultMessage += '\n💡 Your tabs are now organized into groups!';
+        if (!response?.success) {
+            throw new Error(response?.error || 'Grouping failed');
+        }
+        pendingGroupDiff = null;
         
-        alert(resultMessage);
+        // Show result
+        const resultParts = [`✅ Created ${response.created.length} group${response.created.length === 1 ? '' : 's'}`];
+        if (response.reused?.length) {
+            resultParts.push(`updated ${response.reused.length} existing`);
+        }
+        if (response.mergedIntoManual.length) {
+            resultParts.push(`added tabs to ${response.mergedIntoManual.length} of your groups`);
+        }
+        if (response.skippedManualTabs) {
+            resultParts.push(`📌 ${response.skippedManualTabs} tabs stayed in your groups`);
+        }
+        const resultMessage = resultParts.join(' · ');
+        showTemporaryMessage(resultMessage);
         
+        const stored = await chrome.storage.local.get(['cachedGroups']);
+        if (Array.isArray(stored.cachedGroups)) {
+            currentGroups = stored.cachedGroups;
+        }
+        await showResults();
     } catch (error) {
         console.error('Error creating tab groups:', error);
         alert('❌ AI Tab Companion: Error while creating groups - ' + error.message);
+    } finally {
+        elements.previewApplyBtn.disabled = false;
     }
 }
 
@@ -352,14 +807,6 @@ function findAdjacentTabGroups(allTabs) {
     return groups;
 }
 
-/**
- * Returns a random color for groups
- */
-function getRandomColor() {
-    const colors = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'grey'];
-    return colors[Math.floor(Math.random() * colors.length)];
-}
-
 /**
  * Show results (legacy)
  */
@@ -376,6 +823,34 @@ async function showResults() {
     
     // Update close button state
     updateCloseButtonState();
+    
+    updateEnrichmentStatus();
+    refreshUndoButton();
+    loadDuplicates();
+    loadShoppingGroups();
+}
+
+/**
+ * Πόσα tabs περιμένουν ακόμα AI features/embeddings στο background
+ */
+async function updateEnrichmentStatus() {
+    if (!elements.enrichmentStatus) return;
+    try {
+        const { aiEnrichmentQueue, pendingRegroupProposal } = await chrome.storage.local.get(['aiEnrichmentQueue', 'pendingRegroupProposal']);
+        const pending = Array.isArray(aiEnrichmentQueue?.items) ? aiEnrichmentQueue.items.length : 0;
+        elements.enrichmentStatus.textContent = pending
+            ? `⏳ ${pending} tab${pending === 1 ? '' : 's'} waiting for AI enrichment — refined groups will be offered for review`
+            : '';
+        elements.enrichmentStatus.classList.toggle('hidden', pending === 0);
+        
+        const moved = pendingRegroupProposal?.stats?.moved || 0;
+        elements.regroupProposalText.textContent = pendingRegroupProposal
+            ? `✨ Refined groups are ready${moved ? ` (${moved} tab${moved === 1 ? '' : 's'} would move)` : ''}`
+            : '';
+        elements.regroupProposal.classList.toggle('hidden', !pendingRegroupProposal);
+    } catch (error) {
+        console.warn('Failed to read enrichment status:', error?.message || error);
+    }
 }
 
 /**
@@ -395,6 +870,11 @@ function hideAllStates() {
     if (elements.initialState) elements.initialState.classList.add('hidden');
     if (elements.results) elements.results.classList.add('hidden');
     if (elements.errorState) elements.errorState.classList.add('hidden');
+    if (elements.progressState) elements.progressState.classList.add('hidden');
+    if (elements.previewState) elements.previewState.classList.add('hidden');
+    if (elements.sessionsState) elements.sessionsState.classList.add('hidden');
+    if (elements.archiveState) elements.archiveState.classList.add('hidden');
+    if (elements.exportState) elements.exportState.classList.add('hidden');
 }
 
 /**
@@ -585,6 +1065,7 @@ function ensureGroupActions(contentElement, groupIndex) {
         actions.style.margin = '6px 0 10px 0';
         actions.style.display = 'flex';
         actions.style.gap = '8px';
+        actions.style.flexWrap = 'wrap';
 
         const synthBtn = document.createElement('button');
         synthBtn.className = 'action-btn';
@@ -604,7 +1085,39 @@ function ensureGroupActions(contentElement, groupIndex) {
             }
         });
 
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'action-btn';
+        saveBtn.textContent = '💾 Save as Session';
+        saveBtn.style.padding = '6px 10px';
+        saveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            saveGroupSession(groupIndex);
+        });
+
+        const askBtn = document.createElement('button');
+        askBtn.className = 'action-btn';
+        askBtn.textContent = '💬 Ask your tabs';
+        askBtn.style.padding = '6px 10px';
+        askBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            chrome.tabs.create({ url: chrome.runtime.getURL(`ask.html?group=${groupIndex}`) });
+        });
+
+        const compareBtn = document.createElement('button');
+        compareBtn.className = 'action-btn compare-products-btn';
+        compareBtn.textContent = '🛒 Compare products';
+        compareBtn.style.padding = '6px 10px';
+        compareBtn.dataset.groupIndex = String(groupIndex);
+        compareBtn.classList.toggle('hidden', !shoppingGroupIndices.has(groupIndex));
+        compareBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?group=${groupIndex}`) });
+        });
+
         actions.appendChild(synthBtn);
+        actions.appendChild(askBtn);
+        actions.appendChild(compareBtn);
+        actions.appendChild(saveBtn);
         contentElement.insertBefore(actions, contentElement.firstChild);
     }
 }
@@ -649,6 +1162,225 @@ async function requestGroupSummary(groupIndex, contentElement) {
     }
 }
 
+async function saveGroupSession(groupIndex) {
+    const group = currentGroups?.[groupIndex];
+    if (!group) return;
+    const name = prompt('Session name', group.name || '');
+    if (name === null) return;
+    try {
+        const response = await sendMessageToBackground('SAVE_GROUP_SESSION', { groupIndex, name });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not save session');
+        }
+        showTemporaryMessage(`💾 Saved "${response.session.name}" (${response.session.tabs.length} tabs)`);
+    } catch (error) {
+        showTemporaryMessage(`⚠️ ${error.message}`);
+    }
+}
+
+/**
+ * Saved sessions: λίστα με restore στο τρέχον ή σε νέο window
+ */
+async function showSessions() {
+    hideAllStates();
+    elements.sessionsState.classList.remove('hidden');
+    try {
+        const response = await sendMessageToBackground('LIST_SAVED_SESSIONS');
+        renderSessions(response?.sessions || []);
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        renderSessions([]);
+    }
+}
+
+/**
+ * Archive suggestions: tabs που δεν χρησιμοποιήθηκαν για N ημέρες, με τον λόγο για το καθένα
+ */
+async function showArchiveSuggestions() {
+    hideAllStates();
+    elements.archiveState.classList.remove('hidden');
+    elements.archiveSummary.textContent = 'Looking for stale tabs…';
+    try {
+        const response = await sendMessageToBackground('GET_ARCHIVE_SUGGESTIONS');
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to load suggestions');
+        }
+        renderArchiveSuggestions(response.suggestions, response.staleDays);
+    } catch (error) {
+        console.error('Error loading archive suggestions:', error);
+        renderArchiveSuggestions([], null);
+        elements.archiveSummary.textContent = `Error: ${error.message}`;
+    }
+}
+
+function renderArchiveSuggestions(suggestions, staleDays) {
+    elements.archiveList.innerHTML = '';
+    elements.archiveEmpty.classList.toggle('hidden', suggestions.length > 0);
+    elements.archiveSummary.textContent = staleDays
+        ? `${suggestions.length} tab${suggestions.length === 1 ? '' : 's'} unused for about ${staleDays} day${staleDays === 1 ? '' : 's'} or more`
+        : '';
+    suggestions.forEach(suggestion => elements.archiveList.appendChild(createArchiveSuggestionElement(suggestion)));
+    updateArchiveButtonState();
+}
+
+function createArchiveSuggestionElement(suggestion) {
+    const item = document.createElement('label');
+    item.className = 'archive-item';
+    item.title = suggestion.url;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'archive-checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.tabId = suggestion.id;
+    checkbox.addEventListener('change', updateArchiveButtonState);
+
+    const body = document.createElement('div');
+    body.className = 'archive-item-body';
+    const title = document.createElement('div');
+    title.className = 'archive-item-title';
+    title.textContent = suggestion.groupTitle ? `${suggestion.title} · ${suggestion.groupTitle}` : suggestion.title;
+    const reasons = document.createElement('ul');
+    reasons.className = 'archive-item-reasons';
+    suggestion.reasons.forEach(reason => {
+        const li = document.createElement('li');
+        li.textContent = reason;
+        reasons.appendChild(li);
+    });
+    body.append(title, reasons);
+    item.append(checkbox, body);
+    return item;
+}
+
+function getSelectedArchiveTabIds() {
+    return Array.from(elements.archiveList.querySelectorAll('.archive-checkbox:checked'))
+        .map(checkbox => Number(checkbox.dataset.tabId));
+}
+
+function updateArchiveButtonState() {
+    const count = getSelectedArchiveTabIds().length;
+    elements.archiveSelectedBtn.disabled = count === 0;
+    elements.archiveSelectedBtn.textContent = count ? `🗄️ Archive Selected (${count})` : '🗄️ Archive Selected';
+}
+
+async function archiveSelectedTabs() {
+    const tabIds = getSelectedArchiveTabIds();
+    if (!tabIds.length) return;
+    elements.archiveSelectedBtn.disabled = true;
+    try {
+        const destination = elements.archiveDestination.value;
+        const response = await sendMessageToBackground('ARCHIVE_TABS', { tabIds, destination });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to archive tabs');
+        }
+        const target = destination === 'session' ? 'saved sessions' : 'bookmarks';
+        showTemporaryMessage(`🗄️ Archived ${response.archived} tab${response.archived === 1 ? '' : 's'} to ${target}`);
+        await updateGroupsAfterClosing();
+        await showArchiveSuggestions();
+    } catch (error) {
+        console.error('Error archiving tabs:', error);
+        showTemporaryMessage(`Error: ${error.message}`);
+        updateArchiveButtonState();
+    }
+}
+
+function leaveSessions() {
+    if (currentGroups && currentGroups.length) {
+        showResults();
+    } else {
+        showInitialState();
+    }
+}
+
+function renderSessions(sessions) {
+    elements.sessionsList.innerHTML = '';
+    elements.sessionsEmpty.classList.toggle('hidden', sessions.length > 0);
+    sessions.forEach(session => elements.sessionsList.appendChild(createSessionElement(session)));
+}
+
+function createSessionElement(session) {
+    const item = document.createElement('div');
+    item.className = 'session-item';
+
+    const header = document.createElement('div');
+    header.className = 'session-header';
+    const dot = document.createElement('span');
+    dot.className = 'session-color';
+    dot.style.background = TAB_GROUP_COLOR_HEX[session.color] || TAB_GROUP_COLOR_HEX.grey;
+    const name = document.createElement('span');
+    name.textContent = session.name;
+    const meta = document.createElement('span');
+    meta.className = 'session-meta';
+    meta.textContent = `${session.tabs.length} tab${session.tabs.length === 1 ? '' : 's'} · ${new Date(session.createdAt).toLocaleDateString()}`;
+    header.append(dot, name, meta);
+    item.appendChild(header);
+
+    const details = document.createElement('details');
+    details.className = 'session-details';
+    const summary = document.createElement('summary');
+    summary.textContent = session.report ? 'Tabs, summary and report' : 'Tabs and summary';
+    details.appendChild(summary);
+    const appendList = (points, className = '') => {
+        if (!points.length) return;
+        const list = document.createElement('ul');
+        points.forEach(point => {
+            const li = document.createElement('li');
+            if (className) li.className = className;
+            li.textContent = point;
+            list.appendChild(li);
+        });
+        details.appendChild(list);
+    };
+    appendList(session.summary || []);
+    if (session.report) {
+        const report = document.createElement('p');
+        report.textContent = `🧠 ${session.report.summary}`;
+        details.appendChild(report);
+        appendList(session.report.insights || []);
+    }
+    appendList(session.tabs.map(tab => tab.title || tab.url), 'session-tab');
+    item.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'session-actions';
+    const addAction = (label, handler) => {
+        const button = document.createElement('button');
+        button.className = 'rescan-btn';
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+    };
+    addAction('↩️ Open here', () => restoreSession(session, 'current'));
+    addAction('🪟 New window', () => restoreSession(session, 'new'));
+    addAction('🗑️ Delete', () => deleteSession(session));
+    item.appendChild(actions);
+    return item;
+}
+
+async function restoreSession(session, target) {
+    try {
+        const response = await sendMessageToBackground('RESTORE_SAVED_SESSION', { sessionId: session.id, target });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Restore failed');
+        }
+        showTemporaryMessage(`✅ Reopened "${session.name}" (${response.tabCount} tabs)`);
+    } catch (error) {
+        showTemporaryMessage(`⚠️ ${error.message}`);
+    }
+}
+
+async function deleteSession(session) {
+    if (!confirm(`Delete the saved session "${session.name}"?`)) return;
+    try {
+        const response = await sendMessageToBackground('DELETE_SAVED_SESSION', { sessionId: session.id });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Delete failed');
+        }
+        await showSessions();
+    } catch (error) {
+        showTemporaryMessage(`⚠️ ${error.message}`);
+    }
+}
+
 /**
  * Update state of the close button
  */
@@ -687,7 +1419,9 @@ async function closeSelectedTabs() {
             updateCloseButtonState();
             
             // Update groups (remove closed tabs)
-            updateGroupsAfterClosing(tabIds);
+            await updateGroupsAfterClosing();
+            refreshUndoButton();
+            loadDuplicates();
             
             // Show success message
             showTemporaryMessage(response.message || 'Tabs closed successfully');
@@ -703,27 +1437,185 @@ async function closeSelectedTabs() {
 }
 
 /**
- * Update groups after closing tabs
+ * Δείχνει το Undo μόνο όταν το journal έχει κάτι· το tooltip λέει τι θα αναιρεθεί
  */
-function updateGroupsAfterClosing(closedTabIds) {
-    // Remove closed tabs from groups
-    currentGroups.forEach(group => {
-        group.tabIndices = group.tabIndices.filter(index => {
-            const result = chrome.storage.local.get(['tabData']).then(data => {
-                if (data.tabData && data.tabData[index]) {
-                    return !closedTabIds.includes(data.tabData[index].id);
-                }
-                return true;
-            });
-            return result;
+async function refreshUndoButton(history = null) {
+    try {
+        const entries = history || (await sendMessageToBackground('GET_UNDO_HISTORY'))?.history || [];
+        const [latest] = entries;
+        elements.undoBtn.classList.toggle('hidden', !latest);
+        elements.undoBtn.title = latest
+            ? `Undo: ${latest.label} (${new Date(latest.createdAt).toLocaleTimeString()})${entries.length > 1 ? ` · ${entries.length - 1} more` : ''}`
+            : '';
+    } catch (error) {
+        console.warn('Failed to load undo history:', error?.message || error);
+    }
+}
+
+async function undoLastOperation() {
+    elements.undoBtn.disabled = true;
+    try {
+        const response = await sendMessageToBackground('UNDO_LAST_OPERATION');
+        if (!response?.success) {
+            throw new Error(response?.error || 'Undo failed');
+        }
+        const detail = response.type === 'close'
+            ? `reopened ${response.reopenedTabs} tab${response.reopenedTabs === 1 ? '' : 's'}`
+            : `restored ${response.restoredTabs} tab${response.restoredTabs === 1 ? '' : 's'}`;
+        showTemporaryMessage(`↩️ Undid "${response.label}" · ${detail}`);
+        refreshUndoButton(response.history);
+    } catch (error) {
+        console.error('Error undoing operation:', error);
+        showTemporaryMessage(`Error: ${error.message}`);
+    } finally {
+        elements.undoBtn.disabled = false;
+    }
+}
+
+/**
+ * Update groups after closing tabs (το background έχει ήδη αφαιρέσει τα tabs και ξαναμετρήσει τα indices)
+ */
+async function updateGroupsAfterClosing() {
+    const stored = await chrome.storage.local.get(['cachedGroups', 'tabData']);
+    currentGroups = Array.isArray(stored.cachedGroups) ? stored.cachedGroups : [];
+    cachedTabData = Array.isArray(stored.tabData) ? stored.tabData : null;
+    renderGroups();
+}
+
+/**
+ * Duplicates: exact (ίδιο canonical URL) και near (SimHash) από το background
+ */
+async function loadDuplicates() {
+    try {
+        const response = await sendMessageToBackground('FIND_DUPLICATE_TABS');
+        duplicateClusters = response?.success ? response.clusters : [];
+    } catch (error) {
+        console.warn('Failed to load duplicates:', error?.message || error);
+        duplicateClusters = [];
+    }
+    renderDuplicates();
+}
+
+function renderDuplicates() {
+    elements.duplicatesList.textContent = '';
+    elements.duplicatesSection.classList.toggle('hidden', duplicateClusters.length === 0);
+    if (!duplicateClusters.length) return;
+    const extra = duplicateClusters.reduce((sum, cluster) => sum + cluster.tabs.length - 1, 0);
+    elements.duplicatesTitle.textContent = `🧬 Duplicates (${extra} extra tab${extra === 1 ? '' : 's'})`;
+    elements.dedupeExactBtn.classList.toggle('hidden', !duplicateClusters.some(cluster => cluster.kind === 'exact'));
+    duplicateClusters.forEach(cluster => elements.duplicatesList.appendChild(createDuplicateElement(cluster)));
+}
+
+function createDuplicateElement(cluster) {
+    const item = document.createElement('div');
+    item.className = 'duplicate-item';
+
+    const header = document.createElement('div');
+    header.className = 'duplicate-header';
+    const badge = document.createElement('span');
+    badge.className = `duplicate-badge duplicate-${cluster.kind}`;
+    badge.textContent = cluster.kind === 'exact' ? 'Exact' : 'Similar';
+    const count = document.createElement('span');
+    count.className = 'session-meta';
+    count.textContent = `${cluster.tabs.length} tabs`;
+    header.append(badge, count);
+    item.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = 'duplicate-tabs';
+    cluster.tabs.forEach(tab => {
+        const row = document.createElement('li');
+        row.title = tab.url;
+        row.textContent = `${tab.id === cluster.survivorId ? '⭐ ' : ''}${tab.title}`;
+        if (tab.id === cluster.survivorId) row.classList.add('duplicate-survivor');
+        row.addEventListener('click', () => chrome.tabs.update(tab.id, { active: true }));
+        list.appendChild(row);
+    });
+    item.appendChild(list);
+
+    const button = document.createElement('button');
+    button.className = 'rescan-btn';
+    button.textContent = '🧹 Keep most recent, close others';
+    button.addEventListener('click', () => dedupeClusters([cluster]));
+    item.appendChild(button);
+    return item;
+}
+
+async function dedupeClusters(clusters) {
+    if (!clusters.length) return;
+    try {
+        const response = await sendMessageToBackground('DEDUPE_TABS', {
+            clusters: clusters.map(cluster => ({ tabIds: cluster.tabs.map(tab => tab.id), keepId: cluster.survivorId }))
         });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to close duplicates');
+        }
+        showTemporaryMessage(`🧹 Closed ${response.closed} duplicate tab${response.closed === 1 ? '' : 's'}`);
+        selectedTabs.clear();
+        updateCloseButtonState();
+        await updateGroupsAfterClosing();
+        refreshUndoButton();
+        loadDuplicates();
+    } catch (error) {
+        console.error('Error closing duplicates:', error);
+        showTemporaryMessage(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Ποια groups είναι shopping (για το "🛒 Compare products")
+ */
+async function loadShoppingGroups() {
+    try {
+        const response = await sendMessageToBackground('GET_SHOPPING_GROUPS');
+        shoppingGroupIndices = new Set(response?.success ? response.groupIndices : []);
+    } catch (error) {
+        console.warn('Failed to load shopping groups:', error?.message || error);
+        shoppingGroupIndices = new Set();
+    }
+    document.querySelectorAll('.compare-products-btn').forEach(button => {
+        button.classList.toggle('hidden', !shoppingGroupIndices.has(Number(button.dataset.groupIndex)));
     });
-    
-    // Remove empty groups
-    currentGroups = currentGroups.filter(group => group.tabIndices.length > 0);
-    
-    // Re-render
-    renderGroups();
+}
+
+/**
+ * Export picker: format και ποια groups θα μπουν στο αρχείο
+ */
+function showExportPicker() {
+    hideAllStates();
+    elements.exportState.classList.remove('hidden');
+    elements.exportGroups.innerHTML = '';
+    elements.exportSelectAll.checked = true;
+    currentGroups.forEach((group, index) => {
+        const item = document.createElement('label');
+        item.className = 'export-group-item';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'export-group-checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.groupIndex = index;
+        checkbox.addEventListener('change', updateExportButtonState);
+        const name = document.createElement('span');
+        name.textContent = group.name;
+        const meta = document.createElement('span');
+        meta.className = 'session-meta';
+        const count = (group.tabIndices || []).length;
+        meta.textContent = `${count} tab${count === 1 ? '' : 's'}`;
+        item.append(checkbox, name, meta);
+        elements.exportGroups.appendChild(item);
+    });
+    updateExportButtonState();
+}
+
+function getSelectedExportGroupIndices() {
+    return Array.from(elements.exportGroups.querySelectorAll('.export-group-checkbox:checked'))
+        .map(checkbox => Number(checkbox.dataset.groupIndex));
+}
+
+function updateExportButtonState() {
+    const selected = getSelectedExportGroupIndices().length;
+    elements.exportDownloadBtn.disabled = selected === 0;
+    elements.exportSelectAll.checked = selected === currentGroups.length;
 }
 
 /**
@@ -731,10 +1623,14 @@ function updateGroupsAfterClosing(closedTabIds) {
  */
 async function exportSummary() {
     try {
-        const response = await sendMessageToBackground('EXPORT_SUMMARY');
+        const response = await sendMessageToBackground('EXPORT_SUMMARY', {
+            format: elements.exportFormat.value,
+            groupIndices: getSelectedExportGroupIndices()
+        });
         
         if (response.success) {
             showTemporaryMessage(response.message || 'Summary exported successfully');
+            showResults();
         } else {
             throw new Error(response.error || 'Failed to export summary');
         }
@@ -0,0 +1,179 @@
+/**
+ * AI Tab Companion - Privacy
+ *
+ * - Exclusion list (chrome.storage.sync → privacyExcludedDomains): σε αυτά τα domains (και subdomains)
+ *   το περιεχόμενο της σελίδας δεν διαβάζεται ποτέ· χρησιμοποιούνται μόνο title και URL.
+ * - Redaction: emails, τηλέφωνα, αριθμοί καρτών (με Luhn)/IBAN και IDs γίνονται placeholders πριν το
+ *   κείμενο φτάσει σε οποιοδήποτε prompt· scripts που κάνουν prompt μέσα στη σελίδα παίρνουν τους
+ *   κανόνες από το serializeRedactionRules.
+ *
+ * Φορτώνεται από το service worker (importScripts) και από το options.html (validation της λίστας).
+ */
+
+const PRIVACY_EXCLUDED_DOMAINS_KEY = 'privacyExcludedDomains';
+const PRIVACY_EXCLUDED_DOMAINS_MAX = 300;
+
+// Query params που κουβαλάνε credentials/προσωπικά στοιχεία· η τιμή τους δεν μπαίνει ποτέ σε prompt
+const SENSITIVE_QUERY_PARAMS = /^(?:token|access_token|id_token|auth|authorization|key|api_?key|apikey|secret|password|passwd|pwd|session|sessionid|sid|sig|signature|code|otp|email|e-mail|mail|phone|tel|ssn|iban|account|acct|card)$/i;
+
+// check: όνομα ελέγχου (REDACTION_CHECKS) που πρέπει να περάσει το match για να μασκαριστεί
+const REDACTION_RULES = [
+    { label: '[email]', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    { label: '[iban]', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+    { label: '[id]', pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi },
+    { label: '[card]', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: 'luhn' },
+    { label: '[id]', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    {
+        label: '[phone]',
+        pattern: /(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}\b)|(?:\(\d{2,4}\)\s?\d{3,4}[\s.-]?\d{3,4}\b)|(?:\b\d{3}[.-]\d{3}[.-]\d{4}\b)/g
+    },
+    // Ελληνικά νούμερα χωρίς διαχωριστικά: σταθερά 2xxxxxxxxx, κινητά 69xxxxxxxx
+    { label: '[phone]', pattern: /\b(?:2\d{9}|69\d{8})\b/g },
+    // Οποιοσδήποτε αριθμός με label τηλεφώνου μπροστά (phone, tel, mobile, τηλ., κινητό...)
+    {
+        label: '[phone]',
+        pattern: /(?<=(?:\b(?:phone|tel|telephone|mobile|cell|fax)|τηλ(?:έφωνο)?|κινητό)\.?\s*[:#]?\s*)\+?\d(?:[\s.-]?\d){6,14}\b/gi
+    },
+    // Μόνο αριθμοί με label μπροστά (ID, account, order...)· build/version numbers μένουν ως έχουν
+    {
+        label: '[id]',
+        pattern: /(?<=(?:\b(?:id|account|acct|customer|client|order|invoice|member(?:ship)?|passport|licen[cs]e|policy|tax|vat|ssn)|ΑΦΜ|ΑΜΚΑ)(?:\s*(?:no\.?|number|num|#))?\s*[:#]?\s*)\d{5,}\b/gi
+    }
+];
+
+/**
+ * Luhn checksum καρτών· τα ISBN-13 (978/979) δεν είναι κάρτες ακόμα κι αν περνούν
+ */
+function passesLuhnCheck(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    if (digits.length === 13 && /^97[89]/.test(digits)) {
+        return false;
+    }
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return digits.length > 0 && sum % 10 === 0;
+}
+
+const REDACTION_CHECKS = { luhn: passesLuhnCheck };
+
+/**
+ * Μασκάρει προσωπικά στοιχεία σε ελεύθερο κείμενο
+ */
+function redactSensitiveText(text) {
+    if (typeof text !== 'string' || !text) {
+        return text || '';
+    }
+    return REDACTION_RULES.reduce((value, rule) => value.replace(rule.pattern, match => (
+        rule.check && !REDACTION_CHECKS[rule.check](match) ? match : rule.label
+    )), text);
+}
+
+/**
+ * Οι κανόνες σε JSON μορφή, για scripts που κάνουν redaction μέσα στη σελίδα (executeScript args)
+ */
+function serializeRedactionRules() {
+    return REDACTION_RULES.map(rule => ({
+        label: rule.label,
+        source: rule.pattern.source,
+        flags: rule.pattern.flags,
+        check: rule.check || null
+    }));
+}
+
+/**
+ * URL για prompts: κρατάει host/path, μασκάρει ευαίσθητα query params και ό,τι πιάνει το redactSensitiveText
+ */
+function redactUrlForPrompt(rawUrl) {
+    if (typeof rawUrl !== 'string' || !rawUrl) {
+        return '';
+    }
+    let decoded = rawUrl;
+    try {
+        const url = new URL(rawUrl);
+        url.hash = '';
+        Array.from(url.searchParams.keys()).forEach(name => {
+            if (SENSITIVE_QUERY_PARAMS.test(name)) {
+                url.searchParams.set(name, 'redacted');
+            }
+        });
+        decoded = decodeURIComponent(url.toString());
+    } catch (_) {
+        decoded = rawUrl.split('#')[0];
+    }
+    return redactSensitiveText(decoded);
+}
+
+/**
+ * Κανονικοποιεί ένα entry της λίστας (URL, "*.domain" ή σκέτο host) σε hostname χωρίς www.
+ * Επιστρέφει '' για άκυρες τιμές.
+ */
+function normalizePrivacyDomain(value) {
+    let host = String(value || '').trim().toLowerCase();
+    if (!host) {
+        return '';
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//.test(host)) {
+        try {
+            host = new URL(host).hostname;
+        } catch (_) {
+            return '';
+        }
+    }
+    host = host.split(/[/?#]/)[0].replace(/:\d+$/, '').replace(/^\*\./, '').replace(/^www\./, '').replace(/\.$/, '');
+    return /^[a-z0-9-]+(?:\.[a-z0-9-]+)+$/.test(host) ? host : '';
+}
+
+/**
+ * Ελέγχει τη λίστα domains· επιστρέφει { domains, errors } με ταξινομημένα, μοναδικά hosts
+ */
+function validatePrivacyDomains(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split(/[\s,]+/);
+    const domains = new Set();
+    const errors = [];
+    list.forEach(value => {
+        if (!String(value || '').trim()) return;
+        const domain = normalizePrivacyDomain(value);
+        if (!domain) {
+            errors.push(`"${String(value).trim()}" is not a valid domain`);
+            return;
+        }
+        domains.add(domain);
+    });
+    const sorted = Array.from(domains).sort();
+    if (sorted.length > PRIVACY_EXCLUDED_DOMAINS_MAX) {
+        errors.push(`Only the first ${PRIVACY_EXCLUDED_DOMAINS_MAX} domains are kept`);
+        sorted.length = PRIVACY_EXCLUDED_DOMAINS_MAX;
+    }
+    return { domains: sorted, errors };
+}
+
+/**
+ * true όταν το host (ή parent domain του) είναι στη λίστα
+ */
+function isHostPrivacyExcluded(host, domains) {
+    const normalized = String(host || '').toLowerCase().replace(/^www\./, '');
+    if (!normalized || !Array.isArray(domains) || !domains.length) {
+        return false;
+    }
+    return domains.some(domain => normalized === domain || normalized.endsWith(`.${domain}`));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRIVACY_EXCLUDED_DOMAINS_KEY,
+        redactSensitiveText,
+        redactUrlForPrompt,
+        serializeRedactionRules,
+        passesLuhnCheck,
+        normalizePrivacyDomain,
+        validatePrivacyDomains,
+        isHostPrivacyExcluded
+    };
+}
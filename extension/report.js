@@ -0,0 +1,96 @@
+/**
+ * AI Tab Companion - Synthesis report page
+ *
+ * report.html?id=<report id>: διαβάζει το record από το reports.js και το αποδίδει με citations.
+ * Κλικ σε citation ή source → FOCUS_TAB_SOURCE (εστίαση στο tab ή ξανάνοιγμα του URL).
+ */
+
+const reportElements = {
+    title: document.getElementById('report-title'),
+    meta: document.getElementById('report-meta'),
+    body: document.getElementById('report-body'),
+    summary: document.getElementById('report-summary'),
+    insights: document.getElementById('report-insights'),
+    sources: document.getElementById('report-sources'),
+    missing: document.getElementById('report-missing'),
+    status: document.getElementById('report-status')
+};
+
+document.addEventListener('DOMContentLoaded', renderReport);
+
+async function renderReport() {
+    const id = new URLSearchParams(location.search).get('id') || '';
+    const report = id ? await getSynthesisReport(id) : null;
+    if (!report) {
+        reportElements.missing.classList.remove('hidden');
+        return;
+    }
+    document.title = `AI Synthesis: ${report.subject}`;
+    reportElements.title.textContent = `🧠 AI Synthesis for: ${report.subject}`;
+    const tabLabel = `${report.tabCount} tab${report.tabCount === 1 ? '' : 's'}`;
+    const version = report.model ? ` · ${report.model}, prompt v${report.promptVersion}` : '';
+    reportElements.meta.textContent = `${report.groupName} · ${tabLabel} · ${new Date(report.createdAt).toLocaleString()}${version}`;
+    reportElements.summary.textContent = report.summary;
+
+    const sourcesByRef = new Map(report.sources.map(source => [source.ref, source]));
+    report.insights.forEach(insight => {
+        const item = document.createElement('li');
+        item.append(insight.text);
+        insight.sources
+            .filter(ref => sourcesByRef.has(ref))
+            .forEach(ref => item.appendChild(createCitationButton(sourcesByRef.get(ref))));
+        reportElements.insights.appendChild(item);
+    });
+
+    report.sources.forEach(source => {
+        const item = document.createElement('li');
+        item.id = `source-${source.ref}`;
+        const link = document.createElement('a');
+        link.href = source.url;
+        link.textContent = source.title;
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            openReportSource(source);
+        });
+        const domain = document.createElement('span');
+        domain.className = 'domain';
+        domain.textContent = source.domain;
+        item.append(link, domain);
+        reportElements.sources.appendChild(item);
+    });
+    reportElements.body.classList.remove('hidden');
+}
+
+function createCitationButton(source) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'citation';
+    button.textContent = `[${source.ref}]`;
+    button.title = source.title;
+    button.addEventListener('click', () => openReportSource(source));
+    button.addEventListener('mouseenter', () => highlightSource(source.ref, true));
+    button.addEventListener('mouseleave', () => highlightSource(source.ref, false));
+    return button;
+}
+
+function highlightSource(ref, on) {
+    document.getElementById(`source-${ref}`)?.classList.toggle('highlight', on);
+}
+
+async function openReportSource(source) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'FOCUS_TAB_SOURCE', tabId: source.tabId, url: source.url });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Could not open the source');
+        }
+        showReportStatus(response.reopened ? `Reopened "${source.title}"` : '');
+    } catch (error) {
+        console.warn('Failed to open report source:', error?.message || error);
+        showReportStatus(error?.message || String(error), true);
+    }
+}
+
+function showReportStatus(message, isError = false) {
+    reportElements.status.textContent = message;
+    reportElements.status.classList.toggle('error', isError);
+}
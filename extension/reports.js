@@ -0,0 +1,137 @@
+/**
+ * AI Tab Companion - Synthesis reports
+ *
+ * Μόνιμα records των AI Synthesis reports (chrome.storage.local → synthesisReports), ώστε το
+ * report.html?id=… να ξαναφορτώνεται μετά από restart και να μπαίνει σε bookmarks.
+ * Κάθε insight έχει citations (refs 1..n) προς τη λίστα sources του report: { ref, tabId, url, title, domain }.
+ * Μαζί κρατιούνται όλα τα tabUrls του group, το model (ποιο LanguageModel API απάντησε) και το promptVersion,
+ * ώστε το library.html να συγκρίνει δύο reports του ίδιου group στον χρόνο.
+ *
+ * Φορτώνεται από το service worker (importScripts), το report.html και το library.html.
+ */
+
+const SYNTHESIS_REPORTS_KEY = 'synthesisReports';
+const MAX_SYNTHESIS_REPORTS = 200;
+
+async function loadSynthesisReports() {
+    try {
+        const { [SYNTHESIS_REPORTS_KEY]: stored } = await chrome.storage.local.get([SYNTHESIS_REPORTS_KEY]);
+        return Array.isArray(stored) ? stored.filter(report => report && report.id) : [];
+    } catch (error) {
+        console.warn('Failed to load synthesis reports:', error?.message || error);
+        return [];
+    }
+}
+
+async function getSynthesisReport(id) {
+    return (await loadSynthesisReports()).find(report => report.id === id) || null;
+}
+
+/**
+ * Νεότερα πρώτα· τα παλαιότερα πέρα από το MAX_SYNTHESIS_REPORTS σβήνονται
+ */
+async function saveSynthesisReport(report) {
+    const reports = (await loadSynthesisReports()).filter(item => item.id !== report.id);
+    await chrome.storage.local.set({ [SYNTHESIS_REPORTS_KEY]: [report, ...reports].slice(0, MAX_SYNTHESIS_REPORTS) });
+    return report;
+}
+
+async function deleteSynthesisReport(id) {
+    const reports = await loadSynthesisReports();
+    await chrome.storage.local.set({ [SYNTHESIS_REPORTS_KEY]: reports.filter(report => report.id !== id) });
+}
+
+/**
+ * Insights από το μοντέλο (strings ή { text, sources }) → [{ text, sources }] με έγκυρα, μοναδικά refs 1..sourceCount
+ */
+function normalizeInsightCitations(insights, sourceCount) {
+    return (Array.isArray(insights) ? insights : [])
+        .map(item => {
+            const text = typeof item === 'string' ? item : String(item?.text || item?.insight || '');
+            const refs = Array.isArray(item?.sources) ? item.sources : [];
+            const sources = Array.from(new Set(refs.map(Number)))
+                .filter(ref => Number.isInteger(ref) && ref >= 1 && ref <= sourceCount);
+            return { text: text.trim(), sources };
+        })
+        .filter(insight => insight.text);
+}
+
+/**
+ * Κλειδί "ίδιου group" ανάμεσα σε reports: τα Chrome group ids αλλάζουν, το όνομα όχι
+ */
+function synthesisGroupKey(report) {
+    return String(report?.groupName || report?.subject || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function reportTextTokens(text) {
+    return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+function reportTokenOverlap(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach(token => {
+        if (b.has(token)) shared += 1;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// Δύο insights θεωρούνται ίδια όταν μοιράζονται τουλάχιστον τόσα tokens (Jaccard)
+const REPORT_INSIGHT_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Σύγκριση παλαιότερου → νεότερου report: insights που κρατήθηκαν / προστέθηκαν / χάθηκαν και tabs που άλλαξαν
+ */
+function compareSynthesisReports(older, newer) {
+    const olderInsights = (older?.insights || []).map(insight => ({ text: insight.text, tokens: reportTextTokens(insight.text) }));
+    const matched = new Set();
+    const kept = [];
+    const added = [];
+    (newer?.insights || []).forEach(insight => {
+        const tokens = reportTextTokens(insight.text);
+        let best = -1;
+        let bestScore = 0;
+        olderInsights.forEach((candidate, index) => {
+            if (matched.has(index)) return;
+            const score = reportTokenOverlap(tokens, candidate.tokens);
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+        if (best !== -1 && bestScore >= REPORT_INSIGHT_MATCH_THRESHOLD) {
+            matched.add(best);
+            kept.push({ before: olderInsights[best].text, after: insight.text });
+        } else {
+            added.push(insight.text);
+        }
+    });
+    const removed = olderInsights.filter((_, index) => !matched.has(index)).map(insight => insight.text);
+
+    const reportUrls = report => new Set(report?.tabUrls?.length ? report.tabUrls : (report?.sources || []).map(source => source.url));
+    const olderUrls = reportUrls(older);
+    const newerUrls = reportUrls(newer);
+    return {
+        sameGroup: synthesisGroupKey(older) === synthesisGroupKey(newer),
+        insightsKept: kept,
+        insightsAdded: added,
+        insightsRemoved: removed,
+        urlsAdded: Array.from(newerUrls).filter(url => !olderUrls.has(url)),
+        urlsRemoved: Array.from(olderUrls).filter(url => !newerUrls.has(url)),
+        urlsKept: Array.from(newerUrls).filter(url => olderUrls.has(url)).length
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYNTHESIS_REPORTS_KEY,
+        MAX_SYNTHESIS_REPORTS,
+        loadSynthesisReports,
+        getSynthesisReport,
+        saveSynthesisReport,
+        deleteSynthesisReport,
+        normalizeInsightCitations,
+        synthesisGroupKey,
+        compareSynthesisReports
+    };
+}
@@ -0,0 +1,212 @@
+/**
+ * AI Tab Companion - Settings
+ *
+ * Schema, presets και validation για τις ρυθμίσεις του options page (chrome.storage.sync → extensionSettings).
+ * Φορτώνεται και από το service worker (importScripts) και από το options.html, ώστε
+ * και οι δύο πλευρές να εφαρμόζουν τους ίδιους κανόνες.
+ *
+ * Τα defaults ταυτίζονται με τις τιμές που ήταν hard-coded στο background.js / grouping-core.js.
+ */
+
+const EXTENSION_SETTINGS_KEY = 'extensionSettings';
+
+const EXTENSION_SETTINGS_SECTIONS = [
+    { id: 'grouping', title: 'Grouping' },
+    { id: 'suspension', title: 'Suspension' },
+    { id: 'reload', title: 'Tab reloads' },
+    { id: 'cleanup', title: 'Memory cleanup' },
+    { id: 'audit', title: 'Audit log' },
+    { id: 'archive', title: 'Archive suggestions' }
+];
+
+const EXTENSION_SETTINGS_SCHEMA = {
+    similarityJoinThreshold: {
+        section: 'grouping', type: 'number', default: 0.42, min: 0.1, max: 0.95, step: 0.01,
+        label: 'Join threshold',
+        hint: 'Minimum similarity for two tabs to land in the same group; also scales the keyword overlap of the first grouping pass'
+    },
+    similaritySplitThreshold: {
+        section: 'grouping', type: 'number', default: 0.35, min: 0.05, max: 0.95, step: 0.01,
+        label: 'Secondary join threshold',
+        hint: 'Lower bound used when tabs also share keywords or topics (must not exceed the join threshold)'
+    },
+    crossGroupMergeThreshold: {
+        section: 'grouping', type: 'number', default: 0.40, min: 0.1, max: 0.95, step: 0.01,
+        label: 'Group merge threshold',
+        hint: 'Minimum similarity for merging small groups into larger ones'
+    },
+    enableShoppingSplit: {
+        section: 'grouping', type: 'boolean', default: false,
+        label: 'Split shopping tabs by category'
+    },
+    liveGroupingEnabled: {
+        section: 'grouping', type: 'boolean', default: true,
+        label: 'Live grouping of new tabs',
+        hint: 'Attach new or navigated tabs to the closest existing group without a full scan'
+    },
+    groupAutoSuspendEnabled: {
+        section: 'suspension', type: 'boolean', default: true,
+        label: 'Suspend idle groups',
+        hint: 'Discard and collapse groups that have not been used for a while'
+    },
+    groupAutoSuspendIdleMinutes: {
+        section: 'suspension', type: 'number', integer: true, default: 5, min: 1, max: 24 * 60, step: 1,
+        label: 'Idle time before suspending (minutes)'
+    },
+    autoReloadStaleTabs: {
+        section: 'reload', type: 'boolean', default: true,
+        label: 'Reload discarded tabs before a scan'
+    },
+    startupSmartReload: {
+        section: 'reload', type: 'boolean', default: true,
+        label: 'Reload discarded tabs on browser startup'
+    },
+    reloadMaxTabs: {
+        section: 'reload', type: 'number', integer: true, default: 16, min: 1, max: 200, step: 1,
+        label: 'Maximum tabs reloaded per run'
+    },
+    ramCleanupEnabled: {
+        section: 'cleanup', type: 'boolean', default: true,
+        label: 'Free memory after grouping'
+    },
+    ramDiscardUnusedTabs: {
+        section: 'cleanup', type: 'boolean', default: true,
+        label: 'Discard tabs left out of every group'
+    },
+    ramMaxDiscardsPerRun: {
+        section: 'cleanup', type: 'number', integer: true, default: 5, min: 0, max: 100, step: 1,
+        label: 'Maximum tabs discarded per run'
+    },
+    auditLogEnabled: {
+        section: 'audit', type: 'boolean', default: true,
+        label: 'Record every call to the on-device model',
+        hint: 'Stores the run, stage, tab URLs, redacted prompt and response of each Language Model and Summarizer call'
+    },
+    auditLogRetentionDays: {
+        section: 'audit', type: 'number', integer: true, default: 14, min: 1, max: 365, step: 1,
+        label: 'Keep entries for (days)'
+    },
+    auditLogMaxEntries: {
+        section: 'audit', type: 'number', integer: true, default: 2000, min: 100, max: 20000, step: 100,
+        label: 'Maximum entries kept'
+    },
+    archiveStaleDays: {
+        section: 'archive', type: 'number', integer: true, default: 7, min: 1, max: 365, step: 1,
+        label: 'Suggest archiving after (days unused)',
+        hint: 'Tabs in an active group need twice as long; duplicates half as long'
+    }
+};
+
+// Presets: γράφουν μόνο τα keys που ορίζουν, τα υπόλοιπα παίρνουν default
+const EXTENSION_SETTINGS_PRESETS = {
+    conservative: {
+        label: 'Conservative',
+        values: {
+            similarityJoinThreshold: 0.55,
+            similaritySplitThreshold: 0.48,
+            crossGroupMergeThreshold: 0.55,
+            liveGroupingEnabled: false,
+            groupAutoSuspendIdleMinutes: 30,
+            reloadMaxTabs: 8,
+            ramMaxDiscardsPerRun: 2
+        }
+    },
+    aggressiveMerging: {
+        label: 'Aggressive merging',
+        values: {
+            similarityJoinThreshold: 0.32,
+            similaritySplitThreshold: 0.26,
+            crossGroupMergeThreshold: 0.28
+        }
+    },
+    noTabReloads: {
+        label: 'No tab reloads',
+        values: {
+            groupAutoSuspendEnabled: false,
+            autoReloadStaleTabs: false,
+            startupSmartReload: false,
+            ramDiscardUnusedTabs: false
+        }
+    }
+};
+
+function getDefaultExtensionSettings() {
+    return Object.fromEntries(
+        Object.entries(EXTENSION_SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+    );
+}
+
+/**
+ * Ελέγχει ένα (μερικό) settings object.
+ * Επιστρέφει { settings, errors }: τα settings είναι πάντα πλήρη, με default όπου η τιμή λείπει ή είναι άκυρη.
+ */
+function validateExtensionSettings(raw) {
+    const settings = getDefaultExtensionSettings();
+    const errors = [];
+    const source = raw && typeof raw === 'object' ? raw : {};
+
+    Object.entries(EXTENSION_SETTINGS_SCHEMA).forEach(([key, spec]) => {
+        if (!Object.prototype.hasOwnProperty.call(source, key) || source[key] === null || source[key] === '') {
+            return;
+        }
+        const value = source[key];
+        if (spec.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                errors.push({ key, message: `${spec.label} must be on or off` });
+                return;
+            }
+            settings[key] = value;
+            return;
+        }
+        const number = typeof value === 'number' ? value : Number(value);
+        if (!Number.isFinite(number)) {
+            errors.push({ key, message: `${spec.label} must be a number` });
+            return;
+        }
+        if (spec.integer && !Number.isInteger(number)) {
+            errors.push({ key, message: `${spec.label} must be a whole number` });
+            return;
+        }
+        if (number < spec.min || number > spec.max) {
+            errors.push({ key, message: `${spec.label} must be between ${spec.min} and ${spec.max}` });
+            return;
+        }
+        settings[key] = number;
+    });
+
+    if (settings.similaritySplitThreshold > settings.similarityJoinThreshold) {
+        errors.push({
+            key: 'similaritySplitThreshold',
+            message: `${EXTENSION_SETTINGS_SCHEMA.similaritySplitThreshold.label} must not exceed the join threshold`
+        });
+        settings.similaritySplitThreshold = Math.min(
+            settings.similarityJoinThreshold,
+            EXTENSION_SETTINGS_SCHEMA.similaritySplitThreshold.default
+        );
+    }
+
+    return { settings, errors };
+}
+
+/**
+ * Settings ενός preset πάνω στα defaults (null για άγνωστο preset)
+ */
+function buildPresetSettings(presetId) {
+    const preset = EXTENSION_SETTINGS_PRESETS[presetId];
+    if (!preset) {
+        return null;
+    }
+    return validateExtensionSettings(preset.values).settings;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXTENSION_SETTINGS_KEY,
+        EXTENSION_SETTINGS_SECTIONS,
+        EXTENSION_SETTINGS_SCHEMA,
+        EXTENSION_SETTINGS_PRESETS,
+        getDefaultExtensionSettings,
+        validateExtensionSettings,
+        buildPresetSettings
+    };
+}